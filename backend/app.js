@@ -0,0 +1,139 @@
+const express = require('express');
+const cors = require('cors');
+const bodyParser = require('body-parser');
+const path = require('path');
+require('dotenv').config();
+
+const { createRepositories } = require('./repositories');
+const { authenticateToken, authenticateUpload, requireAdmin, requireRecordOwnerOrAdmin } = require('./middleware/auth');
+const createAuthRouter = require('./routes/auth');
+const createImobiliariasRouter = require('./routes/imobiliarias');
+const createConsultoresRouter = require('./routes/consultores');
+const createClientesRouter = require('./routes/clientes');
+const createAgendamentosRouter = require('./routes/agendamentos');
+const createFechamentosRouter = require('./routes/fechamentos');
+const createComissoesRouter = require('./routes/comissoes');
+const createPagamentosRouter = require('./routes/pagamentos');
+const createAuditoriaRouter = require('./routes/auditoria');
+const createDistribuicaoRouter = require('./routes/distribuicao');
+const createSlaRouter = require('./routes/sla');
+const createNotificacoesRouter = require('./routes/notificacoes');
+const createDuplicadosRouter = require('./routes/duplicados');
+const createMetaAdsRouter = require('./routes/meta-ads');
+const createDashboardRouter = require('./routes/dashboard');
+const createBuscaRouter = require('./routes/busca');
+const createImportacoesRouter = require('./routes/importacoes');
+const createCalendarioRouter = require('./routes/calendario');
+const createAutoagendamentoRouter = require('./routes/autoagendamento');
+const createLembretesRouter = require('./routes/lembretes');
+const createTarefasRouter = require('./routes/tarefas');
+
+// App Express compartilhado pelo servidor local (server.js) e pela função do Vercel (api/index.js)
+const app = express();
+
+// Camada de dados escolhida por DATA_PROVIDER (supabase, sqlite ou postgres)
+const repositories = createRepositories();
+app.locals.repositories = repositories;
+
+// Configuração CORS para Vercel
+const corsOptions = {
+  origin: [
+    'http://localhost:3000',
+    'https://localhost:3000',
+    'https://crm-construtora.vercel.app',
+    process.env.FRONTEND_URL,
+    /\.vercel\.app$/
+  ],
+  credentials: true,
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization']
+};
+
+// Middleware
+app.use(cors(corsOptions));
+app.use(bodyParser.json({
+  limit: '10mb',
+  // Guardar o corpo original para validar a assinatura do webhook do Meta
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
+app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
+
+// Servir arquivos estáticos da pasta uploads
+app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+
+// === ROTAS DE AUTENTICAÇÃO ===
+app.use('/api', createAuthRouter({ repositories, authenticateToken }));
+
+// === IMOBILIÁRIAS === (Apenas Admin)
+app.use('/api', createImobiliariasRouter({ repositories, authenticateToken, requireAdmin }));
+
+// === CONSULTORES === (Apenas Admin pode gerenciar, cadastro público)
+app.use('/api', createConsultoresRouter({ repositories, authenticateToken, requireAdmin }));
+
+// === CLIENTES E NOVOS LEADS === (Admin vê todos, Consultor vê apenas os seus)
+app.use('/api', createClientesRouter({ repositories, authenticateToken, requireRecordOwnerOrAdmin }));
+
+// === IMPORTAÇÃO DE CLIENTES POR PLANILHA === (Apenas Admin)
+app.use('/api', createImportacoesRouter({ repositories, authenticateUpload, authenticateToken, requireAdmin }));
+
+// === CLIENTES DUPLICADOS === (Apenas Admin)
+app.use('/api', createDuplicadosRouter({ repositories, authenticateToken, requireAdmin }));
+
+// === AGENDAMENTOS === (Admin vê todos, Consultor vê apenas os seus)
+app.use('/api', createAgendamentosRouter({ repositories, authenticateToken, requireAdmin, requireRecordOwnerOrAdmin }));
+
+// === AGENDA EM ICALENDAR === (Feed público pelo link secreto do corretor)
+app.use('/api', createCalendarioRouter({ repositories, authenticateToken }));
+
+// === AUTOAGENDAMENTO DO LEAD === (Público, pelo link secreto recebido no cadastro)
+app.use('/api', createAutoagendamentoRouter({ repositories }));
+
+// === LEMBRETES DE VISITA === (Envio apenas Admin; webhooks públicos dos canais de envio)
+app.use('/api', createLembretesRouter({ repositories, authenticateToken, requireAdmin, requireRecordOwnerOrAdmin }));
+
+// === TAREFAS PERIÓDICAS === (Agendador do deploy, com CRON_SECRET)
+app.use('/api', createTarefasRouter({ repositories }));
+
+// === FECHAMENTOS === (Admin vê todos, Consultor vê apenas os seus)
+app.use('/api', createFechamentosRouter({ repositories, authenticateToken, authenticateUpload, requireAdmin, requireRecordOwnerOrAdmin }));
+
+// === COMISSÕES === (Regras apenas Admin, Consultor vê apenas as suas comissões)
+app.use('/api', createComissoesRouter({ repositories, authenticateToken, requireAdmin }));
+
+// === PAGAMENTOS DE COMISSÃO === (Lotes apenas Admin, Consultor vê apenas o seu extrato)
+app.use('/api', createPagamentosRouter({ repositories, authenticateToken, requireAdmin }));
+
+// === HISTÓRICO DE ALTERAÇÕES === (Log geral apenas Admin)
+app.use('/api', createAuditoriaRouter({ repositories, authenticateToken, requireAdmin }));
+
+// === DISTRIBUIÇÃO DE LEADS === (Apenas Admin)
+app.use('/api', createDistribuicaoRouter({ repositories, authenticateToken, requireAdmin }));
+
+// === PRAZO DE PRIMEIRO CONTATO === (Apenas Admin)
+app.use('/api', createSlaRouter({ repositories, authenticateToken, requireAdmin }));
+
+// === NOTIFICAÇÕES === (Cada usuário vê apenas as suas; canal em tempo real em /notificacoes/stream)
+app.use('/api', createNotificacoesRouter({ repositories, authenticateToken, requireRecordOwnerOrAdmin }));
+
+// === META ADS === (Apenas Admin; o webhook de leads é público)
+app.use('/api', createMetaAdsRouter({ repositories, authenticateToken, requireAdmin }));
+
+// === DASHBOARD/ESTATÍSTICAS === (Admin vê tudo, Consultor vê apenas seus dados)
+app.use('/api', createDashboardRouter({ repositories, authenticateToken }));
+
+// === BUSCA GLOBAL === (Consultor encontra apenas os seus registros)
+app.use('/api', createBuscaRouter({ repositories, authenticateToken }));
+
+// Endpoint de teste para verificar variáveis de ambiente
+app.get('/api/test-env', (req, res) => {
+  res.json({
+    DATA_PROVIDER: repositories.provider,
+    SUPABASE_URL: process.env.SUPABASE_URL || 'NÃO DEFINIDA',
+    SUPABASE_SERVICE_KEY: process.env.SUPABASE_SERVICE_KEY ? 'DEFINIDA' : 'NÃO DEFINIDA',
+    JWT_SECRET: process.env.JWT_SECRET ? 'DEFINIDA' : 'NÃO DEFINIDA',
+    CRON_SECRET: process.env.CRON_SECRET ? 'DEFINIDA' : 'NÃO DEFINIDA',
+    NODE_ENV: process.env.NODE_ENV || 'NÃO DEFINIDA'
+  });
+});
+
+module.exports = app;
@@ -0,0 +1,77 @@
+// Histórico de alterações: grava no audit_log quem criou, alterou ou removeu cada registro
+
+const ENTIDADES = ['clientes', 'agendamentos', 'fechamentos'];
+
+// Campos de controle que mudam sozinhos e não dizem nada no histórico
+const CAMPOS_IGNORADOS = ['updated_at', 'sequencia_convite'];
+
+// Apenas os campos que mudaram, com o valor de antes e o de depois (null se nada mudou)
+const diferencas = (antes, depois) => {
+  const campos = Object.keys({ ...antes, ...depois })
+    .filter(campo => !CAMPOS_IGNORADOS.includes(campo))
+    .filter(campo => JSON.stringify(antes[campo] ?? null) !== JSON.stringify(depois[campo] ?? null));
+
+  if (campos.length === 0) return null;
+
+  return {
+    antes: Object.fromEntries(campos.map(campo => [campo, antes[campo] ?? null])),
+    depois: Object.fromEntries(campos.map(campo => [campo, depois[campo] ?? null]))
+  };
+};
+
+/**
+ * Gravações em nome do usuário logado (req.user; null nos cadastros públicos). Fazem o mesmo
+ * que criar/atualizar/remover do repositório da entidade e registram o histórico.
+ */
+const auditar = (repositories, usuario) => {
+  const registrar = async (entidade, entidadeId, acao, antes, depois) => {
+    try {
+      await repositories.auditoria.registrar({
+        entidade,
+        entidade_id: entidadeId,
+        acao,
+        antes,
+        depois,
+        usuario_id: usuario?.id ?? null,
+        usuario_tipo: usuario?.tipo ?? null,
+        usuario_nome: usuario?.nome ?? null
+      });
+    } catch (error) {
+      // Falha no histórico não desfaz a alteração já gravada
+      console.error(`Erro ao registrar histórico de ${entidade} #${entidadeId}:`, error.message);
+    }
+  };
+
+  return {
+    async criar(entidade, dados) {
+      const registro = await repositories[entidade].criar(dados);
+      await registrar(entidade, registro.id, 'criar', null, registro);
+      return registro;
+    },
+
+    // Devolve null se o registro não existir (ou não atender a condição), como o atualizar dos repositórios
+    async atualizar(entidade, id, dados, condicao) {
+      const antes = await repositories[entidade].buscarPorId(id);
+      if (!antes) return null;
+
+      const depois = await repositories[entidade].atualizar(id, dados, condicao);
+      const alteracoes = depois && diferencas(antes, depois);
+      if (alteracoes) {
+        await registrar(entidade, antes.id, 'atualizar', alteracoes.antes, alteracoes.depois);
+      }
+      return depois;
+    },
+
+    async remover(entidade, id) {
+      const antes = await repositories[entidade].buscarPorId(id);
+      await repositories[entidade].remover(id);
+      if (antes) await registrar(entidade, antes.id, 'remover', antes, null);
+    }
+  };
+};
+
+module.exports = {
+  ENTIDADES,
+  diferencas,
+  auditar
+};
@@ -0,0 +1,97 @@
+// Busca global do cabeçalho: clientes, visitas, fechamentos e empreendimentos de uma vez
+const { normalizarNome } = require('./distribuicao');
+const { apenasDigitos, normalizarTelefone } = require('./utils');
+
+// Resultados por grupo quando a busca não informa `limite`
+const LIMITE_POR_GRUPO = 5;
+
+// Mínimo de dígitos para comparar com CPF e telefone (evita casar qualquer número curto)
+const MINIMO_DIGITOS = 3;
+
+// Número de fechamento digitado como "123" ou "#123" (números longos são CPF/telefone, não id)
+const numeroDoFechamento = (termo) => (/^#?\d{1,9}$/.test(termo) ? Number(termo.replace('#', '')) : null);
+
+// Cliente corresponde ao termo: trecho do nome (sem acentos), do CPF ou do telefone (só dígitos,
+// com ou sem o +55 na frente)
+const clienteCorresponde = (cliente, { texto, digitos }) => {
+  if (normalizarNome(cliente.nome).includes(texto)) return true;
+  if (digitos.length < MINIMO_DIGITOS) return false;
+
+  return apenasDigitos(cliente.cpf).includes(digitos) || `55${normalizarTelefone(cliente.telefone)}`.includes(digitos);
+};
+
+const resumoCliente = (cliente) => ({
+  id: cliente.id,
+  nome: cliente.nome,
+  telefone: cliente.telefone,
+  cpf: cliente.cpf,
+  status: cliente.status,
+  consultor_nome: cliente.consultores?.nome || null
+});
+
+const resumoAgendamento = (agendamento) => ({
+  id: agendamento.id,
+  cliente_id: agendamento.cliente_id,
+  cliente_nome: agendamento.clientes?.nome || null,
+  imobiliaria_nome: agendamento.imobiliarias?.nome || null,
+  data_agendamento: agendamento.data_agendamento,
+  horario: agendamento.horario,
+  status: agendamento.status
+});
+
+const resumoFechamento = (fechamento) => ({
+  id: fechamento.id,
+  cliente_id: fechamento.cliente_id,
+  cliente_nome: fechamento.clientes?.nome || null,
+  imobiliaria_nome: fechamento.imobiliarias?.nome || null,
+  data_fechamento: fechamento.data_fechamento,
+  valor_fechado: fechamento.valor_fechado,
+  aprovado: fechamento.aprovado
+});
+
+const resumoImobiliaria = (imobiliaria) => ({
+  id: imobiliaria.id,
+  nome: imobiliaria.nome,
+  cidade: imobiliaria.cidade,
+  estado: imobiliaria.estado,
+  status: imobiliaria.status
+});
+
+const grupo = (itens, total, resumo) => ({ total, itens: itens.map(resumo) });
+
+/**
+ * Procura o termo em todas as entidades, agrupado por tipo: { clientes, agendamentos, fechamentos,
+ * imobiliarias }, cada um com { total, itens } (no máximo `limite` itens). Com consultorId vale o
+ * mesmo escopo das listagens: clientes dele ou com visita dele, e só as visitas e fechamentos dele.
+ */
+const buscarGlobal = async (repositories, termo, { consultorId, limite = LIMITE_POR_GRUPO } = {}) => {
+  const consulta = { texto: normalizarNome(termo), digitos: apenasDigitos(termo) };
+
+  const [clientes, imobiliarias] = await Promise.all([
+    repositories.clientes.listar({ consultorId }),
+    repositories.imobiliarias.listar()
+  ]);
+
+  const clientesEncontrados = clientes.filter(cliente => clienteCorresponde(cliente, consulta));
+  const imobiliariasEncontradas = imobiliarias.filter(imobiliaria => normalizarNome(imobiliaria.nome).includes(consulta.texto));
+  const clienteIds = clientesEncontrados.map(cliente => cliente.id);
+
+  const [agendamentos, fechamentos] = await Promise.all([
+    clienteIds.length > 0
+      ? repositories.agendamentos.listarPagina({ consultorId, clienteId: clienteIds, limite })
+      : { dados: [], total: 0 },
+    repositories.fechamentos.listarPorIdOuClientes({ id: numeroDoFechamento(termo), clienteIds, consultorId, limite })
+  ]);
+
+  return {
+    clientes: grupo(clientesEncontrados.slice(0, limite), clientesEncontrados.length, resumoCliente),
+    agendamentos: grupo(agendamentos.dados, agendamentos.total, resumoAgendamento),
+    fechamentos: grupo(fechamentos.dados, fechamentos.total, resumoFechamento),
+    imobiliarias: grupo(imobiliariasEncontradas.slice(0, limite), imobiliariasEncontradas.length, resumoImobiliaria)
+  };
+};
+
+module.exports = {
+  LIMITE_POR_GRUPO,
+  buscarGlobal
+};
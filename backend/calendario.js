@@ -0,0 +1,152 @@
+// Agenda de visitas em iCalendar (.ics): feed de assinatura do corretor e convite da visita para o cliente
+const { rotulo } = require('./exportacao');
+const { duracaoDaVisita } = require('./disponibilidade');
+
+// Visitas que saem da agenda: continuam no feed como canceladas, para o calendário do celular removê-las
+const STATUS_CANCELADOS = ['cancelado', 'nao_compareceu'];
+
+// Quantos dias para trás o feed mostra (visitas antigas não interessam no celular)
+const DIAS_ANTERIORES_NO_FEED = 90;
+
+// Brasília não tem horário de verão desde 2019: o horário da visita é sempre UTC-3
+const FUSO_BRASILIA = '-03:00';
+
+const PRODID = '-//CRM Construtora//Agenda de Visitas//PT-BR';
+
+// === FORMATO ICALENDAR ===
+
+// Texto com vírgula, ponto e vírgula, barra invertida e quebra de linha escapados
+const escapar = (valor) => String(valor ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Linhas de no máximo 75 bytes; as continuações começam com espaço
+const dobrarLinha = (linha) => {
+  const partes = [];
+  let atual = '';
+  for (const caractere of linha) {
+    const limite = partes.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(atual + caractere) > limite) {
+      partes.push(atual);
+      atual = '';
+    }
+    atual += caractere;
+  }
+  partes.push(atual);
+  return partes.join('\r\n ');
+};
+
+// 2024-05-31T17:30:00.000Z -> 20240531T173000Z
+const dataHoraUtc = (instante) => instante.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const inicioDaVisita = ({ data_agendamento, horario }) =>
+  new Date(`${String(data_agendamento).slice(0, 10)}T${String(horario).slice(0, 5)}:00${FUSO_BRASILIA}`);
+
+const enderecoDoEmpreendimento = (imobiliaria) =>
+  [imobiliaria?.endereco, imobiliaria?.bairro, imobiliaria?.cidade, imobiliaria?.estado].filter(Boolean).join(', ');
+
+// === EVENTOS ===
+
+/**
+ * VEVENT da visita. O UID é o mesmo no feed e no convite, e a SEQUENCE aumenta a cada remarcação,
+ * para o calendário atualizar o evento em vez de duplicá-lo. `paraCliente` troca os dados do
+ * cliente (feed do corretor) pelos do corretor (convite enviado ao cliente).
+ */
+const eventoDaVisita = (agendamento, { paraCliente = false } = {}) => {
+  const inicio = inicioDaVisita(agendamento);
+  const fim = new Date(inicio.getTime() + duracaoDaVisita(agendamento.imobiliarias) * 60 * 1000);
+  const cancelada = STATUS_CANCELADOS.includes(agendamento.status);
+  const empreendimento = agendamento.imobiliarias?.nome;
+
+  const titulo = paraCliente
+    ? (empreendimento ? `Visita ao ${empreendimento}` : 'Visita ao empreendimento')
+    : [`Visita: ${agendamento.clientes?.nome || 'Cliente'}`, empreendimento].filter(Boolean).join(' - ');
+
+  const descricao = (paraCliente
+    ? [
+      ['Corretor', agendamento.consultores?.nome],
+      ['Telefone do corretor', agendamento.consultores?.telefone],
+      ['Empreendimento', empreendimento]
+    ]
+    : [
+      ['Cliente', agendamento.clientes?.nome],
+      ['Telefone', agendamento.clientes?.telefone],
+      ['Empreendimento', empreendimento],
+      ['Status', rotulo(agendamento.status)],
+      ['Observações', agendamento.observacoes]
+    ])
+    .filter(([, valor]) => valor)
+    .map(([campo, valor]) => `${campo}: ${valor}`)
+    .join('\n');
+
+  const local = enderecoDoEmpreendimento(agendamento.imobiliarias) || empreendimento;
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:visita-${agendamento.id}@crm-construtora`,
+    `SEQUENCE:${agendamento.sequencia_convite || 0}`,
+    `DTSTAMP:${dataHoraUtc(new Date())}`,
+    `DTSTART:${dataHoraUtc(inicio)}`,
+    `DTEND:${dataHoraUtc(fim)}`,
+    `SUMMARY:${escapar(cancelada ? `[${rotulo(agendamento.status)}] ${titulo}` : titulo)}`,
+    descricao && `DESCRIPTION:${escapar(descricao)}`,
+    local && `LOCATION:${escapar(local)}`,
+    `STATUS:${cancelada ? 'CANCELLED' : 'CONFIRMED'}`,
+    ...(cancelada ? [] : [
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      'TRIGGER:-PT1H',
+      `DESCRIPTION:${escapar(titulo)}`,
+      'END:VALARM'
+    ]),
+    'END:VEVENT'
+  ].filter(Boolean);
+};
+
+// VCALENDAR com os eventos, em linhas CRLF dobradas
+const gerarCalendario = (eventos, { nome } = {}) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  `PRODID:${PRODID}`,
+  'CALSCALE:GREGORIAN',
+  'METHOD:PUBLISH',
+  nome && `X-WR-CALNAME:${escapar(nome)}`,
+  'X-WR-TIMEZONE:America/Sao_Paulo',
+  // Sugestão de intervalo de atualização para quem assina o feed
+  'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+  'X-PUBLISHED-TTL:PT1H',
+  ...eventos.flat(),
+  'END:VCALENDAR'
+].filter(Boolean).map(dobrarLinha).join('\r\n') + '\r\n';
+
+// Feed de assinatura com as visitas do corretor
+const gerarFeedDoConsultor = (consultor, agendamentos) =>
+  gerarCalendario(agendamentos.map(agendamento => eventoDaVisita(agendamento)), { nome: `Visitas - ${consultor.nome}` });
+
+// Convite de uma visita para o cliente importar no calendário dele
+const gerarConviteDaVisita = (agendamento) =>
+  gerarCalendario([eventoDaVisita(agendamento, { paraCliente: true })]);
+
+// Primeira data que entra no feed (YYYY-MM-DD)
+const inicioDoFeed = () => {
+  const data = new Date(Date.now() - DIAS_ANTERIORES_NO_FEED * 24 * 60 * 60 * 1000);
+  return data.toISOString().slice(0, 10);
+};
+
+// Responde com o .ics: `download` para o convite, inline para o feed (lido pelos apps de calendário)
+const responderCalendario = (res, conteudo, nomeArquivo, { download = false } = {}) => {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `${download ? 'attachment' : 'inline'}; filename="${nomeArquivo}"`);
+  res.send(conteudo);
+};
+
+module.exports = {
+  inicioDaVisita,
+  enderecoDoEmpreendimento,
+  gerarFeedDoConsultor,
+  gerarConviteDaVisita,
+  inicioDoFeed,
+  responderCalendario
+};
@@ -0,0 +1,209 @@
+// Canais de envio dos lembretes de visita: WhatsApp Cloud API, gateway de SMS, SMTP e um canal
+// local (console/arquivo) para desenvolvimento. Todos têm a mesma forma:
+//   { nome, configurado(), destino(cliente), enviar({ destino, assunto, texto, parametros }) }
+// enviar devolve { id_externo } (id da mensagem no provedor, quando houver) ou lança o erro.
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+const { normalizarTelefone } = require('./utils');
+
+const CANAIS_LEMBRETE = ['whatsapp', 'sms', 'email', 'console'];
+
+// Telefone no formato internacional sem '+': '(11) 98765-4321' -> '5511987654321'
+const telefoneInternacional = (telefone) => {
+  const digitos = normalizarTelefone(telefone);
+  return digitos.length >= 10 ? `55${digitos}` : null;
+};
+
+const emailDoCliente = (cliente) => (cliente?.email ? String(cliente.email).trim().toLowerCase() : null);
+
+// === WHATSAPP (Cloud API do Meta) ===
+
+/**
+ * Mensagem de texto livre ou, com WHATSAPP_TEMPLATE, o template aprovado no Meta (necessário para
+ * falar com quem não mandou mensagem nas últimas 24h). O template recebe no corpo, nesta ordem:
+ * nome do cliente, data, horário e empreendimento.
+ */
+const criarCanalWhatsApp = (opcoes = {}) => {
+  const token = opcoes.token || process.env.WHATSAPP_TOKEN;
+  const phoneNumberId = opcoes.phoneNumberId || process.env.WHATSAPP_PHONE_NUMBER_ID;
+  const template = opcoes.template ?? process.env.WHATSAPP_TEMPLATE;
+  const idioma = opcoes.idioma || process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'pt_BR';
+  const graphURL = (opcoes.graphURL || process.env.META_GRAPH_API_URL || 'https://graph.facebook.com').replace(/\/$/, '');
+
+  const corpo = (destino, texto, parametros) => {
+    if (template && parametros) {
+      return {
+        messaging_product: 'whatsapp',
+        to: destino,
+        type: 'template',
+        template: {
+          name: template,
+          language: { code: idioma },
+          components: [{
+            type: 'body',
+            parameters: parametros.map(valor => ({ type: 'text', text: String(valor ?? '') }))
+          }]
+        }
+      };
+    }
+    return { messaging_product: 'whatsapp', to: destino, type: 'text', text: { body: texto } };
+  };
+
+  return {
+    nome: 'whatsapp',
+
+    configurado() {
+      return Boolean(token && phoneNumberId);
+    },
+
+    destino(cliente) {
+      return telefoneInternacional(cliente?.telefone);
+    },
+
+    async enviar({ destino, texto, parametros }) {
+      try {
+        const response = await axios.post(`${graphURL}/v19.0/${phoneNumberId}/messages`, corpo(destino, texto, parametros), {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+        return { id_externo: response.data?.messages?.[0]?.id || null };
+      } catch (error) {
+        throw new Error(error.response?.data?.error?.message || error.message);
+      }
+    }
+  };
+};
+
+// === SMS (gateway HTTP) ===
+
+/**
+ * Gateway genérico: POST em SMS_GATEWAY_URL com { to, from, message } e o token em
+ * Authorization: Bearer. O id da mensagem é lido de `id` ou `message_id` da resposta.
+ */
+const criarCanalSms = (opcoes = {}) => {
+  const url = opcoes.url || process.env.SMS_GATEWAY_URL;
+  const token = opcoes.token || process.env.SMS_GATEWAY_TOKEN;
+  const remetente = opcoes.remetente || process.env.SMS_SENDER;
+
+  return {
+    nome: 'sms',
+
+    configurado() {
+      return Boolean(url);
+    },
+
+    destino(cliente) {
+      return telefoneInternacional(cliente?.telefone);
+    },
+
+    async enviar({ destino, texto }) {
+      try {
+        const response = await axios.post(url, { to: destino, from: remetente || undefined, message: texto }, {
+          headers: token ? { Authorization: `Bearer ${token}` } : {}
+        });
+        const id = response.data?.id ?? response.data?.message_id;
+        return { id_externo: id ? String(id) : null };
+      } catch (error) {
+        throw new Error(error.response?.data?.error || error.response?.data?.message || error.message);
+      }
+    }
+  };
+};
+
+// === EMAIL (SMTP) ===
+
+const criarCanalEmail = (opcoes = {}) => {
+  const host = opcoes.host || process.env.SMTP_HOST;
+  const porta = parseInt(opcoes.porta || process.env.SMTP_PORT) || 587;
+  const seguro = (opcoes.seguro ?? process.env.SMTP_SECURE) === 'true' || porta === 465;
+  const usuario = opcoes.usuario || process.env.SMTP_USER;
+  const senha = opcoes.senha || process.env.SMTP_PASS;
+  const remetente = opcoes.remetente || process.env.SMTP_FROM || usuario;
+
+  // A conexão SMTP só é criada no primeiro envio
+  let transporte = null;
+  const conectar = () => {
+    if (!transporte) {
+      const nodemailer = require('nodemailer');
+      transporte = nodemailer.createTransport({
+        host,
+        port: porta,
+        secure: seguro,
+        auth: usuario ? { user: usuario, pass: senha } : undefined
+      });
+    }
+    return transporte;
+  };
+
+  return {
+    nome: 'email',
+
+    configurado() {
+      return Boolean(host && remetente);
+    },
+
+    destino(cliente) {
+      return emailDoCliente(cliente);
+    },
+
+    async enviar({ destino, assunto, texto }) {
+      const info = await conectar().sendMail({ from: remetente, to: destino, subject: assunto, text: texto });
+      return { id_externo: info.messageId || null };
+    }
+  };
+};
+
+// === CONSOLE (desenvolvimento) ===
+
+// Escreve a mensagem no console e, com VISIT_REMINDER_LOG_PATH, também no arquivo (uma linha JSON por envio)
+const criarCanalConsole = (opcoes = {}) => {
+  const arquivo = opcoes.arquivo ?? process.env.VISIT_REMINDER_LOG_PATH;
+
+  return {
+    nome: 'console',
+
+    configurado() {
+      return true;
+    },
+
+    destino(cliente) {
+      return telefoneInternacional(cliente?.telefone) || emailDoCliente(cliente);
+    },
+
+    async enviar({ destino, assunto, texto }) {
+      const id = `console-${crypto.randomBytes(8).toString('hex')}`;
+      console.log(`📨 Lembrete para ${destino}: ${texto}`);
+      if (arquivo) {
+        await fs.promises.appendFile(arquivo, JSON.stringify({ id, data: new Date().toISOString(), destino, assunto, texto }) + '\n');
+      }
+      return { id_externo: id };
+    }
+  };
+};
+
+const FABRICAS = {
+  whatsapp: criarCanalWhatsApp,
+  sms: criarCanalSms,
+  email: criarCanalEmail,
+  console: criarCanalConsole
+};
+
+/**
+ * Canais na ordem de preferência de VISIT_REMINDER_CHANNELS (padrão 'whatsapp,sms,email'). Os que
+ * não estão configurados ficam de fora; o canal 'console' só entra quando listado.
+ */
+const criarCanais = (lista = process.env.VISIT_REMINDER_CHANNELS ?? 'whatsapp,sms,email') =>
+  [...new Set(String(lista).split(',').map(nome => nome.trim().toLowerCase()))]
+    .filter(nome => FABRICAS[nome])
+    .map(nome => FABRICAS[nome]())
+    .filter(canal => canal.configurado());
+
+module.exports = {
+  CANAIS_LEMBRETE,
+  telefoneInternacional,
+  criarCanalWhatsApp,
+  criarCanalSms,
+  criarCanalEmail,
+  criarCanalConsole,
+  criarCanais
+};
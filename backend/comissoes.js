@@ -0,0 +1,187 @@
+// Motor de comissões: escolhe a regra de cada fechamento aprovado e grava o valor calculado
+
+const TIPOS_REGRA = ['percentual', 'fixo', 'faixas'];
+
+const arredondar = (valor) => Math.round(valor * 100) / 100;
+
+const numero = (valor) => (valor === null || valor === undefined || valor === '' ? null : parseFloat(valor));
+
+// Regra específica vence a geral: consultor + empreendimento > consultor > empreendimento > geral
+const especificidade = (regra) => (regra.consultor_id ? 2 : 0) + (regra.imobiliaria_id ? 1 : 0);
+
+/**
+ * Regra ativa mais específica para o consultor e o empreendimento (imobiliária) do fechamento.
+ * Em caso de empate vale a cadastrada por último.
+ */
+const escolherRegra = (regras, fechamento) => regras
+  .filter(r => r.ativo !== false)
+  .filter(r =>
+    (!r.consultor_id || r.consultor_id === fechamento.consultor_id) &&
+    (!r.imobiliaria_id || r.imobiliaria_id === fechamento.imobiliaria_id)
+  )
+  .sort((a, b) => especificidade(b) - especificidade(a) || b.id - a.id)[0] || null;
+
+// Faixa em que o valor se encaixa (faixas ordenadas por "ate"; ate = null é "acima de")
+const escolherFaixa = (faixas, valor) => [...faixas]
+  .sort((a, b) => (a.ate === null ? Infinity : a.ate) - (b.ate === null ? Infinity : b.ate))
+  .find(f => f.ate === null || valor <= f.ate) || null;
+
+/**
+ * Calcular a comissão de um fechamento pela regra. Devolve o valor e a memória de cálculo
+ * (o que foi usado na conta), que fica gravada junto da comissão.
+ */
+const calcularComissao = (regra, valorFechado) => {
+  const valorBase = numero(valorFechado) || 0;
+  let base = regra;
+  let faixa = null;
+
+  if (regra.tipo === 'faixas') {
+    faixa = escolherFaixa(regra.faixas || [], valorBase);
+    if (!faixa) throw new Error(`Nenhuma faixa da regra "${regra.nome}" atende o valor ${valorBase}`);
+    base = faixa;
+  }
+
+  const percentual = numero(base.percentual);
+  const valorComissao = percentual !== null
+    ? arredondar(valorBase * percentual / 100)
+    : arredondar(numero(base.valor_fixo) || 0);
+
+  return {
+    valor_base: valorBase,
+    percentual,
+    valor_comissao: valorComissao,
+    memoria_calculo: {
+      regra: regra.nome,
+      tipo: regra.tipo,
+      valor_base: valorBase,
+      faixa,
+      calculo: percentual !== null
+        ? `${valorBase} x ${percentual}% = ${valorComissao}`
+        : `valor fixo = ${valorComissao}`
+    }
+  };
+};
+
+// Validar os dados de uma regra; devolve { campo: mensagem } ou null
+const validarRegra = ({ nome, tipo, percentual, valor_fixo, faixas }) => {
+  if (!nome || !String(nome).trim()) return { nome: 'Nome da regra é obrigatório!' };
+  if (!TIPOS_REGRA.includes(tipo)) return { tipo: `Tipo de regra inválido! Use: ${TIPOS_REGRA.join(', ')}` };
+
+  const percentualValido = (p) => numero(p) !== null && numero(p) > 0 && numero(p) <= 100;
+  const valorValido = (v) => numero(v) !== null && numero(v) > 0;
+
+  if (tipo === 'percentual' && !percentualValido(percentual)) {
+    return { percentual: 'Percentual deve ser maior que 0 e no máximo 100!' };
+  }
+  if (tipo === 'fixo' && !valorValido(valor_fixo)) {
+    return { valor_fixo: 'Valor fixo deve ser maior que 0!' };
+  }
+  if (tipo === 'faixas') {
+    if (!Array.isArray(faixas) || faixas.length === 0) return { faixas: 'Informe ao menos uma faixa!' };
+    for (const faixa of faixas) {
+      if (faixa.ate !== null && !valorValido(faixa.ate)) return { faixas: 'O limite "até" de cada faixa deve ser maior que 0 (ou vazio na última)!' };
+      const temPercentual = faixa.percentual !== null && faixa.percentual !== undefined && faixa.percentual !== '';
+      if (temPercentual ? !percentualValido(faixa.percentual) : !valorValido(faixa.valor_fixo)) {
+        return { faixas: 'Cada faixa precisa de um percentual (0 a 100) ou de um valor fixo!' };
+      }
+    }
+    if (faixas.filter(f => f.ate === null).length > 1) return { faixas: 'Apenas uma faixa pode ficar sem limite!' };
+  }
+  return null;
+};
+
+// Normalizar o corpo da requisição para gravar a regra
+const dadosDaRegra = ({ nome, tipo, percentual, valor_fixo, faixas, consultor_id, imobiliaria_id, ativo }) => ({
+  nome: String(nome).trim(),
+  tipo,
+  percentual: tipo === 'percentual' ? numero(percentual) : null,
+  valor_fixo: tipo === 'fixo' ? numero(valor_fixo) : null,
+  faixas: tipo === 'faixas'
+    ? faixas.map(f => ({
+      ate: numero(f.ate),
+      ...(numero(f.percentual) !== null ? { percentual: numero(f.percentual) } : { valor_fixo: numero(f.valor_fixo) })
+    }))
+    : null,
+  consultor_id: consultor_id ? parseInt(consultor_id) : null,
+  imobiliaria_id: imobiliaria_id ? parseInt(imobiliaria_id) : null,
+  ativo: ativo === undefined ? true : !!ativo
+});
+
+/**
+ * Deixar a comissão gravada de um fechamento de acordo com o estado dele: cria ou recalcula
+ * quando está aprovado (e tem consultor), remove quando não está. Comissões já incluídas num
+ * lote de pagamento (ou pagas) não são recalculadas: se o fechamento deixar de estar aprovado,
+ * elas são estornadas, para o extrato continuar mostrando o que foi pago. Quando o admin aprova
+ * de novo um fechamento com a comissão estornada (novaAprovacao), entra uma comissão a pagar nova
+ * e a estornada fica no histórico; o recálculo não desfaz estornos.
+ */
+const sincronizarComissao = async (repositories, fechamentoId, { novaAprovacao = false } = {}) => {
+  const fechamento = await repositories.fechamentos.buscarPorId(fechamentoId);
+  let existente = await repositories.comissoes.buscarPorFechamento(fechamentoId);
+
+  if (existente && (existente.status !== 'a_pagar' || existente.lote_id)) {
+    if (existente.status !== 'estornado') {
+      if (fechamento?.aprovado !== 'aprovado') {
+        return estornarComissao(repositories, existente, 'Fechamento reprovado');
+      }
+      return existente;
+    }
+    if (!novaAprovacao) return null;
+    existente = null;
+  }
+
+  const regra = fechamento && fechamento.aprovado === 'aprovado' && fechamento.consultor_id
+    ? escolherRegra(await repositories.regrasComissao.listar({ ativo: true }), fechamento)
+    : null;
+
+  if (!regra) {
+    if (existente) await repositories.comissoes.remover(existente.id);
+    return null;
+  }
+
+  const dados = {
+    fechamento_id: fechamento.id,
+    consultor_id: fechamento.consultor_id,
+    regra_id: regra.id,
+    regra_nome: regra.nome,
+    tipo: regra.tipo,
+    ...calcularComissao(regra, fechamento.valor_fechado),
+    updated_at: new Date().toISOString()
+  };
+
+  return existente
+    ? repositories.comissoes.atualizar(existente.id, dados)
+    : repositories.comissoes.criar({ ...dados, status: 'a_pagar' });
+};
+
+// Estornar uma comissão (a pagar ou paga); ela continua no lote e no extrato como estornada
+const estornarComissao = (repositories, comissao, motivo) => {
+  const agora = new Date().toISOString();
+  return repositories.comissoes.atualizar(comissao.id, {
+    status: 'estornado',
+    estornado_em: agora,
+    motivo_estorno: motivo || null,
+    updated_at: agora
+  });
+};
+
+// Recalcular as comissões a pagar de todos os fechamentos aprovados (ex.: depois de mudar as regras)
+const recalcularComissoes = async (repositories) => {
+  const fechamentos = await repositories.fechamentos.listar();
+  let total = 0;
+  for (const fechamento of fechamentos.filter(f => f.aprovado === 'aprovado')) {
+    if (await sincronizarComissao(repositories, fechamento.id)) total++;
+  }
+  return total;
+};
+
+module.exports = {
+  TIPOS_REGRA,
+  escolherRegra,
+  calcularComissao,
+  validarRegra,
+  dadosDaRegra,
+  sincronizarComissao,
+  estornarComissao,
+  recalcularComissoes
+};
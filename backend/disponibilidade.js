@@ -0,0 +1,229 @@
+// Agenda de visitas: horário de funcionamento e capacidade dos empreendimentos e conflitos na
+// agenda do corretor. Usado para recusar visitas encavaladas e para listar os horários livres.
+
+// Duração da visita quando o empreendimento não define a sua
+const DURACAO_PADRAO_MINUTOS = 60;
+
+// Visitas nesses status liberam o horário para outra
+const STATUS_LIVRES = ['cancelado', 'nao_compareceu', 'nao_quer_reagendar'];
+
+// Visitas que ainda vão acontecer (podem ser lembradas, remarcadas ou canceladas pelo cliente)
+const STATUS_EM_ABERTO = ['agendado', 'lembrado', 'reagendado'];
+
+// Horários oferecidos quando o empreendimento não tem horário de visitas cadastrado
+const EXPEDIENTE_PADRAO = { abertura: '08:00', fechamento: '20:00' };
+
+// Maior período aceito na consulta de disponibilidade
+const MAXIMO_DIAS_DISPONIBILIDADE = 31;
+
+// Reserva da agenda ao marcar uma visita: vale por RESERVA_AGENDA_MS (vence sozinha se o servidor
+// cair no meio); outro pedido espera a vez por até ESPERA_RESERVA_MS, tentando a cada INTERVALO_RESERVA_MS
+const RESERVA_AGENDA_MS = 30 * 1000;
+const ESPERA_RESERVA_MS = 5 * 1000;
+const INTERVALO_RESERVA_MS = 100;
+
+// "O empreendimento não recebe visitas aos domingos!"
+const DIAS_DA_SEMANA = ['aos domingos', 'às segundas', 'às terças', 'às quartas', 'às quintas', 'às sextas', 'aos sábados'];
+
+// === HORÁRIOS ===
+
+// '14:30' -> 870
+const emMinutos = (horario) => {
+  const [horas, minutos] = String(horario).slice(0, 5).split(':').map(Number);
+  return horas * 60 + minutos;
+};
+
+// 870 -> '14:30'
+const emHorario = (minutos) => `${String(Math.floor(minutos / 60)).padStart(2, '0')}:${String(minutos % 60).padStart(2, '0')}`;
+
+// 0 = domingo ... 6 = sábado
+const diaDaSemana = (data) => new Date(`${String(data).slice(0, 10)}T00:00:00Z`).getUTCDay();
+
+const proximoDia = (data) => {
+  const dia = new Date(`${data}T00:00:00Z`);
+  dia.setUTCDate(dia.getUTCDate() + 1);
+  return dia.toISOString().slice(0, 10);
+};
+
+// Data e minuto atuais em Brasília (UTC-3, sem horário de verão desde 2019)
+const agoraEmBrasilia = () => {
+  const agora = new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString();
+  return { data: agora.slice(0, 10), minutos: emMinutos(agora.slice(11, 16)) };
+};
+
+// Data e horário que já ficaram para trás
+const jaPassou = (data, horario) => {
+  const agora = agoraEmBrasilia();
+  const dia = String(data).slice(0, 10);
+  return dia < agora.data || (dia === agora.data && emMinutos(horario) <= agora.minutos);
+};
+
+const duracaoDaVisita = (imobiliaria) => imobiliaria?.duracao_visita || DURACAO_PADRAO_MINUTOS;
+
+// Faixas de funcionamento do empreendimento no dia (null = sem horário cadastrado, aceita qualquer um)
+const faixasDoDia = (imobiliaria, data) => {
+  const horarios = imobiliaria?.horarios_visita || [];
+  if (horarios.length === 0) return null;
+
+  const dia = diaDaSemana(data);
+  return horarios
+    .filter(faixa => Number(faixa.dia_semana) === dia)
+    .sort((a, b) => emMinutos(a.abertura) - emMinutos(b.abertura));
+};
+
+const descreverFaixas = (faixas) => faixas.map(({ abertura, fechamento }) => `${abertura} às ${fechamento}`).join(' e ');
+
+// Visitas que se cruzam com o intervalo [inicio, fim) em minutos
+const visitasNoIntervalo = (visitas, inicio, fim) => visitas.filter(visita => {
+  const inicioVisita = emMinutos(visita.horario);
+  return inicioVisita < fim && inicio < inicioVisita + duracaoDaVisita(visita.imobiliarias);
+});
+
+// === VERIFICAÇÃO E HORÁRIOS LIVRES ===
+
+// Visitas que ocupam a agenda no período, do corretor e/ou do empreendimento
+const carregarOcupacao = async (repositories, { dataInicio, dataFim, consultorId, imobiliariaId, excetoId }) => {
+  if (!consultorId && !imobiliariaId) return [];
+
+  const visitas = await repositories.agendamentos.listarOcupacao({ dataInicio, dataFim, consultorId, imobiliariaId, excetoId });
+  return visitas.filter(visita => !STATUS_LIVRES.includes(visita.status));
+};
+
+/**
+ * Confere se a visita cabe na agenda: dia e horário de funcionamento do empreendimento, corretor
+ * sem outra visita no mesmo horário e vaga no stand. Devolve { horario: mensagem } (para
+ * responderErroDeValidacao) ou null. `excetoId`: a própria visita, na edição.
+ */
+const verificarHorario = async (repositories, { consultorId, imobiliariaId, data, horario, excetoId }) => {
+  const imobiliaria = imobiliariaId ? await repositories.imobiliarias.buscarPorId(imobiliariaId) : null;
+  const duracao = duracaoDaVisita(imobiliaria);
+  const inicio = emMinutos(horario);
+  const fim = inicio + duracao;
+
+  const faixas = faixasDoDia(imobiliaria, data);
+  if (faixas && faixas.length === 0) {
+    return { data_agendamento: `O empreendimento não recebe visitas ${DIAS_DA_SEMANA[diaDaSemana(data)]}!` };
+  }
+  if (faixas && !faixas.some(faixa => inicio >= emMinutos(faixa.abertura) && fim <= emMinutos(faixa.fechamento))) {
+    return { horario: `Fora do horário de visitas do empreendimento neste dia (${descreverFaixas(faixas)}; cada visita dura ${duracao} min)!` };
+  }
+
+  const visitas = await carregarOcupacao(repositories, { dataInicio: data, dataFim: data, consultorId, imobiliariaId, excetoId });
+
+  const doCorretor = consultorId && visitasNoIntervalo(visitas.filter(visita => visita.consultor_id === consultorId), inicio, fim)[0];
+  if (doCorretor) {
+    return {
+      horario: `O corretor já tem uma visita às ${emHorario(emMinutos(doCorretor.horario))} neste dia` +
+        `${doCorretor.clientes?.nome ? ` (${doCorretor.clientes.nome})` : ''}!`
+    };
+  }
+
+  const capacidade = imobiliaria?.capacidade_visitas;
+  if (capacidade) {
+    const noStand = visitasNoIntervalo(visitas.filter(visita => visita.imobiliaria_id === imobiliaria.id), inicio, fim);
+    if (noStand.length >= capacidade) {
+      return { horario: `O empreendimento já tem ${noStand.length} visita(s) neste horário, o limite é ${capacidade}!` };
+    }
+  }
+
+  return null;
+};
+
+const esperar = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Reserva a agenda do corretor ou do empreendimento, esperando a vez; false se a espera acabar
+const reservarAgenda = async (repositorio, id, ate) => {
+  const limite = Date.now() + ESPERA_RESERVA_MS;
+  while (!(await repositorio.reservarAgenda(id, ate, new Date().toISOString()))) {
+    if (Date.now() >= limite) return false;
+    await esperar(INTERVALO_RESERVA_MS);
+  }
+  return true;
+};
+
+/**
+ * verificarHorario e a gravação da visita (`gravar`) sem outro pedido no meio: a agenda do corretor
+ * e a do empreendimento ficam reservadas até a visita estar gravada, então dois pedidos ao mesmo
+ * tempo para o mesmo horário conferem um depois do outro. Devolve { conflito } (o mesmo de
+ * verificarHorario) ou { resultado } com o que `gravar` devolveu.
+ */
+const gravarSeHorarioLivre = async (repositories, dados, gravar) => {
+  const agendas = [
+    dados.consultorId && [repositories.consultores, dados.consultorId],
+    dados.imobiliariaId && [repositories.imobiliarias, dados.imobiliariaId]
+  ].filter(Boolean);
+  const ate = new Date(Date.now() + RESERVA_AGENDA_MS).toISOString();
+  const reservadas = [];
+
+  try {
+    // Sempre na mesma ordem (corretor, depois empreendimento): dois pedidos não ficam um esperando o outro
+    for (const [repositorio, id] of agendas) {
+      if (!(await reservarAgenda(repositorio, id, ate))) {
+        return { conflito: { horario: 'Outra visita está sendo marcada nesta agenda agora. Tente de novo em instantes!' } };
+      }
+      reservadas.push([repositorio, id]);
+    }
+
+    const conflito = await verificarHorario(repositories, dados);
+    if (conflito) return { conflito };
+
+    return { resultado: await gravar() };
+  } finally {
+    await Promise.all(reservadas.map(([repositorio, id]) => repositorio.liberarAgenda(id, ate)));
+  }
+};
+
+/**
+ * Horários livres para visita entre dataInicio e dataFim: dias de funcionamento do empreendimento
+ * divididos pela duração da visita, sem os horários lotados no stand ou ocupados na agenda do
+ * corretor e sem os que já passaram. Devolve [{ data, horarios: [{ horario, vagas }] }], com
+ * vagas null quando o empreendimento não tem limite.
+ */
+const listarHorariosLivres = async (repositories, { imobiliariaId, consultorId, dataInicio, dataFim }) => {
+  const imobiliaria = imobiliariaId ? await repositories.imobiliarias.buscarPorId(imobiliariaId) : null;
+  const duracao = duracaoDaVisita(imobiliaria);
+  const capacidade = imobiliaria?.capacidade_visitas || null;
+  const visitas = await carregarOcupacao(repositories, { dataInicio, dataFim, consultorId, imobiliariaId });
+
+  const dias = [];
+  for (let data = dataInicio; data <= dataFim; data = proximoDia(data)) {
+    const faixas = faixasDoDia(imobiliaria, data) || [EXPEDIENTE_PADRAO];
+    const doDia = visitas.filter(visita => String(visita.data_agendamento).slice(0, 10) === data);
+
+    const horarios = [];
+    for (const faixa of faixas) {
+      for (let inicio = emMinutos(faixa.abertura); inicio + duracao <= emMinutos(faixa.fechamento); inicio += duracao) {
+        if (jaPassou(data, emHorario(inicio))) continue;
+
+        const ocupadas = visitasNoIntervalo(doDia, inicio, inicio + duracao);
+        if (consultorId && ocupadas.some(visita => visita.consultor_id === consultorId)) continue;
+
+        const noStand = imobiliaria ? ocupadas.filter(visita => visita.imobiliaria_id === imobiliaria.id).length : 0;
+        if (capacidade && noStand >= capacidade) continue;
+
+        horarios.push({ horario: emHorario(inicio), vagas: capacidade ? capacidade - noStand : null });
+      }
+    }
+
+    dias.push({ data, dia_semana: diaDaSemana(data), horarios });
+  }
+
+  return {
+    imobiliaria_id: imobiliaria?.id ?? null,
+    consultor_id: consultorId ?? null,
+    duracao_visita: duracao,
+    capacidade_visitas: capacidade,
+    dias
+  };
+};
+
+module.exports = {
+  STATUS_LIVRES,
+  STATUS_EM_ABERTO,
+  MAXIMO_DIAS_DISPONIBILIDADE,
+  duracaoDaVisita,
+  jaPassou,
+  verificarHorario,
+  gravarSeHorarioLivre,
+  listarHorariosLivres
+};
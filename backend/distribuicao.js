@@ -0,0 +1,201 @@
+// Distribuição automática de leads: escolhe o corretor pela regra de território e pelo rodízio ponderado
+const { auditar } = require('./auditoria');
+const { dadosDeAtribuicao } = require('./sla');
+const { notificar, notificarAdmins } = require('./notificacoes');
+
+const ORIGENS = ['cadastro_publico', 'cadastro_interno', 'importacao', 'meta_ads', 'manual', 'sla'];
+
+// Nome sem acentos e em minúsculas, para comparar textos digitados com os cadastros
+const normalizarNome = (nome) => String(nome || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+// Empreendimento cadastrado que corresponde ao nome digitado pelo lead (igual, senão um contém o outro)
+const encontrarImobiliaria = (imobiliarias, nome) => {
+  const procurado = normalizarNome(nome);
+  if (!procurado) return null;
+
+  return imobiliarias.find(i => normalizarNome(i.nome) === procurado) ||
+    imobiliarias.find(i => normalizarNome(i.nome).includes(procurado) || procurado.includes(normalizarNome(i.nome))) ||
+    null;
+};
+
+// Regra específica vence a geral: empreendimento > cidade > estado > geral
+const especificidade = (regra) => (regra.imobiliaria_id ? 4 : 0) + (regra.cidade ? 2 : 0) + (regra.estado ? 1 : 0);
+
+/**
+ * Regras ativas que valem para o lugar do lead ({ imobiliaria_id, cidade, estado }),
+ * da mais específica para a geral. Em caso de empate vem antes a cadastrada por último.
+ */
+const regrasAplicaveis = (regras, local) => regras
+  .filter(r => r.ativo !== false)
+  .filter(r =>
+    (!r.imobiliaria_id || r.imobiliaria_id === local.imobiliaria_id) &&
+    (!r.cidade || normalizarNome(r.cidade) === normalizarNome(local.cidade)) &&
+    (!r.estado || String(r.estado).toUpperCase() === String(local.estado || '').toUpperCase())
+  )
+  .sort((a, b) => especificidade(b) - especificidade(a) || b.id - a.id);
+
+// Corretores do rodízio da regra que recebem leads: ativos, com capacidade maior que 0 e fora de excluir
+const corretoresDaRegra = (regra, consultores, excluir = []) => consultores
+  .filter(c => c.ativo !== false && (parseInt(c.capacidade_leads ?? 1) || 0) > 0)
+  .filter(c => !excluir.includes(c.id))
+  .filter(c => !regra.consultores?.length || regra.consultores.includes(c.id))
+  .sort((a, b) => a.id - b.id);
+
+/**
+ * Ordem de um ciclo do rodízio ponderado pela capacidade (smooth weighted round-robin):
+ * com capacidades A=2 e B=1 o ciclo é A, B, A.
+ */
+const cicloRodizio = (corretores) => {
+  const capacidade = (c) => parseInt(c.capacidade_leads ?? 1);
+  const total = corretores.reduce((acc, c) => acc + capacidade(c), 0);
+  const atual = new Map(corretores.map(c => [c.id, 0]));
+  const ciclo = [];
+
+  for (let i = 0; i < total; i++) {
+    let escolhido = null;
+    for (const corretor of corretores) {
+      atual.set(corretor.id, atual.get(corretor.id) + capacidade(corretor));
+      if (!escolhido || atual.get(corretor.id) > atual.get(escolhido.id)) escolhido = corretor;
+    }
+    atual.set(escolhido.id, atual.get(escolhido.id) - total);
+    ciclo.push(escolhido);
+  }
+
+  return ciclo;
+};
+
+const descreverLocal = (local, imobiliaria) => [
+  imobiliaria ? `empreendimento ${imobiliaria.nome}` : null,
+  [local.cidade, local.estado].filter(Boolean).join('/') || null
+].filter(Boolean).join(', ') || 'sem empreendimento ou cidade informados';
+
+// Normalizar o corpo da requisição para gravar a regra
+const dadosDaRegraDistribuicao = ({ nome, estado, cidade, imobiliaria_id, consultores, ativo }) => ({
+  nome: String(nome).trim(),
+  estado: estado ? String(estado).trim().toUpperCase() : null,
+  cidade: cidade ? String(cidade).trim() : null,
+  imobiliaria_id: imobiliaria_id ? parseInt(imobiliaria_id) : null,
+  consultores: (consultores || []).map(id => parseInt(id)).filter(Boolean),
+  ativo: ativo === undefined ? true : !!ativo
+});
+
+// Escolha do corretor e registro da distribuição (ver distribuirLead)
+const executarDistribuicao = async (repositories, cliente, { origem, usuario = null, cidade = null, estado = null, excluir = [] }) => {
+  const [regras, consultores, imobiliarias] = await Promise.all([
+    repositories.regrasDistribuicao.listar({ ativo: true }),
+    repositories.consultores.listar({ ativo: true }),
+    repositories.imobiliarias.listar()
+  ]);
+
+  const imobiliaria = encontrarImobiliaria(imobiliarias, cliente.imobiliaria_preferida);
+  const local = {
+    imobiliaria_id: imobiliaria?.id || null,
+    cidade: cidade || imobiliaria?.cidade || null,
+    estado: estado || imobiliaria?.estado || null
+  };
+
+  const semCorretor = [];
+  let escolha = null;
+
+  for (const regra of regrasAplicaveis(regras, local)) {
+    const corretores = corretoresDaRegra(regra, consultores, excluir);
+    if (corretores.length === 0) {
+      semCorretor.push(regra.nome);
+      continue;
+    }
+
+    const ciclo = cicloRodizio(corretores);
+    const posicao = (regra.posicao || 0) % ciclo.length;
+    escolha = { regra, consultor: ciclo[posicao], corretores, posicao };
+    break;
+  }
+
+  if (escolha) {
+    // Só atribui se ninguém pegou o lead enquanto isso (a condição vai no próprio UPDATE)
+    const atribuido = await auditar(repositories, usuario).atualizar(
+      'clientes',
+      cliente.id,
+      { consultor_id: escolha.consultor.id, ...dadosDeAtribuicao() },
+      { filtros: { consultor_id: null } }
+    );
+    if (!atribuido) return null;
+
+    await repositories.regrasDistribuicao.atualizar(escolha.regra.id, { posicao: escolha.posicao + 1 });
+  }
+
+  const lugar = descreverLocal(local, imobiliaria);
+  const ignoradas = semCorretor.length > 0 ? ` (sem corretor disponível em: ${semCorretor.join(', ')})` : '';
+  const motivo = escolha
+    ? `Lead de ${lugar}: regra "${escolha.regra.nome}", vez de ${escolha.consultor.nome} no rodízio entre ${escolha.corretores.length} corretor(es)${ignoradas}`
+    : `Lead de ${lugar}: nenhuma regra com corretor disponível${ignoradas}, ficou em Novos Leads`;
+
+  const distribuicao = await repositories.distribuicoesLead.criar({
+    cliente_id: cliente.id,
+    consultor_id: escolha?.consultor.id || null,
+    regra_id: escolha?.regra.id || null,
+    regra_nome: escolha?.regra.nome || null,
+    origem: ORIGENS.includes(origem) ? origem : 'manual',
+    motivo
+  });
+
+  // Importação em lote não gera um aviso por linha: o resumo da importação já mostra a distribuição
+  if (origem !== 'importacao') {
+    await avisarDistribuicao(repositories, cliente, escolha?.consultor || null, usuario);
+  }
+
+  return distribuicao;
+};
+
+// Corretor que recebeu o lead é avisado; lead que ficou em "Novos Leads" é avisado aos admins
+const avisarDistribuicao = async (repositories, cliente, consultor, usuario) => {
+  if (consultor) {
+    await notificar(repositories, {
+      consultor_id: consultor.id,
+      tipo: 'novo_lead',
+      titulo: 'Novo lead para você',
+      mensagem: `${cliente.nome} foi distribuído para você. Faça o primeiro contato.`,
+      cliente_id: cliente.id,
+      link: `/indicacoes?cliente=${cliente.id}`
+    });
+    return;
+  }
+
+  await notificarAdmins(repositories, {
+    tipo: 'novo_lead',
+    titulo: 'Novo lead sem corretor',
+    mensagem: `${cliente.nome} ficou em Novos Leads: nenhuma regra com corretor disponível.`,
+    cliente_id: cliente.id,
+    link: '/indicacoes?aba=novos-leads'
+  }, { exceto: usuario });
+};
+
+/**
+ * Distribuir um lead sem corretor. O lugar do lead vem da cidade/estado informados (ex.: Meta Ads)
+ * ou do empreendimento de preferência. Usa a regra aplicável mais específica que tenha corretor
+ * disponível e passa a vez no rodízio dela; sem nenhuma, o lead fica em "Novos Leads" para ser
+ * pego manualmente. Toda distribuição fica registrada com o motivo. excluir: ids de corretores que
+ * não podem receber o lead (ex.: quem perdeu o prazo de contato).
+ * Retorna o registro da distribuição (consultor_id null = ficou sem corretor), ou null se o lead foi
+ * pego por alguém no meio do caminho. Erros só vão para o log e devolvem null, para não impedir o
+ * cadastro do lead.
+ */
+const distribuirLead = async (repositories, cliente, opcoes = {}) => {
+  if (cliente.consultor_id) return null;
+
+  try {
+    return await executarDistribuicao(repositories, cliente, opcoes);
+  } catch (error) {
+    console.error('Erro ao distribuir lead:', cliente.id, error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  ORIGENS,
+  normalizarNome,
+  encontrarImobiliaria,
+  regrasAplicaveis,
+  cicloRodizio,
+  dadosDaRegraDistribuicao,
+  distribuirLead
+};
@@ -0,0 +1,245 @@
+// Clientes duplicados: detecção no cadastro (CPF, telefone e nome parecido) e mesclagem de dois cadastros
+const { auditar } = require('./auditoria');
+const { notificar } = require('./notificacoes');
+const { normalizarNome } = require('./distribuicao');
+const { apenasDigitos, normalizarTelefone } = require('./utils');
+
+// Palavras ignoradas ao comparar nomes
+const PARTICULAS = ['de', 'da', 'do', 'das', 'dos', 'e'];
+
+// Campos do cadastro removido que completam o que ficou (quando ali estiverem vazios)
+const CAMPOS_COMPLEMENTARES = [
+  'telefone',
+  'cpf',
+  'tipo_servico',
+  'imobiliaria_preferida',
+  'melhor_dia1',
+  'melhor_dia2',
+  'primeiro_contato_em'
+];
+
+const partesDoNome = (nome) => normalizarNome(nome).split(/\s+/).filter(parte => parte && !PARTICULAS.includes(parte));
+
+// Distância de edição entre dois textos (Levenshtein)
+const distancia = (a, b) => {
+  let anterior = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const atual = [i];
+    for (let j = 1; j <= b.length; j++) {
+      atual[j] = Math.min(atual[j - 1] + 1, anterior[j] + 1, anterior[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    anterior = atual;
+  }
+
+  return anterior[b.length];
+};
+
+/**
+ * Nomes parecidos (só nomes com sobrenome): mesmo primeiro e último nome, ignorando os do meio,
+ * ou quase iguais (até 15% de letras diferentes, para erros de digitação).
+ */
+const nomesParecidos = (a, b) => {
+  const partesA = partesDoNome(a);
+  const partesB = partesDoNome(b);
+  if (partesA.length < 2 || partesB.length < 2) return false;
+
+  if (partesA[0] === partesB[0] && partesA[partesA.length - 1] === partesB[partesB.length - 1]) return true;
+
+  const textoA = partesA.join(' ');
+  const textoB = partesB.join(' ');
+  return distancia(textoA, textoB) <= Math.floor(Math.max(textoA.length, textoB.length) * 0.15);
+};
+
+// Por que dois cadastros parecem a mesma pessoa: 'cpf', 'telefone' e/ou 'nome'
+const motivosDuplicidade = (dados, cliente) => {
+  const motivos = [];
+
+  const cpf = apenasDigitos(dados.cpf);
+  if (cpf.length === 11 && cpf === apenasDigitos(cliente.cpf)) motivos.push('cpf');
+
+  const telefone = normalizarTelefone(dados.telefone);
+  if (telefone.length >= 10 && telefone === normalizarTelefone(cliente.telefone)) motivos.push('telefone');
+
+  if (nomesParecidos(dados.nome, cliente.nome)) motivos.push('nome');
+
+  return motivos;
+};
+
+// Mesmo CPF, ou mesmo telefone com nome parecido: é a mesma pessoa
+const duplicadoForte = (motivos) => motivos.includes('cpf') || (motivos.includes('telefone') && motivos.includes('nome'));
+
+// Clientes que parecem ser a mesma pessoa dos dados informados, os mais prováveis primeiro
+const encontrarDuplicados = (clientes, dados, { ignorarId = null } = {}) => clientes
+  .filter(cliente => cliente.id !== ignorarId)
+  .map(cliente => ({ cliente, motivos: motivosDuplicidade(dados, cliente) }))
+  .filter(({ motivos }) => motivos.length > 0)
+  .map(duplicado => ({ ...duplicado, forte: duplicadoForte(duplicado.motivos) }))
+  .sort((a, b) => Number(b.forte) - Number(a.forte) || b.motivos.length - a.motivos.length);
+
+// Curingas do LIKE e aspas não entram nos termos da busca
+const termoDeBusca = (texto) => texto.replace(/[%_"\\]/g, '');
+
+// O que procurar no banco para achar os candidatos a duplicado dos dados (ver motivosDuplicidade)
+const criteriosDeDuplicidade = (dados) => {
+  const cpf = apenasDigitos(dados.cpf);
+  const telefone = normalizarTelefone(dados.telefone);
+  const palavras = termoDeBusca(String(dados.nome || ''))
+    .trim()
+    .split(/\s+/)
+    .filter(palavra => palavra && !PARTICULAS.includes(normalizarNome(palavra)));
+  const comSobrenome = palavras.length >= 2;
+
+  return {
+    cpfs: cpf.length === 11 ? [cpf, cpf.replace(/(\d{3})(\d{3})(\d{3})(\d{2})/, '$1.$2.$3-$4')] : [],
+    // Os 4 últimos dígitos aparecem juntos em qualquer formatação do telefone
+    finalTelefone: telefone.length >= 10 ? telefone.slice(-4) : null,
+    primeiroNome: comSobrenome ? palavras[0] : null,
+    ultimoNome: comSobrenome ? palavras[palavras.length - 1] : null
+  };
+};
+
+// Busca no banco só os candidatos (mesmo CPF, final de telefone, primeiro ou último nome) e os compara aqui
+const buscarDuplicados = async (repositories, dados, opcoes) => encontrarDuplicados(
+  await repositories.clientes.listarCandidatosDuplicados(criteriosDeDuplicidade(dados)),
+  dados,
+  opcoes
+);
+
+// O que a resposta mostra de cada duplicado (sem CPF/telefone de clientes de outros corretores)
+const resumoDuplicado = ({ cliente, motivos, forte }) => ({
+  id: cliente.id,
+  nome: cliente.nome,
+  status: cliente.status,
+  consultor_id: cliente.consultor_id,
+  consultor_nome: cliente.consultores?.nome || null,
+  motivos,
+  forte
+});
+
+/**
+ * Pares de clientes que parecem duplicados, para a tela de mesclagem. Compara só clientes com o
+ * mesmo CPF, o mesmo telefone ou o mesmo primeiro e último nome.
+ */
+const agruparDuplicados = (clientes) => {
+  const grupos = new Map();
+  const agrupar = (chave, cliente) => {
+    if (!grupos.has(chave)) grupos.set(chave, []);
+    grupos.get(chave).push(cliente);
+  };
+
+  for (const cliente of clientes) {
+    const cpf = apenasDigitos(cliente.cpf);
+    const telefone = normalizarTelefone(cliente.telefone);
+    const partes = partesDoNome(cliente.nome);
+
+    if (cpf.length === 11) agrupar(`cpf:${cpf}`, cliente);
+    if (telefone.length >= 10) agrupar(`telefone:${telefone}`, cliente);
+    if (partes.length >= 2) agrupar(`nome:${partes[0]} ${partes[partes.length - 1]}`, cliente);
+  }
+
+  const pares = new Map();
+  for (const grupo of grupos.values()) {
+    for (let i = 0; i < grupo.length; i++) {
+      for (let j = i + 1; j < grupo.length; j++) {
+        const [a, b] = [grupo[i], grupo[j]].sort((x, y) => x.id - y.id);
+        const chave = `${a.id}-${b.id}`;
+        if (pares.has(chave)) continue;
+
+        const motivos = motivosDuplicidade(a, b);
+        pares.set(chave, { clientes: [a, b], motivos, forte: duplicadoForte(motivos) });
+      }
+    }
+  }
+
+  return [...pares.values()].sort((a, b) => Number(b.forte) - Number(a.forte) || b.motivos.length - a.motivos.length);
+};
+
+// Dados do cliente que fica, completados com o cadastro removido
+const camposMesclados = (principal, duplicado) => {
+  const vazio = (valor) => valor === null || valor === undefined || valor === '';
+  const dados = Object.fromEntries(CAMPOS_COMPLEMENTARES
+    .filter(campo => vazio(principal[campo]) && !vazio(duplicado[campo]))
+    .map(campo => [campo, duplicado[campo]]));
+
+  if (duplicado.observacoes && duplicado.observacoes !== principal.observacoes) {
+    dados.observacoes = [principal.observacoes, duplicado.observacoes].filter(Boolean).join('\n');
+  }
+
+  // Sem corretor no que fica: passa o do cadastro removido, com o prazo de contato dele
+  if (!principal.consultor_id && duplicado.consultor_id) {
+    dados.consultor_id = duplicado.consultor_id;
+    dados.atribuido_em = duplicado.atribuido_em;
+    dados.prazo_contato = duplicado.prazo_contato;
+  }
+
+  // Vale o andamento do cadastro removido se o que fica ainda é só "lead"
+  if (principal.status === 'lead' && duplicado.status && duplicado.status !== 'lead') {
+    dados.status = duplicado.status;
+  }
+
+  return dados;
+};
+
+/**
+ * Mesclar o cliente duplicado no principal: agendamentos, fechamentos, leads do Meta Ads, contatos e
+ * demais registros passam para o principal, os campos vazios dele são completados e o duplicado é
+ * removido. A mesclagem fica registrada com uma cópia do cadastro removido. O corretor do duplicado
+ * que não ficar com o cliente é avisado.
+ */
+const mesclarClientes = async (repositories, usuario, principal, duplicado) => {
+  const auditado = auditar(repositories, usuario);
+
+  const [agendamentos, fechamentos] = await Promise.all([
+    repositories.agendamentos.listar({ clienteId: duplicado.id }),
+    repositories.fechamentos.listar({ clienteId: duplicado.id })
+  ]);
+
+  for (const agendamento of agendamentos) {
+    await auditado.atualizar('agendamentos', agendamento.id, { cliente_id: principal.id });
+  }
+  for (const fechamento of fechamentos) {
+    await auditado.atualizar('fechamentos', fechamento.id, { cliente_id: principal.id });
+  }
+
+  const vinculos = {
+    agendamentos: agendamentos.length,
+    fechamentos: fechamentos.length,
+    ...(await repositories.mesclagensCliente.transferirVinculos(duplicado.id, principal.id))
+  };
+
+  const cliente = await auditado.atualizar('clientes', principal.id, camposMesclados(principal, duplicado));
+  await auditado.remover('clientes', duplicado.id);
+
+  const mesclagem = await repositories.mesclagensCliente.criar({
+    cliente_id: principal.id,
+    mesclado_id: duplicado.id,
+    mesclado_dados: duplicado,
+    vinculos,
+    usuario_id: usuario?.id ?? null,
+    usuario_nome: usuario?.nome ?? null
+  });
+
+  if (duplicado.consultor_id && duplicado.consultor_id !== cliente.consultor_id) {
+    await notificar(repositories, {
+      consultor_id: duplicado.consultor_id,
+      tipo: 'cliente_mesclado',
+      titulo: 'Cliente mesclado com outro cadastro',
+      mensagem: `O cadastro de ${duplicado.nome} era duplicado e foi unido ao de outro corretor.`,
+      cliente_id: principal.id
+    });
+  }
+
+  return { cliente, mesclagem };
+};
+
+module.exports = {
+  nomesParecidos,
+  motivosDuplicidade,
+  duplicadoForte,
+  encontrarDuplicados,
+  buscarDuplicados,
+  resumoDuplicado,
+  agruparDuplicados,
+  mesclarClientes
+};
@@ -0,0 +1,502 @@
+// Esquemas de validação do corpo (body) e dos filtros (query) de cada rota; ver validacao.js
+const {
+  esquema,
+  parcial,
+  texto,
+  senha,
+  email,
+  telefone,
+  cpf,
+  data,
+  horario,
+  dataHora,
+  numero,
+  inteiro,
+  id,
+  booleano,
+  opcao,
+  uf,
+  lista
+} = require('./validacao');
+const { ENTIDADES } = require('./auditoria');
+const { TIPOS_REGRA, validarRegra } = require('./comissoes');
+const { STATUS_COMISSAO } = require('./pagamentos');
+const { TIPOS_CONTATO } = require('./sla');
+const { FORMATOS_EXPORTACAO } = require('./exportacao');
+const { MAXIMO_DIAS_DISPONIBILIDADE } = require('./disponibilidade');
+
+// Pipeline da visita; o status do cliente acompanha o da visita, então aceita os dois
+const STATUS_AGENDAMENTO = [
+  'agendado', 'lembrado', 'compareceu', 'nao_compareceu', 'fechado', 'nao_fechou', 'reagendado',
+  'cancelado', 'nao_passou_cpf', 'aguardando_fechamento', 'nao_quer_reagendar'
+];
+const STATUS_CLIENTE = [...new Set([
+  'lead', 'agendado', 'compareceu', 'fechado', 'nao_fechou', 'nao_compareceu', 'reagendado', 'nao_passou_cpf',
+  'sem_cedente', 'nao_tem_interesse', 'em_conversa', 'cpf_reprovado', 'nao_tem_outro_cpf',
+  ...STATUS_AGENDAMENTO
+])];
+const TIPOS_SERVICO = ['Compra', 'Venda', 'Locacao', 'Avaliacao'];
+const STATUS_IMOBILIARIA = ['ativo', 'bloqueado'];
+const STATUS_PRECO_META = ['ativo', 'inativo'];
+const STATUS_LOTE = ['aberto', 'pago'];
+const ACOES_AUDITORIA = ['criar', 'atualizar', 'remover'];
+const PERIODOS_META = ['last_7d', 'last_30d', 'last_90d', 'this_month'];
+const APROVACOES_FECHAMENTO = ['pendente', 'aprovado', 'reprovado'];
+const STATUS_ENTREGA_LEMBRETE = ['enviado', 'entregue', 'lido', 'falhou'];
+
+const limite = inteiro('Limite', { min: 1, max: 5000 });
+
+// Período com as duas pontas: a inicial não pode vir depois da final
+const periodoEmOrdem = (inicio, fim, mensagem) => (dados) =>
+  (dados[inicio] && dados[fim] && dados[inicio] > dados[fim] ? { [fim]: mensagem } : null);
+
+// Página e ordenação das listagens (ver ./paginacao); `ordenaveis`: colunas aceitas em `ordenar`
+const paginacao = (ordenaveis) => ({
+  pagina: inteiro('Página', { feminino: true, min: 1 }),
+  por_pagina: inteiro('Itens por página', { min: 1, max: 100 }),
+  ordenar: opcao('Ordenação', ordenaveis, { feminino: true }),
+  direcao: opcao('Direção', ['asc', 'desc'], { feminino: true })
+});
+
+// Exportação de uma listagem: os mesmos filtros e ordenação da listagem e o formato do arquivo
+const exportacao = (filtros = esquema({})) => esquema({
+  ...filtros.campos,
+  formato: opcao('Formato', FORMATOS_EXPORTACAO, { padrao: 'csv' })
+}, { verificar: filtros.verificar });
+
+// === AUTENTICAÇÃO ===
+const login = esquema({
+  email: texto('Nome/Email', { obrigatorio: true }),
+  senha: senha('Senha', { obrigatorio: true })
+});
+
+// === IMOBILIÁRIAS ===
+// Faixa de horário de visitas num dia da semana (0 = domingo ... 6 = sábado); o dia pode ter mais de uma
+const horarioVisita = esquema({
+  dia_semana: inteiro('Dia da semana', { obrigatorio: true, min: 0, max: 6 }),
+  abertura: horario('Abertura', { obrigatorio: true, feminino: true }),
+  fechamento: horario('Fechamento', { obrigatorio: true })
+}, {
+  verificar: ({ abertura, fechamento }) =>
+    (abertura >= fechamento ? { fechamento: 'O fechamento deve ser depois da abertura!' } : null)
+});
+
+const imobiliaria = esquema({
+  nome: texto('Nome', { obrigatorio: true, max: 150 }),
+  endereco: texto('Endereço', { max: 255 }),
+  bairro: texto('Bairro', { max: 100 }),
+  cidade: texto('Cidade', { feminino: true, max: 100 }),
+  estado: uf('Estado'),
+  telefone: telefone('Telefone'),
+  email: email('Email'),
+  status: opcao('Status', STATUS_IMOBILIARIA, { padrao: 'ativo' }),
+  horarios_visita: lista('Horários de visita', horarioVisita),
+  duracao_visita: inteiro('Duração da visita', { feminino: true, min: 15, max: 480 }),
+  capacidade_visitas: inteiro('Capacidade de visitas', { feminino: true, min: 1, max: 100 })
+});
+
+const filtrosImobiliarias = esquema({
+  nome: texto('Nome'),
+  cidade: texto('Cidade', { feminino: true }),
+  estado: uf('Estado'),
+  status: opcao('Status', STATUS_IMOBILIARIA),
+  ...paginacao(['nome', 'cidade', 'estado', 'status', 'created_at'])
+});
+
+// === CONSULTORES ===
+const capacidadeLeads = inteiro('Capacidade de leads', { feminino: true, min: 0, max: 100 });
+
+const consultor = esquema({
+  nome: texto('Nome', { obrigatorio: true, min: 2, max: 150 }),
+  telefone: telefone('Telefone'),
+  email: email('Email', { obrigatorio: true }),
+  senha: senha('Senha', { obrigatorio: true }),
+  pix: texto('Chave PIX', { feminino: true, max: 150 }),
+  capacidade_leads: capacidadeLeads
+});
+
+// Na edição a senha só muda se for informada
+const edicaoConsultor = esquema({
+  ...consultor.campos,
+  email: email('Email'),
+  senha: senha('Senha')
+});
+
+const cadastroConsultor = esquema({
+  nome: texto('Nome', { obrigatorio: true, min: 2, max: 150 }),
+  telefone: telefone('Telefone', { obrigatorio: true }),
+  email: email('Email', { obrigatorio: true }),
+  senha: senha('Senha', { obrigatorio: true, min: 6 }),
+  cpf: cpf('CPF', { obrigatorio: true }),
+  // O PIX do corretor é o próprio CPF
+  pix: cpf('PIX', { obrigatorio: true })
+}, { verificar: ({ cpf: documento, pix }) => (documento !== pix ? { pix: 'PIX deve ser igual ao CPF informado!' } : null) });
+
+// === CLIENTES ===
+const cliente = esquema({
+  nome: texto('Nome', { obrigatorio: true, min: 2, max: 150 }),
+  telefone: telefone('Telefone', { obrigatorio: true }),
+  email: email('Email'),
+  cpf: cpf('CPF'),
+  tipo_servico: opcao('Tipo de serviço', TIPOS_SERVICO),
+  status: opcao('Status', STATUS_CLIENTE),
+  observacoes: texto('Observações', { feminino: true, max: 2000 }),
+  consultor_id: id('Corretor'),
+  ignorar_duplicados: booleano('Ignorar duplicados')
+});
+
+// Cada linha da planilha importada (ver ./importacao), já com as colunas trocadas pelos campos
+const linhaImportacaoCliente = esquema({
+  nome: cliente.campos.nome,
+  telefone: cliente.campos.telefone,
+  cpf: cliente.campos.cpf,
+  tipo_servico: cliente.campos.tipo_servico,
+  observacoes: cliente.campos.observacoes,
+  imobiliaria_preferida: texto('Empreendimento de preferência', { max: 150 })
+});
+
+// Opções da importação (multipart, junto com o arquivo): mapeamento é o JSON { campo: coluna };
+// sem `simular: false` nada é gravado
+const importacaoClientes = esquema({
+  mapeamento: texto('Mapeamento das colunas', { obrigatorio: true }),
+  consultor_id: id('Corretor'),
+  imobiliaria_id: id('Empreendimento'),
+  simular: booleano('Simulação', { feminino: true, padrao: true })
+});
+
+const filtrosImportacoes = esquema({ limite });
+
+// Filtros da listagem: nome, telefone e CPF por trecho; com_consultor separa os atribuídos dos Novos Leads
+const filtrosClientes = esquema({
+  nome: texto('Nome'),
+  telefone: texto('Telefone'),
+  cpf: texto('CPF'),
+  tipo_servico: opcao('Tipo de serviço', TIPOS_SERVICO),
+  status: opcao('Status', STATUS_CLIENTE),
+  consultor_id: id('Corretor'),
+  com_consultor: booleano('Com corretor'),
+  ...paginacao(['nome', 'status', 'tipo_servico', 'created_at'])
+});
+
+const statusCliente = esquema({
+  status: opcao('Status', STATUS_CLIENTE, { obrigatorio: true })
+});
+
+const contatoCliente = esquema({
+  tipo: opcao('Tipo de contato', TIPOS_CONTATO, { obrigatorio: true }),
+  observacao: texto('Observação', { feminino: true, max: 2000 })
+});
+
+const cadastroLead = esquema({
+  nome: texto('Nome', { obrigatorio: true, min: 2, max: 150 }),
+  telefone: telefone('Telefone', { obrigatorio: true }),
+  cpf: cpf('CPF', { obrigatorio: true }),
+  tipo_servico: opcao('Tipo de interesse', TIPOS_SERVICO),
+  observacoes: texto('Observações', { feminino: true, max: 2000 }),
+  imobiliaria_preferida: texto('Imobiliária de preferência', { feminino: true, max: 150 }),
+  melhor_dia1: dataHora('1º melhor dia/horário'),
+  melhor_dia2: dataHora('2º melhor dia/horário')
+});
+
+const agendamentoLead = esquema({
+  imobiliaria_id: id('Empreendimento'),
+  data_agendamento: data('Data da visita', { obrigatorio: true }),
+  horario: horario('Horário', { obrigatorio: true }),
+  observacoes: texto('Observações', { feminino: true, max: 2000 }),
+  consultor_id: id('Corretor')
+});
+
+// Visita marcada pelo próprio lead, no link recebido no cadastro público (também na remarcação)
+const visitaLead = esquema({
+  imobiliaria_id: id('Empreendimento', { obrigatorio: true }),
+  data_agendamento: data('Data da visita', { obrigatorio: true }),
+  horario: horario('Horário', { obrigatorio: true })
+});
+
+const mesclagemCliente = esquema({
+  duplicado_id: id('Cadastro duplicado', { obrigatorio: true })
+});
+
+const filtrosMesclagens = esquema({
+  cliente_id: id('Cliente'),
+  limite
+});
+
+// === AGENDAMENTOS ===
+const agendamento = esquema({
+  cliente_id: id('Cliente', { obrigatorio: true }),
+  consultor_id: id('Corretor'),
+  imobiliaria_id: id('Empreendimento'),
+  data_agendamento: data('Data da visita', { obrigatorio: true }),
+  horario: horario('Horário', { obrigatorio: true }),
+  status: opcao('Status', STATUS_AGENDAMENTO),
+  observacoes: texto('Observações', { feminino: true, max: 2000 })
+});
+
+const filtrosAgendamentos = esquema({
+  status: opcao('Status', STATUS_AGENDAMENTO),
+  data_inicio: data('Data inicial'),
+  data_fim: data('Data final'),
+  consultor_id: id('Corretor'),
+  cliente_id: id('Cliente'),
+  imobiliaria_id: id('Empreendimento'),
+  ...paginacao(['data_agendamento', 'horario', 'status', 'created_at'])
+}, { verificar: periodoEmOrdem('data_inicio', 'data_fim', 'A data inicial deve ser anterior à data final!') });
+
+// Consulta de horários livres: no máximo um mês por vez
+const periodoDeDisponibilidade = (dados) => {
+  const dias = (new Date(dados.data_fim) - new Date(dados.data_inicio)) / (24 * 60 * 60 * 1000);
+  if (dias < 0) return { data_fim: 'A data inicial deve ser anterior à data final!' };
+  if (dias >= MAXIMO_DIAS_DISPONIBILIDADE) return { data_fim: `Consulte no máximo ${MAXIMO_DIAS_DISPONIBILIDADE} dias por vez!` };
+  return null;
+};
+
+// Horários livres (?imobiliaria_id=&consultor_id=&data_inicio=&data_fim=)
+const filtrosDisponibilidade = esquema({
+  imobiliaria_id: id('Empreendimento'),
+  consultor_id: id('Corretor'),
+  data_inicio: data('Data inicial', { obrigatorio: true }),
+  data_fim: data('Data final', { obrigatorio: true })
+}, { verificar: periodoDeDisponibilidade });
+
+// Horários livres na página de autoagendamento do lead (o corretor é sempre o do lead)
+const horariosVisitaLead = esquema({
+  imobiliaria_id: id('Empreendimento', { obrigatorio: true }),
+  data_inicio: data('Data inicial', { obrigatorio: true }),
+  data_fim: data('Data final', { obrigatorio: true })
+}, { verificar: periodoDeDisponibilidade });
+
+const statusAgendamento = esquema({
+  status: opcao('Status', STATUS_AGENDAMENTO, { obrigatorio: true })
+});
+
+// === FECHAMENTOS === (o POST chega como multipart, junto do contrato)
+const fechamento = esquema({
+  cliente_id: id('Cliente', { obrigatorio: true }),
+  consultor_id: id('Corretor'),
+  imobiliaria_id: id('Empreendimento'),
+  valor_fechado: numero('Valor fechado', { obrigatorio: true, maiorQue: 0 }),
+  data_fechamento: data('Data do fechamento', { obrigatorio: true }),
+  tipo_servico: opcao('Tipo de serviço', TIPOS_SERVICO),
+  observacoes: texto('Observações', { feminino: true, max: 2000 })
+});
+
+const filtrosFechamentos = esquema({
+  aprovado: opcao('Aprovação', APROVACOES_FECHAMENTO, { feminino: true }),
+  tipo_servico: opcao('Tipo de serviço', TIPOS_SERVICO),
+  data_inicio: data('Data inicial'),
+  data_fim: data('Data final'),
+  consultor_id: id('Corretor'),
+  cliente_id: id('Cliente'),
+  imobiliaria_id: id('Empreendimento'),
+  ...paginacao(['data_fechamento', 'valor_fechado', 'created_at'])
+}, { verificar: periodoEmOrdem('data_inicio', 'data_fim', 'A data inicial deve ser anterior à data final!') });
+
+// === COMISSÕES E PAGAMENTOS ===
+const regraComissao = esquema({
+  nome: texto('Nome da regra', { obrigatorio: true, max: 150 }),
+  tipo: opcao('Tipo de regra', TIPOS_REGRA, { obrigatorio: true }),
+  percentual: numero('Percentual'),
+  valor_fixo: numero('Valor fixo'),
+  faixas: lista('Faixas', esquema({
+    ate: numero('Limite "até"', { padrao: null }),
+    percentual: numero('Percentual'),
+    valor_fixo: numero('Valor fixo')
+  })),
+  consultor_id: id('Corretor'),
+  imobiliaria_id: id('Empreendimento'),
+  ativo: booleano('Ativo')
+}, { verificar: validarRegra });
+
+const filtrosComissoes = esquema({
+  consultor_id: id('Corretor'),
+  status: opcao('Status', STATUS_COMISSAO)
+});
+
+const lotePagamento = esquema({
+  periodo_inicio: data('Data inicial', { obrigatorio: true }),
+  periodo_fim: data('Data final', { obrigatorio: true }),
+  descricao: texto('Descrição', { feminino: true, max: 255 })
+}, { verificar: periodoEmOrdem('periodo_inicio', 'periodo_fim', 'A data inicial deve ser anterior à data final!') });
+
+const filtrosLotes = esquema({
+  status: opcao('Status', STATUS_LOTE)
+});
+
+const estornoComissao = esquema({
+  motivo: texto('Motivo', { max: 500 })
+});
+
+const filtrosExtrato = esquema({
+  consultor_id: id('Corretor')
+});
+
+// === HISTÓRICO DE ALTERAÇÕES ===
+const filtrosAuditoria = esquema({
+  entidade: opcao('Entidade', ENTIDADES, { feminino: true }),
+  entidade_id: id('Registro'),
+  acao: opcao('Ação', ACOES_AUDITORIA, { feminino: true }),
+  usuario: texto('Usuário', { max: 150 }),
+  data_inicio: data('Data inicial'),
+  data_fim: data('Data final'),
+  limite
+}, { verificar: periodoEmOrdem('data_inicio', 'data_fim', 'A data inicial deve ser anterior à data final!') });
+
+// === DISTRIBUIÇÃO DE LEADS E PRAZO DE CONTATO ===
+const regraDistribuicao = esquema({
+  nome: texto('Nome da regra', { obrigatorio: true, max: 150 }),
+  estado: uf('Estado'),
+  cidade: texto('Cidade', { feminino: true, max: 100 }),
+  imobiliaria_id: id('Empreendimento'),
+  consultores: lista('Corretores da regra', id('Corretor')),
+  ativo: booleano('Ativo')
+});
+
+const filtrosDistribuicoes = esquema({
+  cliente_id: id('Cliente'),
+  consultor_id: id('Corretor'),
+  limite
+});
+
+const filtrosViolacoes = esquema({
+  consultor_id: id('Corretor'),
+  limite
+});
+
+const filtrosNotificacoes = esquema({
+  nao_lidas: booleano('Não lidas'),
+  limite
+});
+
+// === LEMBRETES DE VISITA ===
+// Resposta do cliente repassada pelo gateway de SMS ou pelo servidor de email
+const respostaLembrete = esquema({
+  de: texto('Remetente', { obrigatorio: true, max: 255 }),
+  texto: texto('Mensagem', { feminino: true, obrigatorio: true, max: 2000 })
+});
+
+// Status de entrega informado pelo gateway de SMS (id: id da mensagem no gateway)
+const entregaLembrete = esquema({
+  id: texto('Mensagem', { feminino: true, obrigatorio: true, max: 255 }),
+  status: opcao('Status', STATUS_ENTREGA_LEMBRETE, { obrigatorio: true }),
+  erro: texto('Erro', { max: 2000 })
+});
+
+// === META ADS ===
+const precoMeta = esquema({
+  cidade: texto('Cidade', { obrigatorio: true, feminino: true, max: 100 }),
+  estado: uf('Estado', { obrigatorio: true }),
+  preco_por_lead: numero('Preço por lead', { obrigatorio: true, min: 0 }),
+  campanha_id: texto('Campanha', { feminino: true, max: 100 }),
+  campanha_nome: texto('Nome da campanha', { max: 255 }),
+  periodo_inicio: data('Data inicial'),
+  periodo_fim: data('Data final'),
+  status: opcao('Status', STATUS_PRECO_META, { padrao: 'ativo' }),
+  observacoes: texto('Observações', { feminino: true, max: 2000 })
+}, { verificar: periodoEmOrdem('periodo_inicio', 'periodo_fim', 'A data inicial deve ser anterior à data final!') });
+
+const filtrosPrecosMeta = esquema({
+  cidade: texto('Cidade', { feminino: true }),
+  estado: uf('Estado'),
+  status: opcao('Status', STATUS_PRECO_META),
+  campanha_id: texto('Campanha', { feminino: true })
+});
+
+const leadMeta = esquema({
+  cliente_id: id('Cliente', { obrigatorio: true }),
+  campanha_id: texto('Campanha', { feminino: true, max: 100 }),
+  campanha_nome: texto('Nome da campanha', { max: 255 }),
+  adset_id: texto('Conjunto de anúncios', { max: 100 }),
+  adset_nome: texto('Nome do conjunto de anúncios', { max: 255 }),
+  ad_id: texto('Anúncio', { max: 100 }),
+  ad_nome: texto('Nome do anúncio', { max: 255 }),
+  custo_lead: numero('Custo do lead', { min: 0 }),
+  data_lead: data('Data do lead'),
+  cidade_lead: texto('Cidade', { feminino: true, max: 100 }),
+  estado_lead: uf('Estado'),
+  fonte_lead: texto('Fonte', { feminino: true, padrao: 'meta_ads', max: 50 })
+});
+
+const filtrosLeadsMeta = esquema({
+  campanha_id: texto('Campanha', { feminino: true }),
+  cidade: texto('Cidade', { feminino: true }),
+  data_inicio: data('Data inicial'),
+  data_fim: data('Data final')
+}, { verificar: periodoEmOrdem('data_inicio', 'data_fim', 'A data inicial deve ser anterior à data final!') });
+
+const filtrosRelatorioMeta = esquema({
+  data_inicio: data('Data inicial'),
+  data_fim: data('Data final')
+}, { verificar: periodoEmOrdem('data_inicio', 'data_fim', 'A data inicial deve ser anterior à data final!') });
+
+const sincronizacaoLeadsMeta = esquema({
+  campanha_id: texto('Campanha', { feminino: true, max: 100 }),
+  date_range: opcao('Período', PERIODOS_META, { padrao: 'last_30d' })
+});
+
+// === BUSCA ===
+const busca = esquema({
+  q: texto('Busca', { feminino: true, obrigatorio: true, min: 2, max: 100 }),
+  limite: inteiro('Limite', { min: 1, max: 20 })
+});
+
+module.exports = {
+  STATUS_CLIENTE,
+  STATUS_AGENDAMENTO,
+  STATUS_IMOBILIARIA,
+  APROVACOES_FECHAMENTO,
+  TIPOS_SERVICO,
+  login,
+  imobiliaria,
+  edicaoImobiliaria: parcial(imobiliaria),
+  filtrosImobiliarias,
+  exportacaoImobiliarias: exportacao(filtrosImobiliarias),
+  consultor,
+  exportacaoConsultores: exportacao(),
+  edicaoConsultor,
+  cadastroConsultor,
+  cliente,
+  filtrosClientes,
+  exportacaoClientes: exportacao(filtrosClientes),
+  statusCliente,
+  contatoCliente,
+  cadastroLead,
+  agendamentoLead,
+  visitaLead,
+  mesclagemCliente,
+  filtrosMesclagens,
+  linhaImportacaoCliente,
+  importacaoClientes,
+  filtrosImportacoes,
+  agendamento,
+  filtrosAgendamentos,
+  exportacaoAgendamentos: exportacao(filtrosAgendamentos),
+  filtrosDisponibilidade,
+  horariosVisitaLead,
+  statusAgendamento,
+  fechamento,
+  filtrosFechamentos,
+  exportacaoFechamentos: exportacao(filtrosFechamentos),
+  regraComissao,
+  filtrosComissoes,
+  lotePagamento,
+  filtrosLotes,
+  estornoComissao,
+  filtrosExtrato,
+  filtrosAuditoria,
+  regraDistribuicao,
+  filtrosDistribuicoes,
+  filtrosViolacoes,
+  filtrosNotificacoes,
+  respostaLembrete,
+  entregaLembrete,
+  precoMeta,
+  edicaoPrecoMeta: parcial(precoMeta),
+  filtrosPrecosMeta,
+  leadMeta,
+  edicaoLeadMeta: parcial(leadMeta),
+  filtrosLeadsMeta,
+  filtrosRelatorioMeta,
+  sincronizacaoLeadsMeta,
+  busca
+};
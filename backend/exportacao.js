@@ -0,0 +1,231 @@
+// Exportação das listagens (clientes, agendamentos, fechamentos, consultores e empreendimentos)
+// em CSV ou XLSX, com cabeçalhos em português, datas no formato brasileiro e valores em R$
+const ExcelJS = require('exceljs');
+
+const FORMATOS_EXPORTACAO = ['csv', 'xlsx'];
+
+const FUSO_HORARIO = 'America/Sao_Paulo';
+
+const TIPOS_ARQUIVO = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Formato das células numéricas e de data no XLSX
+const FORMATOS_CELULA = {
+  data: 'dd/mm/yyyy',
+  data_hora: 'dd/mm/yyyy hh:mm',
+  moeda: '"R$" #,##0.00'
+};
+
+// Rótulos dos valores gravados no banco, como aparecem nas telas
+const ROTULOS = {
+  lead: 'Lead',
+  agendado: 'Agendado',
+  lembrado: 'Lembrado',
+  compareceu: 'Compareceu',
+  fechado: 'Fechado',
+  nao_fechou: 'Não Fechou',
+  nao_compareceu: 'Não Compareceu',
+  reagendado: 'Reagendado',
+  cancelado: 'Cancelado',
+  nao_passou_cpf: 'Não passou CPF',
+  aguardando_fechamento: 'Aguardando Fechamento',
+  nao_quer_reagendar: 'Não quer reagendar',
+  sem_cedente: 'Sem cedente (CPF Aprovado)',
+  nao_tem_interesse: 'Não tem interesse',
+  em_conversa: 'Em conversa',
+  cpf_reprovado: 'CPF Reprovado',
+  nao_tem_outro_cpf: 'Não tem outro CPF',
+  pendente: 'Pendente',
+  aprovado: 'Aprovado',
+  reprovado: 'Reprovado',
+  ativo: 'Ativo',
+  bloqueado: 'Bloqueado',
+  Compra: 'Compra',
+  Venda: 'Venda',
+  Locacao: 'Locação',
+  Avaliacao: 'Avaliação'
+};
+
+const rotulo = (valor) => (valor ? ROTULOS[valor] || valor : null);
+
+const simNao = (valor) => (valor === undefined || valor === null ? null : (valor && valor !== 'false' ? 'Sim' : 'Não'));
+
+// Colunas de cada listagem: título, valor a partir do registro já formatado pela rota e tipo
+// (texto, quando omitido; data, data_hora ou moeda)
+const COLUNAS_EXPORTACAO = {
+  clientes: [
+    { titulo: 'ID', valor: c => c.id },
+    { titulo: 'Nome', valor: c => c.nome },
+    { titulo: 'Telefone', valor: c => c.telefone },
+    { titulo: 'Email', valor: c => c.email },
+    { titulo: 'CPF', valor: c => c.cpf },
+    { titulo: 'Tipo de serviço', valor: c => rotulo(c.tipo_servico) },
+    { titulo: 'Status', valor: c => rotulo(c.status) },
+    { titulo: 'Corretor', valor: c => c.consultor_nome },
+    { titulo: 'Empreendimento de preferência', valor: c => c.imobiliaria_preferida },
+    { titulo: 'Observações', valor: c => c.observacoes },
+    { titulo: 'Cadastrado em', valor: c => c.created_at, tipo: 'data_hora' }
+  ],
+  agendamentos: [
+    { titulo: 'ID', valor: a => a.id },
+    { titulo: 'Data', valor: a => a.data_agendamento, tipo: 'data' },
+    { titulo: 'Horário', valor: a => (a.horario ? String(a.horario).slice(0, 5) : null) },
+    { titulo: 'Cliente', valor: a => a.cliente_nome },
+    { titulo: 'Telefone do cliente', valor: a => a.cliente_telefone },
+    { titulo: 'Corretor', valor: a => a.consultor_nome },
+    { titulo: 'Empreendimento', valor: a => a.imobiliaria_nome },
+    { titulo: 'Status', valor: a => rotulo(a.status) },
+    { titulo: 'Lembrete enviado', valor: a => simNao(a.lembrado) },
+    { titulo: 'Observações', valor: a => a.observacoes },
+    { titulo: 'Cadastrado em', valor: a => a.created_at, tipo: 'data_hora' }
+  ],
+  fechamentos: [
+    { titulo: 'ID', valor: f => f.id },
+    { titulo: 'Data do fechamento', valor: f => f.data_fechamento, tipo: 'data' },
+    { titulo: 'Cliente', valor: f => f.cliente_nome },
+    { titulo: 'CPF do cliente', valor: f => f.cliente_cpf },
+    { titulo: 'Corretor', valor: f => f.consultor_nome },
+    { titulo: 'Empreendimento', valor: f => f.imobiliaria_nome },
+    { titulo: 'Tipo de serviço', valor: f => rotulo(f.tipo_servico) },
+    { titulo: 'Valor fechado', valor: f => f.valor_fechado, tipo: 'moeda' },
+    { titulo: 'Aprovação', valor: f => rotulo(f.aprovado || 'pendente') },
+    { titulo: 'Observações', valor: f => f.observacoes },
+    { titulo: 'Cadastrado em', valor: f => f.created_at, tipo: 'data_hora' }
+  ],
+  consultores: [
+    { titulo: 'ID', valor: c => c.id },
+    { titulo: 'Nome', valor: c => c.nome },
+    { titulo: 'Telefone', valor: c => c.telefone },
+    { titulo: 'Email', valor: c => c.email },
+    { titulo: 'CPF', valor: c => c.cpf },
+    { titulo: 'Chave PIX', valor: c => c.pix },
+    { titulo: 'Capacidade de leads', valor: c => c.capacidade_leads },
+    { titulo: 'Ativo', valor: c => simNao(c.ativo) },
+    { titulo: 'Cadastrado em', valor: c => c.created_at, tipo: 'data_hora' }
+  ],
+  imobiliarias: [
+    { titulo: 'ID', valor: i => i.id },
+    { titulo: 'Nome', valor: i => i.nome },
+    { titulo: 'Endereço', valor: i => i.endereco },
+    { titulo: 'Bairro', valor: i => i.bairro },
+    { titulo: 'Cidade', valor: i => i.cidade },
+    { titulo: 'Estado', valor: i => i.estado },
+    { titulo: 'Telefone', valor: i => i.telefone },
+    { titulo: 'Email', valor: i => i.email },
+    { titulo: 'Status', valor: i => rotulo(i.status) },
+    { titulo: 'Cadastrado em', valor: i => i.created_at, tipo: 'data_hora' }
+  ]
+};
+
+// === DATAS E VALORES ===
+
+// Partes da data no horário de Brasília. DATE chega como 'YYYY-MM-DD'; TIMESTAMP sem fuso é UTC
+const partesDaData = (valor, tipo) => {
+  const texto = String(valor).replace(' ', 'T');
+  if (tipo === 'data') {
+    const [ano, mes, dia] = texto.slice(0, 10).split('-').map(Number);
+    return { ano, mes, dia, hora: 0, minuto: 0 };
+  }
+
+  const instante = new Date(/Z$|[+-]\d\d:?\d\d$/.test(texto) ? texto : `${texto}Z`);
+  const partes = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: FUSO_HORARIO, year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', hourCycle: 'h23'
+  }).formatToParts(instante).map(({ type, value }) => [type, Number(value)]));
+  return { ano: partes.year, mes: partes.month, dia: partes.day, hora: partes.hour, minuto: partes.minute };
+};
+
+const doisDigitos = (numero) => String(numero).padStart(2, '0');
+
+const formatarMoeda = (valor) => Number(valor).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+
+// Valor da coluna como texto (CSV)
+const textoDaCelula = (valor, tipo) => {
+  if (valor === undefined || valor === null || valor === '') return '';
+  if (tipo === 'moeda') return formatarMoeda(valor);
+  if (tipo === 'data' || tipo === 'data_hora') {
+    const { ano, mes, dia, hora, minuto } = partesDaData(valor, tipo);
+    const data = `${doisDigitos(dia)}/${doisDigitos(mes)}/${ano}`;
+    return tipo === 'data' ? data : `${data} ${doisDigitos(hora)}:${doisDigitos(minuto)}`;
+  }
+  return String(valor);
+};
+
+// Valor da coluna como célula do XLSX: datas e valores continuam sendo datas e números
+const valorDaCelula = (valor, tipo) => {
+  if (valor === undefined || valor === null || valor === '') return null;
+  if (tipo === 'moeda') return Number(valor);
+  if (tipo === 'data' || tipo === 'data_hora') {
+    // O ExcelJS grava a data em UTC; as partes já estão no horário de Brasília
+    const { ano, mes, dia, hora, minuto } = partesDaData(valor, tipo);
+    return new Date(Date.UTC(ano, mes - 1, dia, hora, minuto));
+  }
+  return valor;
+};
+
+// === ARQUIVOS ===
+
+// Texto que começa com = + - @ ganha um apóstrofo na frente para o Excel não executá-lo como fórmula
+const celulaCsv = (valor) => {
+  let texto = String(valor ?? '');
+  if (/^[=+\-@\t\r]/.test(texto)) texto = `'${texto}`;
+  return /[";\n\r]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+};
+
+// CSV separado por ponto e vírgula, com BOM para o Excel abrir com acentos
+const gerarCsv = (linhas) => `\uFEFF${linhas.map(linha => linha.map(celulaCsv).join(';')).join('\r\n')}\r\n`;
+
+const gerarXlsx = async (titulo, colunas, registros) => {
+  const pasta = new ExcelJS.Workbook();
+  const aba = pasta.addWorksheet(titulo);
+
+  aba.columns = colunas.map(({ titulo: cabecalho, tipo }) => ({
+    header: cabecalho,
+    width: Math.max(12, cabecalho.length + 2),
+    style: FORMATOS_CELULA[tipo] ? { numFmt: FORMATOS_CELULA[tipo] } : {}
+  }));
+  aba.getRow(1).font = { bold: true };
+  aba.views = [{ state: 'frozen', ySplit: 1 }];
+
+  registros.forEach(registro => aba.addRow(colunas.map(({ valor, tipo }) => valorDaCelula(valor(registro), tipo))));
+
+  return pasta.xlsx.writeBuffer();
+};
+
+// Data de hoje (Brasília) no nome do arquivo: clientes-2024-05-31.xlsx
+const nomeDoArquivo = (lista, formato) => {
+  const { ano, mes, dia } = partesDaData(new Date().toISOString(), 'data_hora');
+  return `${lista}-${ano}-${doisDigitos(mes)}-${doisDigitos(dia)}.${formato}`;
+};
+
+const gerarExportacao = async (lista, formato, registros) => {
+  const colunas = COLUNAS_EXPORTACAO[lista];
+
+  const conteudo = formato === 'xlsx'
+    ? await gerarXlsx(lista, colunas, registros)
+    : gerarCsv([
+      colunas.map(coluna => coluna.titulo),
+      ...registros.map(registro => colunas.map(({ valor, tipo }) => textoDaCelula(valor(registro), tipo)))
+    ]);
+
+  return { conteudo, tipo: TIPOS_ARQUIVO[formato], nome: nomeDoArquivo(lista, formato) };
+};
+
+// Responde com o arquivo da listagem para download
+const responderExportacao = async (res, lista, formato, registros) => {
+  const arquivo = await gerarExportacao(lista, formato, registros);
+
+  res.setHeader('Content-Type', arquivo.tipo);
+  res.setHeader('Content-Disposition', `attachment; filename="${arquivo.nome}"`);
+  res.send(arquivo.conteudo);
+};
+
+module.exports = {
+  FORMATOS_EXPORTACAO,
+  COLUNAS_EXPORTACAO,
+  rotulo,
+  gerarCsv,
+  gerarExportacao,
+  responderExportacao
+};
@@ -0,0 +1,261 @@
+// Importação de clientes/leads por planilha (CSV ou XLSX): leitura do arquivo, mapeamento das colunas,
+// validação e detecção de duplicados de cada linha (simulação) e gravação das linhas válidas
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { auditar } = require('./auditoria');
+const { normalizarNome, distribuirLead } = require('./distribuicao');
+const { buscarDuplicados, duplicadoForte } = require('./duplicados');
+const { gerarCsv } = require('./exportacao');
+const { dadosDeAtribuicao } = require('./sla');
+const { apenasDigitos, normalizarTelefone } = require('./utils');
+const { validarDados } = require('./validacao');
+const esquemas = require('./esquemas');
+
+const EXTENSOES = ['.csv', '.txt', '.xlsx'];
+
+// Linhas de dados aceitas por arquivo (sem contar o cabeçalho)
+const LIMITE_LINHAS = 5000;
+
+// Campos do cliente que podem vir da planilha; `sinonimos` são os cabeçalhos reconhecidos
+// automaticamente (comparados sem acentos e em minúsculas)
+const CAMPOS_IMPORTACAO = [
+  { campo: 'nome', rotulo: 'Nome', obrigatorio: true, sinonimos: ['nome', 'nome completo', 'cliente', 'name', 'full_name', 'full name'] },
+  { campo: 'telefone', rotulo: 'Telefone', obrigatorio: true, sinonimos: ['telefone', 'celular', 'whatsapp', 'fone', 'phone', 'phone_number', 'telefone/whatsapp'] },
+  { campo: 'cpf', rotulo: 'CPF', sinonimos: ['cpf', 'documento'] },
+  { campo: 'tipo_servico', rotulo: 'Tipo de serviço', sinonimos: ['tipo de servico', 'tipo_servico', 'tipo', 'servico', 'interesse'] },
+  { campo: 'observacoes', rotulo: 'Observações', sinonimos: ['observacoes', 'observacao', 'obs', 'comentarios', 'mensagem'] },
+  { campo: 'imobiliaria_preferida', rotulo: 'Empreendimento', sinonimos: ['empreendimento', 'imobiliaria', 'empreendimento de interesse', 'imovel'] }
+];
+
+// === LEITURA DA PLANILHA ===
+
+// CSV salvo pelo Excel costuma vir em Windows-1252 e separado por ponto e vírgula
+const decodificarTexto = (buffer) => {
+  let texto;
+  try {
+    texto = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (error) {
+    texto = new TextDecoder('windows-1252').decode(buffer);
+  }
+  return texto.replace(/^\uFEFF/, '');
+};
+
+const separadorCsv = (texto) => {
+  const primeiraLinha = texto.split(/\r?\n/, 1)[0];
+  return (primeiraLinha.match(/;/g) || []).length > (primeiraLinha.match(/,/g) || []).length ? ';' : ',';
+};
+
+const lerPasta = async (arquivo, extensao) => {
+  const pasta = new ExcelJS.Workbook();
+
+  if (extensao === '.xlsx') {
+    await pasta.xlsx.load(arquivo.buffer);
+    return pasta.worksheets[0];
+  }
+
+  const texto = decodificarTexto(arquivo.buffer);
+  // Tudo como texto: CPF e telefone não podem virar número (perderiam os zeros à esquerda)
+  return pasta.csv.read(Readable.from([texto]), {
+    map: valor => valor,
+    parserOptions: { delimiter: separadorCsv(texto) }
+  });
+};
+
+const textoDaCelula = (celula) => {
+  if (celula.value === null || celula.value === undefined) return '';
+  if (celula.value instanceof Date) return celula.value.toISOString().slice(0, 10);
+  return String(celula.text ?? '').trim();
+};
+
+// Cabeçalho sem nomes vazios ou repetidos (viram "Coluna 3", "Telefone (2)")
+const nomesDasColunas = (cabecalho) => {
+  const usados = new Map();
+  return cabecalho.map((nome, indice) => {
+    const base = nome || `Coluna ${indice + 1}`;
+    const vezes = (usados.get(base) || 0) + 1;
+    usados.set(base, vezes);
+    return vezes > 1 ? `${base} (${vezes})` : base;
+  });
+};
+
+/**
+ * Ler a primeira aba do arquivo enviado ({ originalname, buffer }). A primeira linha é o cabeçalho;
+ * linhas vazias são ignoradas. Devolve { colunas, linhas: [{ linha, valores: { coluna: texto } }] }
+ * ou { erro } com o motivo de o arquivo não poder ser lido.
+ */
+const lerPlanilha = async (arquivo) => {
+  const extensao = path.extname(arquivo?.originalname || '').toLowerCase();
+  if (!arquivo) return { erro: 'Envie a planilha (CSV ou XLSX)!' };
+  if (!EXTENSOES.includes(extensao)) return { erro: 'Formato não aceito! Use CSV ou XLSX.' };
+
+  let aba;
+  try {
+    aba = await lerPasta(arquivo, extensao);
+  } catch (error) {
+    return { erro: `Não foi possível ler a planilha: ${error.message}` };
+  }
+  if (!aba || aba.rowCount < 2) return { erro: 'A planilha não tem linhas além do cabeçalho!' };
+  if (aba.rowCount - 1 > LIMITE_LINHAS) return { erro: `A planilha tem mais de ${LIMITE_LINHAS} linhas; divida o arquivo.` };
+
+  const totalColunas = aba.columnCount;
+  const celulas = (linha) => Array.from({ length: totalColunas }, (_, i) => textoDaCelula(aba.getRow(linha).getCell(i + 1)));
+
+  const colunas = nomesDasColunas(celulas(1));
+  const linhas = [];
+  for (let numero = 2; numero <= aba.rowCount; numero++) {
+    const valores = celulas(numero);
+    if (valores.every(valor => valor === '')) continue;
+    linhas.push({ linha: numero, valores: Object.fromEntries(colunas.map((coluna, i) => [coluna, valores[i]])) });
+  }
+
+  if (linhas.length === 0) return { erro: 'A planilha não tem linhas além do cabeçalho!' };
+  return { colunas, linhas };
+};
+
+// Mapeamento sugerido { campo: coluna } pelos nomes do cabeçalho
+const sugerirMapeamento = (colunas) => Object.fromEntries(CAMPOS_IMPORTACAO
+  .map(({ campo, sinonimos }) => [campo, colunas.find(coluna => sinonimos.includes(normalizarNome(coluna)))])
+  .filter(([, coluna]) => coluna));
+
+// Erros do mapeamento escolhido: campos obrigatórios sem coluna e colunas que não existem no arquivo
+const validarMapeamento = (mapeamento, colunas) => {
+  if (!mapeamento || typeof mapeamento !== 'object' || Array.isArray(mapeamento)) {
+    return 'Mapeamento das colunas inválido!';
+  }
+
+  const semColuna = CAMPOS_IMPORTACAO.filter(({ campo, obrigatorio }) => obrigatorio && !mapeamento[campo]);
+  if (semColuna.length > 0) return `Escolha a coluna de: ${semColuna.map(({ rotulo }) => rotulo).join(', ')}`;
+
+  const inexistentes = Object.values(mapeamento).filter(coluna => coluna && !colunas.includes(coluna));
+  if (inexistentes.length > 0) return `Colunas não encontradas na planilha: ${inexistentes.join(', ')}`;
+
+  return null;
+};
+
+// === ANÁLISE DAS LINHAS ===
+
+// Excel grava CPF como número e some com os zeros à esquerda; tipo de serviço aceita "locação", "COMPRA"...
+const ajustarValores = (valores) => {
+  const ajustados = { ...valores };
+
+  const cpf = apenasDigitos(valores.cpf);
+  if (cpf.length >= 9 && cpf.length < 11) ajustados.cpf = cpf.padStart(11, '0');
+
+  const tipo = esquemas.TIPOS_SERVICO.find(opcao => normalizarNome(opcao) === normalizarNome(valores.tipo_servico));
+  if (tipo) ajustados.tipo_servico = tipo;
+
+  return ajustados;
+};
+
+/**
+ * Validar cada linha pelo mapeamento e procurar duplicados: no CRM (mesmo CPF, ou telefone com nome
+ * parecido, rejeita; só nome ou só telefone parecido vira aviso) e dentro da própria planilha (mesmo
+ * CPF ou telefone de uma linha anterior). Nada é gravado. Cada linha volta com os dados normalizados,
+ * `motivos` (por que foi rejeitada) e `avisos`.
+ */
+const analisarLinhas = async (repositories, linhas, mapeamento) => {
+  const vistos = new Map();
+  const analise = [];
+
+  for (const { linha, valores } of linhas) {
+    const campos = Object.fromEntries(Object.entries(mapeamento)
+      .filter(([campo, coluna]) => coluna && CAMPOS_IMPORTACAO.some(c => c.campo === campo))
+      .map(([campo, coluna]) => [campo, valores[coluna]]));
+
+    const { dados, erros } = validarDados(esquemas.linhaImportacaoCliente, ajustarValores(campos));
+    const motivos = Object.values(erros);
+    const avisos = [];
+
+    if (motivos.length === 0) {
+      for (const { cliente, motivos: parecido } of await buscarDuplicados(repositories, dados)) {
+        const descricao = `${cliente.nome} (#${cliente.id}, ${parecido.join(' e ')})`;
+        if (duplicadoForte(parecido)) motivos.push(`Cliente já cadastrado: ${descricao}`);
+        else avisos.push(`Parecido com ${descricao}`);
+      }
+
+      const chaves = [dados.cpf && `cpf:${dados.cpf}`, `telefone:${normalizarTelefone(dados.telefone)}`].filter(Boolean);
+      const anterior = chaves.map(chave => vistos.get(chave)).find(Boolean);
+      if (anterior) motivos.push(`Repetido na planilha (linha ${anterior})`);
+      else chaves.forEach(chave => vistos.set(chave, linha));
+    }
+
+    analise.push({ linha, valores, dados, motivos, avisos, valida: motivos.length === 0 });
+  }
+
+  return analise;
+};
+
+// === GRAVAÇÃO ===
+
+/**
+ * Gravar as linhas válidas da análise como leads. Com consultorId todos vão para esse corretor (com
+ * prazo de contato); sem ele, cada lead passa pela distribuição automática (origem 'importacao').
+ * Com imobiliaria, o empreendimento escolhido vale para todas as linhas. Linhas que falharem ao
+ * gravar entram nas rejeitadas. A importação fica registrada com as linhas rejeitadas, para o relatório.
+ */
+const importarLinhas = async (repositories, usuario, analise, { arquivoNome, colunas, mapeamento, consultorId, imobiliaria }) => {
+  const rejeitadas = analise.filter(linha => !linha.valida).map(({ linha, valores, motivos }) => ({ linha, valores, motivos }));
+  const importadas = [];
+
+  for (const { linha, valores, dados } of analise.filter(linha => linha.valida)) {
+    try {
+      const cliente = await auditar(repositories, usuario).criar('clientes', {
+        nome: dados.nome,
+        telefone: dados.telefone,
+        cpf: dados.cpf,
+        tipo_servico: dados.tipo_servico,
+        status: 'lead',
+        observacoes: dados.observacoes,
+        imobiliaria_preferida: imobiliaria?.nome || dados.imobiliaria_preferida,
+        consultor_id: consultorId || null,
+        ...(consultorId ? dadosDeAtribuicao() : {})
+      });
+
+      await distribuirLead(repositories, cliente, { origem: 'importacao', usuario });
+      importadas.push({ linha, cliente_id: cliente.id });
+    } catch (error) {
+      rejeitadas.push({ linha, valores, motivos: [`Erro ao gravar: ${error.message}`] });
+    }
+  }
+
+  rejeitadas.sort((a, b) => a.linha - b.linha);
+
+  const importacao = await repositories.importacoesCliente.criar({
+    arquivo_nome: arquivoNome,
+    total_linhas: analise.length,
+    importadas: importadas.length,
+    rejeitadas: rejeitadas.length,
+    consultor_id: consultorId || null,
+    imobiliaria_id: imobiliaria?.id || null,
+    colunas,
+    mapeamento,
+    rejeicoes: rejeitadas,
+    usuario_id: usuario?.id ?? null,
+    usuario_nome: usuario?.nome ?? null
+  });
+
+  return { importacao, importadas, rejeitadas };
+};
+
+// === RELATÓRIO DAS REJEITADAS ===
+
+// CSV (separado por ponto e vírgula, com BOM para o Excel) com a linha, as colunas originais e os motivos
+const relatorioRejeitadas = ({ colunas, rejeicoes }) => {
+  const linhas = [
+    ['Linha', ...colunas, 'Motivos'],
+    ...rejeicoes.map(({ linha, valores, motivos }) => [linha, ...colunas.map(coluna => valores[coluna]), motivos.join(' | ')])
+  ];
+  return gerarCsv(linhas);
+};
+
+module.exports = {
+  CAMPOS_IMPORTACAO,
+  LIMITE_LINHAS,
+  lerPlanilha,
+  sugerirMapeamento,
+  validarMapeamento,
+  analisarLinhas,
+  importarLinhas,
+  relatorioRejeitadas
+};
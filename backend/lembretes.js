@@ -0,0 +1,271 @@
+// Lembretes automáticos de visita: o agendador envia o lembrete ao cliente com a antecedência de
+// VISIT_REMINDER_OFFSETS pelos canais configurados (canais-lembrete.js), registra cada tentativa e
+// o status de entrega, marca a visita como lembrada e trata a resposta do cliente (confirmar ou cancelar)
+const { auditar } = require('./auditoria');
+const { inicioDaVisita, enderecoDoEmpreendimento } = require('./calendario');
+const { STATUS_EM_ABERTO } = require('./disponibilidade');
+const { criarCanais, telefoneInternacional } = require('./canais-lembrete');
+const { notificar } = require('./notificacoes');
+const { dataBrasileira } = require('./utils');
+
+// Tentativas com falha (em todos os canais) antes de desistir do lembrete
+const MAXIMO_FALHAS = 3;
+
+const MINUTOS_POR_UNIDADE = { d: 24 * 60, h: 60, m: 1 };
+
+// Status de entrega na ordem em que acontecem (um status nunca volta para um anterior)
+const ORDEM_ENTREGA = ['enviado', 'entregue', 'lido'];
+
+// Status de entrega do WhatsApp -> status do lembrete
+const STATUS_WHATSAPP = { sent: 'enviado', delivered: 'entregue', read: 'lido', failed: 'falhou' };
+
+// === ANTECEDÊNCIAS ===
+
+/**
+ * Antecedências dos lembretes em minutos, da maior para a menor. VISIT_REMINDER_OFFSETS lista
+ * valores em dias, horas ou minutos separados por vírgula (padrão '1d,2h': na véspera e duas horas
+ * antes); vazio desliga os lembretes.
+ */
+const antecedenciasDosLembretes = (valor = process.env.VISIT_REMINDER_OFFSETS ?? '1d,2h') =>
+  [...new Set(String(valor).split(',')
+    .map(item => item.trim().toLowerCase().match(/^(\d+)\s*([dhm])$/))
+    .filter(Boolean)
+    .map(([, quantidade, unidade]) => Number(quantidade) * MINUTOS_POR_UNIDADE[unidade])
+    .filter(minutos => minutos > 0))]
+    .sort((a, b) => b - a);
+
+// === MENSAGENS ===
+
+// Dia (YYYY-MM-DD) do instante em Brasília (UTC-3)
+const diaEmBrasilia = (instante) => new Date(instante.getTime() - 3 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+// 'hoje', 'amanhã' ou 'em 10/06/2024'
+const quandoSeraAVisita = (visita, agora) => {
+  const dia = String(visita.data_agendamento).slice(0, 10);
+  if (dia === diaEmBrasilia(agora)) return 'hoje';
+  if (dia === diaEmBrasilia(new Date(agora.getTime() + 24 * 60 * 60 * 1000))) return 'amanhã';
+  return `em ${dataBrasileira(dia)}`;
+};
+
+// Texto do lembrete (SMS, email e WhatsApp sem template) e parâmetros do template do WhatsApp
+const montarMensagem = (visita, agora = new Date()) => {
+  const nome = visita.clientes?.nome || '';
+  const primeiroNome = nome.split(' ')[0];
+  const horario = String(visita.horario).slice(0, 5);
+  const empreendimento = visita.imobiliarias?.nome || 'empreendimento';
+  const endereco = enderecoDoEmpreendimento(visita.imobiliarias);
+  const corretor = visita.consultores;
+
+  const linhas = [
+    `Olá${primeiroNome ? `, ${primeiroNome}` : ''}! Lembrete da sua visita ${quandoSeraAVisita(visita, agora)} às ${horario} no ${empreendimento}${endereco ? ` (${endereco})` : ''}.`,
+    corretor?.nome && `Seu corretor: ${corretor.nome}${corretor.telefone ? ` - ${corretor.telefone}` : ''}.`,
+    'Responda SIM para confirmar ou CANCELAR se não puder comparecer.'
+  ];
+
+  return {
+    assunto: `Lembrete da sua visita em ${dataBrasileira(visita.data_agendamento)} às ${horario}`,
+    texto: linhas.filter(Boolean).join('\n'),
+    parametros: [primeiroNome, dataBrasileira(visita.data_agendamento), horario, empreendimento]
+  };
+};
+
+// === ENVIO ===
+
+// Data e horário da visita ('2024-06-10 14:30'): visita remarcada recebe os lembretes de novo
+const horarioDaVisita = (visita) => `${String(visita.data_agendamento).slice(0, 10)} ${String(visita.horario).slice(0, 5)}`;
+
+// Tenta os canais em ordem até um entregar; cada tentativa fica registrada
+const enviarPelosCanais = async (repositories, visita, antecedencia, canais, agora) => {
+  const mensagem = montarMensagem(visita, agora);
+
+  for (const canal of canais) {
+    const destino = canal.destino(visita.clientes);
+    if (!destino) continue;
+
+    const registro = {
+      agendamento_id: visita.id,
+      cliente_id: visita.cliente_id,
+      canal: canal.nome,
+      destino,
+      antecedencia_minutos: antecedencia,
+      horario_visita: horarioDaVisita(visita),
+      mensagem: mensagem.texto
+    };
+
+    try {
+      const { id_externo } = await canal.enviar({ destino, ...mensagem });
+      return repositories.lembretesVisita.criar({ ...registro, status: 'enviado', id_externo });
+    } catch (error) {
+      await repositories.lembretesVisita.criar({ ...registro, status: 'falhou', erro: error.message });
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Enviar os lembretes que venceram. Para cada visita em aberto que ainda não aconteceu, vale a menor
+ * antecedência já alcançada (visita marcada em cima da hora recebe só o lembrete mais próximo), e
+ * cada antecedência é enviada uma vez por data e horário da visita. Devolve os lembretes enviados.
+ */
+const enviarLembretesDevidos = async (repositories, { agora = new Date(), canais = criarCanais() } = {}) => {
+  const antecedencias = antecedenciasDosLembretes();
+  if (antecedencias.length === 0 || canais.length === 0) return [];
+
+  const visitas = (await repositories.agendamentos.listarParaLembrete({
+    dataInicio: diaEmBrasilia(agora),
+    dataFim: diaEmBrasilia(new Date(agora.getTime() + antecedencias[0] * 60 * 1000)),
+    status: STATUS_EM_ABERTO
+  })).filter(visita => inicioDaVisita(visita) > agora);
+
+  const anteriores = await repositories.lembretesVisita.listarDasVisitas(visitas.map(visita => visita.id));
+  const enviados = [];
+
+  for (const visita of visitas) {
+    const minutosAteAVisita = (inicioDaVisita(visita) - agora) / (60 * 1000);
+    const vencidas = antecedencias.filter(minutos => minutosAteAVisita <= minutos);
+    if (vencidas.length === 0) continue;
+
+    const antecedencia = Math.min(...vencidas);
+    const tentativas = anteriores.filter(lembrete =>
+      lembrete.agendamento_id === visita.id &&
+      lembrete.horario_visita === horarioDaVisita(visita) &&
+      lembrete.antecedencia_minutos === antecedencia
+    );
+    if (tentativas.some(lembrete => lembrete.status !== 'falhou')) continue;
+    if (tentativas.length >= MAXIMO_FALHAS) continue;
+
+    const lembrete = await enviarPelosCanais(repositories, visita, antecedencia, canais, agora);
+    if (!lembrete) continue;
+
+    if (!visita.lembrado) {
+      await auditar(repositories, null).atualizar('agendamentos', visita.id, { lembrado: true });
+    }
+    enviados.push(lembrete);
+  }
+
+  return enviados;
+};
+
+// === ENTREGA E RESPOSTA ===
+
+// Status de entrega informado pelo provedor (webhook); falha só vale para mensagem ainda não entregue
+const atualizarEntrega = async (repositories, { idExterno, status, erro }) => {
+  const lembrete = idExterno && await repositories.lembretesVisita.buscarPorIdExterno(idExterno);
+  if (!lembrete) return null;
+
+  const atual = ORDEM_ENTREGA.indexOf(lembrete.status);
+  const avancou = status === 'falhou' ? lembrete.status === 'enviado' : ORDEM_ENTREGA.indexOf(status) > atual;
+  if (!avancou) return lembrete;
+
+  return repositories.lembretesVisita.atualizar(lembrete.id, {
+    status,
+    erro: status === 'falhou' ? erro || null : undefined,
+    updated_at: new Date().toISOString()
+  });
+};
+
+const normalizarTexto = (texto) => String(texto || '')
+  .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .trim().toLowerCase();
+
+// Primeira linha da resposta: 'SIM'/'1' confirma e só 'CANCELAR', escrito por extenso, cancela (um 'não'
+// pode responder outra pergunta da conversa); o resto é ignorado
+const interpretarResposta = (texto) => {
+  const [primeiraLinha] = normalizarTexto(texto).split('\n');
+  const palavra = primeiraLinha.replace(/[^a-z0-9 ]/g, ' ').trim().split(/\s+/)[0];
+
+  if (['1', 'sim', 's', 'confirmo', 'confirmar', 'confirmado', 'ok'].includes(palavra)) return 'confirmou';
+  if (palavra === 'cancelar') return 'cancelou';
+  return null;
+};
+
+// Destinos possíveis do remetente: o WhatsApp às vezes informa o celular sem o nono dígito
+const destinosDoRemetente = (canal, remetente) => {
+  if (canal === 'email') return [normalizarTexto(remetente).replace(/^.*<([^>]+)>.*$/, '$1')];
+
+  const telefone = telefoneInternacional(remetente);
+  if (!telefone) return [];
+
+  const ddd = telefone.slice(2, 4);
+  const numero = telefone.slice(4);
+  if (numero.length === 9 && numero.startsWith('9')) return [telefone, `55${ddd}${numero.slice(1)}`];
+  if (numero.length === 8) return [telefone, `55${ddd}9${numero}`];
+  return [telefone];
+};
+
+const RESPOSTAS_AO_CLIENTE = {
+  confirmou: (visita) => `Obrigado! Sua visita de ${dataBrasileira(visita.data_agendamento)} às ${String(visita.horario).slice(0, 5)} está confirmada.`,
+  cancelou: () => 'Sua visita foi cancelada. Para marcar outra data, é só falar com o seu corretor.'
+};
+
+/**
+ * Resposta do cliente a um lembrete (WhatsApp, SMS ou email). Vale para o último lembrete entregue ao
+ * remetente, se a visita ainda estiver em aberto: confirmar grava confirmado_em; cancelar cancela só a
+ * visita (o cliente continua no funil, para o corretor remarcar). O corretor é avisado e o cliente recebe a
+ * confirmação pelo mesmo canal. Devolve { acao, lembrete } (lembrete null quando nada foi feito).
+ */
+const registrarResposta = async (repositories, { canal, remetente, texto, canais = criarCanais(), agora = new Date() }) => {
+  const acao = interpretarResposta(texto);
+  const destinos = destinosDoRemetente(canal, remetente);
+  if (!acao || destinos.length === 0) return { acao, lembrete: null };
+
+  const lembrete = await repositories.lembretesVisita.buscarUltimoPorDestino(destinos);
+  if (!lembrete) return { acao, lembrete: null };
+
+  const visita = await repositories.agendamentos.buscarParaConvite(lembrete.agendamento_id);
+  if (!visita || !STATUS_EM_ABERTO.includes(visita.status) || inicioDaVisita(visita) <= agora) {
+    return { acao, lembrete: null };
+  }
+
+  const auditado = auditar(repositories, null);
+  if (acao === 'confirmou') {
+    await auditado.atualizar('agendamentos', visita.id, { confirmado_em: agora.toISOString() });
+  } else {
+    await auditado.atualizar('agendamentos', visita.id, {
+      status: 'cancelado',
+      sequencia_convite: (visita.sequencia_convite || 0) + 1
+    });
+  }
+
+  const respondido = await repositories.lembretesVisita.atualizar(lembrete.id, {
+    resposta: acao,
+    respondido_em: agora.toISOString(),
+    updated_at: agora.toISOString()
+  });
+
+  const nome = visita.clientes?.nome || 'O cliente';
+  const quando = `${dataBrasileira(visita.data_agendamento)} às ${String(visita.horario).slice(0, 5)}`;
+  if (visita.consultor_id) {
+    await notificar(repositories, {
+      consultor_id: visita.consultor_id,
+      tipo: 'visita_lead',
+      titulo: acao === 'confirmou' ? 'Cliente confirmou a visita' : 'Cliente cancelou a visita',
+      mensagem: `${nome} ${acao === 'confirmou' ? 'confirmou' : 'cancelou'} pelo lembrete a visita de ${quando}.`,
+      cliente_id: visita.cliente_id,
+      link: `/agendamentos?agendamento=${visita.id}`
+    });
+  }
+
+  // A resposta ao cliente não impede o registro: só fica no log se falhar
+  const canalDoLembrete = canais.find(item => item.nome === lembrete.canal);
+  if (canalDoLembrete) {
+    try {
+      await canalDoLembrete.enviar({ destino: lembrete.destino, assunto: 'Sua visita', texto: RESPOSTAS_AO_CLIENTE[acao](visita) });
+    } catch (error) {
+      console.error('Erro ao responder o cliente sobre o lembrete da visita:', error.message);
+    }
+  }
+
+  return { acao, lembrete: respondido };
+};
+
+module.exports = {
+  STATUS_WHATSAPP,
+  antecedenciasDosLembretes,
+  montarMensagem,
+  enviarLembretesDevidos,
+  atualizarEntrega,
+  interpretarResposta,
+  registrarResposta
+};
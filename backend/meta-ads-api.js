@@ -1,12 +1,18 @@
 const axios = require('axios');
 require('dotenv').config();
 
+// Campos dos leads de formulário com a atribuição de campanha/conjunto/anúncio
+const LEAD_FIELDS = 'id,created_time,field_data,form_id,campaign_id,campaign_name,adset_id,adset_name,ad_id,ad_name';
+
 class MetaAdsAPI {
-  constructor() {
-    this.accessToken = process.env.META_ACCESS_TOKEN;
-    this.adAccountId = process.env.META_AD_ACCOUNT_ID;
-    this.apiVersion = 'v19.0'; // Versão mais recente
-    this.baseURL = `https://graph.facebook.com/${this.apiVersion}`;
+  // As opções permitem apontar para outra conta ou para um servidor Graph API
+  // local (ex.: testes), sem depender das variáveis de ambiente
+  constructor(options = {}) {
+    this.accessToken = options.accessToken || process.env.META_ACCESS_TOKEN;
+    this.adAccountId = options.adAccountId || process.env.META_AD_ACCOUNT_ID;
+    this.apiVersion = options.apiVersion || 'v19.0'; // Versão mais recente
+    const graphURL = options.graphURL || process.env.META_GRAPH_API_URL || 'https://graph.facebook.com';
+    this.baseURL = `${graphURL.replace(/\/$/, '')}/${this.apiVersion}`;
   }
 
   // Verificar se as credenciais estão configuradas
@@ -77,17 +83,26 @@ class MetaAdsAPI {
     return await this.makeRequest(endpoint, params);
   }
 
-  // Buscar leads de uma campanha
-  async getLeads(campaignId, dateRange = 'last_30d') {
+  // Buscar leads de uma campanha (use `after` com paging.cursors.after para as próximas páginas)
+  async getLeads(campaignId, dateRange = 'last_30d', after = null) {
     const endpoint = `/${campaignId}/leads`;
     const params = {
-      fields: 'id,created_time,field_data,ad_id,adset_id',
+      fields: LEAD_FIELDS,
       time_range: `{'since':'${this.getDateRange(dateRange).since}','until':'${this.getDateRange(dateRange).until}'}`
     };
 
+    if (after) {
+      params.after = after;
+    }
+
     return await this.makeRequest(endpoint, params);
   }
 
+  // Buscar um lead específico (usado pelo webhook de leadgen)
+  async getLead(leadId) {
+    return await this.makeRequest(`/${leadId}`, { fields: LEAD_FIELDS });
+  }
+
   // Buscar dados de targeting por região
   async getRegionalInsights(campaignId, dateRange = 'last_30d') {
     const endpoint = `/${campaignId}/insights`;
@@ -106,9 +121,10 @@ class MetaAdsAPI {
       const insights = await this.getRegionalInsights(campaignId, dateRange);
       
       return insights.data.map(insight => {
-        const region = insight.breakdowns?.region || 'N/A';
-        const city = insight.breakdowns?.city || 'N/A';
-        const country = insight.breakdowns?.country || 'BR';
+        // A Graph API devolve os breakdowns como campos do próprio insight
+        const region = insight.breakdowns?.region || insight.region || 'N/A';
+        const city = insight.breakdowns?.city || insight.city || 'N/A';
+        const country = insight.breakdowns?.country || insight.country || 'BR';
         
         // Calcular custo por lead
         const spend = parseFloat(insight.spend) || 0;
@@ -0,0 +1,204 @@
+// Ingestão de leads dos formulários do Meta Ads como clientes do CRM
+const { auditar } = require('./auditoria');
+const { distribuirLead } = require('./distribuicao');
+const { buscarDuplicados } = require('./duplicados');
+const { formatarTelefone } = require('./validacao');
+const { apenasDigitos, normalizarTelefone } = require('./utils');
+
+// Nomes de campos aceitos nos formulários (perguntas padrão do Meta e perguntas personalizadas)
+const CAMPOS_FORMULARIO = {
+  nome: ['full_name', 'nome', 'nome_completo'],
+  primeiro_nome: ['first_name', 'primeiro_nome'],
+  sobrenome: ['last_name', 'sobrenome'],
+  telefone: ['phone_number', 'telefone', 'celular', 'whatsapp'],
+  cpf: ['cpf'],
+  email: ['email', 'e-mail'],
+  tipo_servico: ['tipo_servico', 'tipo_de_servico', 'interesse', 'o_que_voce_procura'],
+  cidade: ['city', 'cidade'],
+  estado: ['state', 'estado', 'uf']
+};
+
+// Normalizar texto para comparação (minúsculas, sem acentos)
+const normalizarTexto = (texto) => String(texto || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '') // Remove acentos
+  .trim();
+
+// Converter a resposta livre do formulário nos tipos de serviço usados no CRM
+const mapearTipoServico = (resposta) => {
+  const texto = normalizarTexto(resposta);
+  if (!texto) return null;
+  if (texto.includes('compr')) return 'Compra';
+  if (texto.includes('vend')) return 'Venda';
+  if (texto.includes('alug') || texto.includes('loca')) return 'Locacao';
+  if (texto.includes('avali')) return 'Avaliacao';
+  return null;
+};
+
+// Transformar field_data ([{ name, values: [] }]) nos campos de clientes
+const mapearCamposLead = (fieldData = []) => {
+  const respostas = {};
+  for (const campo of fieldData) {
+    respostas[normalizarTexto(campo.name)] = Array.isArray(campo.values) ? campo.values[0] : campo.values;
+  }
+
+  const valor = (chave) => {
+    const nome = CAMPOS_FORMULARIO[chave].find(n => respostas[n] !== undefined && String(respostas[n]).trim() !== '');
+    return nome ? String(respostas[nome]).trim() : null;
+  };
+
+  const nome = valor('nome') || [valor('primeiro_nome'), valor('sobrenome')].filter(Boolean).join(' ') || null;
+  const telefone = valor('telefone');
+  const cpf = apenasDigitos(valor('cpf'));
+  const estado = valor('estado');
+
+  return {
+    nome,
+    // Sem DDI e formatado como nos demais cadastros: "+55 11 99999-1111" -> "(11) 99999-1111"
+    telefone: telefone && (formatarTelefone(telefone) || null),
+    cpf: cpf.length === 11 ? cpf : null,
+    email: valor('email'),
+    tipo_servico: mapearTipoServico(valor('tipo_servico')),
+    cidade: valor('cidade'),
+    estado: estado && estado.length === 2 ? estado.toUpperCase() : null
+  };
+};
+
+// Cliente já cadastrado que é a mesma pessoa (mesmo CPF, ou telefone com nome parecido), como no cadastro
+const buscarClienteExistente = async (repositories, campos) => {
+  const [existente] = (await buscarDuplicados(repositories, campos)).filter(duplicado => duplicado.forte);
+  return existente ? existente.cliente : null;
+};
+
+// Custo do lead: preço ativo da campanha na cidade, senão o preço ativo da cidade
+const buscarCustoLead = async (repositories, { campanhaId, cidade, estado }) => {
+  if (!cidade) return null;
+
+  const preco = (campanhaId && await repositories.precosMeta.buscarAtivo({ cidade, campanhaId })) ||
+    await repositories.precosMeta.buscarAtivo({ cidade, estado: estado || undefined });
+
+  return preco ? parseFloat(preco.preco_por_lead) : null;
+};
+
+/**
+ * Importar um lead do Meta Ads.
+ * Cria o cliente (sem consultor, aparece em "Novos Leads") ou reaproveita um existente com o
+ * mesmo CPF, ou mesmo telefone e nome parecido, e registra a atribuição em meta_ads_leads. Leads já importados são ignorados.
+ * Com `distribuir(cliente, { cidade, estado })`, o cliente criado entra na distribuição automática.
+ * O cliente criado fica no histórico em nome de `usuario` (o admin que sincronizou; null no webhook
+ * e na sincronização periódica).
+ * Retorna { status: 'criado' | 'existente' | 'ignorado', cliente_id, motivo }.
+ */
+const importarLeadMeta = async (repositories, lead, { distribuir = null, usuario = null } = {}) => {
+  const jaImportado = await repositories.leadsMeta.buscarPorMetaLeadId(lead.id);
+  if (jaImportado) {
+    return { status: 'ignorado', cliente_id: jaImportado.cliente_id, motivo: 'Lead já importado' };
+  }
+
+  const campos = mapearCamposLead(lead.field_data);
+
+  if (!campos.nome || (!campos.telefone && !campos.cpf)) {
+    return { status: 'ignorado', cliente_id: null, motivo: 'Lead sem nome ou sem telefone/CPF' };
+  }
+
+  let cliente = await buscarClienteExistente(repositories, campos);
+  let status = 'existente';
+
+  if (!cliente) {
+    const observacoes = [
+      `Lead Meta Ads${lead.campaign_name ? ` - ${lead.campaign_name}` : ''}`,
+      campos.email ? `Email: ${campos.email}` : null
+    ].filter(Boolean).join('\n');
+
+    cliente = await auditar(repositories, usuario).criar('clientes', {
+      nome: campos.nome,
+      telefone: campos.telefone,
+      cpf: campos.cpf,
+      tipo_servico: campos.tipo_servico,
+      status: 'lead',
+      observacoes,
+      consultor_id: null // Vai para a aba "Novos Leads"
+    });
+    status = 'criado';
+
+    if (distribuir) {
+      await distribuir(cliente, { cidade: campos.cidade, estado: campos.estado });
+    }
+  }
+
+  const custoLead = await buscarCustoLead(repositories, {
+    campanhaId: lead.campaign_id,
+    cidade: campos.cidade,
+    estado: campos.estado
+  });
+
+  await repositories.leadsMeta.criar({
+    cliente_id: cliente.id,
+    meta_lead_id: lead.id,
+    formulario_id: lead.form_id || null,
+    campanha_id: lead.campaign_id || null,
+    campanha_nome: lead.campaign_name || null,
+    adset_id: lead.adset_id || null,
+    adset_nome: lead.adset_name || null,
+    ad_id: lead.ad_id || null,
+    ad_nome: lead.ad_name || null,
+    custo_lead: custoLead,
+    data_lead: lead.created_time ? String(lead.created_time).split('T')[0] : new Date().toISOString().split('T')[0],
+    cidade_lead: campos.cidade,
+    estado_lead: campos.estado,
+    fonte_lead: 'meta_ads'
+  });
+
+  return { status, cliente_id: cliente.id, motivo: null };
+};
+
+/**
+ * Sincronizar os leads de formulário das campanhas (todas ou apenas `campanhaId`).
+ * Erros em um lead não interrompem os demais; ficam listados em `erros`.
+ */
+const sincronizarLeadsMeta = async ({ repositories, metaAdsApi, campanhaId = null, dateRange = 'last_30d', distribuir = null, usuario = null }) => {
+  const resultado = { processados: 0, criados: 0, existentes: 0, ignorados: 0, erros: [] };
+
+  let campanhaIds = [campanhaId];
+  if (!campanhaId) {
+    const campanhas = await metaAdsApi.getCampaigns();
+    campanhaIds = (campanhas.data || []).map(c => c.id);
+  }
+
+  for (const id of campanhaIds) {
+    let after = null;
+
+    do {
+      const pagina = await metaAdsApi.getLeads(id, dateRange, after);
+
+      for (const lead of pagina.data || []) {
+        resultado.processados++;
+        try {
+          const { status } = await importarLeadMeta(repositories, { campaign_id: id, ...lead }, { distribuir, usuario });
+          if (status === 'criado') resultado.criados++;
+          else if (status === 'existente') resultado.existentes++;
+          else resultado.ignorados++;
+        } catch (error) {
+          console.error('Erro ao importar lead do Meta Ads:', lead.id, error.message);
+          resultado.erros.push({ lead_id: lead.id, error: error.message });
+        }
+      }
+
+      after = pagina.paging?.next ? pagina.paging?.cursors?.after : null;
+    } while (after);
+  }
+
+  return resultado;
+};
+
+// Distribuição automática dos leads importados (origem 'meta_ads')
+const criarDistribuidorMeta = (repositories) => (cliente, local) => distribuirLead(repositories, cliente, { origem: 'meta_ads', ...local });
+
+module.exports = {
+  criarDistribuidorMeta,
+  mapearCamposLead,
+  normalizarTelefone,
+  importarLeadMeta,
+  sincronizarLeadsMeta
+};
@@ -0,0 +1,121 @@
+// Relatório de custo por fechamento e ROI das campanhas do Meta Ads
+
+// Quantidade de clientes por consulta (evita URLs grandes demais no PostgREST)
+const TAMANHO_LOTE = 200;
+
+const arredondar = (valor) => Math.round(valor * 100) / 100;
+
+// Registros dos clientes `clienteIds` num repositório com listar({ clienteId }), em lotes
+const listarDosClientes = async (repositorio, clienteIds) => {
+  const linhas = [];
+  for (let i = 0; i < clienteIds.length; i += TAMANHO_LOTE) {
+    linhas.push(...await repositorio.listar({ clienteId: clienteIds.slice(i, i + TAMANHO_LOTE) }));
+  }
+  return linhas;
+};
+
+// Custo de um lead: o gravado na importação ou, na falta dele, o preço ativo da cidade
+const custoDoLead = (lead, pricing) => {
+  if (lead.custo_lead !== null && lead.custo_lead !== undefined) {
+    return parseFloat(lead.custo_lead);
+  }
+  const cidade = (lead.cidade_lead || '').toLowerCase();
+  const preco = pricing.find(p =>
+    (p.cidade || '').toLowerCase() === cidade &&
+    (!lead.campanha_id || !p.campanha_id || p.campanha_id === lead.campanha_id)
+  );
+  return preco ? parseFloat(preco.preco_por_lead) : 0;
+};
+
+/**
+ * Consolidar o funil leads → visitas → fechamentos → receita por campanha e por cidade.
+ * Visitas contam clientes distintos com agendamento; fechamentos contam os registros dos
+ * clientes vindos dos leads, exceto os reprovados. CAC = investimento / fechamentos e
+ * ROAS = receita / investimento.
+ */
+const calcularRelatorioROI = ({ leads, agendamentos, fechamentos, pricing }) => {
+  const visitados = new Set(agendamentos.map(a => a.cliente_id));
+  const fechamentosPorCliente = {};
+  for (const f of fechamentos) {
+    if (f.aprovado === 'reprovado') continue;
+    (fechamentosPorCliente[f.cliente_id] = fechamentosPorCliente[f.cliente_id] || []).push(f);
+  }
+
+  const novoGrupo = (chave, extras) => ({
+    ...extras,
+    chave,
+    clientes: new Set(),
+    leads: 0,
+    investimento: 0
+  });
+
+  const porCampanha = {};
+  const porCidade = {};
+  const total = novoGrupo('total', {});
+
+  for (const lead of leads) {
+    const chaveCampanha = lead.campanha_id || 'sem_campanha';
+    const chaveCidade = `${lead.cidade_lead || 'Não informada'}/${lead.estado_lead || ''}`;
+
+    porCampanha[chaveCampanha] = porCampanha[chaveCampanha] ||
+      novoGrupo(chaveCampanha, { campanha_id: lead.campanha_id || null, campanha_nome: lead.campanha_nome || 'Sem campanha' });
+    porCidade[chaveCidade] = porCidade[chaveCidade] ||
+      novoGrupo(chaveCidade, { cidade: lead.cidade_lead || 'Não informada', estado: lead.estado_lead || null });
+
+    const custo = custoDoLead(lead, pricing);
+    for (const grupo of [porCampanha[chaveCampanha], porCidade[chaveCidade], total]) {
+      grupo.leads++;
+      grupo.investimento += custo;
+      grupo.clientes.add(lead.cliente_id);
+    }
+  }
+
+  const finalizar = (grupo) => {
+    const clientes = [...grupo.clientes];
+    const fechamentosGrupo = clientes.flatMap(id => fechamentosPorCliente[id] || []);
+    const receita = fechamentosGrupo.reduce((acc, f) => acc + parseFloat(f.valor_fechado || 0), 0);
+    const { clientes: _, chave: __, ...dados } = grupo;
+
+    return {
+      ...dados,
+      investimento: arredondar(grupo.investimento),
+      visitas: clientes.filter(id => visitados.has(id)).length,
+      fechamentos: fechamentosGrupo.length,
+      receita: arredondar(receita),
+      cac: fechamentosGrupo.length > 0 ? arredondar(grupo.investimento / fechamentosGrupo.length) : null,
+      roas: grupo.investimento > 0 ? arredondar(receita / grupo.investimento) : null
+    };
+  };
+
+  const ordenar = (a, b) => b.investimento - a.investimento;
+
+  return {
+    totais: finalizar(total),
+    campanhas: Object.values(porCampanha).map(finalizar).sort(ordenar),
+    cidades: Object.values(porCidade).map(finalizar).sort(ordenar)
+  };
+};
+
+// Carregar os leads do período (pela data_lead) e acompanhar visitas e fechamentos desses
+// clientes até hoje, como uma coorte
+const gerarRelatorioROI = async (repositories, { dataInicio, dataFim }) => {
+  const [leads, pricing] = await Promise.all([
+    repositories.leadsMeta.listarDoPeriodo({ dataInicio, dataFim }),
+    repositories.precosMeta.listarAtivos()
+  ]);
+
+  const clienteIds = [...new Set(leads.map(l => l.cliente_id).filter(Boolean))];
+
+  const agendamentos = await listarDosClientes(repositories.agendamentos, clienteIds);
+  const fechamentos = await listarDosClientes(repositories.fechamentos, clienteIds);
+
+  return {
+    periodo: { data_inicio: dataInicio, data_fim: dataFim },
+    ...calcularRelatorioROI({ leads, agendamentos, fechamentos, pricing })
+  };
+};
+
+module.exports = {
+  calcularRelatorioROI,
+  gerarRelatorioROI
+};
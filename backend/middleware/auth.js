@@ -0,0 +1,105 @@
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+
+// JWT Secret
+const JWT_SECRET = process.env.JWT_SECRET || 'DkY/hxlrCCLFG8myFFZCegAXcwQsrDa+U+t9Jn3Lba6X5ujds6qTsftGiPiGYt4NztQP8srqKT3HUYxG28ZROw==';
+
+// Middleware especial para upload que preserva headers
+const authenticateUpload = (req, res, next) => {
+  // Para upload com FormData, o header pode vir em minúsculas
+  const authHeader = req.headers['authorization'] || req.headers['Authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ error: 'Token de acesso requerido' });
+  }
+
+  jwt.verify(token, JWT_SECRET, (err, user) => {
+    if (err) {
+      return res.status(403).json({ error: 'Token inválido' });
+    }
+    req.user = user;
+    next();
+  });
+};
+
+// Middleware de autenticação
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+  if (!token) {
+    return res.status(401).json({ error: 'Token de acesso requerido' });
+  }
+
+  jwt.verify(token, JWT_SECRET, (err, user) => {
+    if (err) {
+      return res.status(403).json({ error: 'Token inválido' });
+    }
+    req.user = user;
+    next();
+  });
+};
+
+// Middleware para verificar se é admin
+const requireAdmin = (req, res, next) => {
+  if (req.user.tipo !== 'admin') {
+    return res.status(403).json({ error: 'Acesso negado. Apenas administradores.' });
+  }
+  next();
+};
+
+// Middleware para verificar se é o próprio consultor ou admin
+const requireOwnerOrAdmin = (req, res, next) => {
+  const consultorId = req.params.consultorId || req.query.consultor_id || req.body.consultor_id;
+  
+  if (req.user.tipo === 'admin') {
+    return next(); // Admin pode tudo
+  }
+  
+  if (req.user.tipo === 'consultor' && req.user.consultor_id === parseInt(consultorId)) {
+    return next(); // Consultor pode acessar seus próprios dados
+  }
+  
+  return res.status(403).json({ error: 'Acesso negado' });
+};
+
+// Middleware para verificar se o registro da rota (cliente, agendamento, fechamento) é do próprio consultor ou admin.
+// buscarRegistro(req) devolve o registro, que fica em req.registro; por padrão o dono é registro.consultor_id,
+// ou `pertence(registro, user)` quando a regra é outra
+const requireRecordOwnerOrAdmin = (buscarRegistro, { naoEncontrado = 'Registro não encontrado!', pertence } = {}) => async (req, res, next) => {
+  try {
+    const registro = await buscarRegistro(req);
+
+    if (!registro) {
+      return res.status(404).json({ error: naoEncontrado });
+    }
+
+    req.registro = registro;
+
+    if (req.user.tipo === 'admin') {
+      return next(); // Admin pode tudo
+    }
+
+    const dono = pertence
+      ? await pertence(registro, req.user)
+      : registro.consultor_id === req.user.consultor_id;
+
+    if (req.user.tipo === 'consultor' && dono) {
+      return next(); // Consultor pode alterar seus próprios registros
+    }
+
+    return res.status(403).json({ error: 'Acesso negado' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+module.exports = {
+  JWT_SECRET,
+  authenticateToken,
+  authenticateUpload,
+  requireAdmin,
+  requireOwnerOrAdmin,
+  requireRecordOwnerOrAdmin
+};
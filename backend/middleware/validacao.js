@@ -0,0 +1,29 @@
+const { validarDados } = require('../validacao');
+
+// Resposta padrão de dados inválidos: `campos` traz a mensagem de cada campo (para o formulário
+// mostrar ao lado do input) e `error` a primeira delas, para as telas que só exibem um aviso
+const responderErroDeValidacao = (res, campos) => res.status(400).json({ error: Object.values(campos)[0], campos });
+
+// Middleware que valida req.body e/ou req.query pelos esquemas (ver ../esquemas) e troca o
+// conteúdo deles pelos dados normalizados
+const validar = ({ body, query }) => (req, res, next) => {
+  const erros = {};
+
+  for (const [origem, esquema] of Object.entries({ body, query })) {
+    if (!esquema) continue;
+
+    const resultado = validarDados(esquema, req[origem] || {});
+    Object.assign(erros, resultado.erros);
+    req[origem] = resultado.dados;
+  }
+
+  if (Object.keys(erros).length > 0) {
+    return responderErroDeValidacao(res, erros);
+  }
+  next();
+};
+
+module.exports = {
+  validar,
+  responderErroDeValidacao
+};
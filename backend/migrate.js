@@ -0,0 +1,47 @@
+// 🗄️ Migrações do banco de dados
+//
+// Uso (na pasta backend):
+//   npm run migrate status        -> lista as migrações aplicadas e pendentes
+//   npm run migrate up [versao]   -> aplica as pendentes (opcionalmente até a versão, ex.: 003)
+//   npm run migrate down [passos] -> reverte as últimas migrações (padrão: 1)
+//
+// Usa o banco de DATA_PROVIDER; no Supabase, a conexão vem de DATABASE_URL.
+require('dotenv').config();
+const { conectarBanco } = require('./repositories');
+const { createMigrator } = require('./migrations');
+
+const executar = async ([comando = 'status', argumento]) => {
+  const db = conectarBanco();
+  const migrator = createMigrator(db);
+
+  try {
+    if (comando === 'status') {
+      const migracoes = await migrator.status();
+      for (const m of migracoes) {
+        const situacao = m.aplicada ? `✅ aplicada em ${m.aplicada_em}` : '⏳ pendente';
+        console.log(`${m.nome.padEnd(32)} ${situacao}  - ${m.descricao}`);
+      }
+      const pendentes = migracoes.filter(m => !m.aplicada).length;
+      console.log(pendentes > 0 ? `\n⚠️  ${pendentes} migração(ões) pendente(s)` : '\n✅ Banco de dados atualizado');
+    } else if (comando === 'up') {
+      const aplicadas = await migrator.up({ versao: argumento });
+      aplicadas.forEach(nome => console.log(`⬆️  ${nome}`));
+      console.log(aplicadas.length > 0 ? `✅ ${aplicadas.length} migração(ões) aplicada(s)` : '✅ Nenhuma migração pendente');
+    } else if (comando === 'down') {
+      const passos = argumento ? parseInt(argumento) : 1;
+      if (!(passos > 0)) throw new Error('Informe um número de passos válido');
+      const revertidas = await migrator.down({ passos });
+      revertidas.forEach(nome => console.log(`⬇️  ${nome}`));
+      console.log(revertidas.length > 0 ? `✅ ${revertidas.length} migração(ões) revertida(s)` : '✅ Nenhuma migração para reverter');
+    } else {
+      throw new Error(`Comando desconhecido: ${comando} (use status, up ou down)`);
+    }
+  } finally {
+    await db.fechar();
+  }
+};
+
+executar(process.argv.slice(2)).catch(error => {
+  console.error('❌ Erro nas migrações:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,119 @@
+// 001 - Estrutura inicial do CRM imobiliário (antigo crm_imobiliario_setup.sql)
+const TABELAS = ['usuarios', 'consultores', 'imobiliarias', 'clientes', 'agendamentos', 'fechamentos'];
+
+module.exports = {
+  descricao: 'Usuários, consultores, imobiliárias, clientes, agendamentos e fechamentos',
+
+  async up(db, { postgres }) {
+    await db.executarScript(`
+      CREATE TABLE IF NOT EXISTS usuarios (
+        id SERIAL PRIMARY KEY,
+        nome TEXT NOT NULL,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        senha VARCHAR(255) NOT NULL,
+        tipo VARCHAR(50) DEFAULT 'admin',
+        consultor_id INTEGER,
+        ativo BOOLEAN DEFAULT true,
+        ultimo_login TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS consultores (
+        id SERIAL PRIMARY KEY,
+        nome TEXT NOT NULL,
+        telefone TEXT,
+        email VARCHAR(255) UNIQUE,
+        senha VARCHAR(255),
+        cpf VARCHAR(14) UNIQUE,
+        pix VARCHAR(255),
+        tipo VARCHAR(50) DEFAULT 'consultor',
+        ativo BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS imobiliarias (
+        id SERIAL PRIMARY KEY,
+        nome TEXT NOT NULL,
+        endereco TEXT,
+        bairro TEXT,
+        cidade TEXT,
+        estado VARCHAR(2),
+        telefone TEXT,
+        email TEXT,
+        status TEXT DEFAULT 'ativo',
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS clientes (
+        id SERIAL PRIMARY KEY,
+        nome TEXT NOT NULL,
+        telefone TEXT,
+        cpf TEXT,
+        tipo_servico TEXT,
+        status TEXT DEFAULT 'lead',
+        observacoes TEXT,
+        consultor_id INTEGER REFERENCES consultores(id),
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS agendamentos (
+        id SERIAL PRIMARY KEY,
+        cliente_id INTEGER REFERENCES clientes(id),
+        consultor_id INTEGER REFERENCES consultores(id),
+        imobiliaria_id INTEGER REFERENCES imobiliarias(id),
+        data_agendamento DATE,
+        horario TIME,
+        status TEXT DEFAULT 'agendado',
+        lembrado BOOLEAN DEFAULT FALSE,
+        observacoes TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS fechamentos (
+        id SERIAL PRIMARY KEY,
+        cliente_id INTEGER REFERENCES clientes(id) ON DELETE CASCADE,
+        consultor_id INTEGER REFERENCES consultores(id) ON DELETE SET NULL,
+        imobiliaria_id INTEGER REFERENCES imobiliarias(id) ON DELETE SET NULL,
+        agendamento_id INTEGER REFERENCES agendamentos(id) ON DELETE SET NULL,
+        valor_fechado DECIMAL(10,2) NOT NULL,
+        data_fechamento DATE NOT NULL DEFAULT CURRENT_DATE,
+        tipo_servico TEXT,
+        forma_pagamento TEXT,
+        observacoes TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      -- Admin padrão (admin@crm.com / admin123)
+      INSERT INTO usuarios (nome, email, senha, tipo, ativo)
+      VALUES (
+        'Administrador',
+        'admin@crm.com',
+        '$2b$10$M2VO9QnwO1Ah/Mp.Mak25er4qrXE3Rpkh1rKyNMy823/a7W9LiSOS',
+        'admin',
+        true
+      ) ON CONFLICT (email) DO NOTHING;
+
+      CREATE INDEX IF NOT EXISTS idx_clientes_consultor ON clientes(consultor_id);
+      CREATE INDEX IF NOT EXISTS idx_clientes_status ON clientes(status);
+      CREATE INDEX IF NOT EXISTS idx_agendamentos_consultor ON agendamentos(consultor_id);
+      CREATE INDEX IF NOT EXISTS idx_agendamentos_data ON agendamentos(data_agendamento);
+      CREATE INDEX IF NOT EXISTS idx_agendamentos_cliente ON agendamentos(cliente_id);
+      CREATE INDEX IF NOT EXISTS idx_agendamentos_imobiliaria ON agendamentos(imobiliaria_id);
+      CREATE INDEX IF NOT EXISTS idx_fechamentos_consultor ON fechamentos(consultor_id);
+      CREATE INDEX IF NOT EXISTS idx_fechamentos_data ON fechamentos(data_fechamento);
+      CREATE INDEX IF NOT EXISTS idx_fechamentos_cliente ON fechamentos(cliente_id);
+      CREATE INDEX IF NOT EXISTS idx_fechamentos_imobiliaria ON fechamentos(imobiliaria_id);
+      CREATE INDEX IF NOT EXISTS idx_imobiliarias_estado ON imobiliarias(estado);
+      CREATE INDEX IF NOT EXISTS idx_imobiliarias_cidade ON imobiliarias(cidade);
+    `);
+
+    // RLS desabilitado para simplificar (o backend acessa com a service key)
+    if (postgres) {
+      await db.executarScript(TABELAS.map(tabela => `ALTER TABLE ${tabela} DISABLE ROW LEVEL SECURITY;`).join('\n'));
+    }
+  },
+
+  async down(db) {
+    await db.executarScript([...TABELAS].reverse().map(tabela => `DROP TABLE IF EXISTS ${tabela};`).join('\n'));
+  }
+};
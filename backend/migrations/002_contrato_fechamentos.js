@@ -0,0 +1,23 @@
+// 002 - Contrato em PDF anexado ao fechamento
+const COLUNAS = [
+  ['contrato_arquivo', 'TEXT'],
+  ['contrato_nome_original', 'TEXT'],
+  ['contrato_tamanho', 'INTEGER'],
+  ['contrato_upload_data', 'TIMESTAMP DEFAULT NOW()']
+];
+
+module.exports = {
+  descricao: 'Campos de contrato nos fechamentos',
+
+  async up(db, { adicionarColuna }) {
+    for (const [coluna, definicao] of COLUNAS) {
+      await adicionarColuna('fechamentos', coluna, definicao);
+    }
+  },
+
+  async down(db, { removerColuna }) {
+    for (const [coluna] of COLUNAS) {
+      await removerColuna('fechamentos', coluna);
+    }
+  }
+};
@@ -0,0 +1,12 @@
+// 003 - Aprovação dos fechamentos pelo admin ('pendente', 'aprovado' ou 'reprovado')
+module.exports = {
+  descricao: 'Campo de aprovação nos fechamentos',
+
+  async up(db, { adicionarColuna }) {
+    await adicionarColuna('fechamentos', 'aprovado', "TEXT DEFAULT 'pendente'");
+  },
+
+  async down(db, { removerColuna }) {
+    await removerColuna('fechamentos', 'aprovado');
+  }
+};
@@ -0,0 +1,56 @@
+// 004 - Preço por lead do Meta Ads por cidade (antigo meta_ads_pricing.sql)
+module.exports = {
+  descricao: 'Tabela de preços por lead do Meta Ads',
+
+  async up(db, { postgres }) {
+    await db.executarScript(`
+      CREATE TABLE IF NOT EXISTS meta_ads_pricing (
+        id SERIAL PRIMARY KEY,
+        cidade TEXT NOT NULL,
+        estado VARCHAR(2) NOT NULL,
+        preco_por_lead DECIMAL(10,2) NOT NULL,
+        campanha_id TEXT,
+        campanha_nome TEXT,
+        periodo_inicio DATE,
+        periodo_fim DATE,
+        status TEXT DEFAULT 'ativo',
+        observacoes TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_meta_pricing_cidade ON meta_ads_pricing(cidade);
+      CREATE INDEX IF NOT EXISTS idx_meta_pricing_estado ON meta_ads_pricing(estado);
+      CREATE INDEX IF NOT EXISTS idx_meta_pricing_status ON meta_ads_pricing(status);
+      CREATE INDEX IF NOT EXISTS idx_meta_pricing_periodo ON meta_ads_pricing(periodo_inicio, periodo_fim);
+    `);
+
+    if (postgres) {
+      // Atualizar updated_at automaticamente
+      await db.executarScript(`
+        CREATE OR REPLACE FUNCTION update_updated_at_column()
+        RETURNS TRIGGER AS $$
+        BEGIN
+          NEW.updated_at = NOW();
+          RETURN NEW;
+        END;
+        $$ language 'plpgsql';
+
+        DROP TRIGGER IF EXISTS update_meta_ads_pricing_updated_at ON meta_ads_pricing;
+        CREATE TRIGGER update_meta_ads_pricing_updated_at
+          BEFORE UPDATE ON meta_ads_pricing
+          FOR EACH ROW
+          EXECUTE FUNCTION update_updated_at_column();
+
+        ALTER TABLE meta_ads_pricing DISABLE ROW LEVEL SECURITY;
+      `);
+    }
+  },
+
+  async down(db, { postgres }) {
+    await db.executarScript('DROP TABLE IF EXISTS meta_ads_pricing;');
+    if (postgres) {
+      await db.executarScript('DROP FUNCTION IF EXISTS update_updated_at_column();');
+    }
+  }
+};
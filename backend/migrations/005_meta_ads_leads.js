@@ -0,0 +1,73 @@
+// 005 - Leads do Meta Ads vinculados aos clientes
+// (antigos meta_ads_pricing.sql, meta_ads_leads_clientes.sql e meta_ads_leads_ingestao.sql)
+module.exports = {
+  descricao: 'Tabela de leads do Meta Ads com atribuição de campanha',
+
+  async up(db, { postgres, adicionarColuna }) {
+    if (postgres) {
+      // Bancos criados antes da migração imobiliária usavam paciente_id
+      await db.executarScript(`
+        DO $$
+        BEGIN
+          IF EXISTS (
+            SELECT 1 FROM information_schema.columns
+            WHERE table_name = 'meta_ads_leads' AND column_name = 'paciente_id'
+          ) THEN
+            ALTER TABLE meta_ads_leads DROP CONSTRAINT IF EXISTS meta_ads_leads_paciente_id_fkey;
+            ALTER TABLE meta_ads_leads RENAME COLUMN paciente_id TO cliente_id;
+            ALTER TABLE meta_ads_leads
+            ADD CONSTRAINT meta_ads_leads_cliente_id_fkey
+              FOREIGN KEY (cliente_id) REFERENCES clientes(id) ON DELETE CASCADE;
+          END IF;
+        END $$;
+
+        DROP INDEX IF EXISTS idx_meta_leads_paciente;
+      `);
+    }
+
+    await db.executarScript(`
+      CREATE TABLE IF NOT EXISTS meta_ads_leads (
+        id SERIAL PRIMARY KEY,
+        cliente_id INTEGER REFERENCES clientes(id) ON DELETE CASCADE,
+        campanha_id TEXT,
+        campanha_nome TEXT,
+        adset_id TEXT,
+        adset_nome TEXT,
+        ad_id TEXT,
+        ad_nome TEXT,
+        custo_lead DECIMAL(10,2),
+        data_lead DATE,
+        cidade_lead TEXT,
+        estado_lead VARCHAR(2),
+        fonte_lead TEXT DEFAULT 'meta_ads',
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    await adicionarColuna('meta_ads_leads', 'cliente_id', 'INTEGER REFERENCES clientes(id) ON DELETE CASCADE');
+
+    // Identificação do lead no Meta (evita importar o mesmo lead duas vezes)
+    await adicionarColuna('meta_ads_leads', 'meta_lead_id', 'TEXT');
+    await adicionarColuna('meta_ads_leads', 'formulario_id', 'TEXT');
+
+    await db.executarScript(`
+      CREATE INDEX IF NOT EXISTS idx_meta_leads_cliente ON meta_ads_leads(cliente_id);
+      CREATE INDEX IF NOT EXISTS idx_meta_leads_campanha ON meta_ads_leads(campanha_id);
+      CREATE INDEX IF NOT EXISTS idx_meta_leads_data ON meta_ads_leads(data_lead);
+      CREATE INDEX IF NOT EXISTS idx_meta_leads_cidade ON meta_ads_leads(cidade_lead);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_meta_leads_meta_lead_id ON meta_ads_leads(meta_lead_id);
+      CREATE INDEX IF NOT EXISTS idx_clientes_cpf ON clientes(cpf);
+    `);
+
+    if (postgres) {
+      await db.executarScript('ALTER TABLE meta_ads_leads DISABLE ROW LEVEL SECURITY;');
+    }
+  },
+
+  async down(db) {
+    await db.executarScript(`
+      DROP INDEX IF EXISTS idx_clientes_cpf;
+      DROP TABLE IF EXISTS meta_ads_leads;
+    `);
+  }
+};
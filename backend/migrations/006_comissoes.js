@@ -0,0 +1,65 @@
+// 006 - Regras de comissão e comissão calculada por fechamento aprovado
+module.exports = {
+  descricao: 'Regras de comissão e comissões por fechamento',
+
+  async up(db, { postgres }) {
+    await db.executarScript(`
+      -- tipo: 'percentual' (% do valor_fechado), 'fixo' (valor por fechamento) ou 'faixas'
+      -- faixas: JSON [{ "ate": 300000, "percentual": 2 }, { "ate": null, "valor_fixo": 8000 }]
+      -- consultor_id/imobiliaria_id preenchidos = regra específica (sobrepõe a geral)
+      CREATE TABLE IF NOT EXISTS regras_comissao (
+        id SERIAL PRIMARY KEY,
+        nome TEXT NOT NULL,
+        tipo TEXT NOT NULL,
+        percentual DECIMAL(5,2),
+        valor_fixo DECIMAL(10,2),
+        faixas TEXT,
+        consultor_id INTEGER REFERENCES consultores(id) ON DELETE CASCADE,
+        imobiliaria_id INTEGER REFERENCES imobiliarias(id) ON DELETE CASCADE,
+        ativo BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+
+      -- Uma comissão por fechamento, com a regra e a memória de cálculo usadas
+      CREATE TABLE IF NOT EXISTS comissoes (
+        id SERIAL PRIMARY KEY,
+        fechamento_id INTEGER NOT NULL UNIQUE REFERENCES fechamentos(id) ON DELETE CASCADE,
+        consultor_id INTEGER REFERENCES consultores(id) ON DELETE SET NULL,
+        regra_id INTEGER REFERENCES regras_comissao(id) ON DELETE SET NULL,
+        regra_nome TEXT,
+        tipo TEXT,
+        valor_base DECIMAL(12,2),
+        percentual DECIMAL(5,2),
+        valor_comissao DECIMAL(10,2) NOT NULL,
+        memoria_calculo TEXT,
+        status TEXT DEFAULT 'pendente',
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_regras_comissao_consultor ON regras_comissao(consultor_id);
+      CREATE INDEX IF NOT EXISTS idx_regras_comissao_imobiliaria ON regras_comissao(imobiliaria_id);
+      CREATE INDEX IF NOT EXISTS idx_comissoes_consultor ON comissoes(consultor_id);
+      CREATE INDEX IF NOT EXISTS idx_comissoes_status ON comissoes(status);
+
+      -- Regra geral equivalente ao valor fixo usado até agora no dashboard
+      INSERT INTO regras_comissao (nome, tipo, valor_fixo)
+      VALUES ('Padrão - R$ 5.000 por fechamento', 'fixo', 5000);
+    `);
+
+    if (postgres) {
+      await db.executarScript(`
+        ALTER TABLE regras_comissao DISABLE ROW LEVEL SECURITY;
+        ALTER TABLE comissoes DISABLE ROW LEVEL SECURITY;
+      `);
+    }
+  },
+
+  async down(db) {
+    await db.executarScript(`
+      DROP TABLE IF EXISTS comissoes;
+      DROP TABLE IF EXISTS regras_comissao;
+    `);
+  }
+};
@@ -0,0 +1,60 @@
+// 007 - Lotes de pagamento (PIX) e situação de cada comissão: a_pagar, pago ou estornado
+const COLUNAS = [
+  ['lote_id', 'INTEGER'],
+  ['pago_em', 'TIMESTAMP'],
+  ['estornado_em', 'TIMESTAMP'],
+  ['motivo_estorno', 'TEXT']
+];
+
+module.exports = {
+  descricao: 'Lotes de pagamento e extrato das comissões',
+
+  async up(db, { postgres, adicionarColuna }) {
+    await db.executarScript(`
+      -- status: 'aberto' (montado, ainda não pago), 'pago'
+      CREATE TABLE IF NOT EXISTS lotes_pagamento (
+        id SERIAL PRIMARY KEY,
+        descricao TEXT,
+        periodo_inicio DATE NOT NULL,
+        periodo_fim DATE NOT NULL,
+        status TEXT DEFAULT 'aberto',
+        pago_em TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    for (const [coluna, definicao] of COLUNAS) {
+      await adicionarColuna('comissoes', coluna, definicao);
+    }
+
+    await db.executarScript(`
+      CREATE INDEX IF NOT EXISTS idx_comissoes_lote ON comissoes(lote_id);
+      UPDATE comissoes SET status = 'a_pagar' WHERE status = 'pendente';
+    `);
+
+    if (postgres) {
+      await db.executarScript(`
+        ALTER TABLE comissoes ALTER COLUMN status SET DEFAULT 'a_pagar';
+        ALTER TABLE lotes_pagamento DISABLE ROW LEVEL SECURITY;
+      `);
+    }
+  },
+
+  async down(db, { postgres, removerColuna }) {
+    await db.executarScript(`
+      DROP INDEX IF EXISTS idx_comissoes_lote;
+      UPDATE comissoes SET status = 'pendente' WHERE status = 'a_pagar';
+    `);
+
+    if (postgres) {
+      await db.executarScript("ALTER TABLE comissoes ALTER COLUMN status SET DEFAULT 'pendente';");
+    }
+
+    for (const [coluna] of [...COLUNAS].reverse()) {
+      await removerColuna('comissoes', coluna);
+    }
+
+    await db.executarScript('DROP TABLE IF EXISTS lotes_pagamento;');
+  }
+};
@@ -0,0 +1,35 @@
+// 008 - Histórico de alterações (quem criou, alterou ou removeu cada registro)
+module.exports = {
+  descricao: 'Tabela audit_log',
+
+  async up(db, { postgres }) {
+    await db.executarScript(`
+      -- acao: 'criar', 'atualizar' ou 'remover'
+      -- antes/depois: JSON; na atualização só com os campos alterados
+      -- usuario_*: quem fez (admin ou consultor); vazio em cadastros públicos
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id SERIAL PRIMARY KEY,
+        entidade TEXT NOT NULL,
+        entidade_id INTEGER NOT NULL,
+        acao TEXT NOT NULL,
+        antes TEXT,
+        depois TEXT,
+        usuario_id INTEGER,
+        usuario_tipo TEXT,
+        usuario_nome TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_audit_log_entidade ON audit_log(entidade, entidade_id);
+      CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
+    `);
+
+    if (postgres) {
+      await db.executarScript('ALTER TABLE audit_log DISABLE ROW LEVEL SECURITY;');
+    }
+  },
+
+  async down(db) {
+    await db.executarScript('DROP TABLE IF EXISTS audit_log;');
+  }
+};
@@ -0,0 +1,22 @@
+// 009 - Preferências do formulário público de captura (empreendimento e melhores dias para a visita)
+const COLUNAS = [
+  ['imobiliaria_preferida', 'TEXT'],
+  ['melhor_dia1', 'TIMESTAMP'],
+  ['melhor_dia2', 'TIMESTAMP']
+];
+
+module.exports = {
+  descricao: 'Preferências de visita nos clientes',
+
+  async up(db, { adicionarColuna }) {
+    for (const [coluna, definicao] of COLUNAS) {
+      await adicionarColuna('clientes', coluna, definicao);
+    }
+  },
+
+  async down(db, { removerColuna }) {
+    for (const [coluna] of COLUNAS) {
+      await removerColuna('clientes', coluna);
+    }
+  }
+};
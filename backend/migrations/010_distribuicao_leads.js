@@ -0,0 +1,61 @@
+// 010 - Distribuição automática de leads: regras de território, rodízio ponderado e registro de cada distribuição
+module.exports = {
+  descricao: 'Regras e registro da distribuição de leads',
+
+  async up(db, { postgres, adicionarColuna }) {
+    // Peso do corretor no rodízio (2 recebe o dobro de quem tem 1; 0 não recebe leads)
+    await adicionarColuna('consultores', 'capacidade_leads', 'INTEGER DEFAULT 1');
+
+    await db.executarScript(`
+      -- estado/cidade/imobiliaria_id preenchidos = regra de território (vale para leads daquele lugar/empreendimento)
+      -- consultores: JSON com os ids do rodízio; vazio = todos os corretores ativos
+      -- posicao: próxima vez no rodízio
+      CREATE TABLE IF NOT EXISTS regras_distribuicao (
+        id SERIAL PRIMARY KEY,
+        nome TEXT NOT NULL,
+        estado VARCHAR(2),
+        cidade TEXT,
+        imobiliaria_id INTEGER REFERENCES imobiliarias(id) ON DELETE CASCADE,
+        consultores TEXT,
+        posicao INTEGER DEFAULT 0,
+        ativo BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+
+      -- Para quem cada lead foi e por quê (consultor_id vazio = ficou em "Novos Leads")
+      -- origem: 'cadastro_publico', 'cadastro_interno', 'importacao', 'meta_ads' ou 'manual'
+      CREATE TABLE IF NOT EXISTS distribuicoes_lead (
+        id SERIAL PRIMARY KEY,
+        cliente_id INTEGER REFERENCES clientes(id) ON DELETE CASCADE,
+        consultor_id INTEGER REFERENCES consultores(id) ON DELETE SET NULL,
+        regra_id INTEGER REFERENCES regras_distribuicao(id) ON DELETE SET NULL,
+        regra_nome TEXT,
+        origem TEXT,
+        motivo TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_distribuicoes_lead_cliente ON distribuicoes_lead(cliente_id);
+      CREATE INDEX IF NOT EXISTS idx_distribuicoes_lead_consultor ON distribuicoes_lead(consultor_id);
+
+      -- Regra geral: rodízio entre todos os corretores ativos
+      INSERT INTO regras_distribuicao (nome) VALUES ('Rodízio geral - todos os corretores ativos');
+    `);
+
+    if (postgres) {
+      await db.executarScript(`
+        ALTER TABLE regras_distribuicao DISABLE ROW LEVEL SECURITY;
+        ALTER TABLE distribuicoes_lead DISABLE ROW LEVEL SECURITY;
+      `);
+    }
+  },
+
+  async down(db, { removerColuna }) {
+    await db.executarScript(`
+      DROP TABLE IF EXISTS distribuicoes_lead;
+      DROP TABLE IF EXISTS regras_distribuicao;
+    `);
+    await removerColuna('consultores', 'capacidade_leads');
+  }
+};
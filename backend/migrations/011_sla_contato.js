@@ -0,0 +1,72 @@
+// 011 - Prazo de primeiro contato dos leads: contatos registrados, prazos vencidos e avisos aos corretores
+module.exports = {
+  descricao: 'Prazo de primeiro contato dos leads (SLA) e notificações',
+
+  async up(db, { postgres, adicionarColuna }) {
+    // atribuido_em/prazo_contato: quando o corretor recebeu o lead e até quando deve contatá-lo
+    await adicionarColuna('clientes', 'atribuido_em', 'TIMESTAMP');
+    await adicionarColuna('clientes', 'prazo_contato', 'TIMESTAMP');
+    await adicionarColuna('clientes', 'primeiro_contato_em', 'TIMESTAMP');
+
+    await db.executarScript(`
+      -- Contatos feitos com o cliente (tipo: 'ligacao', 'whatsapp', 'email', 'visita' ou 'outro')
+      CREATE TABLE IF NOT EXISTS contatos_cliente (
+        id SERIAL PRIMARY KEY,
+        cliente_id INTEGER REFERENCES clientes(id) ON DELETE CASCADE,
+        consultor_id INTEGER REFERENCES consultores(id) ON DELETE SET NULL,
+        usuario_nome TEXT,
+        tipo TEXT NOT NULL,
+        observacao TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      -- Leads tirados do corretor por falta de contato no prazo (novo_consultor_id vazio = voltou para "Novos Leads")
+      CREATE TABLE IF NOT EXISTS violacoes_sla (
+        id SERIAL PRIMARY KEY,
+        cliente_id INTEGER REFERENCES clientes(id) ON DELETE CASCADE,
+        consultor_id INTEGER REFERENCES consultores(id) ON DELETE SET NULL,
+        atribuido_em TIMESTAMP,
+        prazo_contato TIMESTAMP,
+        novo_consultor_id INTEGER REFERENCES consultores(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      -- Avisos para o corretor (lida = já visto)
+      CREATE TABLE IF NOT EXISTS notificacoes (
+        id SERIAL PRIMARY KEY,
+        consultor_id INTEGER REFERENCES consultores(id) ON DELETE CASCADE,
+        tipo TEXT NOT NULL,
+        titulo TEXT NOT NULL,
+        mensagem TEXT,
+        cliente_id INTEGER REFERENCES clientes(id) ON DELETE SET NULL,
+        lida BOOLEAN DEFAULT false,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_contatos_cliente_cliente ON contatos_cliente(cliente_id);
+      CREATE INDEX IF NOT EXISTS idx_violacoes_sla_consultor ON violacoes_sla(consultor_id);
+      CREATE INDEX IF NOT EXISTS idx_notificacoes_consultor ON notificacoes(consultor_id);
+      CREATE INDEX IF NOT EXISTS idx_clientes_prazo_contato ON clientes(prazo_contato);
+    `);
+
+    if (postgres) {
+      await db.executarScript(`
+        ALTER TABLE contatos_cliente DISABLE ROW LEVEL SECURITY;
+        ALTER TABLE violacoes_sla DISABLE ROW LEVEL SECURITY;
+        ALTER TABLE notificacoes DISABLE ROW LEVEL SECURITY;
+      `);
+    }
+  },
+
+  async down(db, { removerColuna }) {
+    await db.executarScript(`
+      DROP INDEX IF EXISTS idx_clientes_prazo_contato;
+      DROP TABLE IF EXISTS notificacoes;
+      DROP TABLE IF EXISTS violacoes_sla;
+      DROP TABLE IF EXISTS contatos_cliente;
+    `);
+    await removerColuna('clientes', 'primeiro_contato_em');
+    await removerColuna('clientes', 'prazo_contato');
+    await removerColuna('clientes', 'atribuido_em');
+  }
+};
@@ -0,0 +1,37 @@
+// 012 - Registro das mesclagens de clientes duplicados
+module.exports = {
+  descricao: 'Registro de mesclagem de clientes duplicados',
+
+  async up(db, { postgres }) {
+    await db.executarScript(`
+      -- cliente_id: cadastro que ficou; mesclado_id/mesclado_dados: cadastro removido e como ele estava
+      -- vinculos: JSON com quantos registros de cada tabela passaram para o cliente que ficou
+      CREATE TABLE IF NOT EXISTS mesclagens_cliente (
+        id SERIAL PRIMARY KEY,
+        cliente_id INTEGER REFERENCES clientes(id) ON DELETE SET NULL,
+        mesclado_id INTEGER,
+        mesclado_dados TEXT,
+        vinculos TEXT,
+        usuario_id INTEGER,
+        usuario_nome TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_mesclagens_cliente_cliente ON mesclagens_cliente(cliente_id);
+      CREATE INDEX IF NOT EXISTS idx_clientes_telefone ON clientes(telefone);
+    `);
+
+    if (postgres) {
+      await db.executarScript(`
+        ALTER TABLE mesclagens_cliente DISABLE ROW LEVEL SECURITY;
+      `);
+    }
+  },
+
+  async down(db) {
+    await db.executarScript(`
+      DROP INDEX IF EXISTS idx_clientes_telefone;
+      DROP TABLE IF EXISTS mesclagens_cliente;
+    `);
+  }
+};
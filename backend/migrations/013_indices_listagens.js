@@ -0,0 +1,22 @@
+// 013 - Índices das ordenações e filtros usados nas listagens paginadas
+module.exports = {
+  descricao: 'Índices das listagens paginadas',
+
+  async up(db) {
+    await db.executarScript(`
+      CREATE INDEX IF NOT EXISTS idx_clientes_created_at ON clientes(created_at);
+      CREATE INDEX IF NOT EXISTS idx_agendamentos_status ON agendamentos(status);
+      CREATE INDEX IF NOT EXISTS idx_fechamentos_aprovado ON fechamentos(aprovado);
+      CREATE INDEX IF NOT EXISTS idx_imobiliarias_nome ON imobiliarias(nome);
+    `);
+  },
+
+  async down(db) {
+    await db.executarScript(`
+      DROP INDEX IF EXISTS idx_imobiliarias_nome;
+      DROP INDEX IF EXISTS idx_fechamentos_aprovado;
+      DROP INDEX IF EXISTS idx_agendamentos_status;
+      DROP INDEX IF EXISTS idx_clientes_created_at;
+    `);
+  }
+};
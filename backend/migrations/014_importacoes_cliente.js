@@ -0,0 +1,40 @@
+// 014 - Registro das importações de clientes por planilha (CSV/XLSX)
+module.exports = {
+  descricao: 'Registro das importações de clientes por planilha',
+
+  async up(db, { postgres }) {
+    await db.executarScript(`
+      -- colunas: JSON com o cabeçalho da planilha; mapeamento: JSON { campo do cliente: coluna }
+      -- rejeicoes: JSON [{ "linha": 3, "valores": { coluna: valor }, "motivos": ["CPF inválido!"] }]
+      CREATE TABLE IF NOT EXISTS importacoes_cliente (
+        id SERIAL PRIMARY KEY,
+        arquivo_nome TEXT,
+        total_linhas INTEGER DEFAULT 0,
+        importadas INTEGER DEFAULT 0,
+        rejeitadas INTEGER DEFAULT 0,
+        consultor_id INTEGER REFERENCES consultores(id) ON DELETE SET NULL,
+        imobiliaria_id INTEGER REFERENCES imobiliarias(id) ON DELETE SET NULL,
+        colunas TEXT,
+        mapeamento TEXT,
+        rejeicoes TEXT,
+        usuario_id INTEGER,
+        usuario_nome TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_importacoes_cliente_created_at ON importacoes_cliente(created_at);
+    `);
+
+    if (postgres) {
+      await db.executarScript(`
+        ALTER TABLE importacoes_cliente DISABLE ROW LEVEL SECURITY;
+      `);
+    }
+  },
+
+  async down(db) {
+    await db.executarScript(`
+      DROP TABLE IF EXISTS importacoes_cliente;
+    `);
+  }
+};
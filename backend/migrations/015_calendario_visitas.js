@@ -0,0 +1,21 @@
+// 015 - Agenda de visitas em iCalendar: link secreto de assinatura do corretor e versão do convite
+module.exports = {
+  descricao: 'Link da agenda (.ics) dos corretores e sequência dos convites de visita',
+
+  async up(db, { adicionarColuna }) {
+    // token_calendario: segredo do link de assinatura da agenda (vazio = ainda não gerado)
+    await adicionarColuna('consultores', 'token_calendario', 'TEXT');
+    // sequencia_convite: aumenta a cada remarcação ou troca de status, para o calendário substituir o evento
+    await adicionarColuna('agendamentos', 'sequencia_convite', 'INTEGER DEFAULT 0');
+
+    await db.executarScript(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_consultores_token_calendario ON consultores(token_calendario);
+    `);
+  },
+
+  async down(db, { removerColuna }) {
+    await db.executarScript('DROP INDEX IF EXISTS idx_consultores_token_calendario;');
+    await removerColuna('agendamentos', 'sequencia_convite');
+    await removerColuna('consultores', 'token_calendario');
+  }
+};
@@ -0,0 +1,20 @@
+// 016 - Horários de visita e capacidade dos empreendimentos (evita visitas encavaladas)
+module.exports = {
+  descricao: 'Horários de visita, duração e capacidade de visitas por empreendimento',
+
+  async up(db, { adicionarColuna }) {
+    // horarios_visita: JSON [{ "dia_semana": 1, "abertura": "09:00", "fechamento": "18:00" }] (0 = domingo);
+    // vazio = recebe visitas em qualquer dia e horário
+    await adicionarColuna('imobiliarias', 'horarios_visita', 'TEXT');
+    // duracao_visita: minutos de cada visita (tamanho dos horários oferecidos)
+    await adicionarColuna('imobiliarias', 'duracao_visita', 'INTEGER DEFAULT 60');
+    // capacidade_visitas: visitas ao mesmo tempo no stand (vazio = sem limite)
+    await adicionarColuna('imobiliarias', 'capacidade_visitas', 'INTEGER');
+  },
+
+  async down(db, { removerColuna }) {
+    await removerColuna('imobiliarias', 'capacidade_visitas');
+    await removerColuna('imobiliarias', 'duracao_visita');
+    await removerColuna('imobiliarias', 'horarios_visita');
+  }
+};
@@ -0,0 +1,18 @@
+// 017 - Autoagendamento: link secreto com que o lead do cadastro público marca, remarca e cancela a visita
+module.exports = {
+  descricao: 'Link de autoagendamento de visita dos leads do cadastro público',
+
+  async up(db, { adicionarColuna }) {
+    // token_visita: segredo do link enviado ao lead no cadastro (vazio = cliente cadastrado pela equipe)
+    await adicionarColuna('clientes', 'token_visita', 'TEXT');
+
+    await db.executarScript(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_clientes_token_visita ON clientes(token_visita);
+    `);
+  },
+
+  async down(db, { removerColuna }) {
+    await db.executarScript('DROP INDEX IF EXISTS idx_clientes_token_visita;');
+    await removerColuna('clientes', 'token_visita');
+  }
+};
@@ -0,0 +1,53 @@
+// 018 - Lembretes automáticos de visita (WhatsApp, SMS, email) com status de entrega e resposta do cliente
+module.exports = {
+  descricao: 'Lembretes automáticos de visita, email do cliente e confirmação da visita',
+
+  async up(db, { postgres, adicionarColuna }) {
+    // email: destino dos lembretes pelo canal de email
+    await adicionarColuna('clientes', 'email', 'TEXT');
+    // confirmado_em: cliente confirmou a visita respondendo ao lembrete
+    await adicionarColuna('agendamentos', 'confirmado_em', 'TIMESTAMP');
+
+    await db.executarScript(`
+      -- Um registro por tentativa de envio. canal: 'whatsapp', 'sms', 'email' ou 'console';
+      -- status: 'enviado', 'entregue', 'lido' ou 'falhou'; resposta: 'confirmou' ou 'cancelou';
+      -- horario_visita: data e horário da visita quando o lembrete saiu ('2024-06-10 14:30'),
+      -- para a visita remarcada receber os lembretes de novo
+      CREATE TABLE IF NOT EXISTS lembretes_visita (
+        id SERIAL PRIMARY KEY,
+        agendamento_id INTEGER REFERENCES agendamentos(id) ON DELETE CASCADE,
+        cliente_id INTEGER REFERENCES clientes(id) ON DELETE SET NULL,
+        canal TEXT NOT NULL,
+        destino TEXT,
+        antecedencia_minutos INTEGER,
+        horario_visita TEXT,
+        mensagem TEXT,
+        status TEXT DEFAULT 'enviado',
+        id_externo TEXT,
+        erro TEXT,
+        resposta TEXT,
+        respondido_em TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_lembretes_visita_agendamento ON lembretes_visita(agendamento_id);
+      CREATE INDEX IF NOT EXISTS idx_lembretes_visita_id_externo ON lembretes_visita(id_externo);
+      CREATE INDEX IF NOT EXISTS idx_lembretes_visita_destino ON lembretes_visita(destino);
+    `);
+
+    if (postgres) {
+      await db.executarScript(`
+        ALTER TABLE lembretes_visita DISABLE ROW LEVEL SECURITY;
+      `);
+    }
+  },
+
+  async down(db, { removerColuna }) {
+    await db.executarScript(`
+      DROP TABLE IF EXISTS lembretes_visita;
+    `);
+    await removerColuna('agendamentos', 'confirmado_em');
+    await removerColuna('clientes', 'email');
+  }
+};
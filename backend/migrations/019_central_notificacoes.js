@@ -0,0 +1,21 @@
+// 019 - Central de notificações: avisos também para os admins e link do registro de cada aviso
+module.exports = {
+  descricao: 'Notificações para admins e link do registro na central de notificações',
+
+  async up(db, { adicionarColuna }) {
+    // usuario_id: admin que recebe o aviso (os corretores continuam em consultor_id)
+    await adicionarColuna('notificacoes', 'usuario_id', 'INTEGER REFERENCES usuarios(id) ON DELETE CASCADE');
+    // link: tela aberta ao clicar no aviso (ex.: /agendamentos?agendamento=12)
+    await adicionarColuna('notificacoes', 'link', 'TEXT');
+
+    await db.executarScript(`
+      CREATE INDEX IF NOT EXISTS idx_notificacoes_usuario ON notificacoes(usuario_id);
+    `);
+  },
+
+  async down(db, { removerColuna }) {
+    await db.executarScript('DROP INDEX IF EXISTS idx_notificacoes_usuario;');
+    await removerColuna('notificacoes', 'link');
+    await removerColuna('notificacoes', 'usuario_id');
+  }
+};
@@ -0,0 +1,14 @@
+// 020 - Contador das visitas marcadas pelo link de autoagendamento (trava contra envio duplicado)
+module.exports = {
+  descricao: 'Contador de visitas marcadas pelo lead no link de autoagendamento',
+
+  async up(db, { adicionarColuna }) {
+    // visitas_pelo_link: sobe a cada visita que o lead marca pelo link, com o valor lido na condição
+    // do UPDATE; dois envios ao mesmo tempo leem o mesmo valor e só um deles consegue marcar
+    await adicionarColuna('clientes', 'visitas_pelo_link', 'INTEGER DEFAULT 0');
+  },
+
+  async down(db, { removerColuna }) {
+    await removerColuna('clientes', 'visitas_pelo_link');
+  }
+};
@@ -0,0 +1,68 @@
+// 021 - Nova comissão a pagar quando um fechamento é aprovado de novo depois do estorno
+// (a estornada continua no extrato): no máximo uma comissão não estornada por fechamento
+const COLUNAS = `
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  fechamento_id INTEGER NOT NULL {UNICO} REFERENCES fechamentos(id) ON DELETE CASCADE,
+  consultor_id INTEGER REFERENCES consultores(id) ON DELETE SET NULL,
+  regra_id INTEGER REFERENCES regras_comissao(id) ON DELETE SET NULL,
+  regra_nome TEXT,
+  tipo TEXT,
+  valor_base DECIMAL(12,2),
+  percentual DECIMAL(5,2),
+  valor_comissao DECIMAL(10,2) NOT NULL,
+  memoria_calculo TEXT,
+  status TEXT DEFAULT 'a_pagar',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  lote_id INTEGER,
+  pago_em TIMESTAMP,
+  estornado_em TIMESTAMP,
+  motivo_estorno TEXT
+`;
+
+const NOMES = 'id, fechamento_id, consultor_id, regra_id, regra_nome, tipo, valor_base, percentual, valor_comissao, ' +
+  'memoria_calculo, status, created_at, updated_at, lote_id, pago_em, estornado_em, motivo_estorno';
+
+// O SQLite não remove o UNIQUE de uma coluna: a tabela é recriada com os mesmos dados e índices
+const recriarNoSqlite = (db, unico) => db.executarScript(`
+  CREATE TABLE comissoes_nova (${COLUNAS.replace('{UNICO}', unico ? 'UNIQUE' : '')});
+  INSERT INTO comissoes_nova (${NOMES}) SELECT ${NOMES} FROM comissoes;
+  DROP TABLE comissoes;
+  ALTER TABLE comissoes_nova RENAME TO comissoes;
+  CREATE INDEX IF NOT EXISTS idx_comissoes_consultor ON comissoes(consultor_id);
+  CREATE INDEX IF NOT EXISTS idx_comissoes_status ON comissoes(status);
+  CREATE INDEX IF NOT EXISTS idx_comissoes_lote ON comissoes(lote_id);
+`);
+
+module.exports = {
+  descricao: 'Comissão nova para fechamento aprovado de novo depois do estorno',
+
+  async up(db, { postgres }) {
+    if (postgres) {
+      await db.executarScript('ALTER TABLE comissoes DROP CONSTRAINT IF EXISTS comissoes_fechamento_id_key;');
+    } else {
+      await recriarNoSqlite(db, false);
+    }
+
+    await db.executarScript(`
+      CREATE INDEX IF NOT EXISTS idx_comissoes_fechamento ON comissoes(fechamento_id);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_comissoes_fechamento_vigente ON comissoes(fechamento_id) WHERE status <> 'estornado';
+    `);
+  },
+
+  // Volta a uma comissão por fechamento: as estornadas substituídas por uma nova são removidas
+  async down(db, { postgres }) {
+    await db.executarScript(`
+      DROP INDEX IF EXISTS idx_comissoes_fechamento_vigente;
+      DROP INDEX IF EXISTS idx_comissoes_fechamento;
+      DELETE FROM comissoes WHERE status = 'estornado'
+        AND EXISTS (SELECT 1 FROM comissoes nova WHERE nova.fechamento_id = comissoes.fechamento_id AND nova.id > comissoes.id);
+    `);
+
+    if (postgres) {
+      await db.executarScript('ALTER TABLE comissoes ADD CONSTRAINT comissoes_fechamento_id_key UNIQUE (fechamento_id);');
+    } else {
+      await recriarNoSqlite(db, true);
+    }
+  }
+};
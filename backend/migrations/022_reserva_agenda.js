@@ -0,0 +1,16 @@
+// 022 - Reserva da agenda do corretor e do empreendimento enquanto uma visita é conferida e gravada
+module.exports = {
+  descricao: 'Reserva da agenda de corretores e empreendimentos ao marcar visitas',
+
+  async up(db, { adicionarColuna }) {
+    // agenda_reservada_ate: gravada com UPDATE condicional (só sem reserva em vigor) antes de conferir
+    // o horário e limpa depois de gravar a visita; dois pedidos ao mesmo tempo conferem um depois do outro
+    await adicionarColuna('consultores', 'agenda_reservada_ate', 'TIMESTAMP');
+    await adicionarColuna('imobiliarias', 'agenda_reservada_ate', 'TIMESTAMP');
+  },
+
+  async down(db, { removerColuna }) {
+    await removerColuna('imobiliarias', 'agenda_reservada_ate');
+    await removerColuna('consultores', 'agenda_reservada_ate');
+  }
+};
@@ -0,0 +1,121 @@
+// 🗄️ Executor de migrações versionadas
+//
+// Cada migração é um arquivo NNN_nome.js nesta pasta exportando { descricao, up, down }.
+// up/down recebem a conexão (executar, executarScript, dialeto) e os auxiliares abaixo.
+// As versões aplicadas ficam registradas na tabela schema_migrations.
+const fs = require('fs');
+const path = require('path');
+
+const PADRAO_ARQUIVO = /^(\d{3})_[a-z0-9_]+\.js$/;
+
+const carregarMigracoes = () => fs.readdirSync(__dirname)
+  .filter(arquivo => PADRAO_ARQUIVO.test(arquivo))
+  .sort()
+  .map(arquivo => {
+    const migracao = require(path.join(__dirname, arquivo));
+    return {
+      versao: arquivo.match(PADRAO_ARQUIVO)[1],
+      nome: path.basename(arquivo, '.js'),
+      descricao: migracao.descricao,
+      up: migracao.up,
+      down: migracao.down
+    };
+  });
+
+// Auxiliares para escrever a mesma migração no Postgres e no SQLite
+const criarAuxiliares = (db) => {
+  const colunaExiste = async (tabela, coluna) => {
+    const linhas = db.dialeto === 'sqlite'
+      ? await db.executar('SELECT name FROM pragma_table_info(?) WHERE name = ?', [tabela, coluna])
+      : await db.executar(
+        'SELECT column_name FROM information_schema.columns WHERE table_name = ? AND column_name = ?',
+        [tabela, coluna]
+      );
+    return linhas.length > 0;
+  };
+
+  return {
+    postgres: db.dialeto === 'postgres',
+    colunaExiste,
+
+    async adicionarColuna(tabela, coluna, definicao) {
+      if (await colunaExiste(tabela, coluna)) return;
+      await db.executarScript(`ALTER TABLE ${tabela} ADD COLUMN ${coluna} ${definicao}`);
+    },
+
+    async removerColuna(tabela, coluna) {
+      if (!(await colunaExiste(tabela, coluna))) return;
+      await db.executarScript(`ALTER TABLE ${tabela} DROP COLUMN ${coluna}`);
+    }
+  };
+};
+
+const createMigrator = (db, { migracoes = carregarMigracoes() } = {}) => {
+  const prepararTabela = () => db.executarScript(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      versao VARCHAR(3) PRIMARY KEY,
+      nome TEXT NOT NULL,
+      aplicada_em TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  const aplicadas = async () => {
+    await prepararTabela();
+    const linhas = await db.executar('SELECT versao, aplicada_em FROM schema_migrations ORDER BY versao');
+    return new Map(linhas.map(linha => [linha.versao, linha.aplicada_em]));
+  };
+
+  // Todas as migrações conhecidas, com a data em que foram aplicadas (ou null)
+  const status = async () => {
+    const registro = await aplicadas();
+    return migracoes.map(({ versao, nome, descricao }) => ({
+      versao,
+      nome,
+      descricao,
+      aplicada: registro.has(versao),
+      aplicada_em: registro.get(versao) || null
+    }));
+  };
+
+  const pendentes = async () => {
+    const registro = await aplicadas();
+    return migracoes.filter(m => !registro.has(m.versao));
+  };
+
+  // Aplicar as pendentes em ordem (até `versao`, se informada), cada uma na sua transação
+  const up = async ({ versao } = {}) => {
+    const executadas = [];
+    for (const migracao of await pendentes()) {
+      if (versao && migracao.versao > versao) break;
+      await db.transacao(async (tx) => {
+        await migracao.up(tx, criarAuxiliares(tx));
+        await tx.executar('INSERT INTO schema_migrations (versao, nome) VALUES (?, ?)', [migracao.versao, migracao.nome]);
+      });
+      executadas.push(migracao.nome);
+    }
+    return executadas;
+  };
+
+  // Reverter as últimas `passos` migrações aplicadas
+  const down = async ({ passos = 1 } = {}) => {
+    const registro = await aplicadas();
+    const revertidas = [];
+    const alvo = migracoes.filter(m => registro.has(m.versao)).reverse().slice(0, passos);
+
+    for (const migracao of alvo) {
+      await db.transacao(async (tx) => {
+        await migracao.down(tx, criarAuxiliares(tx));
+        await tx.executar('DELETE FROM schema_migrations WHERE versao = ?', [migracao.versao]);
+      });
+      revertidas.push(migracao.nome);
+    }
+    return revertidas;
+  };
+
+  return { status, pendentes, up, down };
+};
+
+module.exports = {
+  carregarMigracoes,
+  createMigrator
+};
@@ -0,0 +1,63 @@
+// Central de notificações: grava o aviso e entrega na hora a quem está com o sistema aberto (SSE)
+const { EventEmitter } = require('events');
+
+// Conexões abertas deste processo; no Vercel (sem conexão longa) o navegador volta a consultar a lista
+const conexoes = new EventEmitter();
+conexoes.setMaxListeners(0);
+
+// Corretor recebe pelo consultor_id; admin, pelo usuario_id
+const destinatarioDoUsuario = (usuario) => usuario.tipo === 'consultor'
+  ? { consultorId: usuario.consultor_id }
+  : { usuarioId: usuario.id };
+
+const chaveDoDestinatario = ({ consultorId, usuarioId }) => consultorId ? `consultor:${consultorId}` : `usuario:${usuarioId}`;
+
+/**
+ * Gravar o aviso e entregá-lo às conexões abertas do destinatário. dados: consultor_id (corretor) ou
+ * usuario_id (admin), tipo, titulo, mensagem e, opcionais, cliente_id e link (tela aberta ao clicar).
+ * Falha ao avisar só vai para o log: não desfaz a ação que gerou o aviso.
+ */
+const notificar = async (repositories, dados) => {
+  try {
+    const notificacao = await repositories.notificacoes.criar({ cliente_id: null, link: null, ...dados });
+    conexoes.emit(chaveDoDestinatario({ consultorId: notificacao.consultor_id, usuarioId: notificacao.usuario_id }), notificacao);
+    return notificacao;
+  } catch (error) {
+    console.error('Erro ao gravar notificação:', dados.tipo, error.message);
+    return null;
+  }
+};
+
+// Mesmo aviso para cada admin ativo, menos o próprio admin que fez a ação (exceto: usuário logado)
+const notificarAdmins = async (repositories, dados, { exceto = null } = {}) => {
+  const autorId = exceto?.tipo === 'admin' ? exceto.id : null;
+
+  let admins;
+  try {
+    admins = await repositories.usuarios.listarAdminsAtivos();
+  } catch (error) {
+    console.error('Erro ao buscar admins para notificar:', dados.tipo, error.message);
+    return [];
+  }
+
+  const notificacoes = [];
+  for (const admin of admins) {
+    if (admin.id === autorId) continue;
+    notificacoes.push(await notificar(repositories, { ...dados, usuario_id: admin.id }));
+  }
+  return notificacoes;
+};
+
+// Acompanhar os avisos novos do destinatário; devolve a função que encerra o acompanhamento
+const acompanharNotificacoes = (destinatario, ouvinte) => {
+  const chave = chaveDoDestinatario(destinatario);
+  conexoes.on(chave, ouvinte);
+  return () => conexoes.off(chave, ouvinte);
+};
+
+module.exports = {
+  destinatarioDoUsuario,
+  notificar,
+  notificarAdmins,
+  acompanharNotificacoes
+};
@@ -0,0 +1,130 @@
+// Pagamento de comissões: lotes por período (PIX para cada consultor) e extrato do consultor
+const { gerarCsv } = require('./exportacao');
+
+const STATUS_COMISSAO = ['a_pagar', 'pago', 'estornado'];
+
+const arredondar = (valor) => Math.round(valor * 100) / 100;
+
+const somar = (comissoes) => arredondar(
+  comissoes.reduce((acc, c) => acc + parseFloat(c.valor_comissao || 0), 0)
+);
+
+// Totais por status (a pagar, pago, estornado)
+const resumirComissoes = (comissoes) => Object.fromEntries(
+  STATUS_COMISSAO.map(status => [status, somar(comissoes.filter(c => c.status === status))])
+);
+
+/**
+ * Linhas do lote por consultor, com a chave PIX de cada um. Comissões estornadas
+ * ficam de fora do valor a transferir.
+ */
+const linhasDoLote = (comissoes, consultores) => {
+  const consultoresPorId = new Map(consultores.map(c => [c.id, c]));
+  const porConsultor = new Map();
+
+  for (const comissao of comissoes.filter(c => c.status !== 'estornado')) {
+    const lista = porConsultor.get(comissao.consultor_id) || [];
+    lista.push(comissao);
+    porConsultor.set(comissao.consultor_id, lista);
+  }
+
+  return [...porConsultor.entries()]
+    .map(([consultorId, lista]) => {
+      const consultor = consultoresPorId.get(consultorId) || {};
+      return {
+        consultor_id: consultorId,
+        nome: consultor.nome || 'Consultor removido',
+        cpf: consultor.cpf || null,
+        email: consultor.email || null,
+        pix: consultor.pix || null,
+        quantidade: lista.length,
+        total: somar(lista)
+      };
+    })
+    .sort((a, b) => a.nome.localeCompare(b.nome));
+};
+
+// CSV do lote (separador ";" e vírgula decimal, para abrir direto no Excel), com o mesmo escape
+// de fórmulas das exportações
+const gerarCsvLote = (linhas) => gerarCsv([
+  ['Consultor', 'CPF', 'Email', 'Chave PIX', 'Comissões', 'Valor (R$)'],
+  ...linhas.map(l => [l.nome, l.cpf, l.email, l.pix, l.quantidade, l.total.toFixed(2).replace('.', ',')])
+]);
+
+/**
+ * Montar um lote com as comissões a pagar (fora de outro lote) dos fechamentos do período.
+ * Devolve null se não houver comissões para pagar.
+ */
+const montarLote = async (repositories, { periodo_inicio, periodo_fim, descricao }) => {
+  const [comissoes, fechamentos] = await Promise.all([
+    repositories.comissoes.listarDetalhadas({ status: 'a_pagar', loteId: null }),
+    repositories.fechamentos.listar()
+  ]);
+  const dataPorFechamento = new Map(fechamentos.map(f => [f.id, f.data_fechamento]));
+
+  const doPeriodo = comissoes.filter(c => {
+    const data = String(dataPorFechamento.get(c.fechamento_id) || '').slice(0, 10);
+    return data && data >= periodo_inicio && data <= periodo_fim;
+  });
+
+  if (doPeriodo.length === 0) return null;
+
+  const lote = await repositories.lotesPagamento.criar({
+    descricao: descricao || `Comissões de ${periodo_inicio} a ${periodo_fim}`,
+    periodo_inicio,
+    periodo_fim,
+    status: 'aberto'
+  });
+
+  // Só entra a comissão que ainda está a pagar e fora de lote: a condição vai no próprio UPDATE,
+  // então dois lotes montados ao mesmo tempo não levam a mesma comissão
+  const incluidas = [];
+  for (const comissao of doPeriodo) {
+    const incluida = await repositories.comissoes.atualizar(
+      comissao.id,
+      { lote_id: lote.id },
+      { filtros: { lote_id: null, status: 'a_pagar' } }
+    );
+    if (incluida) incluidas.push(incluida);
+  }
+
+  if (incluidas.length === 0) {
+    await repositories.lotesPagamento.remover(lote.id);
+    return null;
+  }
+
+  return { ...lote, quantidade: incluidas.length, total: somar(incluidas) };
+};
+
+// Marcar o lote como pago: as comissões a pagar dele passam para 'pago'
+const pagarLote = async (repositories, lote) => {
+  const agora = new Date().toISOString();
+  const comissoes = await repositories.comissoes.listarDetalhadas({ loteId: lote.id, status: 'a_pagar' });
+
+  for (const comissao of comissoes) {
+    await repositories.comissoes.atualizar(comissao.id, { status: 'pago', pago_em: agora, updated_at: agora });
+  }
+
+  return repositories.lotesPagamento.atualizar(lote.id, { status: 'pago', pago_em: agora, updated_at: agora });
+};
+
+// Desfazer um lote ainda aberto: as comissões voltam a ficar disponíveis para outro lote
+const cancelarLote = async (repositories, lote) => {
+  const comissoes = await repositories.comissoes.listarDetalhadas({ loteId: lote.id });
+
+  for (const comissao of comissoes) {
+    await repositories.comissoes.atualizar(comissao.id, { lote_id: null });
+  }
+
+  await repositories.lotesPagamento.remover(lote.id);
+};
+
+module.exports = {
+  STATUS_COMISSAO,
+  resumirComissoes,
+  linhasDoLote,
+  gerarCsvLote,
+  montarLote,
+  pagarLote,
+  cancelarLote
+};
@@ -0,0 +1,41 @@
+// Paginação e ordenação das listagens: ?pagina=1&por_pagina=20&ordenar=nome&direcao=asc
+// (os campos aceitos em cada rota ficam nos esquemas, ver esquemas.paginacao)
+
+const POR_PAGINA_PADRAO = 20;
+
+// Opções de página e ordem para os repositórios. Sem `pagina` a listagem vem inteira, como
+// antes, para quem precisa de todos os registros (selects, dashboard)
+const lerPaginacao = ({ pagina, por_pagina, ordenar, direcao }) => {
+  const porPagina = por_pagina || POR_PAGINA_PADRAO;
+
+  return {
+    ordem: ordenar ? [[ordenar, direcao || 'asc']] : undefined,
+    limite: pagina ? porPagina : undefined,
+    deslocamento: pagina ? (pagina - 1) * porPagina : undefined
+  };
+};
+
+// Resposta das listagens paginadas: os registros da página, o total com os mesmos filtros e
+// os totais extras que o repositório devolver (ex.: por_status)
+const respostaPaginada = ({ pagina, por_pagina }, { dados, total, ...extras }) => {
+  const porPagina = por_pagina || POR_PAGINA_PADRAO;
+
+  return {
+    dados,
+    total,
+    pagina,
+    por_pagina: porPagina,
+    total_paginas: Math.max(1, Math.ceil(total / porPagina)),
+    ...extras
+  };
+};
+
+// Ordem pedida (ou a padrão) com o id no fim, para as páginas não repetirem nem pularem registros
+const ordemEstavel = (ordem, ordemPadrao) => [...(ordem || ordemPadrao), ['id', 'desc']];
+
+module.exports = {
+  POR_PAGINA_PADRAO,
+  lerPaginacao,
+  respostaPaginada,
+  ordemEstavel
+};
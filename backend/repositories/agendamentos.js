@@ -0,0 +1,131 @@
+// Repositório de agendamentos (visitas)
+const { ordemEstavel } = require('../paginacao');
+const { STATUS_AGENDAMENTO } = require('../esquemas');
+
+const RELACOES = {
+  clientes: { chave: 'cliente_id', colunas: ['nome', 'telefone'] },
+  consultores: { chave: 'consultor_id', colunas: ['nome'] },
+  imobiliarias: { chave: 'imobiliaria_id', colunas: ['nome'] }
+};
+
+// Agenda em iCalendar: endereço do empreendimento e contato do corretor
+const RELACOES_CALENDARIO = {
+  ...RELACOES,
+  consultores: { chave: 'consultor_id', colunas: ['nome', 'telefone'] },
+  imobiliarias: { chave: 'imobiliaria_id', colunas: ['nome', 'endereco', 'bairro', 'cidade', 'estado', 'duracao_visita'] }
+};
+
+// Lembretes ao cliente: contatos do cliente, além dos dados da agenda
+const RELACOES_LEMBRETE = {
+  ...RELACOES_CALENDARIO,
+  clientes: { chave: 'cliente_id', colunas: ['nome', 'telefone', 'email'] }
+};
+
+// Conflitos de horário: nome do cliente (na mensagem) e duração da visita no empreendimento
+const RELACOES_OCUPACAO = {
+  clientes: { chave: 'cliente_id', colunas: ['nome'] },
+  imobiliarias: { chave: 'imobiliaria_id', colunas: ['duracao_visita'] }
+};
+
+const createAgendamentosRepository = (tabela) => {
+  const agendamentos = tabela('agendamentos');
+
+  return {
+    // Agendamentos com nome do cliente, consultor e imobiliária, filtrados e paginados
+    // (limite/deslocamento); com limite traz também o total e a contagem por status com os
+    // mesmos filtros (menos o de status)
+    async listarPagina({ consultorId, clienteId, imobiliariaId, status, dataInicio, dataFim, ordem, limite, deslocamento } = {}) {
+      const filtros = {
+        consultor_id: consultorId,
+        cliente_id: clienteId,
+        imobiliaria_id: imobiliariaId,
+        data_agendamento: dataInicio || dataFim
+          ? { ...(dataInicio && { gte: dataInicio }), ...(dataFim && { lte: dataFim }) }
+          : undefined
+      };
+      const comStatus = { ...filtros, status: status || undefined };
+
+      const dados = await agendamentos.listar({
+        filtros: comStatus,
+        ordem: ordemEstavel(ordem, [['data_agendamento', 'desc'], ['horario']]),
+        relacoes: RELACOES,
+        limite,
+        deslocamento
+      });
+      if (!limite) return { dados, total: dados.length };
+
+      const [total, porStatus] = await Promise.all([
+        agendamentos.contar({ filtros: comStatus }),
+        agendamentos.contarPorValor('status', { filtros, valores: STATUS_AGENDAMENTO })
+      ]);
+      return { dados, total, por_status: porStatus };
+    },
+
+    listar({ consultorId, clienteId, data, lembrado } = {}) {
+      return agendamentos.listar({ filtros: { consultor_id: consultorId, cliente_id: clienteId, data_agendamento: data, lembrado } });
+    },
+
+    // Visitas do corretor a partir de uma data, para o feed da agenda
+    listarCalendario({ consultorId, dataInicio }) {
+      return agendamentos.listar({
+        filtros: { consultor_id: consultorId, data_agendamento: { gte: dataInicio } },
+        ordem: [['data_agendamento'], ['horario']],
+        relacoes: RELACOES_CALENDARIO
+      });
+    },
+
+    // Visitas ainda em aberto (status) do período, com os contatos para o lembrete
+    listarParaLembrete({ dataInicio, dataFim, status }) {
+      return agendamentos.listar({
+        filtros: { data_agendamento: { gte: dataInicio, lte: dataFim }, status },
+        ordem: [['data_agendamento'], ['horario']],
+        relacoes: RELACOES_LEMBRETE
+      });
+    },
+
+    // Visitas do período do corretor ou do empreendimento (excetoId: a própria visita, na edição)
+    listarOcupacao({ dataInicio, dataFim, consultorId, imobiliariaId, excetoId }) {
+      return agendamentos.listar({
+        filtros: {
+          data_agendamento: { gte: dataInicio, lte: dataFim },
+          id: excetoId ? { neq: excetoId } : undefined
+        },
+        ou: [
+          consultorId && { consultor_id: consultorId },
+          imobiliariaId && { imobiliaria_id: imobiliariaId }
+        ].filter(Boolean),
+        relacoes: RELACOES_OCUPACAO
+      });
+    },
+
+    buscarPorId(id) {
+      return agendamentos.buscar(id);
+    },
+
+    // Agendamento com os dados do convite (.ics) para o cliente
+    async buscarParaConvite(id) {
+      const [agendamento] = await agendamentos.listar({ filtros: { id }, relacoes: RELACOES_CALENDARIO });
+      return agendamento || null;
+    },
+
+    // Agendamento com nome do cliente, consultor e imobiliária
+    async buscarDetalhado(id) {
+      const [agendamento] = await agendamentos.listar({ filtros: { id }, relacoes: RELACOES });
+      return agendamento || null;
+    },
+
+    criar(dados) {
+      return agendamentos.criar(dados);
+    },
+
+    atualizar(id, dados) {
+      return agendamentos.atualizar(id, dados);
+    },
+
+    remover(id) {
+      return agendamentos.remover(id);
+    }
+  };
+};
+
+module.exports = createAgendamentosRepository;
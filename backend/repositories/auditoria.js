@@ -0,0 +1,46 @@
+// Repositório do histórico de alterações (audit_log)
+const CAMPOS_JSON = ['antes', 'depois'];
+
+const deBanco = (registro) => registro && {
+  ...registro,
+  ...Object.fromEntries(CAMPOS_JSON.map(campo => [
+    campo,
+    typeof registro[campo] === 'string' ? JSON.parse(registro[campo]) : registro[campo]
+  ]))
+};
+
+const createAuditoriaRepository = (tabela) => {
+  const auditLog = tabela('audit_log');
+
+  return {
+    // Mais recentes primeiro; dataInicio/dataFim no formato YYYY-MM-DD
+    async listar({ entidade, entidadeId, acao, usuario, dataInicio, dataFim, limite } = {}) {
+      const criadoEm = {};
+      if (dataInicio) criadoEm.gte = dataInicio;
+      if (dataFim) criadoEm.lte = `${dataFim} 23:59:59`;
+
+      const linhas = await auditLog.listar({
+        filtros: {
+          entidade,
+          entidade_id: entidadeId,
+          acao,
+          usuario_nome: usuario ? { ilike: `%${usuario}%` } : undefined,
+          created_at: Object.keys(criadoEm).length > 0 ? criadoEm : undefined
+        },
+        ordem: [['created_at', 'desc'], ['id', 'desc']],
+        limite
+      });
+      return linhas.map(deBanco);
+    },
+
+    async registrar(dados) {
+      return deBanco(await auditLog.criar({
+        ...dados,
+        antes: dados.antes ? JSON.stringify(dados.antes) : null,
+        depois: dados.depois ? JSON.stringify(dados.depois) : null
+      }));
+    }
+  };
+};
+
+module.exports = createAuditoriaRepository;
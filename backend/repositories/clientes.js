@@ -0,0 +1,155 @@
+// Repositório de clientes/leads
+const { ordemEstavel } = require('../paginacao');
+const { STATUS_CLIENTE } = require('../esquemas');
+
+const RELACOES = { consultores: { chave: 'consultor_id', colunas: ['nome'] } };
+
+const createClientesRepository = (tabela) => {
+  const clientes = tabela('clientes');
+  const agendamentos = tabela('agendamentos');
+
+  // Clientes com agendamento do consultor
+  const idsComAgendamento = async (consultorId) => {
+    const linhas = await agendamentos.listar({ filtros: { consultor_id: consultorId }, colunas: ['cliente_id'] });
+    return [...new Set(linhas.map(a => a.cliente_id).filter(Boolean))];
+  };
+
+  // Clientes visíveis ao consultor: atribuídos a ele OU com agendamento dele
+  const escopoDoConsultor = async (consultorId) => {
+    if (consultorId === undefined) return [];
+    const ou = [{ consultor_id: consultorId }];
+    const clienteIds = await idsComAgendamento(consultorId);
+    if (clienteIds.length > 0) ou.push({ id: clienteIds });
+    return ou;
+  };
+
+  // Mesma regra da listagem: atribuído ao consultor ou com agendamento dele
+  const pertenceAoConsultor = async (cliente, consultorId) => {
+    if (cliente.consultor_id === consultorId) return true;
+    return (await idsComAgendamento(consultorId)).includes(cliente.id);
+  };
+
+  return {
+    // Com consultorId: clientes atribuídos a ele OU vinculados através de agendamentos
+    async listar({ consultorId } = {}) {
+      const ou = await escopoDoConsultor(consultorId);
+      return clientes.listar({ ou, ordem: [['created_at', 'desc']], relacoes: RELACOES });
+    },
+
+    // Listagem filtrada e paginada (limite/deslocamento); com limite traz também o total e a
+    // contagem por status com os mesmos filtros (menos o de status)
+    async listarPagina({
+      consultorId, nome, telefone, cpf, tipoServico, status, atribuidoA, comConsultor, ordem, limite, deslocamento
+    } = {}) {
+      const ou = await escopoDoConsultor(consultorId);
+      const filtros = {
+        nome: nome ? { ilike: `%${nome}%` } : undefined,
+        telefone: telefone ? { ilike: `%${telefone}%` } : undefined,
+        cpf: cpf ? { ilike: `%${cpf}%` } : undefined,
+        tipo_servico: tipoServico || undefined,
+        consultor_id: atribuidoA ?? (comConsultor === undefined ? undefined : (comConsultor ? { neq: null } : null))
+      };
+      const comStatus = { ...filtros, status: status || undefined };
+
+      const dados = await clientes.listar({
+        filtros: comStatus,
+        ou,
+        ordem: ordemEstavel(ordem, [['created_at', 'desc']]),
+        relacoes: RELACOES,
+        limite,
+        deslocamento
+      });
+      if (!limite) return { dados, total: dados.length };
+
+      const [total, porStatus] = await Promise.all([
+        clientes.contar({ filtros: comStatus, ou }),
+        clientes.contarPorValor('status', { filtros, ou, valores: STATUS_CLIENTE })
+      ]);
+      return { dados, total, por_status: porStatus };
+    },
+
+    /**
+     * Possíveis duplicados, filtrados no banco: CPF igual (cpfs: com e sem pontuação), telefone
+     * terminado nos mesmos dígitos ou nome começando pelo mesmo primeiro nome ou terminando no
+     * mesmo último nome. A comparação fina dos candidatos fica em duplicados.js.
+     */
+    listarCandidatosDuplicados({ cpfs = [], finalTelefone, primeiroNome, ultimoNome } = {}) {
+      const ou = [];
+      if (cpfs.length > 0) ou.push({ cpf: cpfs });
+      if (finalTelefone) ou.push({ telefone: { ilike: `%${finalTelefone}` } });
+      if (primeiroNome) ou.push({ nome: { ilike: `${primeiroNome} %` } });
+      if (ultimoNome) ou.push({ nome: { ilike: `% ${ultimoNome}` } });
+      if (ou.length === 0) return [];
+
+      return clientes.listar({ ou, ordem: [['created_at', 'desc']], relacoes: RELACOES });
+    },
+
+    // Só os campos comparados na tela de duplicados, de todos os clientes
+    listarParaDuplicados() {
+      return clientes.listar({
+        colunas: ['id', 'nome', 'telefone', 'cpf', 'status', 'consultor_id', 'created_at'],
+        ordem: [['created_at', 'desc']],
+        relacoes: RELACOES
+      });
+    },
+
+    // Leads sem consultor ("Novos Leads")
+    listarSemConsultor() {
+      return clientes.listar({ filtros: { consultor_id: null }, ordem: [['created_at', 'desc']] });
+    },
+
+    // Com consultorId: apenas clientes com agendamentos dele
+    async contar({ consultorId } = {}) {
+      if (consultorId === undefined) return clientes.contar();
+      const clienteIds = await idsComAgendamento(consultorId);
+      return clienteIds.length > 0 ? clientes.contar({ filtros: { id: clienteIds } }) : 0;
+    },
+
+    buscarPorId(id) {
+      return clientes.buscar(id);
+    },
+
+    // Cliente com o nome do consultor
+    async buscarDetalhado(id) {
+      const [cliente] = await clientes.listar({ filtros: { id }, relacoes: RELACOES });
+      return cliente || null;
+    },
+
+    // Lead dono do link de autoagendamento da visita
+    async buscarPorTokenVisita(token) {
+      const [cliente] = await clientes.listar({ filtros: { token_visita: token } });
+      return cliente || null;
+    },
+
+    pertenceAoConsultor,
+
+    // Consultor só agenda ou fecha clientes que já são dele
+    async acessivelAoConsultor(clienteId, consultorId) {
+      const cliente = await clientes.buscar(clienteId);
+      return Boolean(cliente) && pertenceAoConsultor(cliente, consultorId);
+    },
+
+    // Leads atribuídos cujo prazo de primeiro contato já passou (agora em ISO)
+    listarComPrazoVencido(agora) {
+      return clientes.listar({
+        filtros: { prazo_contato: { lte: agora }, primeiro_contato_em: null },
+        ordem: [['prazo_contato']]
+      });
+    },
+
+    criar(dados) {
+      return clientes.criar(dados);
+    },
+
+    // condicao ({ filtros, ou }): só grava se o cliente ainda atender (ex.: lead sem consultor)
+    atualizar(id, dados, condicao) {
+      return clientes.atualizar(id, dados, condicao);
+    },
+
+    remover(id) {
+      return clientes.remover(id);
+    }
+  };
+};
+
+module.exports = createClientesRepository;
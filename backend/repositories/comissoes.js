@@ -0,0 +1,68 @@
+// Repositório das comissões calculadas por fechamento (uma vigente; as estornadas ficam no histórico)
+const RELACOES = {
+  consultores: { chave: 'consultor_id', colunas: ['nome'] }
+};
+
+const deBanco = (comissao) => comissao && {
+  ...comissao,
+  memoria_calculo: typeof comissao.memoria_calculo === 'string'
+    ? JSON.parse(comissao.memoria_calculo)
+    : comissao.memoria_calculo
+};
+
+const paraBanco = (dados) => ({
+  ...dados,
+  memoria_calculo: dados.memoria_calculo && typeof dados.memoria_calculo === 'object'
+    ? JSON.stringify(dados.memoria_calculo)
+    : dados.memoria_calculo
+});
+
+const createComissoesRepository = (tabela) => {
+  const comissoes = tabela('comissoes');
+
+  // Todas as comissões do fechamento, da mais recente para a mais antiga
+  const listarPorFechamento = async (fechamentoId) => {
+    const linhas = await comissoes.listar({ filtros: { fechamento_id: fechamentoId }, ordem: [['id', 'desc']] });
+    return linhas.map(deBanco);
+  };
+
+  return {
+    // Comissões com o nome do consultor
+    // loteId: id do lote, null = fora de lote, undefined = qualquer
+    async listarDetalhadas({ consultorId, status, loteId } = {}) {
+      const linhas = await comissoes.listar({
+        filtros: { consultor_id: consultorId, status, lote_id: loteId },
+        ordem: [['created_at', 'desc']],
+        relacoes: RELACOES
+      });
+      return linhas.map(deBanco);
+    },
+
+    async buscarPorId(id) {
+      return deBanco(await comissoes.buscar(id));
+    },
+
+    listarPorFechamento,
+
+    // Comissão vigente do fechamento (a não estornada) ou, se todas foram estornadas, a mais recente
+    async buscarPorFechamento(fechamentoId) {
+      const linhas = await listarPorFechamento(fechamentoId);
+      return linhas.find(c => c.status !== 'estornado') || linhas[0] || null;
+    },
+
+    async criar(dados) {
+      return deBanco(await comissoes.criar(paraBanco(dados)));
+    },
+
+    // condicao ({ filtros, ou }): só atualiza se a comissão ainda atender (senão devolve null)
+    async atualizar(id, dados, condicao) {
+      return deBanco(await comissoes.atualizar(id, paraBanco(dados), condicao));
+    },
+
+    remover(id) {
+      return comissoes.remover(id);
+    }
+  };
+};
+
+module.exports = createComissoesRepository;
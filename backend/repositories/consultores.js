@@ -0,0 +1,56 @@
+// Repositório de consultores (corretores)
+const createConsultoresRepository = (tabela) => {
+  const consultores = tabela('consultores');
+
+  return {
+    listar({ id, ativo } = {}) {
+      return consultores.listar({ filtros: { id, ativo }, ordem: [['nome']] });
+    },
+
+    buscarPorId(id) {
+      return consultores.buscar(id);
+    },
+
+    // Primeiro consultor com o email (opcionalmente ignorando o próprio id, na edição)
+    async buscarPorEmail(email, { excetoId } = {}) {
+      const filtros = { email };
+      if (excetoId !== undefined) filtros.id = { neq: excetoId };
+      const [consultor] = await consultores.listar({ filtros });
+      return consultor || null;
+    },
+
+    async buscarPorCpf(cpf) {
+      const [consultor] = await consultores.listar({ filtros: { cpf } });
+      return consultor || null;
+    },
+
+    // Consultor ativo dono do link da agenda (.ics)
+    async buscarPorTokenCalendario(token) {
+      const [consultor] = await consultores.listar({ filtros: { token_calendario: token, ativo: true } });
+      return consultor || null;
+    },
+
+    criar(dados) {
+      return consultores.criar(dados);
+    },
+
+    atualizar(id, dados) {
+      return consultores.atualizar(id, dados);
+    },
+
+    // Reserva da agenda ao marcar uma visita (ver disponibilidade.js): grava só sem outra reserva
+    // em vigor, na condição do próprio UPDATE; null se outro pedido está com a agenda
+    reservarAgenda(id, ate, agora) {
+      return consultores.atualizar(id, { agenda_reservada_ate: ate }, {
+        ou: [{ agenda_reservada_ate: null }, { agenda_reservada_ate: { lte: agora } }]
+      });
+    },
+
+    // Solta a reserva, se ainda for a mesma (vencida, pode já ser de outro pedido)
+    liberarAgenda(id, ate) {
+      return consultores.atualizar(id, { agenda_reservada_ate: null }, { filtros: { agenda_reservada_ate: ate } });
+    }
+  };
+};
+
+module.exports = createConsultoresRepository;
@@ -0,0 +1,23 @@
+// Repositório dos contatos feitos com os clientes (ligação, WhatsApp, e-mail...)
+const RELACOES = { consultores: { chave: 'consultor_id', colunas: ['nome'] } };
+
+const createContatosClienteRepository = (tabela) => {
+  const contatos = tabela('contatos_cliente');
+
+  return {
+    // Mais recentes primeiro
+    listarPorCliente(clienteId) {
+      return contatos.listar({
+        filtros: { cliente_id: clienteId },
+        ordem: [['created_at', 'desc'], ['id', 'desc']],
+        relacoes: RELACOES
+      });
+    },
+
+    criar(dados) {
+      return contatos.criar(dados);
+    }
+  };
+};
+
+module.exports = createContatosClienteRepository;
@@ -0,0 +1,27 @@
+// Repositório do registro de distribuição de leads (para quem cada lead foi e por quê)
+const RELACOES = {
+  clientes: { chave: 'cliente_id', colunas: ['nome'] },
+  consultores: { chave: 'consultor_id', colunas: ['nome'] }
+};
+
+const createDistribuicoesLeadRepository = (tabela) => {
+  const distribuicoes = tabela('distribuicoes_lead');
+
+  return {
+    // Mais recentes primeiro, com o nome do cliente e do corretor
+    listar({ clienteId, consultorId, limite } = {}) {
+      return distribuicoes.listar({
+        filtros: { cliente_id: clienteId, consultor_id: consultorId },
+        ordem: [['created_at', 'desc'], ['id', 'desc']],
+        relacoes: RELACOES,
+        limite
+      });
+    },
+
+    criar(dados) {
+      return distribuicoes.criar(dados);
+    }
+  };
+};
+
+module.exports = createDistribuicoesLeadRepository;
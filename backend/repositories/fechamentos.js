@@ -0,0 +1,99 @@
+// Repositório de fechamentos (vendas/locações fechadas)
+const { ordemEstavel } = require('../paginacao');
+const { APROVACOES_FECHAMENTO } = require('../esquemas');
+
+const RELACOES = {
+  clientes: { chave: 'cliente_id', colunas: ['nome', 'telefone', 'cpf'] },
+  consultores: { chave: 'consultor_id', colunas: ['nome'] },
+  imobiliarias: { chave: 'imobiliaria_id', colunas: ['nome'] }
+};
+
+const createFechamentosRepository = (tabela) => {
+  const fechamentos = tabela('fechamentos');
+
+  return {
+    // Fechamentos com nome do cliente, consultor e imobiliária
+    listarDetalhados({ consultorId } = {}) {
+      return fechamentos.listar({
+        filtros: { consultor_id: consultorId },
+        ordem: [['data_fechamento', 'desc'], ['created_at', 'desc']],
+        relacoes: RELACOES
+      });
+    },
+
+    // Listagem filtrada e paginada (limite/deslocamento); com limite traz também o total e a
+    // contagem por situação de aprovação com os mesmos filtros (menos o de aprovação)
+    async listarPagina({
+      consultorId, clienteId, imobiliariaId, tipoServico, aprovado, dataInicio, dataFim, ordem, limite, deslocamento
+    } = {}) {
+      const filtros = {
+        consultor_id: consultorId,
+        cliente_id: clienteId,
+        imobiliaria_id: imobiliariaId,
+        tipo_servico: tipoServico || undefined,
+        data_fechamento: dataInicio || dataFim
+          ? { ...(dataInicio && { gte: dataInicio }), ...(dataFim && { lte: dataFim }) }
+          : undefined
+      };
+      const comAprovacao = { ...filtros, aprovado: aprovado || undefined };
+
+      const dados = await fechamentos.listar({
+        filtros: comAprovacao,
+        ordem: ordemEstavel(ordem, [['data_fechamento', 'desc'], ['created_at', 'desc']]),
+        relacoes: RELACOES,
+        limite,
+        deslocamento
+      });
+      if (!limite) return { dados, total: dados.length };
+
+      const [total, porAprovacao] = await Promise.all([
+        fechamentos.contar({ filtros: comAprovacao }),
+        fechamentos.contarPorValor('aprovado', { filtros, valores: APROVACOES_FECHAMENTO })
+      ]);
+      return { dados, total, por_aprovacao: porAprovacao };
+    },
+
+    // Busca global: o fechamento de número `id` e os dos clientes encontrados, com o total
+    async listarPorIdOuClientes({ id, clienteIds = [], consultorId, limite } = {}) {
+      const ou = [];
+      if (id) ou.push({ id });
+      if (clienteIds.length > 0) ou.push({ cliente_id: clienteIds });
+      if (ou.length === 0) return { dados: [], total: 0 };
+
+      const filtros = { consultor_id: consultorId };
+      const [dados, total] = await Promise.all([
+        fechamentos.listar({
+          filtros,
+          ou,
+          ordem: [['data_fechamento', 'desc'], ['id', 'desc']],
+          relacoes: RELACOES,
+          limite
+        }),
+        fechamentos.contar({ filtros, ou })
+      ]);
+      return { dados, total };
+    },
+
+    listar({ consultorId, clienteId } = {}) {
+      return fechamentos.listar({ filtros: { consultor_id: consultorId, cliente_id: clienteId } });
+    },
+
+    buscarPorId(id) {
+      return fechamentos.buscar(id);
+    },
+
+    criar(dados) {
+      return fechamentos.criar(dados);
+    },
+
+    atualizar(id, dados) {
+      return fechamentos.atualizar(id, dados);
+    },
+
+    remover(id) {
+      return fechamentos.remover(id);
+    }
+  };
+};
+
+module.exports = createFechamentosRepository;
@@ -0,0 +1,96 @@
+// Repositório de imobiliárias (empreendimentos; horários de visita guardados como JSON em texto)
+const { ordemEstavel } = require('../paginacao');
+const { STATUS_IMOBILIARIA } = require('../esquemas');
+
+const deBanco = (imobiliaria) => imobiliaria && {
+  ...imobiliaria,
+  horarios_visita: typeof imobiliaria.horarios_visita === 'string'
+    ? JSON.parse(imobiliaria.horarios_visita)
+    : (imobiliaria.horarios_visita || [])
+};
+
+const paraBanco = (dados) => ({
+  ...dados,
+  horarios_visita: Array.isArray(dados.horarios_visita) ? JSON.stringify(dados.horarios_visita) : dados.horarios_visita
+});
+
+const createImobiliariasRepository = (tabela) => {
+  const imobiliarias = tabela('imobiliarias');
+
+  // Valores únicos e ordenados de uma coluna, ignorando vazios
+  const valoresUnicos = async (coluna, filtros) => {
+    const linhas = await imobiliarias.listar({ filtros, colunas: [coluna] });
+    return [...new Set(linhas.map(l => l[coluna]).filter(Boolean))].sort();
+  };
+
+  return {
+    async listar({ cidade, estado } = {}) {
+      const linhas = await imobiliarias.listar({
+        filtros: {
+          estado: estado || undefined,
+          cidade: cidade ? { ilike: `%${cidade}%` } : undefined
+        },
+        ordem: [['nome']]
+      });
+      return linhas.map(deBanco);
+    },
+
+    // Listagem filtrada e paginada (limite/deslocamento); com limite traz também o total e a
+    // contagem por status com os mesmos filtros (menos o de status)
+    async listarPagina({ nome, cidade, estado, status, ordem, limite, deslocamento } = {}) {
+      const filtros = {
+        nome: nome ? { ilike: `%${nome}%` } : undefined,
+        estado: estado || undefined,
+        cidade: cidade ? { ilike: `%${cidade}%` } : undefined
+      };
+      const comStatus = { ...filtros, status: status || undefined };
+
+      const dados = (await imobiliarias.listar({
+        filtros: comStatus,
+        ordem: ordemEstavel(ordem, [['nome']]),
+        limite,
+        deslocamento
+      })).map(deBanco);
+      if (!limite) return { dados, total: dados.length };
+
+      const [total, porStatus] = await Promise.all([
+        imobiliarias.contar({ filtros: comStatus }),
+        imobiliarias.contarPorValor('status', { filtros, valores: STATUS_IMOBILIARIA })
+      ]);
+      return { dados, total, por_status: porStatus };
+    },
+
+    async buscarPorId(id) {
+      return deBanco(await imobiliarias.buscar(id));
+    },
+
+    listarCidades({ estado } = {}) {
+      return valoresUnicos('cidade', { estado: estado || undefined });
+    },
+
+    listarEstados() {
+      return valoresUnicos('estado');
+    },
+
+    async criar(dados) {
+      return deBanco(await imobiliarias.criar(paraBanco(dados)));
+    },
+
+    async atualizar(id, dados) {
+      return deBanco(await imobiliarias.atualizar(id, paraBanco(dados)));
+    },
+
+    // Reserva da agenda do stand, como em consultores
+    async reservarAgenda(id, ate, agora) {
+      return deBanco(await imobiliarias.atualizar(id, { agenda_reservada_ate: ate }, {
+        ou: [{ agenda_reservada_ate: null }, { agenda_reservada_ate: { lte: agora } }]
+      }));
+    },
+
+    liberarAgenda(id, ate) {
+      return imobiliarias.atualizar(id, { agenda_reservada_ate: null }, { filtros: { agenda_reservada_ate: ate } });
+    }
+  };
+};
+
+module.exports = createImobiliariasRepository;
@@ -0,0 +1,48 @@
+// Repositório das importações de clientes por planilha
+const CAMPOS_JSON = ['colunas', 'mapeamento', 'rejeicoes'];
+
+// Colunas do histórico (sem as linhas rejeitadas, que só são lidas no relatório)
+const COLUNAS_RESUMO = [
+  'id', 'arquivo_nome', 'total_linhas', 'importadas', 'rejeitadas', 'consultor_id', 'imobiliaria_id',
+  'usuario_id', 'usuario_nome', 'created_at'
+];
+
+const deBanco = (registro) => registro && {
+  ...registro,
+  ...Object.fromEntries(CAMPOS_JSON
+    .filter(campo => campo in registro)
+    .map(campo => [campo, typeof registro[campo] === 'string' ? JSON.parse(registro[campo]) : registro[campo]]))
+};
+
+const createImportacoesClienteRepository = (tabela) => {
+  const importacoes = tabela('importacoes_cliente');
+
+  return {
+    // Mais recentes primeiro, com o nome do corretor e do empreendimento escolhidos
+    async listar({ limite } = {}) {
+      const linhas = await importacoes.listar({
+        colunas: COLUNAS_RESUMO,
+        ordem: [['created_at', 'desc'], ['id', 'desc']],
+        relacoes: {
+          consultores: { chave: 'consultor_id', colunas: ['nome'] },
+          imobiliarias: { chave: 'imobiliaria_id', colunas: ['nome'] }
+        },
+        limite
+      });
+      return linhas.map(deBanco);
+    },
+
+    async buscarPorId(id) {
+      return deBanco(await importacoes.buscar(id));
+    },
+
+    async criar(dados) {
+      return deBanco(await importacoes.criar({
+        ...dados,
+        ...Object.fromEntries(CAMPOS_JSON.map(campo => [campo, JSON.stringify(dados[campo] ?? null)]))
+      }));
+    }
+  };
+};
+
+module.exports = createImportacoesClienteRepository;
@@ -0,0 +1,101 @@
+// Camada de dados: repositórios de clientes, agendamentos, fechamentos, comissões, lotes de
+// pagamento, histórico de alterações, distribuição de leads, contatos e prazo de contato,
+// notificações, lembretes de visita, mesclagens e importações de clientes, preços e leads do
+// Meta Ads, consultores, imobiliárias e usuários sobre o Supabase ou sobre um banco SQL local.
+//
+// DATA_PROVIDER=supabase (padrão) usa SUPABASE_URL/SUPABASE_SERVICE_KEY
+// DATA_PROVIDER=sqlite usa o arquivo SQLITE_PATH (padrão backend/database.sqlite)
+// DATA_PROVIDER=postgres usa DATABASE_URL
+//
+// A estrutura das tabelas vem das migrações (backend/migrations, `npm run migrate`).
+const path = require('path');
+const { criarTabelaSupabase, criarContratosSupabase } = require('./supabase');
+const { conectarSqlite, conectarPostgres, criarTabelaSql, criarContratosLocal } = require('./sql');
+const createUsuariosRepository = require('./usuarios');
+const createConsultoresRepository = require('./consultores');
+const createImobiliariasRepository = require('./imobiliarias');
+const createClientesRepository = require('./clientes');
+const createAgendamentosRepository = require('./agendamentos');
+const createFechamentosRepository = require('./fechamentos');
+const createRegrasComissaoRepository = require('./regras-comissao');
+const createComissoesRepository = require('./comissoes');
+const createLotesPagamentoRepository = require('./lotes-pagamento');
+const createAuditoriaRepository = require('./auditoria');
+const createRegrasDistribuicaoRepository = require('./regras-distribuicao');
+const createDistribuicoesLeadRepository = require('./distribuicoes-lead');
+const createContatosClienteRepository = require('./contatos-cliente');
+const createViolacoesSlaRepository = require('./violacoes-sla');
+const createNotificacoesRepository = require('./notificacoes');
+const createLembretesVisitaRepository = require('./lembretes-visita');
+const createMesclagensClienteRepository = require('./mesclagens-cliente');
+const createImportacoesClienteRepository = require('./importacoes-cliente');
+const createPrecosMetaRepository = require('./precos-meta');
+const createLeadsMetaRepository = require('./leads-meta');
+
+const PROVIDERS = ['supabase', 'sqlite', 'postgres'];
+
+// Conexão SQL direta com o banco do provider. No Supabase ela só é usada pelas migrações
+// e exige DATABASE_URL (connection string do Postgres em Settings > Database).
+const conectarBanco = (provider = process.env.DATA_PROVIDER || 'supabase') => {
+  if (provider === 'sqlite') {
+    return conectarSqlite(process.env.SQLITE_PATH || path.join(__dirname, '..', 'database.sqlite'));
+  }
+  if (provider === 'supabase' && !process.env.DATABASE_URL) {
+    throw new Error('Defina DATABASE_URL com a connection string do Postgres do Supabase (Settings > Database)');
+  }
+  return conectarPostgres(process.env.DATABASE_URL);
+};
+
+const createRepositories = ({ provider = process.env.DATA_PROVIDER || 'supabase' } = {}) => {
+  if (!PROVIDERS.includes(provider)) {
+    throw new Error(`DATA_PROVIDER inválido: ${provider} (use ${PROVIDERS.join(', ')})`);
+  }
+
+  let tabela;
+  let contratos;
+  let banco = null;
+  let fechar = async () => {};
+
+  if (provider === 'supabase') {
+    const { supabase, supabaseAdmin } = require('../supabase');
+    tabela = criarTabelaSupabase(supabase);
+    contratos = criarContratosSupabase(supabaseAdmin);
+  } else {
+    banco = conectarBanco(provider);
+    tabela = criarTabelaSql(banco);
+    contratos = criarContratosLocal(process.env.UPLOADS_PATH || path.join(__dirname, '..', 'uploads'));
+    fechar = banco.fechar;
+  }
+
+  return {
+    provider,
+    banco,
+    usuarios: createUsuariosRepository(tabela),
+    consultores: createConsultoresRepository(tabela),
+    imobiliarias: createImobiliariasRepository(tabela),
+    clientes: createClientesRepository(tabela),
+    agendamentos: createAgendamentosRepository(tabela),
+    fechamentos: createFechamentosRepository(tabela),
+    regrasComissao: createRegrasComissaoRepository(tabela),
+    comissoes: createComissoesRepository(tabela),
+    lotesPagamento: createLotesPagamentoRepository(tabela),
+    auditoria: createAuditoriaRepository(tabela),
+    regrasDistribuicao: createRegrasDistribuicaoRepository(tabela),
+    distribuicoesLead: createDistribuicoesLeadRepository(tabela),
+    contatosCliente: createContatosClienteRepository(tabela),
+    violacoesSla: createViolacoesSlaRepository(tabela),
+    notificacoes: createNotificacoesRepository(tabela),
+    lembretesVisita: createLembretesVisitaRepository(tabela),
+    mesclagensCliente: createMesclagensClienteRepository(tabela),
+    importacoesCliente: createImportacoesClienteRepository(tabela),
+    precosMeta: createPrecosMetaRepository(tabela),
+    leadsMeta: createLeadsMetaRepository(tabela),
+    contratos,
+    fechar
+  };
+};
+
+module.exports = {
+  createRepositories,
+  conectarBanco
+};
@@ -0,0 +1,51 @@
+// Repositório dos leads do Meta Ads (atribuição de campanha, anúncio e custo de cada cliente vindo do Meta)
+const RELACOES = { clientes: { chave: 'cliente_id', colunas: ['nome', 'telefone'] } };
+
+const createLeadsMetaRepository = (tabela) => {
+  const leads = tabela('meta_ads_leads');
+
+  return {
+    // Mais recentes primeiro, com o nome e o telefone do cliente
+    listar({ campanhaId, cidade, dataInicio, dataFim } = {}) {
+      return leads.listar({
+        filtros: {
+          campanha_id: campanhaId || undefined,
+          cidade_lead: cidade ? { ilike: `%${cidade}%` } : undefined,
+          data_lead: dataInicio || dataFim
+            ? { ...(dataInicio && { gte: dataInicio }), ...(dataFim && { lte: dataFim }) }
+            : undefined
+        },
+        ordem: [['data_lead', 'desc'], ['created_at', 'desc']],
+        relacoes: RELACOES
+      });
+    },
+
+    // Leads do período (pela data do lead), para o relatório de ROI
+    listarDoPeriodo({ dataInicio, dataFim }) {
+      return leads.listar({
+        filtros: { data_lead: { gte: dataInicio, lte: dataFim } },
+        colunas: ['cliente_id', 'campanha_id', 'campanha_nome', 'custo_lead', 'cidade_lead', 'estado_lead', 'data_lead']
+      });
+    },
+
+    // Lead pelo id no Meta (evita importar o mesmo lead duas vezes)
+    async buscarPorMetaLeadId(metaLeadId) {
+      const [lead] = await leads.listar({ filtros: { meta_lead_id: metaLeadId }, limite: 1 });
+      return lead || null;
+    },
+
+    criar(dados) {
+      return leads.criar(dados);
+    },
+
+    atualizar(id, dados) {
+      return leads.atualizar(id, dados);
+    },
+
+    remover(id) {
+      return leads.remover(id);
+    }
+  };
+};
+
+module.exports = createLeadsMetaRepository;
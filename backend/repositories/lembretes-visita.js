@@ -0,0 +1,46 @@
+// Repositório dos lembretes de visita enviados ao cliente (uma linha por tentativa de envio)
+const createLembretesVisitaRepository = (tabela) => {
+  const lembretes = tabela('lembretes_visita');
+
+  return {
+    // Lembretes da visita, mais recentes primeiro
+    listarDaVisita(agendamentoId) {
+      return lembretes.listar({
+        filtros: { agendamento_id: agendamentoId },
+        ordem: [['created_at', 'desc'], ['id', 'desc']]
+      });
+    },
+
+    // Lembretes já enviados (ou tentados) das visitas, para o agendador não repetir envios
+    async listarDasVisitas(agendamentoIds) {
+      if (agendamentoIds.length === 0) return [];
+      return lembretes.listar({ filtros: { agendamento_id: agendamentoIds } });
+    },
+
+    // Último lembrete entregue a um dos destinos: a resposta do cliente vale para essa visita
+    async buscarUltimoPorDestino(destinos) {
+      const [lembrete] = await lembretes.listar({
+        filtros: { destino: destinos, status: { neq: 'falhou' } },
+        ordem: [['created_at', 'desc'], ['id', 'desc']],
+        limite: 1
+      });
+      return lembrete || null;
+    },
+
+    // Lembrete pelo id da mensagem no provedor (status de entrega do WhatsApp)
+    async buscarPorIdExterno(idExterno) {
+      const [lembrete] = await lembretes.listar({ filtros: { id_externo: idExterno } });
+      return lembrete || null;
+    },
+
+    criar(dados) {
+      return lembretes.criar(dados);
+    },
+
+    atualizar(id, dados) {
+      return lembretes.atualizar(id, dados);
+    }
+  };
+};
+
+module.exports = createLembretesVisitaRepository;
@@ -0,0 +1,28 @@
+// Repositório dos lotes de pagamento de comissões
+const createLotesPagamentoRepository = (tabela) => {
+  const lotes = tabela('lotes_pagamento');
+
+  return {
+    listar({ status } = {}) {
+      return lotes.listar({ filtros: { status }, ordem: [['created_at', 'desc']] });
+    },
+
+    buscarPorId(id) {
+      return lotes.buscar(id);
+    },
+
+    criar(dados) {
+      return lotes.criar(dados);
+    },
+
+    atualizar(id, dados) {
+      return lotes.atualizar(id, dados);
+    },
+
+    remover(id) {
+      return lotes.remover(id);
+    }
+  };
+};
+
+module.exports = createLotesPagamentoRepository;
@@ -0,0 +1,57 @@
+// Repositório das mesclagens de clientes duplicados
+const CAMPOS_JSON = ['mesclado_dados', 'vinculos'];
+
+// Tabelas (além de agendamentos e fechamentos, que entram no histórico) ligadas ao cliente por cliente_id
+const TABELAS_VINCULADAS = ['meta_ads_leads', 'contatos_cliente', 'distribuicoes_lead', 'violacoes_sla', 'notificacoes'];
+
+const deBanco = (registro) => registro && {
+  ...registro,
+  ...Object.fromEntries(CAMPOS_JSON.map(campo => [
+    campo,
+    typeof registro[campo] === 'string' ? JSON.parse(registro[campo]) : registro[campo]
+  ]))
+};
+
+const createMesclagensClienteRepository = (tabela) => {
+  const mesclagens = tabela('mesclagens_cliente');
+
+  return {
+    // Mais recentes primeiro, com o nome do cliente que ficou
+    async listar({ clienteId, limite } = {}) {
+      const linhas = await mesclagens.listar({
+        filtros: { cliente_id: clienteId },
+        ordem: [['created_at', 'desc'], ['id', 'desc']],
+        relacoes: { clientes: { chave: 'cliente_id', colunas: ['nome'] } },
+        limite
+      });
+      return linhas.map(deBanco);
+    },
+
+    async criar(dados) {
+      return deBanco(await mesclagens.criar({
+        ...dados,
+        mesclado_dados: JSON.stringify(dados.mesclado_dados),
+        vinculos: JSON.stringify(dados.vinculos)
+      }));
+    },
+
+    // Passar os registros das TABELAS_VINCULADAS de um cliente para outro; devolve quantos por tabela
+    async transferirVinculos(deClienteId, paraClienteId) {
+      const vinculos = {};
+
+      for (const nome of TABELAS_VINCULADAS) {
+        const registros = tabela(nome);
+        const linhas = await registros.listar({ filtros: { cliente_id: deClienteId }, colunas: ['id'] });
+
+        for (const { id } of linhas) {
+          await registros.atualizar(id, { cliente_id: paraClienteId });
+        }
+        vinculos[nome] = linhas.length;
+      }
+
+      return vinculos;
+    }
+  };
+};
+
+module.exports = createMesclagensClienteRepository;
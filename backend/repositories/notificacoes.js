@@ -0,0 +1,45 @@
+// Repositório dos avisos aos corretores (consultor_id) e aos admins (usuario_id)
+const createNotificacoesRepository = (tabela) => {
+  const notificacoes = tabela('notificacoes');
+
+  return {
+    // Mais recentes primeiro; apenasNaoLidas filtra as que o destinatário ainda não viu
+    listar({ consultorId, usuarioId, apenasNaoLidas = false, limite } = {}) {
+      return notificacoes.listar({
+        filtros: { consultor_id: consultorId, usuario_id: usuarioId, lida: apenasNaoLidas ? false : undefined },
+        ordem: [['created_at', 'desc'], ['id', 'desc']],
+        limite
+      });
+    },
+
+    contarNaoLidas({ consultorId, usuarioId }) {
+      return notificacoes.contar({ filtros: { consultor_id: consultorId, usuario_id: usuarioId, lida: false } });
+    },
+
+    buscarPorId(id) {
+      return notificacoes.buscar(id);
+    },
+
+    criar(dados) {
+      return notificacoes.criar(dados);
+    },
+
+    marcarComoLida(id) {
+      return notificacoes.atualizar(id, { lida: true });
+    },
+
+    // Todas as não lidas do destinatário; devolve quantas foram marcadas
+    async marcarTodasComoLidas({ consultorId, usuarioId }) {
+      const naoLidas = await notificacoes.listar({
+        filtros: { consultor_id: consultorId, usuario_id: usuarioId, lida: false },
+        colunas: ['id']
+      });
+      for (const { id } of naoLidas) {
+        await notificacoes.atualizar(id, { lida: true });
+      }
+      return naoLidas.length;
+    }
+  };
+};
+
+module.exports = createNotificacoesRepository;
@@ -0,0 +1,56 @@
+// Repositório dos preços por lead do Meta Ads por cidade (cadastrados ou sincronizados das campanhas)
+const createPrecosMetaRepository = (tabela) => {
+  const precos = tabela('meta_ads_pricing');
+
+  return {
+    listar({ cidade, estado, status, campanhaId } = {}) {
+      return precos.listar({
+        filtros: {
+          cidade: cidade ? { ilike: `%${cidade}%` } : undefined,
+          estado: estado || undefined,
+          status: status || undefined,
+          campanha_id: campanhaId || undefined
+        },
+        ordem: [['estado'], ['cidade']]
+      });
+    },
+
+    // Preço da campanha na cidade (mesmo nome), para a sincronização atualizar em vez de duplicar
+    async buscarDaCampanha(campanhaId, cidade) {
+      const [preco] = await precos.listar({ filtros: { campanha_id: campanhaId, cidade }, limite: 1 });
+      return preco || null;
+    },
+
+    // Preço ativo mais recente da cidade (sem diferenciar maiúsculas), opcionalmente da campanha e do estado
+    async buscarAtivo({ cidade, campanhaId, estado }) {
+      const [preco] = await precos.listar({
+        filtros: { cidade: { ilike: cidade }, campanha_id: campanhaId, estado, status: 'ativo' },
+        ordem: [['updated_at', 'desc']],
+        limite: 1
+      });
+      return preco || null;
+    },
+
+    // Preços ativos, para o custo dos leads sem custo gravado no relatório de ROI
+    listarAtivos() {
+      return precos.listar({
+        filtros: { status: 'ativo' },
+        colunas: ['cidade', 'estado', 'campanha_id', 'preco_por_lead']
+      });
+    },
+
+    criar(dados) {
+      return precos.criar(dados);
+    },
+
+    atualizar(id, dados) {
+      return precos.atualizar(id, dados);
+    },
+
+    remover(id) {
+      return precos.remover(id);
+    }
+  };
+};
+
+module.exports = createPrecosMetaRepository;
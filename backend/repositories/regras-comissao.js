@@ -0,0 +1,48 @@
+// Repositório das regras de comissão (faixas guardadas como JSON em texto)
+const RELACOES = {
+  consultores: { chave: 'consultor_id', colunas: ['nome'] },
+  imobiliarias: { chave: 'imobiliaria_id', colunas: ['nome'] }
+};
+
+const deBanco = (regra) => regra && {
+  ...regra,
+  faixas: typeof regra.faixas === 'string' ? JSON.parse(regra.faixas) : regra.faixas
+};
+
+const paraBanco = (dados) => ({
+  ...dados,
+  faixas: Array.isArray(dados.faixas) ? JSON.stringify(dados.faixas) : dados.faixas
+});
+
+const createRegrasComissaoRepository = (tabela) => {
+  const regras = tabela('regras_comissao');
+
+  return {
+    async listar({ ativo } = {}) {
+      const linhas = await regras.listar({
+        filtros: { ativo },
+        ordem: [['created_at', 'desc']],
+        relacoes: RELACOES
+      });
+      return linhas.map(deBanco);
+    },
+
+    async buscarPorId(id) {
+      return deBanco(await regras.buscar(id));
+    },
+
+    async criar(dados) {
+      return deBanco(await regras.criar(paraBanco(dados)));
+    },
+
+    async atualizar(id, dados) {
+      return deBanco(await regras.atualizar(id, paraBanco(dados)));
+    },
+
+    remover(id) {
+      return regras.remover(id);
+    }
+  };
+};
+
+module.exports = createRegrasComissaoRepository;
@@ -0,0 +1,47 @@
+// Repositório das regras de distribuição de leads (corretores do rodízio guardados como JSON em texto)
+const RELACOES = {
+  imobiliarias: { chave: 'imobiliaria_id', colunas: ['nome'] }
+};
+
+const deBanco = (regra) => regra && {
+  ...regra,
+  consultores: typeof regra.consultores === 'string' ? JSON.parse(regra.consultores) : (regra.consultores || [])
+};
+
+const paraBanco = (dados) => ({
+  ...dados,
+  consultores: Array.isArray(dados.consultores) ? JSON.stringify(dados.consultores) : dados.consultores
+});
+
+const createRegrasDistribuicaoRepository = (tabela) => {
+  const regras = tabela('regras_distribuicao');
+
+  return {
+    async listar({ ativo } = {}) {
+      const linhas = await regras.listar({
+        filtros: { ativo },
+        ordem: [['created_at', 'desc']],
+        relacoes: RELACOES
+      });
+      return linhas.map(deBanco);
+    },
+
+    async buscarPorId(id) {
+      return deBanco(await regras.buscar(id));
+    },
+
+    async criar(dados) {
+      return deBanco(await regras.criar(paraBanco(dados)));
+    },
+
+    async atualizar(id, dados) {
+      return deBanco(await regras.atualizar(id, paraBanco(dados)));
+    },
+
+    remover(id) {
+      return regras.remover(id);
+    }
+  };
+};
+
+module.exports = createRegrasDistribuicaoRepository;
@@ -0,0 +1,297 @@
+// Implementação SQL local (SQLite ou Postgres) das operações de tabela usadas pelos repositórios
+const fs = require('fs');
+const path = require('path');
+
+// Colunas booleanas (o SQLite guarda 0/1)
+const COLUNAS_BOOLEANAS = ['ativo', 'lembrado', 'lida'];
+
+const OPERADORES = { neq: '<>', gte: '>=', lte: '<=' };
+
+// Nomes de tabela/coluna vão direto no SQL: aceitar apenas identificadores simples
+const identificador = (nome) => {
+  if (!/^[a-z_][a-z0-9_]*$/i.test(nome)) {
+    throw new Error(`Identificador inválido: ${nome}`);
+  }
+  return nome;
+};
+
+// As migrações são escritas em SQL do Postgres; no SQLite, SERIAL e NOW() são convertidos
+const adaptarParaSqlite = (sql) => sql
+  .replace(/SERIAL PRIMARY KEY/g, 'INTEGER PRIMARY KEY AUTOINCREMENT')
+  .replace(/NOW\(\)/g, 'CURRENT_TIMESTAMP');
+
+// Conexão SQLite (arquivo em SQLITE_PATH, padrão backend/database.sqlite)
+const conectarSqlite = (arquivo) => {
+  const Database = require('better-sqlite3');
+  const db = new Database(arquivo);
+  db.pragma('foreign_keys = ON');
+
+  const paraSqlite = (valor) => {
+    if (valor === true) return 1;
+    if (valor === false) return 0;
+    if (valor === undefined) return null;
+    return valor;
+  };
+
+  const deSqlite = (linha) => {
+    for (const coluna of COLUNAS_BOOLEANAS) {
+      if (typeof linha[coluna] === 'number') linha[coluna] = linha[coluna] === 1;
+    }
+    return linha;
+  };
+
+  const conexao = {
+    dialeto: 'sqlite',
+    async executar(sql, params = []) {
+      const statement = db.prepare(sql);
+      const valores = params.map(paraSqlite);
+      if (statement.reader) return statement.all(...valores).map(deSqlite);
+      statement.run(...valores);
+      return [];
+    },
+    // Vários comandos de uma vez, sem parâmetros (usado pelas migrações)
+    async executarScript(sql) {
+      db.exec(adaptarParaSqlite(sql));
+    },
+    async transacao(callback) {
+      db.exec('BEGIN');
+      try {
+        const resultado = await callback(conexao);
+        db.exec('COMMIT');
+        return resultado;
+      } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+      }
+    },
+    async fechar() {
+      db.close();
+    }
+  };
+
+  return conexao;
+};
+
+// Executor de consultas sobre o pool ou sobre um cliente dedicado (transação)
+const criarExecutorPostgres = (cliente) => ({
+  dialeto: 'postgres',
+  async executar(sql, params = []) {
+    // Placeholders "?" viram "$1, $2, ..."
+    let indice = 0;
+    const texto = sql.replace(/\?/g, () => `$${++indice}`);
+    const { rows } = await cliente.query(texto, params);
+    return rows;
+  },
+  async executarScript(sql) {
+    await cliente.query(sql);
+  }
+});
+
+// Conexão Postgres (DATABASE_URL)
+const conectarPostgres = (connectionString) => {
+  const { Pool, types } = require('pg');
+
+  // Devolver os tipos no mesmo formato do Supabase
+  types.setTypeParser(1700, valor => parseFloat(valor)); // NUMERIC
+  types.setTypeParser(20, valor => parseInt(valor)); // BIGINT (COUNT)
+  types.setTypeParser(1082, valor => valor); // DATE como 'YYYY-MM-DD'
+  types.setTypeParser(1114, valor => valor.replace(' ', 'T')); // TIMESTAMP
+
+  const pool = new Pool({ connectionString });
+
+  return {
+    ...criarExecutorPostgres(pool),
+    async transacao(callback) {
+      const cliente = await pool.connect();
+      try {
+        await cliente.query('BEGIN');
+        const resultado = await callback(criarExecutorPostgres(cliente));
+        await cliente.query('COMMIT');
+        return resultado;
+      } catch (error) {
+        await cliente.query('ROLLBACK');
+        throw error;
+      } finally {
+        cliente.release();
+      }
+    },
+    async fechar() {
+      await pool.end();
+    }
+  };
+};
+
+const criarTabelaSql = (db) => (nome) => {
+  const tabela = identificador(nome);
+
+  const montarCondicao = (coluna, valor, params) => {
+    const col = identificador(coluna);
+    if (valor === null) return `${col} IS NULL`;
+    if (Array.isArray(valor)) {
+      if (valor.length === 0) return '1 = 0';
+      params.push(...valor);
+      return `${col} IN (${valor.map(() => '?').join(', ')})`;
+    }
+    if (typeof valor === 'object') {
+      // { neq | ilike | gte | lte: valor }, podendo combinar operadores (ex.: { gte, lte });
+      // { neq: null } é "não nulo"
+      return Object.entries(valor).map(([operador, operando]) => {
+        if (operador === 'neq' && operando === null) return `${col} IS NOT NULL`;
+        params.push(operando);
+        if (operador === 'ilike') {
+          return db.dialeto === 'postgres' ? `${col} ILIKE ?` : `LOWER(${col}) LIKE LOWER(?)`;
+        }
+        if (!OPERADORES[operador]) throw new Error(`Operador não suportado: ${operador}`);
+        return `${col} ${OPERADORES[operador]} ?`;
+      }).join(' AND ');
+    }
+    params.push(valor);
+    return `${col} = ?`;
+  };
+
+  const montarWhere = (filtros = {}, ou = [], params) => {
+    const condicoes = Object.entries(filtros)
+      .filter(([, valor]) => valor !== undefined)
+      .map(([coluna, valor]) => montarCondicao(coluna, valor, params));
+
+    if (ou && ou.length > 0) {
+      const alternativas = ou.map(filtro => {
+        const [coluna, valor] = Object.entries(filtro)[0];
+        return montarCondicao(coluna, valor, params);
+      });
+      condicoes.push(`(${alternativas.join(' OR ')})`);
+    }
+
+    return condicoes.length > 0 ? ` WHERE ${condicoes.join(' AND ')}` : '';
+  };
+
+  const definidos = (dados) => Object.entries(dados).filter(([, valor]) => valor !== undefined);
+
+  // Relações carregadas numa segunda consulta e anexadas como objeto, igual ao embed do Supabase
+  const anexarRelacoes = async (linhas, relacoes = {}) => {
+    for (const [relacao, { chave, colunas }] of Object.entries(relacoes)) {
+      const ids = [...new Set(linhas.map(l => l[chave]).filter(id => id !== null && id !== undefined))];
+      const relacionados = {};
+
+      if (ids.length > 0) {
+        const colunasSql = ['id', ...colunas].map(identificador).join(', ');
+        const encontrados = await db.executar(
+          `SELECT ${colunasSql} FROM ${identificador(relacao)} WHERE id IN (${ids.map(() => '?').join(', ')})`,
+          ids
+        );
+        for (const { id, ...dados } of encontrados) relacionados[id] = dados;
+      }
+
+      for (const linha of linhas) {
+        linha[relacao] = relacionados[linha[chave]] || null;
+      }
+    }
+    return linhas;
+  };
+
+  const buscar = async (id, { colunas, relacoes } = {}) => {
+    const colunasSql = colunas ? colunas.map(identificador).join(', ') : '*';
+    const linhas = await db.executar(`SELECT ${colunasSql} FROM ${tabela} WHERE id = ?`, [id]);
+    if (linhas.length === 0) return null;
+    const [linha] = await anexarRelacoes(linhas, relacoes);
+    return linha;
+  };
+
+  return {
+    // limite/deslocamento: uma página do resultado (LIMIT/OFFSET)
+    async listar({ filtros, ou, ordem = [], colunas, relacoes, limite, deslocamento } = {}) {
+      const params = [];
+      const colunasSql = colunas ? colunas.map(identificador).join(', ') : '*';
+      const ordemSql = ordem.length > 0
+        ? ` ORDER BY ${ordem.map(([coluna, direcao = 'asc']) => `${identificador(coluna)} ${direcao === 'desc' ? 'DESC' : 'ASC'}`).join(', ')}`
+        : '';
+
+      const where = montarWhere(filtros, ou, params);
+      const limiteSql = limite
+        ? ` LIMIT ${parseInt(limite)}${deslocamento ? ` OFFSET ${parseInt(deslocamento)}` : ''}`
+        : '';
+
+      const linhas = await db.executar(
+        `SELECT ${colunasSql} FROM ${tabela}${where}${ordemSql}${limiteSql}`,
+        params
+      );
+      return anexarRelacoes(linhas, relacoes);
+    },
+
+    async contar({ filtros, ou } = {}) {
+      const params = [];
+      const [{ total }] = await db.executar(`SELECT COUNT(*) AS total FROM ${tabela}${montarWhere(filtros, ou, params)}`, params);
+      return Number(total);
+    },
+
+    // Total de registros para cada valor da coluna (ex.: quantos clientes em cada status); os
+    // `valores` sem nenhum registro voltam com 0, como no Supabase
+    async contarPorValor(coluna, { filtros, ou, valores = [] } = {}) {
+      const params = [];
+      const col = identificador(coluna);
+      const linhas = await db.executar(
+        `SELECT ${col} AS valor, COUNT(*) AS total FROM ${tabela}${montarWhere(filtros, ou, params)} GROUP BY ${col}`,
+        params
+      );
+      return {
+        ...Object.fromEntries(valores.map(valor => [valor, 0])),
+        ...Object.fromEntries(linhas.map(({ valor, total }) => [valor, Number(total)]))
+      };
+    },
+
+    buscar,
+
+    async criar(dados) {
+      const campos = definidos(dados);
+      const sql = campos.length > 0
+        ? `INSERT INTO ${tabela} (${campos.map(([c]) => identificador(c)).join(', ')}) VALUES (${campos.map(() => '?').join(', ')}) RETURNING *`
+        : `INSERT INTO ${tabela} DEFAULT VALUES RETURNING *`;
+
+      const [linha] = await db.executar(sql, campos.map(([, v]) => v));
+      return linha;
+    },
+
+    // filtros/ou: condição extra para gravar (ex.: { consultor_id: null }), verificada no próprio UPDATE
+    async atualizar(id, dados, { filtros, ou } = {}) {
+      const campos = definidos(dados);
+      if (campos.length === 0) return buscar(id);
+
+      const params = [...campos.map(([, v]) => v), id];
+      const condicao = montarWhere(filtros, ou, params).replace(' WHERE ', ' AND ');
+
+      const linhas = await db.executar(
+        `UPDATE ${tabela} SET ${campos.map(([c]) => `${identificador(c)} = ?`).join(', ')} WHERE id = ?${condicao} RETURNING *`,
+        params
+      );
+      return linhas.length > 0 ? linhas[0] : null;
+    },
+
+    async remover(id) {
+      await db.executar(`DELETE FROM ${tabela} WHERE id = ?`, [id]);
+    }
+  };
+};
+
+// Arquivos de contrato em disco (pasta backend/uploads, servida em /uploads)
+const criarContratosLocal = (pasta) => ({
+  async salvar(fileName, buffer) {
+    await fs.promises.mkdir(pasta, { recursive: true });
+    await fs.promises.writeFile(path.join(pasta, path.basename(fileName)), buffer);
+    return fileName;
+  },
+
+  async baixar(fileName) {
+    return fs.promises.readFile(path.join(pasta, path.basename(fileName)));
+  },
+
+  async remover(fileName) {
+    await fs.promises.rm(path.join(pasta, path.basename(fileName)), { force: true });
+  }
+});
+
+module.exports = {
+  conectarSqlite,
+  conectarPostgres,
+  criarTabelaSql,
+  criarContratosLocal
+};
@@ -0,0 +1,194 @@
+// Implementação Supabase das operações de tabela usadas pelos repositórios
+
+// Bucket do Supabase Storage onde ficam os contratos
+const STORAGE_BUCKET = 'contratos';
+
+// Máximo de linhas que o PostgREST devolve numa consulta (max-rows padrão do Supabase)
+const LINHAS_POR_CONSULTA = 1000;
+
+const aplicarFiltros = (query, filtros = {}) => {
+  for (const [coluna, valor] of Object.entries(filtros)) {
+    if (valor === undefined) continue;
+    if (valor === null) {
+      query = query.is(coluna, null);
+    } else if (Array.isArray(valor)) {
+      query = query.in(coluna, valor);
+    } else if (typeof valor === 'object') {
+      // { neq | ilike | gte | lte: valor }, podendo combinar operadores (ex.: { gte, lte });
+      // { neq: null } é "não nulo"
+      for (const [operador, operando] of Object.entries(valor)) {
+        query = operador === 'neq' && operando === null
+          ? query.not(coluna, 'is', null)
+          : query[operador](coluna, operando);
+      }
+    } else {
+      query = query.eq(coluna, valor);
+    }
+  }
+  return query;
+};
+
+// [{ consultor_id: 1 }, { id: [2, 3] }, { nome: { ilike: 'ana %' } }] -> 'consultor_id.eq.1,id.in.(2,3),nome.ilike."ana %"'
+const montarOu = (ou) => ou
+  .map(filtro => {
+    const [coluna, valor] = Object.entries(filtro)[0];
+    if (valor === null) return `${coluna}.is.null`;
+    if (Array.isArray(valor)) return valor.length > 0 ? `${coluna}.in.(${valor.join(',')})` : null;
+    if (typeof valor === 'object') {
+      // Um operador por condição; o operando vai entre aspas (pode ter vírgula, ponto ou parênteses)
+      const [operador, operando] = Object.entries(valor)[0];
+      if (operador === 'neq' && operando === null) return `${coluna}.not.is.null`;
+      return `${coluna}.${operador}."${String(operando).replace(/["\\]/g, '\\$&')}"`;
+    }
+    return `${coluna}.eq.${valor}`;
+  })
+  .filter(Boolean)
+  .join(',');
+
+// Relações viram embeds do PostgREST: { clientes: { colunas: ['nome'] } } -> "clientes(nome)"
+const montarSelect = (colunas, relacoes = {}) => [
+  colunas ? colunas.join(', ') : '*',
+  ...Object.entries(relacoes).map(([tabela, { colunas: colunasRelacao }]) => `${tabela}(${colunasRelacao.join(', ')})`)
+].join(', ');
+
+// Condições "ou" na consulta; null quando nenhuma condição é possível (resultado vazio)
+const aplicarOu = (query, ou) => {
+  if (!ou || ou.length === 0) return query;
+  const condicoes = montarOu(ou);
+  return condicoes ? query.or(condicoes) : null;
+};
+
+// Total de linhas da consulta, sem trazê-las (count exato do PostgREST)
+const contarLinhas = async (supabase, nome, { filtros, ou }) => {
+  const query = aplicarOu(aplicarFiltros(supabase.from(nome).select('*', { count: 'exact', head: true }), filtros), ou);
+  if (!query) return 0;
+
+  const { count, error } = await query;
+  if (error) throw error;
+  return count;
+};
+
+const criarTabelaSupabase = (supabase) => (nome) => ({
+  // limite/deslocamento: uma página do resultado. Sem limite, busca página a página até o fim
+  // (o PostgREST devolve no máximo LINHAS_POR_CONSULTA linhas por consulta)
+  async listar({ filtros, ou, ordem = [], colunas, relacoes, limite, deslocamento } = {}) {
+    const consulta = (ordenacao) => {
+      let query = aplicarOu(aplicarFiltros(supabase.from(nome).select(montarSelect(colunas, relacoes)), filtros), ou);
+      if (!query) return null;
+
+      for (const [coluna, direcao = 'asc'] of ordenacao) {
+        query = query.order(coluna, { ascending: direcao === 'asc' });
+      }
+      return query;
+    };
+
+    if (limite) {
+      const query = consulta(ordem);
+      if (!query) return [];
+
+      const { data, error } = await (deslocamento ? query.range(deslocamento, deslocamento + limite - 1) : query.limit(limite));
+      if (error) throw error;
+      return data;
+    }
+
+    // O id no fim da ordem mantém as páginas sem repetir nem pular linhas
+    const ordenacao = ordem.some(([coluna]) => coluna === 'id') ? ordem : [...ordem, ['id']];
+    const linhas = [];
+
+    for (let inicio = 0; ; inicio += LINHAS_POR_CONSULTA) {
+      const query = consulta(ordenacao);
+      if (!query) return [];
+
+      const { data, error } = await query.range(inicio, inicio + LINHAS_POR_CONSULTA - 1);
+      if (error) throw error;
+
+      linhas.push(...data);
+      if (data.length < LINHAS_POR_CONSULTA) return linhas;
+    }
+  },
+
+  contar({ filtros, ou } = {}) {
+    return contarLinhas(supabase, nome, { filtros, ou });
+  },
+
+  // Total de registros para cada um dos `valores` da coluna (ex.: quantos clientes em cada status).
+  // O PostgREST não agrupa: é uma contagem (só o total, sem trazer linhas) por valor
+  async contarPorValor(coluna, { filtros, ou, valores } = {}) {
+    if (!valores) throw new Error(`Informe os valores de ${coluna} a contar`);
+
+    const totais = await Promise.all(valores.map(valor =>
+      contarLinhas(supabase, nome, { filtros: { ...filtros, [coluna]: valor }, ou })
+    ));
+    return Object.fromEntries(valores.map((valor, i) => [valor, totais[i]]));
+  },
+
+  async buscar(id, { colunas, relacoes } = {}) {
+    const { data, error } = await supabase
+      .from(nome)
+      .select(montarSelect(colunas, relacoes))
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async criar(dados) {
+    const { data, error } = await supabase.from(nome).insert([dados]).select();
+    if (error) throw error;
+    return data[0];
+  },
+
+  // filtros/ou: condição extra para gravar (ex.: { consultor_id: null }), verificada no próprio UPDATE
+  async atualizar(id, dados, { filtros, ou } = {}) {
+    const query = aplicarOu(aplicarFiltros(supabase.from(nome).update(dados).eq('id', id), filtros), ou);
+    if (!query) return null;
+
+    const { data, error } = await query.select();
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+  },
+
+  async remover(id) {
+    const { error } = await supabase.from(nome).delete().eq('id', id);
+    if (error) throw error;
+  }
+});
+
+// Arquivos de contrato no Supabase Storage (usa o cliente admin)
+const criarContratosSupabase = (supabaseAdmin) => ({
+  async salvar(fileName, buffer) {
+    const { data, error } = await supabaseAdmin.storage
+      .from(STORAGE_BUCKET)
+      .upload(fileName, buffer, {
+        contentType: 'application/pdf',
+        cacheControl: '3600',
+        upsert: false
+      });
+
+    if (error) throw error;
+    return data.path;
+  },
+
+  async baixar(fileName) {
+    const { data, error } = await supabaseAdmin.storage
+      .from(STORAGE_BUCKET)
+      .download(fileName);
+
+    if (error) throw error;
+    return Buffer.from(await data.arrayBuffer());
+  },
+
+  async remover(fileName) {
+    const { error } = await supabaseAdmin.storage
+      .from(STORAGE_BUCKET)
+      .remove([fileName]);
+
+    if (error) throw error;
+  }
+});
+
+module.exports = {
+  criarTabelaSupabase,
+  criarContratosSupabase
+};
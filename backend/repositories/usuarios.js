@@ -0,0 +1,29 @@
+// Repositório de usuários administradores
+const RELACOES = { consultores: { chave: 'consultor_id', colunas: ['nome', 'telefone'] } };
+
+const createUsuariosRepository = (tabela) => {
+  const usuarios = tabela('usuarios');
+
+  return {
+    async buscarAtivoPorEmail(email) {
+      const [usuario] = await usuarios.listar({ filtros: { email, ativo: true }, relacoes: RELACOES });
+      return usuario || null;
+    },
+
+    async buscarAtivoPorId(id) {
+      const usuario = await usuarios.buscar(id, { relacoes: RELACOES });
+      return usuario && usuario.ativo ? usuario : null;
+    },
+
+    // Admins que recebem os avisos da central de notificações
+    listarAdminsAtivos() {
+      return usuarios.listar({ filtros: { tipo: 'admin', ativo: true }, colunas: ['id', 'nome'] });
+    },
+
+    registrarLogin(id) {
+      return usuarios.atualizar(id, { ultimo_login: new Date().toISOString() });
+    }
+  };
+};
+
+module.exports = createUsuariosRepository;
@@ -0,0 +1,31 @@
+// Repositório dos leads tirados do corretor por falta de contato no prazo
+const RELACOES = {
+  clientes: { chave: 'cliente_id', colunas: ['nome', 'telefone'] },
+  consultores: { chave: 'consultor_id', colunas: ['nome'] }
+};
+
+const createViolacoesSlaRepository = (tabela) => {
+  const violacoes = tabela('violacoes_sla');
+
+  return {
+    // Mais recentes primeiro, com o nome do cliente e do corretor que perdeu o lead
+    listar({ consultorId, limite } = {}) {
+      return violacoes.listar({
+        filtros: { consultor_id: consultorId },
+        ordem: [['created_at', 'desc'], ['id', 'desc']],
+        relacoes: RELACOES,
+        limite
+      });
+    },
+
+    criar(dados) {
+      return violacoes.criar(dados);
+    },
+
+    atualizar(id, dados) {
+      return violacoes.atualizar(id, dados);
+    }
+  };
+};
+
+module.exports = createViolacoesSlaRepository;
@@ -0,0 +1,308 @@
+const express = require('express');
+const { auditar } = require('../auditoria');
+const { validar, responderErroDeValidacao } = require('../middleware/validacao');
+const esquemas = require('../esquemas');
+const { lerPaginacao, respostaPaginada } = require('../paginacao');
+const { responderExportacao } = require('../exportacao');
+const { gerarConviteDaVisita, responderCalendario } = require('../calendario');
+const { STATUS_LIVRES, gravarSeHorarioLivre, listarHorariosLivres } = require('../disponibilidade');
+const { notificar } = require('../notificacoes');
+const { dataBrasileira } = require('../utils');
+
+// Filtros da listagem (e da exportação) a partir da query
+const filtrosDaListagem = (req) => {
+  const { status, data_inicio, data_fim, consultor_id, cliente_id, imobiliaria_id } = req.query;
+
+  // Se for consultor, filtrar apenas seus agendamentos
+  return {
+    consultorId: req.user.tipo === 'consultor' ? req.user.consultor_id : (consultor_id ?? undefined),
+    clienteId: cliente_id ?? undefined,
+    imobiliariaId: imobiliaria_id ?? undefined,
+    status,
+    dataInicio: data_inicio,
+    dataFim: data_fim
+  };
+};
+
+// Convite (.ics) da visita para o cliente, devolvido na criação e na remarcação
+const caminhoDoConvite = (id) => `/agendamentos/${id}/convite.ics`;
+
+// Reformatar dados para compatibilidade com frontend
+const formatarAgendamento = (agendamento) => ({
+  ...agendamento,
+  cliente_nome: agendamento.clientes?.nome,
+  cliente_telefone: agendamento.clientes?.telefone,
+  consultor_nome: agendamento.consultores?.nome,
+  imobiliaria_nome: agendamento.imobiliarias?.nome
+});
+
+const createAgendamentosRouter = ({ repositories, authenticateToken, requireAdmin, requireRecordOwnerOrAdmin }) => {
+  const router = express.Router();
+
+  const donoDoAgendamento = requireRecordOwnerOrAdmin(req => repositories.agendamentos.buscarPorId(req.params.id), {
+    naoEncontrado: 'Agendamento não encontrado!'
+  });
+
+  // Consultor só cria/edita agendamentos em seu próprio nome, para clientes dele
+  const consultorDoAgendamento = (req, consultorId) =>
+    (req.user.tipo === 'consultor' ? req.user.consultor_id : consultorId);
+
+  const clienteLiberado = (req, clienteId) =>
+    req.user.tipo !== 'consultor' || !clienteId || repositories.clientes.acessivelAoConsultor(clienteId, req.user.consultor_id);
+
+  // Com ?pagina= devolve { dados, total, por_status, ... }; sem ela, a lista inteira
+  router.get('/agendamentos', authenticateToken, validar({ query: esquemas.filtrosAgendamentos }), async (req, res) => {
+    try {
+      const resultado = await repositories.agendamentos.listarPagina({ ...filtrosDaListagem(req), ...lerPaginacao(req.query) });
+      const formattedData = resultado.dados.map(formatarAgendamento);
+
+      res.json(req.query.pagina ? respostaPaginada(req.query, { ...resultado, dados: formattedData }) : formattedData);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Lista inteira com os filtros e a ordem da tela, em CSV ou XLSX (?formato=)
+  router.get('/agendamentos/exportar', authenticateToken, validar({ query: esquemas.exportacaoAgendamentos }), async (req, res) => {
+    try {
+      const { dados } = await repositories.agendamentos.listarPagina({ ...filtrosDaListagem(req), ordem: lerPaginacao(req.query).ordem });
+      await responderExportacao(res, 'agendamentos', req.query.formato, dados.map(formatarAgendamento));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Horários livres para visita no período: funcionamento e vagas do empreendimento e agenda do
+  // corretor (o consultor consulta a própria agenda)
+  router.get('/agendamentos/disponibilidade', authenticateToken, validar({ query: esquemas.filtrosDisponibilidade }), async (req, res) => {
+    try {
+      const { imobiliaria_id, consultor_id, data_inicio, data_fim } = req.query;
+
+      const disponibilidade = await listarHorariosLivres(repositories, {
+        imobiliariaId: imobiliaria_id ?? undefined,
+        consultorId: consultorDoAgendamento(req, consultor_id ?? undefined),
+        dataInicio: data_inicio,
+        dataFim: data_fim
+      });
+
+      res.json(disponibilidade);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Agendamento aberto direto pelo link (busca global)
+  router.get('/agendamentos/:id', authenticateToken, donoDoAgendamento, async (req, res) => {
+    try {
+      const agendamento = await repositories.agendamentos.buscarDetalhado(req.params.id);
+      res.json(formatarAgendamento(agendamento));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Convite da visita para o cliente adicionar ao calendário; remarcações e cancelamentos
+  // usam o mesmo evento, com sequência maior
+  router.get('/agendamentos/:id/convite.ics', authenticateToken, donoDoAgendamento, async (req, res) => {
+    try {
+      const agendamento = await repositories.agendamentos.buscarParaConvite(req.params.id);
+      responderCalendario(res, gerarConviteDaVisita(agendamento), `visita-${agendamento.id}.ics`, { download: true });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post('/agendamentos', authenticateToken, validar({ body: esquemas.agendamento }), async (req, res) => {
+    try {
+      const { cliente_id, consultor_id, imobiliaria_id, data_agendamento, horario, observacoes } = req.body;
+
+      if (!(await clienteLiberado(req, cliente_id))) {
+        return res.status(403).json({ error: 'Acesso negado' });
+      }
+
+      // Corretor livre e vaga no empreendimento, conferidos e gravados sem outro pedido no meio
+      const consultorId = consultorDoAgendamento(req, consultor_id);
+      const auditado = auditar(repositories, req.user);
+      const { conflito, resultado: agendamento } = await gravarSeHorarioLivre(repositories, {
+        consultorId,
+        imobiliariaId: imobiliaria_id,
+        data: data_agendamento,
+        horario
+      }, () => auditado.criar('agendamentos', {
+        cliente_id,
+        consultor_id: consultorId,
+        imobiliaria_id,
+        data_agendamento,
+        horario,
+        observacoes
+      }));
+      if (conflito) {
+        return responderErroDeValidacao(res, conflito);
+      }
+
+      // Atualizar status do cliente para "agendado"
+      if (cliente_id) {
+        await auditado.atualizar('clientes', cliente_id, { status: 'agendado' });
+      }
+
+      res.json({ id: agendamento.id, convite: caminhoDoConvite(agendamento.id), message: 'Agendamento criado com sucesso!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.put('/agendamentos/:id', authenticateToken, donoDoAgendamento, validar({ body: esquemas.agendamento }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { cliente_id, consultor_id, imobiliaria_id, data_agendamento, horario, status, observacoes } = req.body;
+
+      if (!(await clienteLiberado(req, cliente_id))) {
+        return res.status(403).json({ error: 'Acesso negado' });
+      }
+
+      // Agendamento atual (carregado na verificação de dono) para obter o cliente_id anterior
+      const agendamentoAtual = req.registro;
+
+      // Visita remarcada (ex.: arrastada no calendário) precisa de um novo lembrete
+      const remarcada = data_agendamento !== agendamentoAtual.data_agendamento ||
+        String(horario).slice(0, 5) !== String(agendamentoAtual.horario).slice(0, 5);
+      const mudouStatus = status !== undefined && status !== agendamentoAtual.status;
+
+      // Campos não enviados continuam como estão
+      const consultorId = consultorDoAgendamento(req, consultor_id) ?? agendamentoAtual.consultor_id;
+      const imobiliariaId = imobiliaria_id === undefined ? agendamentoAtual.imobiliaria_id : imobiliaria_id;
+      const statusFinal = status ?? agendamentoAtual.status;
+
+      // Conferir a agenda só quando a visita muda de horário, de corretor, de empreendimento ou volta
+      // a ocupar a agenda (ex.: cancelada e reativada); editar só as observações não é barrado
+      const ocupaOutraVaga = remarcada ||
+        consultorId !== agendamentoAtual.consultor_id ||
+        imobiliariaId !== agendamentoAtual.imobiliaria_id ||
+        STATUS_LIVRES.includes(agendamentoAtual.status);
+
+      const auditado = auditar(repositories, req.user);
+      const gravarVisita = () => auditado.atualizar('agendamentos', id, {
+        cliente_id,
+        consultor_id: consultorId,
+        imobiliaria_id,
+        data_agendamento,
+        horario,
+        status,
+        observacoes,
+        lembrado: remarcada ? false : undefined,
+        confirmado_em: remarcada ? null : undefined,
+        sequencia_convite: remarcada || mudouStatus ? (agendamentoAtual.sequencia_convite || 0) + 1 : undefined
+      });
+
+      let agendamento;
+      if (ocupaOutraVaga && !STATUS_LIVRES.includes(statusFinal)) {
+        const { conflito, resultado } = await gravarSeHorarioLivre(repositories, {
+          consultorId,
+          imobiliariaId,
+          data: data_agendamento,
+          horario,
+          excetoId: agendamentoAtual.id
+        }, gravarVisita);
+        if (conflito) {
+          return responderErroDeValidacao(res, conflito);
+        }
+        agendamento = resultado;
+      } else {
+        agendamento = await gravarVisita();
+      }
+
+      // Atualizar o status da indicação correspondente
+      const clienteIdFinal = cliente_id || agendamentoAtual.cliente_id;
+      if (clienteIdFinal && status) {
+        await auditado.atualizar('clientes', clienteIdFinal, { status });
+      }
+
+      // Corretor da visita fica sabendo da remarcação feita por outra pessoa (ex.: admin no calendário)
+      if (remarcada && consultorId && consultorId !== req.user.consultor_id) {
+        await notificar(repositories, {
+          consultor_id: consultorId,
+          tipo: 'visita_remarcada',
+          titulo: 'Visita remarcada',
+          mensagem: `${req.user.nome} remarcou a visita de ${dataBrasileira(agendamentoAtual.data_agendamento)} às ` +
+            `${String(agendamentoAtual.horario).slice(0, 5)} para ${dataBrasileira(data_agendamento)} às ${String(horario).slice(0, 5)}.`,
+          cliente_id: clienteIdFinal || null,
+          link: `/agendamentos?agendamento=${agendamento.id}`
+        });
+      }
+
+      res.json({ id: agendamento.id, convite: caminhoDoConvite(agendamento.id), message: 'Agendamento e indicação atualizados com sucesso!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.put('/agendamentos/:id/status', authenticateToken, donoDoAgendamento, validar({ body: esquemas.statusAgendamento }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { status } = req.body;
+
+      // Agendamento carregado na verificação de dono, para obter o cliente_id
+      const agendamento = req.registro;
+
+      // Atualizar o status do agendamento
+      const auditado = auditar(repositories, req.user);
+      const gravarStatus = () => auditado.atualizar('agendamentos', id, {
+        status,
+        // Nova versão do evento na agenda (ex.: visita cancelada some do calendário do corretor)
+        sequencia_convite: status !== agendamento.status ? (agendamento.sequencia_convite || 0) + 1 : undefined
+      });
+
+      // Visita cancelada que volta para a agenda precisa do horário ainda livre
+      if (STATUS_LIVRES.includes(agendamento.status) && !STATUS_LIVRES.includes(status)) {
+        const { conflito } = await gravarSeHorarioLivre(repositories, {
+          consultorId: agendamento.consultor_id,
+          imobiliariaId: agendamento.imobiliaria_id,
+          data: agendamento.data_agendamento,
+          horario: agendamento.horario,
+          excetoId: agendamento.id
+        }, gravarStatus);
+        if (conflito) {
+          return responderErroDeValidacao(res, conflito);
+        }
+      } else {
+        await gravarStatus();
+      }
+
+      // Atualizar o status da indicação correspondente
+      if (agendamento.cliente_id) {
+        await auditado.atualizar('clientes', agendamento.cliente_id, { status });
+      }
+
+      res.json({ message: 'Status atualizado com sucesso em visita e indicação!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.put('/agendamentos/:id/lembrado', authenticateToken, donoDoAgendamento, async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      await auditar(repositories, req.user).atualizar('agendamentos', id, { lembrado: true });
+      res.json({ message: 'Cliente marcado como lembrado!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Deletar agendamento (apenas admin)
+  router.delete('/agendamentos/:id', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      await auditar(repositories, req.user).remover('agendamentos', id);
+      res.json({ message: 'Agendamento removido com sucesso!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createAgendamentosRouter;
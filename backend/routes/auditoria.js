@@ -0,0 +1,64 @@
+const express = require('express');
+const { ENTIDADES } = require('../auditoria');
+const { validar } = require('../middleware/validacao');
+const esquemas = require('../esquemas');
+
+// Limite padrão de registros do log geral
+const LIMITE_PADRAO = 500;
+
+const createAuditoriaRouter = ({ repositories, authenticateToken, requireAdmin }) => {
+  const router = express.Router();
+
+  // === HISTÓRICO GERAL === (Apenas Admin)
+  router.get('/auditoria', authenticateToken, requireAdmin, validar({ query: esquemas.filtrosAuditoria }), async (req, res) => {
+    try {
+      const { entidade, entidade_id, acao, usuario, data_inicio, data_fim, limite } = req.query;
+
+      const registros = await repositories.auditoria.listar({
+        entidade: entidade || undefined,
+        entidadeId: entidade_id ?? undefined,
+        acao: acao || undefined,
+        usuario: usuario || undefined,
+        dataInicio: data_inicio || undefined,
+        dataFim: data_fim || undefined,
+        limite: limite || LIMITE_PADRAO
+      });
+
+      res.json(registros);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // === HISTÓRICO DE UM REGISTRO === (clientes, agendamentos ou fechamentos)
+  router.get('/auditoria/:entidade/:id', authenticateToken, async (req, res) => {
+    try {
+      const { entidade, id } = req.params;
+
+      if (!ENTIDADES.includes(entidade)) {
+        return res.status(400).json({ error: `Entidade inválida! Use: ${ENTIDADES.join(', ')}` });
+      }
+
+      // Consultor só vê o histórico dos próprios registros (admin vê inclusive os removidos)
+      if (req.user.tipo !== 'admin') {
+        const registro = await repositories[entidade].buscarPorId(id);
+        const dono = registro && (entidade === 'clientes'
+          ? await repositories.clientes.pertenceAoConsultor(registro, req.user.consultor_id)
+          : registro.consultor_id === req.user.consultor_id);
+
+        if (!dono) {
+          return res.status(403).json({ error: 'Acesso negado' });
+        }
+      }
+
+      const registros = await repositories.auditoria.listar({ entidade, entidadeId: parseInt(id) });
+      res.json(registros);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createAuditoriaRouter;
@@ -0,0 +1,135 @@
+const express = require('express');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const { JWT_SECRET } = require('../middleware/auth');
+const { normalizarEmail } = require('../utils');
+const { validar } = require('../middleware/validacao');
+const esquemas = require('../esquemas');
+
+const createAuthRouter = ({ repositories, authenticateToken }) => {
+  const router = express.Router();
+
+  router.post('/login', validar({ body: esquemas.login }), async (req, res) => {
+    try {
+      const { email, senha } = req.body; // 'email' será usado para nome do consultor também
+
+      let usuario = null;
+      let tipoLogin = null;
+
+      // Primeiro, tentar login como admin (por email)
+      if (email.includes('@')) {
+        usuario = await repositories.usuarios.buscarAtivoPorEmail(email);
+        if (usuario) {
+          tipoLogin = 'admin';
+        }
+      }
+
+      // Se não encontrou admin, tentar login como consultor (apenas por email)
+      if (!usuario && email.includes('@')) {
+        // Normalizar email para busca
+        const emailNormalizado = normalizarEmail(email);
+
+        usuario = await repositories.consultores.buscarPorEmail(emailNormalizado);
+
+        if (usuario) {
+          tipoLogin = 'consultor';
+        }
+      }
+
+      if (!usuario) {
+        return res.status(401).json({ error: 'Credenciais inválidas' });
+      }
+
+      // Verificar senha
+      const senhaValida = await bcrypt.compare(senha, usuario.senha);
+
+      if (!senhaValida) {
+        return res.status(401).json({ error: 'Credenciais inválidas' });
+      }
+
+      // Atualizar último login (apenas para admin)
+      if (tipoLogin === 'admin') {
+        await repositories.usuarios.registrarLogin(usuario.id);
+      }
+
+      // Gerar token JWT
+      const tokenData = {
+        id: usuario.id,
+        nome: usuario.nome,
+        tipo: tipoLogin
+      };
+
+      // Adicionar dados específicos baseado no tipo
+      if (tipoLogin === 'admin') {
+        tokenData.email = usuario.email;
+        tokenData.consultor_id = usuario.consultor_id;
+      } else {
+        tokenData.consultor_id = usuario.id; // Para consultores, o ID deles é o consultor_id
+        tokenData.email = usuario.email;
+      }
+
+      const token = jwt.sign(tokenData, JWT_SECRET, { expiresIn: '8h' });
+
+      // Retornar dados do usuário (sem a senha)
+      const { senha: _, ...dadosUsuario } = usuario;
+
+      res.json({
+        message: 'Login realizado com sucesso',
+        token,
+        usuario: {
+          ...dadosUsuario,
+          tipo: tipoLogin,
+          consultor_nome: tipoLogin === 'admin' ? usuario.consultores?.nome || null : usuario.nome
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro no login:', error);
+      res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+  });
+
+  router.post('/logout', authenticateToken, (req, res) => {
+    // Com JWT stateless, o logout é feito removendo o token do cliente
+    res.json({ message: 'Logout realizado com sucesso' });
+  });
+
+  router.get('/verify-token', authenticateToken, async (req, res) => {
+    try {
+      let usuario = null;
+
+      // Se for admin, buscar na tabela usuarios
+      if (req.user.tipo === 'admin') {
+        usuario = await repositories.usuarios.buscarAtivoPorId(req.user.id);
+
+        if (!usuario) {
+          return res.status(401).json({ error: 'Usuário não encontrado' });
+        }
+      } else {
+        // Se for consultor, buscar na tabela consultores
+        usuario = await repositories.consultores.buscarPorId(req.user.id);
+
+        if (!usuario) {
+          return res.status(401).json({ error: 'Consultor não encontrado' });
+        }
+      }
+
+      const { senha: _, ...dadosUsuario } = usuario;
+
+      res.json({
+        usuario: {
+          ...dadosUsuario,
+          tipo: req.user.tipo,
+          consultor_nome: req.user.tipo === 'admin' ? usuario.consultores?.nome || null : usuario.nome
+        }
+      });
+    } catch (error) {
+      console.error('Erro ao verificar token:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createAuthRouter;
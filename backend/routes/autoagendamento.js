@@ -0,0 +1,272 @@
+const express = require('express');
+const { auditar } = require('../auditoria');
+const { validar, responderErroDeValidacao } = require('../middleware/validacao');
+const esquemas = require('../esquemas');
+const { gerarConviteDaVisita, responderCalendario } = require('../calendario');
+const { STATUS_EM_ABERTO, duracaoDaVisita, jaPassou, gravarSeHorarioLivre, listarHorariosLivres } = require('../disponibilidade');
+const { dataBrasileira, tokenSecretoValido } = require('../utils');
+const { notificar } = require('../notificacoes');
+
+// Só o que o lead precisa ver: sem observações internas da equipe
+const formatarVisita = (agendamento) => ({
+  id: agendamento.id,
+  data_agendamento: String(agendamento.data_agendamento).slice(0, 10),
+  horario: String(agendamento.horario).slice(0, 5),
+  status: agendamento.status,
+  imobiliaria_id: agendamento.imobiliaria_id,
+  imobiliaria: agendamento.imobiliarias || null,
+  duracao_visita: duracaoDaVisita(agendamento.imobiliarias),
+  corretor: agendamento.consultores || null
+});
+
+const formatarEmpreendimento = (imobiliaria) => ({
+  id: imobiliaria.id,
+  nome: imobiliaria.nome,
+  endereco: imobiliaria.endereco,
+  bairro: imobiliaria.bairro,
+  cidade: imobiliaria.cidade,
+  estado: imobiliaria.estado,
+  duracao_visita: duracaoDaVisita(imobiliaria)
+});
+
+// Página pública de autoagendamento: o lead do cadastro público marca, remarca ou cancela a
+// própria visita pelo link recebido (o token é o segredo; não há login)
+const createAutoagendamentoRouter = ({ repositories }) => {
+  const router = express.Router();
+
+  const leadDoLink = async (req, res, next) => {
+    try {
+      const { token } = req.params;
+      const cliente = tokenSecretoValido(token) && await repositories.clientes.buscarPorTokenVisita(token);
+      if (!cliente) {
+        return res.status(404).json({ error: 'Link de agendamento não encontrado!' });
+      }
+
+      req.cliente = cliente;
+      next();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  };
+
+  // Próxima visita do lead que ainda não aconteceu (marcada por ele ou pela equipe)
+  const visitaEmAberto = async (cliente) => {
+    const [proxima] = (await repositories.agendamentos.listar({ clienteId: cliente.id }))
+      .filter(visita => STATUS_EM_ABERTO.includes(visita.status) && !jaPassou(visita.data_agendamento, visita.horario))
+      .sort((a, b) => `${a.data_agendamento} ${a.horario}`.localeCompare(`${b.data_agendamento} ${b.horario}`));
+
+    return proxima ? repositories.agendamentos.buscarParaConvite(proxima.id) : null;
+  };
+
+  // Empreendimento escolhido precisa estar recebendo clientes
+  const empreendimentoAtivo = async (id) => {
+    const imobiliaria = await repositories.imobiliarias.buscarPorId(id);
+    return imobiliaria && imobiliaria.status !== 'bloqueado' ? imobiliaria : null;
+  };
+
+  // Mesmas regras da agenda da equipe, mais a data no futuro; `gravar` só roda com o horário livre
+  // (ver gravarSeHorarioLivre). Devolve { conflito } ou { resultado }
+  const gravarNaAgenda = async (cliente, { imobiliaria_id, data_agendamento, horario }, excetoId, gravar) => {
+    if (!(await empreendimentoAtivo(imobiliaria_id))) {
+      return { conflito: { imobiliaria_id: 'Escolha um dos empreendimentos da lista!' } };
+    }
+    if (jaPassou(data_agendamento, horario)) {
+      return { conflito: { horario: 'Escolha um horário que ainda não passou!' } };
+    }
+
+    return gravarSeHorarioLivre(repositories, {
+      consultorId: cliente.consultor_id,
+      imobiliariaId: imobiliaria_id,
+      data: data_agendamento,
+      horario,
+      excetoId
+    }, gravar);
+  };
+
+  // Aviso ao corretor da visita (sem corretor, a visita fica para o admin em Agendamentos)
+  const avisarCorretor = async (cliente, agendamento, titulo, mensagem) => {
+    if (!agendamento.consultor_id) return;
+
+    await notificar(repositories, {
+      consultor_id: agendamento.consultor_id,
+      tipo: 'visita_lead',
+      titulo,
+      mensagem,
+      cliente_id: cliente.id,
+      link: `/agendamentos?agendamento=${agendamento.id}`
+    });
+  };
+
+  // Dados da página: nome do lead, visita marcada (se houver) e empreendimentos para escolher
+  router.get('/leads/visita/:token', leadDoLink, async (req, res) => {
+    try {
+      const [visita, imobiliarias] = await Promise.all([
+        visitaEmAberto(req.cliente),
+        repositories.imobiliarias.listar()
+      ]);
+
+      res.json({
+        nome: req.cliente.nome,
+        visita: visita ? formatarVisita(visita) : null,
+        empreendimentos: imobiliarias
+          .filter(imobiliaria => imobiliaria.status !== 'bloqueado')
+          .map(formatarEmpreendimento)
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Horários livres do empreendimento na agenda do corretor do lead
+  router.get('/leads/visita/:token/horarios', leadDoLink, validar({ query: esquemas.horariosVisitaLead }), async (req, res) => {
+    try {
+      const { imobiliaria_id, data_inicio, data_fim } = req.query;
+
+      if (!(await empreendimentoAtivo(imobiliaria_id))) {
+        return res.status(404).json({ error: 'Empreendimento não encontrado!' });
+      }
+
+      const { duracao_visita, dias } = await listarHorariosLivres(repositories, {
+        imobiliariaId: imobiliaria_id,
+        consultorId: req.cliente.consultor_id ?? undefined,
+        dataInicio: data_inicio,
+        dataFim: data_fim
+      });
+
+      res.json({ duracao_visita, dias });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post('/leads/visita/:token', leadDoLink, validar({ body: esquemas.visitaLead }), async (req, res) => {
+    try {
+      const { cliente } = req;
+      const { imobiliaria_id, data_agendamento, horario } = req.body;
+
+      if (await visitaEmAberto(cliente)) {
+        return res.status(400).json({ error: 'Você já tem uma visita marcada. Remarque ou cancele por este mesmo link.' });
+      }
+
+      // Sem usuário logado no histórico, como no cadastro público
+      const auditado = auditar(repositories, null);
+      const { conflito, resultado: agendamento } = await gravarNaAgenda(cliente, req.body, undefined, async () => {
+        // Reservar a marcação só se ninguém marcou pelo link enquanto isso: a condição vai no próprio
+        // UPDATE, então um envio duplicado (dois cliques, duas abas) não cria duas visitas
+        const reservado = await repositories.clientes.atualizar(
+          cliente.id,
+          { visitas_pelo_link: (cliente.visitas_pelo_link || 0) + 1 },
+          { filtros: { visitas_pelo_link: cliente.visitas_pelo_link ?? null } }
+        );
+        if (!reservado) return null;
+
+        return auditado.criar('agendamentos', {
+          cliente_id: cliente.id,
+          consultor_id: cliente.consultor_id ?? null,
+          imobiliaria_id,
+          data_agendamento,
+          horario,
+          observacoes: 'Visita marcada pelo cliente no link do cadastro.'
+        });
+      });
+      if (conflito) {
+        return responderErroDeValidacao(res, conflito);
+      }
+      if (!agendamento) {
+        return res.status(400).json({ error: 'Você já tem uma visita marcada. Remarque ou cancele por este mesmo link.' });
+      }
+
+      await auditado.atualizar('clientes', cliente.id, { status: 'agendado' });
+
+      await avisarCorretor(cliente, agendamento, 'Cliente marcou uma visita',
+        `${cliente.nome} marcou uma visita para ${dataBrasileira(data_agendamento)} às ${horario}.`);
+
+      const visita = await repositories.agendamentos.buscarParaConvite(agendamento.id);
+      res.json({ visita: formatarVisita(visita), message: 'Visita agendada com sucesso!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Remarcação: novo lembrete e nova versão do convite (.ics)
+  router.put('/leads/visita/:token', leadDoLink, validar({ body: esquemas.visitaLead }), async (req, res) => {
+    try {
+      const { cliente } = req;
+      const { imobiliaria_id, data_agendamento, horario } = req.body;
+
+      const atual = await visitaEmAberto(cliente);
+      if (!atual) {
+        return res.status(404).json({ error: 'Nenhuma visita marcada para remarcar!' });
+      }
+
+      const auditado = auditar(repositories, null);
+      const { conflito } = await gravarNaAgenda(cliente, req.body, atual.id, () => auditado.atualizar('agendamentos', atual.id, {
+        imobiliaria_id,
+        data_agendamento,
+        horario,
+        status: 'reagendado',
+        lembrado: false,
+        confirmado_em: null,
+        sequencia_convite: (atual.sequencia_convite || 0) + 1
+      }));
+      if (conflito) {
+        return responderErroDeValidacao(res, conflito);
+      }
+
+      await auditado.atualizar('clientes', cliente.id, { status: 'reagendado' });
+
+      await avisarCorretor(cliente, atual, 'Cliente remarcou a visita',
+        `${cliente.nome} remarcou a visita de ${dataBrasileira(atual.data_agendamento)} às ${String(atual.horario).slice(0, 5)} ` +
+        `para ${dataBrasileira(data_agendamento)} às ${horario}.`);
+
+      const visita = await repositories.agendamentos.buscarParaConvite(atual.id);
+      res.json({ visita: formatarVisita(visita), message: 'Visita remarcada com sucesso!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.delete('/leads/visita/:token', leadDoLink, async (req, res) => {
+    try {
+      const { cliente } = req;
+
+      const atual = await visitaEmAberto(cliente);
+      if (!atual) {
+        return res.status(404).json({ error: 'Nenhuma visita marcada para cancelar!' });
+      }
+
+      // O status do cliente acompanha o da visita, como na agenda da equipe
+      const auditado = auditar(repositories, null);
+      await auditado.atualizar('agendamentos', atual.id, {
+        status: 'cancelado',
+        sequencia_convite: (atual.sequencia_convite || 0) + 1
+      });
+      await auditado.atualizar('clientes', cliente.id, { status: 'cancelado' });
+
+      await avisarCorretor(cliente, atual, 'Cliente cancelou a visita',
+        `${cliente.nome} cancelou a visita de ${dataBrasileira(atual.data_agendamento)} às ${String(atual.horario).slice(0, 5)}.`);
+
+      res.json({ message: 'Visita cancelada com sucesso!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Convite da visita marcada para o calendário do celular
+  router.get('/leads/visita/:token/convite.ics', leadDoLink, async (req, res) => {
+    try {
+      const visita = await visitaEmAberto(req.cliente);
+      if (!visita) {
+        return res.status(404).json({ error: 'Nenhuma visita marcada!' });
+      }
+
+      responderCalendario(res, gerarConviteDaVisita(visita), `visita-${visita.id}.ics`, { download: true });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createAutoagendamentoRouter;
@@ -0,0 +1,30 @@
+const express = require('express');
+const { buscarGlobal } = require('../busca');
+const { validar } = require('../middleware/validacao');
+const esquemas = require('../esquemas');
+
+const createBuscaRouter = ({ repositories, authenticateToken }) => {
+  const router = express.Router();
+
+  // === BUSCA GLOBAL ===
+
+  // Nome, CPF ou telefone (com ou sem máscara), nome de empreendimento ou número do fechamento
+  router.get('/busca', authenticateToken, validar({ query: esquemas.busca }), async (req, res) => {
+    try {
+      const { q, limite } = req.query;
+
+      const resultados = await buscarGlobal(repositories, q.trim(), {
+        consultorId: req.user.tipo === 'consultor' ? req.user.consultor_id : undefined,
+        limite: limite || undefined
+      });
+
+      res.json({ termo: q, ...resultados });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createBuscaRouter;
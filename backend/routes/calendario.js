@@ -0,0 +1,83 @@
+const express = require('express');
+const { gerarFeedDoConsultor, inicioDoFeed, responderCalendario } = require('../calendario');
+const { gerarTokenSecreto, tokenSecretoValido } = require('../utils');
+
+// Endereço público do feed, visto de fora (na Vercel o protocolo vem do proxy)
+const urlDoFeed = (req, token) => {
+  const protocolo = (req.get('x-forwarded-proto') || req.protocol).split(',')[0].trim();
+  return `${protocolo}://${req.get('host')}/api/calendario/${token}.ics`;
+};
+
+const respostaDaAssinatura = (req, token) => {
+  const url = urlDoFeed(req, token);
+  return { url, webcal: url.replace(/^https?:/, 'webcal:') };
+};
+
+const createCalendarioRouter = ({ repositories, authenticateToken }) => {
+  const router = express.Router();
+
+  // Só corretores têm agenda de visitas própria
+  const apenasConsultor = (req, res, next) => {
+    if (req.user.tipo !== 'consultor') {
+      return res.status(403).json({ error: 'Apenas corretores têm agenda de visitas' });
+    }
+    next();
+  };
+
+  // Link de assinatura da agenda do corretor logado (gerado no primeiro acesso)
+  router.get('/calendario/assinatura', authenticateToken, apenasConsultor, async (req, res) => {
+    try {
+      const consultor = await repositories.consultores.buscarPorId(req.user.consultor_id);
+      if (!consultor) {
+        return res.status(404).json({ error: 'Consultor não encontrado!' });
+      }
+
+      let token = consultor.token_calendario;
+      if (!token) {
+        token = gerarTokenSecreto();
+        await repositories.consultores.atualizar(consultor.id, { token_calendario: token });
+      }
+
+      res.json(respostaDaAssinatura(req, token));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Novo link; o anterior para de funcionar (ex.: link compartilhado por engano)
+  router.post('/calendario/assinatura/renovar', authenticateToken, apenasConsultor, async (req, res) => {
+    try {
+      const token = gerarTokenSecreto();
+      await repositories.consultores.atualizar(req.user.consultor_id, { token_calendario: token });
+
+      res.json({ ...respostaDaAssinatura(req, token), message: 'Link da agenda renovado com sucesso!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Feed público: quem tem o link vê as visitas do corretor (o token é o segredo)
+  router.get('/calendario/:token.ics', async (req, res) => {
+    try {
+      const { token } = req.params;
+      const consultor = tokenSecretoValido(token) && await repositories.consultores.buscarPorTokenCalendario(token);
+      if (!consultor) {
+        return res.status(404).json({ error: 'Agenda não encontrada!' });
+      }
+
+      const agendamentos = await repositories.agendamentos.listarCalendario({
+        consultorId: consultor.id,
+        dataInicio: inicioDoFeed()
+      });
+
+      res.setHeader('Cache-Control', 'private, max-age=300');
+      responderCalendario(res, gerarFeedDoConsultor(consultor, agendamentos), 'visitas.ics');
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createCalendarioRouter;
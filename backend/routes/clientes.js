@@ -0,0 +1,447 @@
+const express = require('express');
+const { auditar } = require('../auditoria');
+const { encontrarImobiliaria, distribuirLead } = require('../distribuicao');
+const { dadosDeAtribuicao, registrarContato } = require('../sla');
+const { buscarDuplicados, resumoDuplicado } = require('../duplicados');
+const { gravarSeHorarioLivre } = require('../disponibilidade');
+const { validar, responderErroDeValidacao } = require('../middleware/validacao');
+const esquemas = require('../esquemas');
+const { lerPaginacao, respostaPaginada } = require('../paginacao');
+const { responderExportacao } = require('../exportacao');
+const { apenasDigitos, gerarTokenSecreto } = require('../utils');
+const { notificar, notificarAdmins } = require('../notificacoes');
+
+// Sugestão de visita montada a partir das preferências do lead (null se ele não informou nenhuma)
+const sugestaoDeVisita = (lead, imobiliarias) => {
+  const opcoes = [lead.melhor_dia1, lead.melhor_dia2]
+    .filter(Boolean)
+    .map(valor => ({ data_agendamento: String(valor).slice(0, 10), horario: String(valor).slice(11, 16) }));
+
+  if (!lead.imobiliaria_preferida && opcoes.length === 0) return null;
+
+  const imobiliaria = encontrarImobiliaria(imobiliarias, lead.imobiliaria_preferida);
+
+  return {
+    imobiliaria_id: imobiliaria?.id || null,
+    imobiliaria_nome: imobiliaria?.nome || lead.imobiliaria_preferida || null,
+    opcoes
+  };
+};
+
+// Filtros da listagem (e da exportação) a partir da query
+const filtrosDaListagem = (req) => {
+  const { nome, telefone, cpf, tipo_servico, status, consultor_id, com_consultor } = req.query;
+
+  // Se for consultor, filtrar clientes atribuídos a ele OU vinculados através de agendamentos
+  return {
+    consultorId: req.user.tipo === 'consultor' ? req.user.consultor_id : undefined,
+    nome,
+    telefone,
+    cpf: apenasDigitos(cpf) || undefined,
+    tipoServico: tipo_servico,
+    status,
+    atribuidoA: consultor_id ?? undefined,
+    comConsultor: com_consultor ?? undefined
+  };
+};
+
+// Reformatar dados para compatibilidade com frontend
+const formatarCliente = (cliente) => ({
+  ...cliente,
+  consultor_nome: cliente.consultores?.nome
+});
+
+const createClientesRouter = ({ repositories, authenticateToken, requireRecordOwnerOrAdmin }) => {
+  const router = express.Router();
+
+  // Consultor só altera clientes que ele vê na listagem
+  const donoDoCliente = requireRecordOwnerOrAdmin(req => repositories.clientes.buscarPorId(req.params.id), {
+    naoEncontrado: 'Cliente não encontrado!',
+    pertence: (cliente, user) => repositories.clientes.pertenceAoConsultor(cliente, user.consultor_id)
+  });
+
+  // Aviso ao corretor que passou a cuidar do cliente (quem atribuiu o cliente a si mesmo não é avisado)
+  const avisarNovoResponsavel = async (req, cliente, consultorId) => {
+    if (!consultorId || consultorId === req.user.consultor_id) return;
+
+    await notificar(repositories, {
+      consultor_id: consultorId,
+      tipo: 'cliente_atribuido',
+      titulo: 'Cliente atribuído a você',
+      mensagem: `${req.user.nome} atribuiu ${cliente.nome} a você.`,
+      cliente_id: cliente.id,
+      link: `/indicacoes?cliente=${cliente.id}`
+    });
+  };
+
+  // Lead de "Novos Leads" que um corretor pegou para si: os admins acompanham pela central
+  const avisarLeadPego = (req, cliente) => notificarAdmins(repositories, {
+    tipo: 'lead_pego',
+    titulo: 'Lead pego em Novos Leads',
+    mensagem: `${req.user.nome} pegou o lead ${cliente.nome}.`,
+    cliente_id: cliente.id,
+    link: `/indicacoes?cliente=${cliente.id}`
+  }, { exceto: req.user });
+
+  // Com ?pagina= devolve { dados, total, por_status, ... }; sem ela, a lista inteira
+  router.get('/clientes', authenticateToken, validar({ query: esquemas.filtrosClientes }), async (req, res) => {
+    try {
+      const resultado = await repositories.clientes.listarPagina({ ...filtrosDaListagem(req), ...lerPaginacao(req.query) });
+      const formattedData = resultado.dados.map(formatarCliente);
+
+      res.json(req.query.pagina ? respostaPaginada(req.query, { ...resultado, dados: formattedData }) : formattedData);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Lista inteira com os filtros e a ordem da tela, em CSV ou XLSX (?formato=)
+  router.get('/clientes/exportar', authenticateToken, validar({ query: esquemas.exportacaoClientes }), async (req, res) => {
+    try {
+      const { dados } = await repositories.clientes.listarPagina({ ...filtrosDaListagem(req), ordem: lerPaginacao(req.query).ordem });
+      await responderExportacao(res, 'clientes', req.query.formato, dados.map(formatarCliente));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Cliente aberto direto pelo link (busca global)
+  router.get('/clientes/:id', authenticateToken, donoDoCliente, async (req, res) => {
+    try {
+      const cliente = await repositories.clientes.buscarDetalhado(req.params.id);
+      res.json(formatarCliente(cliente));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post('/clientes', authenticateToken, validar({ body: esquemas.cliente }), async (req, res) => {
+    try {
+      const { nome, telefone, email, cpf, tipo_servico, status, observacoes, consultor_id, ignorar_duplicados } = req.body;
+
+      // Consultor cadastra o cliente para si; admin escolhe o corretor (sem corretor, o lead fica sem consultor)
+      const consultorId = req.user.tipo === 'consultor' ? req.user.consultor_id : consultor_id ?? null;
+
+      // Possível duplicado (CPF, telefone ou nome parecido): avisa antes de criar. Sendo a mesma
+      // pessoa (CPF, ou telefone com nome parecido), o corretor não pode cadastrar de novo
+      const duplicados = await buscarDuplicados(repositories, { nome, telefone, cpf });
+      if (duplicados.length > 0) {
+        const bloqueado = req.user.tipo === 'consultor' && duplicados.some(duplicado => duplicado.forte);
+
+        if (bloqueado || !ignorar_duplicados) {
+          return res.status(400).json({
+            error: bloqueado ? 'Este cliente já está cadastrado!' : 'Possível cliente duplicado: confira antes de cadastrar.',
+            duplicados: duplicados.map(resumoDuplicado),
+            pode_ignorar: !bloqueado
+          });
+        }
+      }
+
+      const cliente = await auditar(repositories, req.user).criar('clientes', {
+        nome,
+        telefone,
+        email,
+        cpf,
+        tipo_servico,
+        status: status || 'lead',
+        observacoes,
+        consultor_id: consultorId
+      });
+
+      // Sem corretor escolhido, o lead entra na distribuição automática
+      const distribuicao = await distribuirLead(repositories, cliente, { origem: 'cadastro_interno', usuario: req.user });
+      await avisarNovoResponsavel(req, cliente, consultorId);
+
+      res.json({
+        id: cliente.id,
+        consultor_id: distribuicao?.consultor_id ?? consultorId,
+        message: 'Cliente cadastrado com sucesso!'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.put('/clientes/:id', authenticateToken, donoDoCliente, validar({ body: esquemas.cliente }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { nome, telefone, email, cpf, tipo_servico, status, observacoes, consultor_id } = req.body;
+
+      // Consultor não repassa o cliente (continua com o corretor atual); admin escolhe o corretor
+      // (sem corretor informado, o cliente fica sem consultor)
+      const consultorId = req.user.tipo === 'consultor' ? req.registro.consultor_id : consultor_id ?? null;
+
+      // Lead repassado para outro corretor: o prazo de primeiro contato recomeça
+      const prazo = consultorId === req.registro.consultor_id
+        ? {}
+        : (consultorId ? dadosDeAtribuicao() : { atribuido_em: null, prazo_contato: null });
+
+      const cliente = await auditar(repositories, req.user).atualizar('clientes', id, {
+        nome,
+        telefone,
+        email,
+        cpf,
+        tipo_servico,
+        status,
+        observacoes,
+        consultor_id: consultorId,
+        ...prazo
+      });
+
+      if (!cliente) {
+        return res.status(404).json({ error: 'Cliente não encontrado!' });
+      }
+
+      // Cliente repassado: o novo corretor recebe o cliente e o anterior fica sabendo que o perdeu
+      const consultorAnterior = req.registro.consultor_id;
+      if (consultorId !== consultorAnterior) {
+        await avisarNovoResponsavel(req, cliente, consultorId);
+
+        if (consultorAnterior && consultorAnterior !== req.user.consultor_id) {
+          await notificar(repositories, {
+            consultor_id: consultorAnterior,
+            tipo: 'cliente_transferido',
+            titulo: 'Cliente repassado',
+            mensagem: `${req.user.nome} repassou ${cliente.nome} ${consultorId ? 'para outro corretor' : 'para Novos Leads'}.`,
+            cliente_id: cliente.id
+          });
+        }
+      }
+
+      res.json({ id: cliente.id, message: 'Cliente atualizado com sucesso!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.put('/clientes/:id/status', authenticateToken, donoDoCliente, validar({ body: esquemas.statusCliente }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { status } = req.body;
+
+      await auditar(repositories, req.user).atualizar('clientes', id, { status });
+      res.json({ message: 'Status atualizado com sucesso!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // === CONTATOS COM O CLIENTE === (o primeiro encerra o prazo de contato do lead)
+  router.get('/clientes/:id/contatos', authenticateToken, donoDoCliente, async (req, res) => {
+    try {
+      const contatos = await repositories.contatosCliente.listarPorCliente(req.params.id);
+
+      res.json(contatos.map(contato => ({
+        ...contato,
+        consultor_nome: contato.consultores?.nome
+      })));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post('/clientes/:id/contatos', authenticateToken, donoDoCliente, validar({ body: esquemas.contatoCliente }), async (req, res) => {
+    try {
+      const { tipo, observacao } = req.body;
+
+      const contato = await registrarContato(repositories, req.user, req.registro, { tipo, observacao });
+      res.json({ id: contato.id, message: 'Contato registrado com sucesso!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // === CADASTRO PÚBLICO DE CLIENTES/LEADS === (Sem autenticação)
+  router.post('/leads/cadastro', validar({ body: esquemas.cadastroLead }), async (req, res) => {
+    try {
+      // Nome sem espaços nas pontas, telefone formatado e CPF (com dígitos verificadores conferidos) só com números
+      const { nome, telefone, tipo_servico, cpf, observacoes, imobiliaria_preferida, melhor_dia1, melhor_dia2 } = req.body;
+
+      // Quem já está no CRM (mesmo CPF, ou telefone com nome parecido) não é cadastrado de novo: as
+      // respostas novas do formulário completam o cadastro e o corretor é avisado de que o cliente voltou
+      const [existente] = (await buscarDuplicados(repositories, { nome, telefone, cpf }))
+        .filter(duplicado => duplicado.forte);
+
+      if (existente) {
+        // O lead que volta recebe um link de autoagendamento novo (o anterior deixa de valer)
+        const atualizacao = {
+          ...Object.fromEntries(
+            Object.entries({ imobiliaria_preferida, melhor_dia1, melhor_dia2 }).filter(([, valor]) => valor)
+          ),
+          token_visita: gerarTokenSecreto()
+        };
+        if (observacoes && !(existente.cliente.observacoes || '').includes(observacoes)) {
+          atualizacao.observacoes = [existente.cliente.observacoes, observacoes].filter(Boolean).join('\n');
+        }
+        const cliente = await auditar(repositories, null).atualizar('clientes', existente.cliente.id, atualizacao);
+
+        if (existente.cliente.consultor_id) {
+          await notificar(repositories, {
+            consultor_id: existente.cliente.consultor_id,
+            tipo: 'lead_repetido',
+            titulo: 'Cliente se cadastrou novamente',
+            mensagem: `${existente.cliente.nome} preencheu de novo o formulário de cadastro.`,
+            cliente_id: existente.cliente.id,
+            link: `/indicacoes?cliente=${existente.cliente.id}`
+          });
+        }
+
+        // Mesma resposta do cadastro novo, sem o id: quem preenche não descobre quem já está no CRM
+        return res.json({
+          message: 'Cadastro realizado com sucesso! Entraremos em contato em breve.',
+          nome,
+          token_visita: cliente.token_visita
+        });
+      }
+
+      // Inserir lead/cliente (sem usuário logado no histórico)
+      const cliente = await auditar(repositories, null).criar('clientes', {
+        nome,
+        telefone,
+        cpf,
+        tipo_servico: tipo_servico || null,
+        status: 'lead',
+        observacoes: observacoes || null,
+        imobiliaria_preferida: imobiliaria_preferida || null,
+        melhor_dia1: melhor_dia1 || null,
+        melhor_dia2: melhor_dia2 || null,
+        consultor_id: null, // Lead público não tem consultor inicial
+        token_visita: gerarTokenSecreto() // Link para o próprio lead agendar a visita
+      });
+
+      // Distribuição automática (sem corretor disponível, fica em "Novos Leads")
+      await distribuirLead(repositories, cliente, { origem: 'cadastro_publico' });
+
+      res.json({
+        message: 'Cadastro realizado com sucesso! Entraremos em contato em breve.',
+        nome,
+        token_visita: cliente.token_visita
+      });
+    } catch (error) {
+      console.error('Erro no cadastro de lead:', error);
+      res.status(500).json({ error: 'Erro interno do servidor. Tente novamente.' });
+    }
+  });
+
+  // === NOVOS LEADS === (Funcionalidade para pegar leads)
+  router.get('/novos-leads', authenticateToken, async (req, res) => {
+    try {
+      const [data, imobiliarias] = await Promise.all([
+        repositories.clientes.listarSemConsultor(),
+        repositories.imobiliarias.listar()
+      ]);
+
+      res.json(data.map(lead => ({ ...lead, sugestao_visita: sugestaoDeVisita(lead, imobiliarias) })));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.put('/novos-leads/:id/pegar', authenticateToken, async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      // Verificar se o lead existe
+      const clienteAtual = await repositories.clientes.buscarPorId(id);
+
+      if (!clienteAtual) {
+        return res.status(404).json({ error: 'Lead não encontrado!' });
+      }
+
+      // Atribuir o lead ao consultor atual só se ele ainda estiver livre: a condição vai no próprio
+      // UPDATE, então dois corretores pegando ao mesmo tempo não ficam os dois com o lead
+      const cliente = await auditar(repositories, req.user).atualizar(
+        'clientes',
+        id,
+        { consultor_id: req.user.consultor_id, ...dadosDeAtribuicao() },
+        { filtros: { consultor_id: null } }
+      );
+
+      if (!cliente) {
+        return res.status(400).json({ error: 'Este lead já foi atribuído a outro consultor!' });
+      }
+
+      await avisarLeadPego(req, cliente);
+
+      res.json({ prazo_contato: cliente.prazo_contato, message: 'Lead atribuído com sucesso!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Confirma a sugestão de visita: atribui o lead ao consultor e cria o agendamento
+  router.post('/novos-leads/:id/agendar', authenticateToken, validar({ body: esquemas.agendamentoLead }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { imobiliaria_id, data_agendamento, horario, observacoes, consultor_id } = req.body;
+
+      const clienteAtual = await repositories.clientes.buscarPorId(id);
+
+      if (!clienteAtual) {
+        return res.status(404).json({ error: 'Lead não encontrado!' });
+      }
+
+      // Consultor agenda para si; admin escolhe o corretor
+      const consultorId = req.user.tipo === 'consultor' ? req.user.consultor_id : consultor_id ?? null;
+
+      if (!consultorId) {
+        return responderErroDeValidacao(res, { consultor_id: 'Selecione o corretor da visita!' });
+      }
+
+      if (clienteAtual.consultor_id !== null && clienteAtual.consultor_id !== consultorId) {
+        return res.status(400).json({ error: 'Este lead já foi atribuído a outro consultor!' });
+      }
+
+      // Corretor livre e vaga no empreendimento, antes de atribuir o lead e sem outro pedido no meio
+      const auditado = auditar(repositories, req.user);
+      const { conflito, resultado } = await gravarSeHorarioLivre(repositories, {
+        consultorId,
+        imobiliariaId: imobiliaria_id,
+        data: data_agendamento,
+        horario
+      }, async () => {
+        // Mesma garantia do "pegar": o lead precisa continuar livre (ou já ser do corretor) na gravação
+        const cliente = await auditado.atualizar(
+          'clientes',
+          id,
+          { consultor_id: consultorId, status: 'agendado' },
+          { ou: [{ consultor_id: null }, { consultor_id: consultorId }] }
+        );
+        if (!cliente) return null;
+
+        const agendamento = await auditado.criar('agendamentos', {
+          cliente_id: clienteAtual.id,
+          consultor_id: consultorId,
+          imobiliaria_id: imobiliaria_id ?? null,
+          data_agendamento,
+          horario,
+          observacoes: observacoes || null
+        });
+        return { cliente, agendamento };
+      });
+      if (conflito) {
+        return responderErroDeValidacao(res, conflito);
+      }
+      if (!resultado) {
+        return res.status(400).json({ error: 'Este lead já foi atribuído a outro consultor!' });
+      }
+      const { cliente, agendamento } = resultado;
+
+      // Lead que estava livre: o admin que agendou para um corretor avisa o corretor; o corretor que
+      // agendou para si pegou o lead
+      if (clienteAtual.consultor_id === null) {
+        await (consultorId === req.user.consultor_id
+          ? avisarLeadPego(req, cliente)
+          : avisarNovoResponsavel(req, cliente, consultorId));
+      }
+
+      res.json({ id: agendamento.id, message: 'Visita agendada com sucesso!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createClientesRouter;
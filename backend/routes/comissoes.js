@@ -0,0 +1,113 @@
+const express = require('express');
+const { dadosDaRegra, recalcularComissoes } = require('../comissoes');
+const { validar } = require('../middleware/validacao');
+const esquemas = require('../esquemas');
+
+const createComissoesRouter = ({ repositories, authenticateToken, requireAdmin }) => {
+  const router = express.Router();
+
+  // === REGRAS DE COMISSÃO === (Apenas Admin)
+  router.get('/regras-comissao', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const regras = await repositories.regrasComissao.listar();
+
+      res.json(regras.map(regra => ({
+        ...regra,
+        consultor_nome: regra.consultores?.nome,
+        imobiliaria_nome: regra.imobiliarias?.nome
+      })));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post('/regras-comissao', authenticateToken, requireAdmin, validar({ body: esquemas.regraComissao }), async (req, res) => {
+    try {
+      const regra = await repositories.regrasComissao.criar(dadosDaRegra(req.body));
+      res.json({ id: regra.id, message: 'Regra de comissão cadastrada com sucesso!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.put('/regras-comissao/:id', authenticateToken, requireAdmin, validar({ body: esquemas.regraComissao }), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const regra = await repositories.regrasComissao.atualizar(id, {
+        ...dadosDaRegra(req.body),
+        updated_at: new Date().toISOString()
+      });
+
+      if (!regra) {
+        return res.status(404).json({ error: 'Regra de comissão não encontrada!' });
+      }
+
+      res.json({ id: regra.id, message: 'Regra de comissão atualizada com sucesso!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Comissões já calculadas guardam o nome da regra e continuam valendo
+  router.delete('/regras-comissao/:id', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const regra = await repositories.regrasComissao.buscarPorId(id);
+      if (!regra) {
+        return res.status(404).json({ error: 'Regra de comissão não encontrada!' });
+      }
+
+      await repositories.regrasComissao.remover(id);
+      res.json({ message: 'Regra de comissão removida com sucesso!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // === COMISSÕES === (Admin vê todas, Consultor vê apenas as suas)
+  router.get('/comissoes', authenticateToken, validar({ query: esquemas.filtrosComissoes }), async (req, res) => {
+    try {
+      const { consultor_id, status } = req.query;
+      const consultorId = req.user.tipo === 'consultor'
+        ? req.user.consultor_id
+        : (consultor_id ?? undefined);
+
+      const [comissoes, fechamentos] = await Promise.all([
+        repositories.comissoes.listarDetalhadas({ consultorId, status: status || undefined }),
+        repositories.fechamentos.listarDetalhados({ consultorId })
+      ]);
+      const fechamentosPorId = new Map(fechamentos.map(f => [f.id, f]));
+
+      // Dados do fechamento de cada comissão para a tela e o dashboard
+      res.json(comissoes.map(comissao => {
+        const fechamento = fechamentosPorId.get(comissao.fechamento_id);
+        return {
+          ...comissao,
+          consultor_nome: comissao.consultores?.nome,
+          cliente_nome: fechamento?.clientes?.nome,
+          imobiliaria_nome: fechamento?.imobiliarias?.nome,
+          valor_fechado: fechamento?.valor_fechado,
+          data_fechamento: fechamento?.data_fechamento
+        };
+      }));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Recalcular as comissões a pagar (fora de lote) de todos os fechamentos aprovados com as regras atuais
+  router.post('/comissoes/recalcular', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const total = await recalcularComissoes(repositories);
+      res.json({ total, message: `${total} comissão(ões) recalculada(s) com sucesso!` });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createComissoesRouter;
@@ -0,0 +1,180 @@
+const express = require('express');
+const bcrypt = require('bcrypt');
+const { validar, responderErroDeValidacao } = require('../middleware/validacao');
+const esquemas = require('../esquemas');
+const { responderExportacao } = require('../exportacao');
+
+const createConsultoresRouter = ({ repositories, authenticateToken, requireAdmin }) => {
+  const router = express.Router();
+
+  router.get('/consultores', authenticateToken, async (req, res) => {
+    try {
+      const data = await repositories.consultores.listar();
+      // O link da agenda de cada corretor é segredo dele
+      res.json(data.map(consultor => ({ ...consultor, token_calendario: undefined })));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Equipe em CSV ou XLSX (?formato=); só o admin, por causa dos dados de contato e PIX
+  router.get('/consultores/exportar', authenticateToken, requireAdmin, validar({ query: esquemas.exportacaoConsultores }), async (req, res) => {
+    try {
+      const consultores = await repositories.consultores.listar();
+      await responderExportacao(res, 'consultores', req.query.formato, consultores);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post('/consultores', authenticateToken, requireAdmin, validar({ body: esquemas.consultor }), async (req, res) => {
+    try {
+      // Email já normalizado pelo esquema
+      const { nome, telefone, email: emailNormalizado, senha, pix, capacidade_leads } = req.body;
+
+      // Verificar se email já existe
+      const emailExistente = await repositories.consultores.buscarPorEmail(emailNormalizado);
+
+      if (emailExistente) {
+        return responderErroDeValidacao(res, { email: 'Este email já está cadastrado!' });
+      }
+
+      // Hash da senha antes de salvar
+      const saltRounds = 10;
+      const senhaHash = await bcrypt.hash(senha, saltRounds);
+
+      const consultor = await repositories.consultores.criar({
+        nome,
+        telefone,
+        email: emailNormalizado,
+        senha: senhaHash,
+        pix,
+        capacidade_leads: capacidade_leads ?? 1
+      });
+
+      res.json({ 
+        id: consultor.id, 
+        message: 'Consultor cadastrado com sucesso!',
+        email: emailNormalizado
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // === CADASTRO PÚBLICO DE CONSULTORES === (Sem autenticação)
+  router.post('/consultores/cadastro', validar({ body: esquemas.cadastroConsultor }), async (req, res) => {
+    try {
+      // Email normalizado e CPF só com dígitos pelo esquema
+      const { nome, telefone, email: emailNormalizado, senha, cpf, pix } = req.body;
+
+      // Validar se email já existe
+      const emailExistente = await repositories.consultores.buscarPorEmail(emailNormalizado);
+
+      if (emailExistente) {
+        return responderErroDeValidacao(res, { email: 'Este email já está cadastrado!' });
+      }
+
+      // Validar se CPF já existe
+      const cpfExistente = await repositories.consultores.buscarPorCpf(cpf);
+
+      if (cpfExistente) {
+        return responderErroDeValidacao(res, { cpf: 'Este CPF já está cadastrado!' });
+      }
+
+      // Hash da senha
+      const saltRounds = 10;
+      const senhaHash = await bcrypt.hash(senha, saltRounds);
+
+      // Inserir consultor
+      const consultor = await repositories.consultores.criar({
+        nome,
+        telefone,
+        email: emailNormalizado,
+        senha: senhaHash,
+        cpf,
+        pix,
+        tipo: 'consultor',
+        ativo: true
+      });
+
+      res.json({ 
+        id: consultor.id, 
+        message: 'Consultor cadastrado com sucesso! Agora você pode fazer login.',
+        email: emailNormalizado
+      });
+    } catch (error) {
+      console.error('Erro no cadastro:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.put('/consultores/:id', authenticateToken, requireAdmin, validar({ body: esquemas.edicaoConsultor }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { nome, telefone, email, senha, pix, capacidade_leads } = req.body;
+
+      // Preparar dados para atualização
+      const updateData = { nome, telefone, pix };
+
+      // Peso no rodízio de leads, se informado
+      if (capacidade_leads !== undefined && capacidade_leads !== null) {
+        updateData.capacidade_leads = capacidade_leads;
+      }
+
+      // Atualizar email se fornecido (já normalizado pelo esquema)
+      if (email) {
+        // Verificar se email já existe em outro consultor
+        const emailExistente = await repositories.consultores.buscarPorEmail(email, { excetoId: id });
+
+        if (emailExistente) {
+          return responderErroDeValidacao(res, { email: 'Este email já está sendo usado por outro consultor!' });
+        }
+
+        updateData.email = email;
+      }
+
+      // Se uma nova senha foi fornecida, fazer hash dela
+      if (senha) {
+        const saltRounds = 10;
+        updateData.senha = await bcrypt.hash(senha, saltRounds);
+      }
+
+      const consultor = await repositories.consultores.atualizar(id, updateData);
+
+      if (!consultor) {
+        return res.status(404).json({ error: 'Consultor não encontrado!' });
+      }
+
+      res.json({ 
+        id: consultor.id, 
+        message: 'Consultor atualizado com sucesso!',
+        email: updateData.email
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Buscar consultor específico com senha (apenas admin)
+  router.get('/consultores/:id', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const data = await repositories.consultores.buscarPorId(id);
+
+      if (!data) {
+        return res.status(404).json({ error: 'Consultor não encontrado!' });
+      }
+
+      // Retornar dados incluindo hash da senha (para admin verificar se existe)
+      res.json(data);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createConsultoresRouter;
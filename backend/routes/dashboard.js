@@ -0,0 +1,119 @@
+const express = require('express');
+
+const createDashboardRouter = ({ repositories, authenticateToken }) => {
+  const router = express.Router();
+
+  router.get('/dashboard', authenticateToken, async (req, res) => {
+    try {
+      // Obter data atual no fuso horário do Brasil (UTC-3)
+      const agora = new Date();
+      const brasilTime = new Date(agora.toLocaleString("en-US", {timeZone: "America/Sao_Paulo"}));
+      const hoje = brasilTime.getFullYear() + '-' + 
+                   String(brasilTime.getMonth() + 1).padStart(2, '0') + '-' + 
+                   String(brasilTime.getDate()).padStart(2, '0');
+
+      // Configurar filtros baseados no tipo de usuário
+      const isConsultor = req.user.tipo === 'consultor';
+      const consultorId = req.user.consultor_id;
+
+      // Filtro de consultor (undefined = todos)
+      const filtroConsultor = isConsultor ? consultorId : undefined;
+
+      // Buscar agendamentos de hoje
+      const agendamentosHoje = await repositories.agendamentos.listar({ consultorId: filtroConsultor, data: hoje });
+
+      // Buscar lembrados de hoje
+      const lembradosHoje = await repositories.agendamentos.listar({ consultorId: filtroConsultor, data: hoje, lembrado: true });
+
+      // Buscar total de clientes (para consultor, apenas clientes com agendamentos dele)
+      const totalClientes = await repositories.clientes.contar({ consultorId: filtroConsultor });
+
+      // Buscar fechamentos
+      const fechamentos = await repositories.fechamentos.listar({ consultorId: filtroConsultor });
+
+      // Estatísticas de fechamentos
+      const fechamentosHoje = fechamentos.filter(f => f.data_fechamento === hoje).length;
+
+      const fechamentosMes = fechamentos.filter(f => {
+        const mesAtual = new Date().getMonth();
+        const anoAtual = new Date().getFullYear();
+        const dataFechamento = new Date(f.data_fechamento + 'T12:00:00'); // Forçar meio-dia para evitar timezone
+        return dataFechamento.getMonth() === mesAtual && dataFechamento.getFullYear() === anoAtual;
+      });
+
+      const valorTotalMes = fechamentosMes.reduce((acc, f) => acc + parseFloat(f.valor_fechado || 0), 0);
+      const ticketMedio = fechamentosMes.length > 0 ? (valorTotalMes / fechamentosMes.length) : 0;
+
+      // Comissões gravadas (só fechamentos aprovados geram comissão; estornadas não contam)
+      const comissoes = (await repositories.comissoes.listarDetalhadas({ consultorId: filtroConsultor }))
+        .filter(c => c.status !== 'estornado');
+      const idsFechamentosMes = new Set(fechamentosMes.map(f => f.id));
+      const somarComissoes = (lista) => lista.reduce((acc, c) => acc + parseFloat(c.valor_comissao || 0), 0);
+      const comissaoTotal = somarComissoes(comissoes);
+      const comissaoMes = somarComissoes(comissoes.filter(c => idsFechamentosMes.has(c.fechamento_id)));
+
+      // Buscar consultores (se for consultor, apenas dados dele)
+      const consultores = await repositories.consultores.listar({ id: filtroConsultor });
+
+      // Buscar todos os agendamentos
+      const todosAgendamentos = await repositories.agendamentos.listar({ consultorId: filtroConsultor });
+
+      // Todos os fechamentos (já carregados acima com o mesmo filtro)
+      const todosFechamentos = fechamentos;
+
+      // Processar estatísticas dos consultores
+      const estatisticasConsultores = consultores.map(consultor => {
+        // Filtrar agendamentos do consultor
+        const agendamentos = todosAgendamentos.filter(a => a.consultor_id === consultor.id);
+
+        // Filtrar fechamentos do consultor
+        const fechamentosConsultor = todosFechamentos.filter(f => f.consultor_id === consultor.id);
+
+        const fechamentosConsultorMes = fechamentosConsultor.filter(f => {
+          const anoAtual = new Date().getFullYear();
+          const dataFechamento = new Date(f.data_fechamento + 'T12:00:00'); // Forçar meio-dia para evitar timezone
+          return dataFechamento.getFullYear() === anoAtual; // Mostrar fechamentos do ano todo
+        });
+
+        const valorTotalConsultor = fechamentosConsultorMes.reduce((acc, f) => acc + parseFloat(f.valor_fechado || 0), 0);
+        const comissoesConsultor = comissoes.filter(c => c.consultor_id === consultor.id);
+
+
+
+        return {
+          id: consultor.id,
+          nome: consultor.nome,
+          total_agendamentos: agendamentos.length,
+          total_lembrados: agendamentos.filter(a => a.lembrado).length,
+          agendamentos_hoje: agendamentos.filter(a => a.data_agendamento === hoje).length,
+          fechamentos_mes: fechamentosConsultorMes.length,
+          valor_total_mes: valorTotalConsultor,
+          comissao_total: somarComissoes(comissoesConsultor),
+          comissao_mes: somarComissoes(comissoesConsultor.filter(c => idsFechamentosMes.has(c.fechamento_id)))
+        };
+      });
+
+      // Sistema pronto com dados reais e dinâmicos
+
+      res.json({
+        agendamentosHoje: agendamentosHoje.length,
+        lembradosHoje: lembradosHoje.length,
+        totalClientes,
+        fechamentosHoje,
+        fechamentosMes: fechamentosMes.length,
+        valorTotalMes,
+        ticketMedio,
+        totalFechamentos: fechamentos.length,
+        comissaoTotal,
+        comissaoMes,
+        estatisticasConsultores
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createDashboardRouter;
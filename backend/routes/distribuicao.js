@@ -0,0 +1,146 @@
+const express = require('express');
+const { dadosDaRegraDistribuicao, distribuirLead } = require('../distribuicao');
+const { validar } = require('../middleware/validacao');
+const esquemas = require('../esquemas');
+
+// Limite padrão de registros do histórico de distribuição
+const LIMITE_PADRAO = 500;
+
+const createDistribuicaoRouter = ({ repositories, authenticateToken, requireAdmin }) => {
+  const router = express.Router();
+
+  // === REGRAS DE DISTRIBUIÇÃO === (Apenas Admin)
+  router.get('/regras-distribuicao', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const regras = await repositories.regrasDistribuicao.listar();
+
+      res.json(regras.map(regra => ({
+        ...regra,
+        imobiliaria_nome: regra.imobiliarias?.nome
+      })));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post('/regras-distribuicao', authenticateToken, requireAdmin, validar({ body: esquemas.regraDistribuicao }), async (req, res) => {
+    try {
+      const regra = await repositories.regrasDistribuicao.criar(dadosDaRegraDistribuicao(req.body));
+      res.json({ id: regra.id, message: 'Regra de distribuição cadastrada com sucesso!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.put('/regras-distribuicao/:id', authenticateToken, requireAdmin, validar({ body: esquemas.regraDistribuicao }), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const regra = await repositories.regrasDistribuicao.atualizar(id, {
+        ...dadosDaRegraDistribuicao(req.body),
+        updated_at: new Date().toISOString()
+      });
+
+      if (!regra) {
+        return res.status(404).json({ error: 'Regra de distribuição não encontrada!' });
+      }
+
+      res.json({ id: regra.id, message: 'Regra de distribuição atualizada com sucesso!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // O histórico de distribuição guarda o nome da regra e continua valendo
+  router.delete('/regras-distribuicao/:id', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const regra = await repositories.regrasDistribuicao.buscarPorId(id);
+      if (!regra) {
+        return res.status(404).json({ error: 'Regra de distribuição não encontrada!' });
+      }
+
+      await repositories.regrasDistribuicao.remover(id);
+      res.json({ message: 'Regra de distribuição removida com sucesso!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // === HISTÓRICO DE DISTRIBUIÇÃO === (para quem cada lead foi e por quê)
+  router.get('/distribuicoes-lead', authenticateToken, requireAdmin, validar({ query: esquemas.filtrosDistribuicoes }), async (req, res) => {
+    try {
+      const { cliente_id, consultor_id, limite } = req.query;
+
+      const distribuicoes = await repositories.distribuicoesLead.listar({
+        clienteId: cliente_id ?? undefined,
+        consultorId: consultor_id ?? undefined,
+        limite: limite || LIMITE_PADRAO
+      });
+
+      res.json(distribuicoes.map(distribuicao => ({
+        ...distribuicao,
+        cliente_nome: distribuicao.clientes?.nome,
+        consultor_nome: distribuicao.consultores?.nome
+      })));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Distribuir de novo os leads que ficaram em "Novos Leads" (ex.: depois de cadastrar uma regra)
+  router.post('/novos-leads/distribuir', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const leads = await repositories.clientes.listarSemConsultor();
+      let distribuidos = 0;
+
+      for (const lead of leads) {
+        const distribuicao = await distribuirLead(repositories, lead, { origem: 'manual', usuario: req.user });
+        if (distribuicao?.consultor_id) distribuidos++;
+      }
+
+      res.json({
+        distribuidos,
+        pendentes: leads.length - distribuidos,
+        message: `Distribuição concluída com sucesso! ${distribuidos} lead(s) distribuído(s), ${leads.length - distribuidos} em Novos Leads.`
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post('/novos-leads/:id/distribuir', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const lead = await repositories.clientes.buscarPorId(id);
+
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead não encontrado!' });
+      }
+
+      if (lead.consultor_id !== null) {
+        return res.status(400).json({ error: 'Este lead já foi atribuído a outro consultor!' });
+      }
+
+      const distribuicao = await distribuirLead(repositories, lead, { origem: 'manual', usuario: req.user });
+
+      if (!distribuicao) {
+        return res.status(500).json({ error: 'Erro ao distribuir lead' });
+      }
+
+      res.json({
+        consultor_id: distribuicao.consultor_id,
+        motivo: distribuicao.motivo,
+        message: distribuicao.consultor_id ? 'Lead distribuído com sucesso!' : 'Nenhum corretor disponível: o lead continua em Novos Leads.'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createDistribuicaoRouter;
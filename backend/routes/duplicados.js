@@ -0,0 +1,94 @@
+const express = require('express');
+const { agruparDuplicados, mesclarClientes } = require('../duplicados');
+const { validar, responderErroDeValidacao } = require('../middleware/validacao');
+const esquemas = require('../esquemas');
+
+// Limite padrão de registros de mesclagens
+const LIMITE_PADRAO = 500;
+
+// Dados de cada cliente mostrados na tela de duplicados
+const resumoCliente = (cliente) => ({
+  id: cliente.id,
+  nome: cliente.nome,
+  telefone: cliente.telefone,
+  cpf: cliente.cpf,
+  status: cliente.status,
+  consultor_id: cliente.consultor_id,
+  consultor_nome: cliente.consultores?.nome || null,
+  created_at: cliente.created_at
+});
+
+const createDuplicadosRouter = ({ repositories, authenticateToken, requireAdmin }) => {
+  const router = express.Router();
+
+  // === CLIENTES DUPLICADOS === (Apenas Admin)
+
+  // Pares de clientes que parecem a mesma pessoa
+  router.get('/clientes-duplicados', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      // Comparar todos os pares exige todos os cadastros, mas só com os campos comparados
+      const clientes = await repositories.clientes.listarParaDuplicados();
+
+      res.json(agruparDuplicados(clientes).map(par => ({
+        clientes: par.clientes.map(resumoCliente),
+        motivos: par.motivos,
+        forte: par.forte
+      })));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Mesclar o cliente duplicado_id no cliente :id (que fica)
+  router.post('/clientes/:id/mesclar', authenticateToken, requireAdmin, validar({ body: esquemas.mesclagemCliente }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { duplicado_id } = req.body;
+
+      if (String(duplicado_id) === String(id)) {
+        return responderErroDeValidacao(res, { duplicado_id: 'Selecione o cadastro duplicado!' });
+      }
+
+      const [principal, duplicado] = await Promise.all([
+        repositories.clientes.buscarPorId(id),
+        repositories.clientes.buscarPorId(duplicado_id)
+      ]);
+
+      if (!principal || !duplicado) {
+        return res.status(404).json({ error: 'Cliente não encontrado!' });
+      }
+
+      const { cliente, mesclagem } = await mesclarClientes(repositories, req.user, principal, duplicado);
+
+      res.json({
+        id: cliente.id,
+        vinculos: mesclagem.vinculos,
+        message: 'Clientes mesclados com sucesso!'
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get('/mesclagens-cliente', authenticateToken, requireAdmin, validar({ query: esquemas.filtrosMesclagens }), async (req, res) => {
+    try {
+      const { cliente_id, limite } = req.query;
+
+      const mesclagens = await repositories.mesclagensCliente.listar({
+        clienteId: cliente_id ?? undefined,
+        limite: limite || LIMITE_PADRAO
+      });
+
+      res.json(mesclagens.map(mesclagem => ({
+        ...mesclagem,
+        cliente_nome: mesclagem.clientes?.nome
+      })));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createDuplicadosRouter;
@@ -0,0 +1,110 @@
+const express = require('express');
+const { validar } = require('../middleware/validacao');
+const esquemas = require('../esquemas');
+const { lerPaginacao, respostaPaginada } = require('../paginacao');
+const { responderExportacao } = require('../exportacao');
+
+const createImobiliariasRouter = ({ repositories, authenticateToken, requireAdmin }) => {
+  const router = express.Router();
+
+  // Com ?pagina= devolve { dados, total, por_status, ... }; sem ela, a lista inteira
+  router.get('/imobiliarias', authenticateToken, validar({ query: esquemas.filtrosImobiliarias }), async (req, res) => {
+    try {
+      const { nome, cidade, estado, status } = req.query;
+
+      // Filtrar por nome, estado, cidade e/ou status se especificados
+      const resultado = await repositories.imobiliarias.listarPagina({ nome, cidade, estado, status, ...lerPaginacao(req.query) });
+      res.json(req.query.pagina ? respostaPaginada(req.query, resultado) : resultado.dados);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Lista inteira com os filtros e a ordem da tela, em CSV ou XLSX (?formato=)
+  router.get('/imobiliarias/exportar', authenticateToken, validar({ query: esquemas.exportacaoImobiliarias }), async (req, res) => {
+    try {
+      const { nome, cidade, estado, status } = req.query;
+
+      const { dados } = await repositories.imobiliarias.listarPagina({ nome, cidade, estado, status, ordem: lerPaginacao(req.query).ordem });
+      await responderExportacao(res, 'imobiliarias', req.query.formato, dados);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get('/imobiliarias/cidades', authenticateToken, validar({ query: esquemas.filtrosImobiliarias }), async (req, res) => {
+    try {
+      const { estado } = req.query;
+
+      // Cidades únicas e ordenadas (filtrando por estado se especificado)
+      const cidadesUnicas = await repositories.imobiliarias.listarCidades({ estado });
+      res.json(cidadesUnicas);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get('/imobiliarias/estados', authenticateToken, async (req, res) => {
+    try {
+      // Estados únicos e ordenados
+      const estadosUnicos = await repositories.imobiliarias.listarEstados();
+      res.json(estadosUnicos);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Empreendimento aberto direto pelo link (busca global)
+  router.get('/imobiliarias/:id', authenticateToken, async (req, res) => {
+    try {
+      const imobiliaria = await repositories.imobiliarias.buscarPorId(req.params.id);
+
+      if (!imobiliaria) {
+        return res.status(404).json({ error: 'Empreendimento não encontrado!' });
+      }
+
+      res.json(imobiliaria);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post('/imobiliarias', authenticateToken, requireAdmin, validar({ body: esquemas.imobiliaria }), async (req, res) => {
+    try {
+      // Status padrão (no esquema): ativo, desbloqueado
+      const imobiliaria = await repositories.imobiliarias.criar(req.body);
+
+      res.json({ id: imobiliaria.id, message: 'Imobiliária cadastrada com sucesso!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.put('/imobiliarias/:id', authenticateToken, requireAdmin, validar({ body: esquemas.edicaoImobiliaria }), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      // Permitir atualização parcial: só atualiza os campos enviados (o esquema descarta os demais)
+      const updateData = req.body;
+      if (Object.keys(updateData).length === 0) {
+        return res.status(400).json({ error: 'Nenhum campo válido para atualizar.' });
+      }
+
+      const imobiliaria = await repositories.imobiliarias.atualizar(id, updateData);
+
+      if (!imobiliaria) {
+        console.error('❌ Nenhuma linha foi atualizada! Verifique as policies do Supabase.');
+        return res.status(403).json({ error: 'Nenhuma linha atualizada! Verifique as policies do Supabase.' });
+      }
+
+      res.json({ id: imobiliaria.id, message: 'Imobiliária atualizada com sucesso!' });
+    } catch (error) {
+      console.error('❌ Erro geral:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createImobiliariasRouter;
@@ -0,0 +1,163 @@
+const express = require('express');
+const multer = require('multer');
+const {
+  CAMPOS_IMPORTACAO,
+  lerPlanilha,
+  sugerirMapeamento,
+  validarMapeamento,
+  analisarLinhas,
+  importarLinhas,
+  relatorioRejeitadas
+} = require('../importacao');
+const { validar, responderErroDeValidacao } = require('../middleware/validacao');
+const esquemas = require('../esquemas');
+
+// Limite padrão do histórico de importações
+const LIMITE_PADRAO = 100;
+
+// Linhas da planilha mostradas na tela de mapeamento
+const LINHAS_AMOSTRA = 5;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // Limite de 5MB
+  }
+});
+
+// Planilha no campo `arquivo` do multipart; erro do upload volta no formato de validação
+const receberPlanilha = (req, res, next) => upload.single('arquivo')(req, res, (error) => {
+  if (!error) return next();
+  const mensagem = error.code === 'LIMIT_FILE_SIZE' ? 'A planilha deve ter no máximo 5MB!' : error.message;
+  return responderErroDeValidacao(res, { arquivo: mensagem });
+});
+
+// O que a tela mostra de cada linha analisada
+const resumoLinha = ({ linha, dados, motivos, avisos, valida }) => ({
+  linha,
+  nome: dados.nome ?? null,
+  telefone: dados.telefone ?? null,
+  cpf: dados.cpf ?? null,
+  valida,
+  motivos,
+  avisos
+});
+
+const createImportacoesRouter = ({ repositories, authenticateUpload, authenticateToken, requireAdmin }) => {
+  const router = express.Router();
+
+  // === IMPORTAÇÃO DE CLIENTES === (Apenas Admin)
+
+  // Passo 1: colunas do arquivo, algumas linhas de exemplo e o mapeamento sugerido pelos nomes
+  router.post('/importacoes-cliente/colunas', authenticateUpload, requireAdmin, receberPlanilha, async (req, res) => {
+    try {
+      const planilha = await lerPlanilha(req.file);
+      if (planilha.erro) return responderErroDeValidacao(res, { arquivo: planilha.erro });
+
+      res.json({
+        arquivo: req.file.originalname,
+        colunas: planilha.colunas,
+        total_linhas: planilha.linhas.length,
+        amostra: planilha.linhas.slice(0, LINHAS_AMOSTRA),
+        campos: CAMPOS_IMPORTACAO.map(({ campo, rotulo, obrigatorio }) => ({ campo, rotulo, obrigatorio: Boolean(obrigatorio) })),
+        mapeamento_sugerido: sugerirMapeamento(planilha.colunas)
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Passo 2 (simular, padrão) e 3 (simular=false): valida e procura duplicados em todas as linhas;
+  // sem simulação grava as válidas e registra a importação
+  router.post('/importacoes-cliente', authenticateUpload, requireAdmin, receberPlanilha, validar({ body: esquemas.importacaoClientes }), async (req, res) => {
+    try {
+      const { consultor_id, imobiliaria_id, simular } = req.body;
+
+      const planilha = await lerPlanilha(req.file);
+      if (planilha.erro) return responderErroDeValidacao(res, { arquivo: planilha.erro });
+
+      let mapeamento;
+      try {
+        mapeamento = JSON.parse(req.body.mapeamento);
+      } catch (error) {
+        mapeamento = null;
+      }
+      const erroMapeamento = validarMapeamento(mapeamento, planilha.colunas);
+      if (erroMapeamento) return responderErroDeValidacao(res, { mapeamento: erroMapeamento });
+
+      const [consultor, imobiliaria] = await Promise.all([
+        consultor_id ? repositories.consultores.buscarPorId(consultor_id) : null,
+        imobiliaria_id ? repositories.imobiliarias.buscarPorId(imobiliaria_id) : null
+      ]);
+      if (consultor_id && !consultor) return responderErroDeValidacao(res, { consultor_id: 'Corretor não encontrado!' });
+      if (imobiliaria_id && !imobiliaria) return responderErroDeValidacao(res, { imobiliaria_id: 'Empreendimento não encontrado!' });
+
+      const analise = await analisarLinhas(repositories, planilha.linhas, mapeamento);
+      const validas = analise.filter(linha => linha.valida).length;
+
+      if (simular) {
+        return res.json({
+          simulacao: true,
+          total_linhas: analise.length,
+          validas,
+          rejeitadas: analise.length - validas,
+          linhas: analise.map(resumoLinha)
+        });
+      }
+
+      const { importacao, importadas, rejeitadas } = await importarLinhas(repositories, req.user, analise, {
+        arquivoNome: req.file.originalname,
+        colunas: planilha.colunas,
+        mapeamento,
+        consultorId: consultor?.id,
+        imobiliaria
+      });
+
+      res.json({
+        simulacao: false,
+        id: importacao.id,
+        total_linhas: analise.length,
+        importadas: importadas.length,
+        rejeitadas: rejeitadas.length,
+        message: `${importadas.length} cliente(s) importado(s) com sucesso!`
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get('/importacoes-cliente', authenticateToken, requireAdmin, validar({ query: esquemas.filtrosImportacoes }), async (req, res) => {
+    try {
+      const importacoes = await repositories.importacoesCliente.listar({ limite: req.query.limite || LIMITE_PADRAO });
+
+      res.json(importacoes.map(importacao => ({
+        ...importacao,
+        consultor_nome: importacao.consultores?.nome || null,
+        imobiliaria_nome: importacao.imobiliarias?.nome || null
+      })));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Relatório CSV das linhas rejeitadas, com as colunas originais e o motivo de cada uma
+  router.get('/importacoes-cliente/:id/rejeitadas', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const importacao = await repositories.importacoesCliente.buscarPorId(req.params.id);
+
+      if (!importacao) {
+        return res.status(404).json({ error: 'Importação não encontrada!' });
+      }
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="importacao-${importacao.id}-rejeitadas.csv"`);
+      res.send(relatorioRejeitadas(importacao));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createImportacoesRouter;
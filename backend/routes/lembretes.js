@@ -0,0 +1,186 @@
+const express = require('express');
+const { criarCanais } = require('../canais-lembrete');
+const { STATUS_WHATSAPP, antecedenciasDosLembretes, enviarLembretesDevidos, atualizarEntrega, registrarResposta } = require('../lembretes');
+const { validar } = require('../middleware/validacao');
+const esquemas = require('../esquemas');
+const { assinaturaMetaValida } = require('../utils');
+
+// Canais cujas respostas chegam pelo webhook genérico (o WhatsApp tem webhook próprio)
+const CANAIS_COM_WEBHOOK = ['sms', 'email'];
+
+// Texto da mensagem recebida no WhatsApp: digitada ou botão de resposta rápida
+const textoDaMensagemWhatsApp = (mensagem) =>
+  mensagem.text?.body ||
+  mensagem.button?.text ||
+  mensagem.interactive?.button_reply?.title ||
+  mensagem.interactive?.list_reply?.title ||
+  null;
+
+const createLembretesRouter = ({ repositories, authenticateToken, requireAdmin, requireRecordOwnerOrAdmin }) => {
+  const router = express.Router();
+
+  const donoDoAgendamento = requireRecordOwnerOrAdmin(req => repositories.agendamentos.buscarPorId(req.params.id), {
+    naoEncontrado: 'Agendamento não encontrado!'
+  });
+
+  // Gateway de SMS e servidor de email se identificam com VISIT_REMINDER_WEBHOOK_TOKEN
+  const tokenDoWebhook = (req, res, next) => {
+    const esperado = process.env.VISIT_REMINDER_WEBHOOK_TOKEN;
+    const recebido = req.get('x-webhook-token') || req.query.token;
+
+    if (!esperado || recebido !== esperado) {
+      return res.status(403).json({ error: 'Token do webhook inválido' });
+    }
+    next();
+  };
+
+  // === LEMBRETES DA VISITA ===
+
+  // Envios (e tentativas) de lembrete da visita, mais recentes primeiro
+  router.get('/agendamentos/:id/lembretes', authenticateToken, donoDoAgendamento, async (req, res) => {
+    try {
+      const lembretes = await repositories.lembretesVisita.listarDaVisita(req.params.id);
+
+      res.json({
+        confirmado_em: req.registro.confirmado_em || null,
+        lembretes
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Enviar na hora os lembretes vencidos (no servidor local o envio também roda periodicamente)
+  router.post('/lembretes/enviar', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const canais = criarCanais();
+      if (antecedenciasDosLembretes().length === 0 || canais.length === 0) {
+        return res.status(400).json({ error: 'Nenhum canal de lembrete configurado (VISIT_REMINDER_CHANNELS e VISIT_REMINDER_OFFSETS)' });
+      }
+
+      const enviados = await enviarLembretesDevidos(repositories, { canais });
+
+      res.json({
+        enviados: enviados.length,
+        canais: canais.map(canal => canal.nome),
+        message: `Verificação concluída com sucesso! ${enviados.length} lembrete(s) enviado(s).`
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // === WEBHOOK DO WHATSAPP === (status de entrega e respostas do cliente)
+
+  // Verificação da assinatura do webhook no painel do app
+  router.get('/webhooks/whatsapp', (req, res) => {
+    const verifyToken = process.env.WHATSAPP_WEBHOOK_VERIFY_TOKEN;
+
+    if (verifyToken && req.query['hub.mode'] === 'subscribe' && req.query['hub.verify_token'] === verifyToken) {
+      return res.status(200).send(req.query['hub.challenge']);
+    }
+
+    res.status(403).json({ error: 'Token de verificação inválido' });
+  });
+
+  router.post('/webhooks/whatsapp', async (req, res) => {
+    const appSecret = process.env.META_APP_SECRET;
+
+    // Sem o segredo do app não há como conferir quem enviou: recusa em vez de aceitar qualquer um
+    if (!appSecret) {
+      console.error('Webhook do WhatsApp recusado: defina META_APP_SECRET para validar a assinatura');
+      return res.status(503).json({ error: 'Webhook do WhatsApp não configurado' });
+    }
+
+    if (!assinaturaMetaValida(req, appSecret)) {
+      return res.status(403).json({ error: 'Assinatura inválida' });
+    }
+
+    if (req.body?.object !== 'whatsapp_business_account') {
+      return res.status(400).json({ error: 'Evento não suportado' });
+    }
+
+    const canais = criarCanais();
+    let entregas = 0;
+    let respostas = 0;
+
+    for (const entry of req.body.entry || []) {
+      for (const change of entry.changes || []) {
+        if (change.field !== 'messages') continue;
+
+        for (const status of change.value?.statuses || []) {
+          if (!STATUS_WHATSAPP[status.status]) continue;
+          try {
+            const lembrete = await atualizarEntrega(repositories, {
+              idExterno: status.id,
+              status: STATUS_WHATSAPP[status.status],
+              erro: status.errors?.[0]?.message || status.errors?.[0]?.title
+            });
+            if (lembrete) entregas++;
+          } catch (error) {
+            console.error('Erro ao atualizar a entrega do lembrete no WhatsApp:', status.id, error.message);
+          }
+        }
+
+        for (const mensagem of change.value?.messages || []) {
+          try {
+            const { lembrete } = await registrarResposta(repositories, {
+              canal: 'whatsapp',
+              remetente: mensagem.from,
+              texto: textoDaMensagemWhatsApp(mensagem),
+              canais
+            });
+            if (lembrete) respostas++;
+          } catch (error) {
+            console.error('Erro ao registrar a resposta do cliente no WhatsApp:', mensagem.from, error.message);
+          }
+        }
+      }
+    }
+
+    // Sempre 200 para o Meta não reenviar o lote; falhas ficam no log
+    res.json({ entregas, respostas });
+  });
+
+  // === WEBHOOK DO SMS E DO EMAIL ===
+
+  // Status de entrega informado pelo gateway de SMS
+  router.post('/webhooks/lembretes/sms/status', tokenDoWebhook, validar({ body: esquemas.entregaLembrete }), async (req, res) => {
+    try {
+      const { id, status, erro } = req.body;
+
+      const lembrete = await atualizarEntrega(repositories, { idExterno: id, status, erro });
+      if (!lembrete) {
+        return res.status(404).json({ error: 'Lembrete não encontrado!' });
+      }
+
+      res.json({ id: lembrete.id, status: lembrete.status });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Resposta do cliente (SIM / CANCELAR) repassada pelo gateway de SMS ou pelo servidor de email
+  router.post('/webhooks/lembretes/:canal', tokenDoWebhook, validar({ body: esquemas.respostaLembrete }), async (req, res) => {
+    try {
+      const { canal } = req.params;
+      if (!CANAIS_COM_WEBHOOK.includes(canal)) {
+        return res.status(404).json({ error: 'Canal não encontrado!' });
+      }
+
+      const { acao, lembrete } = await registrarResposta(repositories, {
+        canal,
+        remetente: req.body.de,
+        texto: req.body.texto
+      });
+
+      res.json({ acao, registrada: Boolean(lembrete) });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createLembretesRouter;
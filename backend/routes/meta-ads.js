@@ -0,0 +1,324 @@
+const express = require('express');
+const MetaAdsAPI = require('../meta-ads-api');
+const { importarLeadMeta, sincronizarLeadsMeta, criarDistribuidorMeta } = require('../meta-ads-leads');
+const { gerarRelatorioROI } = require('../meta-ads-report');
+const { validar } = require('../middleware/validacao');
+const esquemas = require('../esquemas');
+const { assinaturaMetaValida } = require('../utils');
+
+// Nomes de estados como a Graph API devolve no breakdown "region"
+const ESTADOS_UF = {
+  acre: 'AC', alagoas: 'AL', amapa: 'AP', amazonas: 'AM', bahia: 'BA', ceara: 'CE',
+  'distrito federal': 'DF', 'federal district': 'DF', 'espirito santo': 'ES', goias: 'GO',
+  maranhao: 'MA', 'mato grosso': 'MT', 'mato grosso do sul': 'MS', 'minas gerais': 'MG',
+  para: 'PA', paraiba: 'PB', parana: 'PR', pernambuco: 'PE', piaui: 'PI',
+  'rio de janeiro': 'RJ', 'rio grande do norte': 'RN', 'rio grande do sul': 'RS',
+  rondonia: 'RO', roraima: 'RR', 'santa catarina': 'SC', 'sao paulo': 'SP',
+  sergipe: 'SE', tocantins: 'TO'
+};
+
+// Converter "São Paulo (state)" em "SP"
+const regiaoParaUF = (regiao) => {
+  if (!regiao) return null;
+  const nome = regiao
+    .replace(/\(.*\)/, '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Remove acentos
+    .trim();
+  if (/^[a-z]{2}$/.test(nome)) return nome.toUpperCase();
+  return ESTADOS_UF[nome] || null;
+};
+
+/**
+ * Rotas da tela Meta Ads (apenas admin) e webhook público de leadgen.
+ * Recebe os repositórios e os middlewares de autenticação do app que monta o router;
+ * `metaAdsApi` pode ser substituído por uma instância apontando para outro servidor Graph API.
+ */
+const createMetaAdsRouter = ({ repositories, authenticateToken, requireAdmin, metaAdsApi = new MetaAdsAPI() }) => {
+  const router = express.Router();
+  const distribuir = criarDistribuidorMeta(repositories);
+
+  router.use('/meta-ads', authenticateToken, requireAdmin);
+
+  // === PREÇOS POR LEAD ===
+  router.get('/meta-ads/pricing', validar({ query: esquemas.filtrosPrecosMeta }), async (req, res) => {
+    try {
+      const { cidade, estado, status, campanha_id } = req.query;
+
+      const precos = await repositories.precosMeta.listar({ cidade, estado, status, campanhaId: campanha_id });
+      res.json(precos);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post('/meta-ads/pricing', validar({ body: esquemas.precoMeta }), async (req, res) => {
+    try {
+      const preco = await repositories.precosMeta.criar(req.body);
+      res.json({ id: preco.id, message: 'Preço cadastrado com sucesso!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.put('/meta-ads/pricing/:id', validar({ body: esquemas.edicaoPrecoMeta }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const updateData = req.body;
+
+      if (Object.keys(updateData).length === 0) {
+        return res.status(400).json({ error: 'Nenhum campo válido para atualizar.' });
+      }
+
+      const preco = await repositories.precosMeta.atualizar(id, updateData);
+
+      if (!preco) {
+        return res.status(404).json({ error: 'Preço não encontrado' });
+      }
+
+      res.json({ id: preco.id, message: 'Preço atualizado com sucesso!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.delete('/meta-ads/pricing/:id', async (req, res) => {
+    try {
+      await repositories.precosMeta.remover(req.params.id);
+      res.json({ message: 'Preço removido com sucesso!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // === LEADS DO META ADS ===
+  router.get('/meta-ads/leads', validar({ query: esquemas.filtrosLeadsMeta }), async (req, res) => {
+    try {
+      const { campanha_id, cidade, data_inicio, data_fim } = req.query;
+
+      const leads = await repositories.leadsMeta.listar({
+        campanhaId: campanha_id,
+        cidade,
+        dataInicio: data_inicio,
+        dataFim: data_fim
+      });
+
+      // Reformatar dados para compatibilidade com frontend
+      const formattedData = leads.map(lead => ({
+        ...lead,
+        cliente_nome: lead.clientes?.nome,
+        cliente_telefone: lead.clientes?.telefone
+      }));
+
+      res.json(formattedData);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post('/meta-ads/leads', validar({ body: esquemas.leadMeta }), async (req, res) => {
+    try {
+      const lead = await repositories.leadsMeta.criar(req.body);
+      res.json({ id: lead.id, message: 'Lead do Meta Ads registrado com sucesso!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.put('/meta-ads/leads/:id', validar({ body: esquemas.edicaoLeadMeta }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const updateData = req.body;
+
+      if (Object.keys(updateData).length === 0) {
+        return res.status(400).json({ error: 'Nenhum campo válido para atualizar.' });
+      }
+
+      const lead = await repositories.leadsMeta.atualizar(id, updateData);
+
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead do Meta Ads não encontrado' });
+      }
+
+      res.json({ id: lead.id, message: 'Lead do Meta Ads atualizado com sucesso!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.delete('/meta-ads/leads/:id', async (req, res) => {
+    try {
+      await repositories.leadsMeta.remover(req.params.id);
+      res.json({ message: 'Lead do Meta Ads removido com sucesso!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // === RELATÓRIO DE ROI === (leads → visitas → fechamentos → receita, CAC e ROAS)
+  router.get('/meta-ads/report', validar({ query: esquemas.filtrosRelatorioMeta }), async (req, res) => {
+    try {
+      const hoje = new Date().toISOString().split('T')[0];
+      const data_inicio = req.query.data_inicio || `${hoje.slice(0, 8)}01`;
+      const data_fim = req.query.data_fim || hoje;
+
+      if (data_inicio > data_fim) {
+        return res.status(400).json({ error: 'Data inicial deve ser anterior à data final' });
+      }
+
+      const relatorio = await gerarRelatorioROI(repositories, { dataInicio: data_inicio, dataFim: data_fim });
+      res.json(relatorio);
+    } catch (error) {
+      console.error('Erro ao gerar relatório de ROI do Meta Ads:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // === INTEGRAÇÃO COM A GRAPH API ===
+  router.get('/meta-ads/campaigns', async (req, res) => {
+    try {
+      const campaigns = await metaAdsApi.getCampaigns();
+      res.json(campaigns);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get('/meta-ads/test-connection', async (req, res) => {
+    // testConnection nunca lança: o resultado já traz success/message/error
+    const resultado = await metaAdsApi.testConnection();
+    res.json(resultado);
+  });
+
+  // Sincronizar campanhas e gravar o custo por lead de cada cidade na tabela de preços
+  router.post('/meta-ads/sync-campaigns', async (req, res) => {
+    try {
+      const campanhas = await metaAdsApi.syncCampaignData();
+      let inseridos = 0;
+      let atualizados = 0;
+
+      for (const campanha of campanhas) {
+        for (const insight of campanha.insights) {
+          const estado = regiaoParaUF(insight.region);
+          if (!insight.city || insight.city === 'N/A' || !estado || insight.leads === 0) {
+            continue;
+          }
+
+          const preco = Math.round(insight.costPerLead * 100) / 100;
+
+          const existente = await repositories.precosMeta.buscarDaCampanha(campanha.campaign_id, insight.city);
+
+          if (existente) {
+            await repositories.precosMeta.atualizar(existente.id, { preco_por_lead: preco, campanha_nome: campanha.campaign_name, estado });
+            atualizados++;
+          } else {
+            await repositories.precosMeta.criar({
+              cidade: insight.city,
+              estado,
+              preco_por_lead: preco,
+              campanha_id: campanha.campaign_id,
+              campanha_nome: campanha.campaign_name,
+              status: campanha.status === 'ACTIVE' ? 'ativo' : 'inativo',
+              observacoes: 'Sincronizado da Meta Ads API'
+            });
+            inseridos++;
+          }
+        }
+      }
+
+      res.json({
+        message: `Sincronização concluída com sucesso! ${campanhas.length} campanha(s), ${inseridos} preço(s) novo(s) e ${atualizados} atualizado(s).`,
+        campanhas: campanhas.length,
+        inseridos,
+        atualizados
+      });
+    } catch (error) {
+      console.error('Erro ao sincronizar campanhas do Meta Ads:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Importar os leads dos formulários como clientes (aparecem em "Novos Leads")
+  router.post('/meta-ads/sync-leads', validar({ body: esquemas.sincronizacaoLeadsMeta }), async (req, res) => {
+    try {
+      const { campanha_id, date_range } = req.body;
+
+      const resultado = await sincronizarLeadsMeta({
+        repositories,
+        metaAdsApi,
+        campanhaId: campanha_id || null,
+        dateRange: date_range,
+        distribuir,
+        usuario: req.user
+      });
+
+      res.json({
+        message: `Sincronização de leads concluída com sucesso! ${resultado.criados} novo(s), ${resultado.existentes} já cadastrado(s), ${resultado.ignorados} ignorado(s).`,
+        ...resultado
+      });
+    } catch (error) {
+      console.error('Erro ao sincronizar leads do Meta Ads:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // === WEBHOOK DE LEADGEN === (Sem autenticação, chamado pelo Meta)
+  // Verificação da assinatura do webhook no painel do app
+  router.get('/webhooks/meta-leads', (req, res) => {
+    const verifyToken = process.env.META_WEBHOOK_VERIFY_TOKEN;
+
+    if (verifyToken && req.query['hub.mode'] === 'subscribe' && req.query['hub.verify_token'] === verifyToken) {
+      return res.status(200).send(req.query['hub.challenge']);
+    }
+
+    res.status(403).json({ error: 'Token de verificação inválido' });
+  });
+
+  router.post('/webhooks/meta-leads', async (req, res) => {
+    const appSecret = process.env.META_APP_SECRET;
+
+    // Sem o segredo do app não há como conferir quem enviou: recusa em vez de aceitar qualquer um
+    if (!appSecret) {
+      console.error('Webhook de leads do Meta recusado: defina META_APP_SECRET para validar a assinatura');
+      return res.status(503).json({ error: 'Webhook do Meta não configurado' });
+    }
+
+    if (!assinaturaMetaValida(req, appSecret)) {
+      return res.status(403).json({ error: 'Assinatura inválida' });
+    }
+
+    if (req.body?.object !== 'page') {
+      return res.status(400).json({ error: 'Evento não suportado' });
+    }
+
+    const resultados = [];
+
+    for (const entry of req.body.entry || []) {
+      for (const change of entry.changes || []) {
+        if (change.field !== 'leadgen' || !change.value?.leadgen_id) continue;
+
+        try {
+          const lead = await metaAdsApi.getLead(change.value.leadgen_id);
+          const resultado = await importarLeadMeta(repositories, {
+            form_id: change.value.form_id,
+            ad_id: change.value.ad_id,
+            adset_id: change.value.adgroup_id,
+            ...lead
+          }, { distribuir });
+          resultados.push({ lead_id: change.value.leadgen_id, ...resultado });
+        } catch (error) {
+          console.error('Erro ao processar lead do webhook do Meta:', change.value.leadgen_id, error.message);
+          resultados.push({ lead_id: change.value.leadgen_id, status: 'erro', motivo: error.message });
+        }
+      }
+    }
+
+    // Sempre 200 para o Meta não reenviar o lote; falhas ficam no log e podem ser recuperadas pelo sync-leads
+    res.json({ recebidos: resultados.length, resultados });
+  });
+
+  return router;
+};
+
+module.exports = createMetaAdsRouter;
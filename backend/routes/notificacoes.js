@@ -0,0 +1,101 @@
+const express = require('express');
+const { validar } = require('../middleware/validacao');
+const esquemas = require('../esquemas');
+const { destinatarioDoUsuario, acompanharNotificacoes } = require('../notificacoes');
+
+// Limite padrão de notificações devolvidas
+const LIMITE_PADRAO = 50;
+
+// Comentário enviado periodicamente para proxies não encerrarem a conexão parada
+const INTERVALO_HEARTBEAT_MS = 25 * 1000;
+
+const createNotificacoesRouter = ({ repositories, authenticateToken, requireRecordOwnerOrAdmin }) => {
+  const router = express.Router();
+
+  const donoDaNotificacao = requireRecordOwnerOrAdmin(req => repositories.notificacoes.buscarPorId(req.params.id), {
+    naoEncontrado: 'Notificação não encontrada!'
+  });
+
+  // Notificações do usuário logado (corretor pelo consultor_id, admin pelo usuario_id)
+  router.get('/notificacoes', authenticateToken, validar({ query: esquemas.filtrosNotificacoes }), async (req, res) => {
+    try {
+      const notificacoes = await repositories.notificacoes.listar({
+        ...destinatarioDoUsuario(req.user),
+        apenasNaoLidas: req.query.nao_lidas === true,
+        limite: req.query.limite || LIMITE_PADRAO
+      });
+
+      res.json(notificacoes);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Contador do sino no cabeçalho
+  router.get('/notificacoes/nao-lidas', authenticateToken, async (req, res) => {
+    try {
+      const total = await repositories.notificacoes.contarNaoLidas(destinatarioDoUsuario(req.user));
+      res.json({ total });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * Canal em tempo real (Server-Sent Events): envia o total de não lidas ao conectar e cada aviso novo
+   * como evento "notificacao". O token vai no header Authorization, como nas demais rotas, então o
+   * navegador lê o canal com fetch. Só entrega avisos gerados no mesmo processo do servidor.
+   */
+  router.get('/notificacoes/stream', authenticateToken, async (req, res) => {
+    const destinatario = destinatarioDoUsuario(req.user);
+
+    let total;
+    try {
+      total = await repositories.notificacoes.contarNaoLidas(destinatario);
+    } catch (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const enviar = (evento, dados) => res.write(`event: ${evento}\ndata: ${JSON.stringify(dados)}\n\n`);
+    enviar('nao_lidas', { total });
+
+    const encerrar = acompanharNotificacoes(destinatario, notificacao => enviar('notificacao', notificacao));
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), INTERVALO_HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      encerrar();
+    });
+  });
+
+  // Marcar todas as não lidas do usuário logado
+  router.put('/notificacoes/lidas', authenticateToken, async (req, res) => {
+    try {
+      const marcadas = await repositories.notificacoes.marcarTodasComoLidas(destinatarioDoUsuario(req.user));
+      res.json({ marcadas, message: 'Notificações marcadas como lidas com sucesso!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.put('/notificacoes/:id/lida', authenticateToken, donoDaNotificacao, async (req, res) => {
+    try {
+      await repositories.notificacoes.marcarComoLida(req.params.id);
+      res.json({ message: 'Notificação marcada como lida!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createNotificacoesRouter;
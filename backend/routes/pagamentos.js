@@ -0,0 +1,207 @@
+const express = require('express');
+const { estornarComissao } = require('../comissoes');
+const {
+  resumirComissoes,
+  linhasDoLote,
+  gerarCsvLote,
+  montarLote,
+  pagarLote,
+  cancelarLote
+} = require('../pagamentos');
+const { validar, responderErroDeValidacao } = require('../middleware/validacao');
+const esquemas = require('../esquemas');
+
+const createPagamentosRouter = ({ repositories, authenticateToken, requireAdmin }) => {
+  const router = express.Router();
+
+  // Lote com as comissões e as linhas por consultor (com a chave PIX)
+  const detalharLote = async (lote) => {
+    const [comissoes, consultores] = await Promise.all([
+      repositories.comissoes.listarDetalhadas({ loteId: lote.id }),
+      repositories.consultores.listar()
+    ]);
+    const linhas = linhasDoLote(comissoes, consultores);
+
+    return {
+      ...lote,
+      quantidade: comissoes.filter(c => c.status !== 'estornado').length,
+      total: linhas.reduce((acc, l) => acc + l.total, 0),
+      linhas,
+      comissoes: comissoes.map(c => ({ ...c, consultor_nome: c.consultores?.nome }))
+    };
+  };
+
+  // === LOTES DE PAGAMENTO === (Apenas Admin)
+  router.get('/lotes-pagamento', authenticateToken, requireAdmin, validar({ query: esquemas.filtrosLotes }), async (req, res) => {
+    try {
+      const [lotes, comissoes] = await Promise.all([
+        repositories.lotesPagamento.listar({ status: req.query.status || undefined }),
+        repositories.comissoes.listarDetalhadas()
+      ]);
+
+      res.json(lotes.map(lote => {
+        const doLote = comissoes.filter(c => c.lote_id === lote.id && c.status !== 'estornado');
+        return {
+          ...lote,
+          quantidade: doLote.length,
+          consultores: new Set(doLote.map(c => c.consultor_id)).size,
+          total: doLote.reduce((acc, c) => acc + parseFloat(c.valor_comissao || 0), 0)
+        };
+      }));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post('/lotes-pagamento', authenticateToken, requireAdmin, validar({ body: esquemas.lotePagamento }), async (req, res) => {
+    try {
+      const { periodo_inicio, periodo_fim, descricao } = req.body;
+
+      const lote = await montarLote(repositories, { periodo_inicio, periodo_fim, descricao });
+      if (!lote) {
+        return res.status(400).json({ error: 'Nenhuma comissão a pagar no período!' });
+      }
+
+      res.json({
+        id: lote.id,
+        quantidade: lote.quantidade,
+        total: lote.total,
+        message: `Lote criado com sucesso! ${lote.quantidade} comissão(ões)`
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get('/lotes-pagamento/:id', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const lote = await repositories.lotesPagamento.buscarPorId(req.params.id);
+      if (!lote) {
+        return res.status(404).json({ error: 'Lote de pagamento não encontrado!' });
+      }
+
+      res.json(await detalharLote(lote));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Planilha do lote: um PIX por consultor
+  router.get('/lotes-pagamento/:id/exportar', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const lote = await repositories.lotesPagamento.buscarPorId(req.params.id);
+      if (!lote) {
+        return res.status(404).json({ error: 'Lote de pagamento não encontrado!' });
+      }
+
+      const { linhas } = await detalharLote(lote);
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="lote-pagamento-${lote.id}.csv"`);
+      res.send(gerarCsvLote(linhas));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.put('/lotes-pagamento/:id/pagar', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const lote = await repositories.lotesPagamento.buscarPorId(req.params.id);
+      if (!lote) {
+        return res.status(404).json({ error: 'Lote de pagamento não encontrado!' });
+      }
+      if (lote.status === 'pago') {
+        return res.status(400).json({ error: 'Este lote já foi pago!' });
+      }
+
+      await pagarLote(repositories, lote);
+      res.json({ message: 'Lote marcado como pago com sucesso!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Cancelar um lote aberto (as comissões voltam para "a pagar", fora de lote)
+  router.delete('/lotes-pagamento/:id', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const lote = await repositories.lotesPagamento.buscarPorId(req.params.id);
+      if (!lote) {
+        return res.status(404).json({ error: 'Lote de pagamento não encontrado!' });
+      }
+      if (lote.status === 'pago') {
+        return res.status(400).json({ error: 'Lote já pago não pode ser cancelado! Estorne as comissões individualmente.' });
+      }
+
+      await cancelarLote(repositories, lote);
+      res.json({ message: 'Lote cancelado com sucesso!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Estornar uma comissão a pagar ou já paga (Apenas Admin)
+  router.put('/comissoes/:id/estornar', authenticateToken, requireAdmin, validar({ body: esquemas.estornoComissao }), async (req, res) => {
+    try {
+      const comissao = await repositories.comissoes.buscarPorId(req.params.id);
+      if (!comissao) {
+        return res.status(404).json({ error: 'Comissão não encontrada!' });
+      }
+      if (comissao.status === 'estornado') {
+        return res.status(400).json({ error: 'Esta comissão já foi estornada!' });
+      }
+
+      await estornarComissao(repositories, comissao, req.body.motivo);
+      res.json({ message: 'Comissão estornada com sucesso!' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // === EXTRATO === (Consultor vê o seu, Admin escolhe o consultor)
+  router.get('/extrato', authenticateToken, validar({ query: esquemas.filtrosExtrato }), async (req, res) => {
+    try {
+      const consultorId = req.user.tipo === 'consultor'
+        ? req.user.consultor_id
+        : req.query.consultor_id;
+
+      if (!consultorId) {
+        return responderErroDeValidacao(res, { consultor_id: 'Informe o consultor!' });
+      }
+
+      const consultor = await repositories.consultores.buscarPorId(consultorId);
+      if (!consultor) {
+        return res.status(404).json({ error: 'Consultor não encontrado!' });
+      }
+
+      const [comissoes, fechamentos, lotes] = await Promise.all([
+        repositories.comissoes.listarDetalhadas({ consultorId }),
+        repositories.fechamentos.listarDetalhados({ consultorId }),
+        repositories.lotesPagamento.listar()
+      ]);
+      const fechamentosPorId = new Map(fechamentos.map(f => [f.id, f]));
+      const lotesPorId = new Map(lotes.map(l => [l.id, l]));
+
+      res.json({
+        consultor: { id: consultor.id, nome: consultor.nome, pix: consultor.pix },
+        resumo: resumirComissoes(comissoes),
+        lancamentos: comissoes.map(comissao => {
+          const fechamento = fechamentosPorId.get(comissao.fechamento_id);
+          return {
+            ...comissao,
+            cliente_nome: fechamento?.clientes?.nome,
+            imobiliaria_nome: fechamento?.imobiliarias?.nome,
+            valor_fechado: fechamento?.valor_fechado,
+            data_fechamento: fechamento?.data_fechamento,
+            lote_descricao: lotesPorId.get(comissao.lote_id)?.descricao || null
+          };
+        })
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createPagamentosRouter;
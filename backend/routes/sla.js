@@ -0,0 +1,64 @@
+const express = require('express');
+const { distribuirLead } = require('../distribuicao');
+const { horasDePrazo, verificarPrazosDeContato } = require('../sla');
+const { validar } = require('../middleware/validacao');
+const esquemas = require('../esquemas');
+
+// Limite padrão de registros da lista de prazos vencidos
+const LIMITE_PADRAO = 500;
+
+const createSlaRouter = ({ repositories, authenticateToken, requireAdmin }) => {
+  const router = express.Router();
+
+  // === PRAZO DE PRIMEIRO CONTATO === (Apenas Admin)
+
+  // Leads tirados dos corretores por falta de contato, mais recentes primeiro
+  router.get('/sla-contato/violacoes', authenticateToken, requireAdmin, validar({ query: esquemas.filtrosViolacoes }), async (req, res) => {
+    try {
+      const { consultor_id, limite } = req.query;
+
+      const [violacoes, consultores] = await Promise.all([
+        repositories.violacoesSla.listar({
+          consultorId: consultor_id ?? undefined,
+          limite: limite || LIMITE_PADRAO
+        }),
+        repositories.consultores.listar()
+      ]);
+
+      const nomes = Object.fromEntries(consultores.map(c => [c.id, c.nome]));
+
+      res.json({
+        horas_prazo: horasDePrazo(),
+        violacoes: violacoes.map(violacao => ({
+          ...violacao,
+          cliente_nome: violacao.clientes?.nome,
+          cliente_telefone: violacao.clientes?.telefone,
+          consultor_nome: violacao.consultores?.nome,
+          novo_consultor_nome: violacao.novo_consultor_id ? nomes[violacao.novo_consultor_id] : null
+        }))
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Rodar a verificação na hora (no servidor local ela também roda periodicamente)
+  router.post('/sla-contato/verificar', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+      const violacoes = await verificarPrazosDeContato(repositories, {
+        distribuir: (cliente, opcoes) => distribuirLead(repositories, cliente, { ...opcoes, usuario: req.user })
+      });
+
+      res.json({
+        retirados: violacoes.length,
+        message: `Verificação concluída com sucesso! ${violacoes.length} lead(s) com prazo de contato vencido.`
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createSlaRouter;
@@ -0,0 +1,54 @@
+const express = require('express');
+const { criarCanais } = require('../canais-lembrete');
+const { antecedenciasDosLembretes, enviarLembretesDevidos } = require('../lembretes');
+const { horasDePrazo, verificarPrazosDeContato } = require('../sla');
+const { distribuirLead } = require('../distribuicao');
+
+// Tarefas periódicas chamadas pelo agendador do deploy (Vercel Cron, ver vercel.json), que envia
+// "Authorization: Bearer <CRON_SECRET>". No servidor local as mesmas tarefas rodam em server.js.
+const createTarefasRouter = ({ repositories }) => {
+  const router = express.Router();
+
+  // Sem CRON_SECRET configurado a rota fica fechada (qualquer um poderia disparar os envios)
+  const segredoDoAgendador = (req, res, next) => {
+    const esperado = process.env.CRON_SECRET;
+    if (!esperado) {
+      console.error('CRON_SECRET não configurado: tarefas periódicas recusadas');
+      return res.status(503).json({ error: 'Tarefas periódicas não configuradas' });
+    }
+
+    if (req.get('authorization') !== `Bearer ${esperado}`) {
+      return res.status(403).json({ error: 'Acesso negado' });
+    }
+    next();
+  };
+
+  router.get('/cron/tarefas', segredoDoAgendador, async (req, res) => {
+    try {
+      const resultado = {};
+
+      // Prazo de primeiro contato dos leads: vencido, o lead vai para outro corretor (LEAD_SLA_HOURS=0 desliga)
+      if (horasDePrazo() > 0) {
+        const violacoes = await verificarPrazosDeContato(repositories, {
+          distribuir: (cliente, opcoes) => distribuirLead(repositories, cliente, opcoes)
+        });
+        resultado.leads_retirados = violacoes.length;
+      }
+
+      // Lembretes das visitas (VISIT_REMINDER_OFFSETS vazio ou nenhum canal configurado desliga)
+      const canais = criarCanais();
+      if (antecedenciasDosLembretes().length > 0 && canais.length > 0) {
+        resultado.lembretes = (await enviarLembretesDevidos(repositories, { canais })).length;
+      }
+
+      res.json(resultado);
+    } catch (error) {
+      console.error('Erro nas tarefas periódicas:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createTarefasRouter;
@@ -0,0 +1,98 @@
+// Prazo de primeiro contato (SLA): quem recebe um lead tem LEAD_SLA_HOURS horas para registrar um contato
+const { auditar } = require('./auditoria');
+const { notificar } = require('./notificacoes');
+
+const TIPOS_CONTATO = ['ligacao', 'whatsapp', 'email', 'visita', 'outro'];
+
+// Horas para o primeiro contato (padrão 24; 0 desliga o prazo)
+const horasDePrazo = () => {
+  const horas = parseFloat(process.env.LEAD_SLA_HOURS);
+  return Number.isNaN(horas) ? 24 : Math.max(horas, 0);
+};
+
+// Campos gravados no cliente quando um corretor recebe o lead (pegar ou distribuição)
+const dadosDeAtribuicao = (agora = new Date()) => {
+  const horas = horasDePrazo();
+  return {
+    atribuido_em: agora.toISOString(),
+    prazo_contato: horas > 0 ? new Date(agora.getTime() + horas * 60 * 60 * 1000).toISOString() : null,
+    primeiro_contato_em: null
+  };
+};
+
+// Registrar um contato com o cliente; o primeiro encerra o prazo de contato
+const registrarContato = async (repositories, usuario, cliente, { tipo, observacao }) => {
+  const contato = await repositories.contatosCliente.criar({
+    cliente_id: cliente.id,
+    consultor_id: usuario?.tipo === 'consultor' ? usuario.consultor_id : null,
+    usuario_nome: usuario?.nome ?? null,
+    tipo,
+    observacao: observacao || null
+  });
+
+  if (!cliente.primeiro_contato_em) {
+    await auditar(repositories, usuario).atualizar('clientes', cliente.id, { primeiro_contato_em: new Date().toISOString() });
+  }
+
+  return contato;
+};
+
+/**
+ * Tirar dos corretores os leads com prazo de contato vencido. Conta como contato um registro em
+ * contatos_cliente ou o lead ter saído do status "lead" (ex.: visita agendada). O lead vai para o
+ * próximo corretor do rodízio (sem repetir o dono anterior) ou, com LEAD_SLA_REDISTRIBUTE=false ou
+ * sem corretor disponível, volta para "Novos Leads". O corretor que perdeu o lead é notificado.
+ * distribuir(cliente, opcoes) é o distribuirLead já ligado aos repositórios.
+ */
+const verificarPrazosDeContato = async (repositories, { distribuir = null, agora = new Date() } = {}) => {
+  const vencidos = (await repositories.clientes.listarComPrazoVencido(agora.toISOString()))
+    .filter(cliente => cliente.consultor_id && cliente.status === 'lead');
+  const redistribuir = process.env.LEAD_SLA_REDISTRIBUTE !== 'false';
+  const violacoes = [];
+
+  for (const cliente of vencidos) {
+    // A condição vai no próprio UPDATE: um contato registrado neste instante mantém o lead com o corretor
+    const devolvido = await auditar(repositories, null).atualizar(
+      'clientes',
+      cliente.id,
+      { consultor_id: null, atribuido_em: null, prazo_contato: null },
+      { filtros: { consultor_id: cliente.consultor_id, primeiro_contato_em: null, status: 'lead' } }
+    );
+    if (!devolvido) continue;
+
+    let violacao = await repositories.violacoesSla.criar({
+      cliente_id: cliente.id,
+      consultor_id: cliente.consultor_id,
+      atribuido_em: cliente.atribuido_em,
+      prazo_contato: cliente.prazo_contato
+    });
+
+    const distribuicao = redistribuir && distribuir
+      ? await distribuir(devolvido, { origem: 'sla', excluir: [cliente.consultor_id] })
+      : null;
+
+    if (distribuicao?.consultor_id) {
+      violacao = await repositories.violacoesSla.atualizar(violacao.id, { novo_consultor_id: distribuicao.consultor_id });
+    }
+
+    await notificar(repositories, {
+      consultor_id: cliente.consultor_id,
+      tipo: 'sla_contato',
+      titulo: 'Lead retirado por falta de contato',
+      mensagem: `Nenhum contato com ${cliente.nome} foi registrado no prazo: o lead ${distribuicao?.consultor_id ? 'foi repassado para outro corretor' : 'voltou para Novos Leads'}.`,
+      cliente_id: cliente.id
+    });
+
+    violacoes.push(violacao);
+  }
+
+  return violacoes;
+};
+
+module.exports = {
+  TIPOS_CONTATO,
+  horasDePrazo,
+  dadosDeAtribuicao,
+  registrarContato,
+  verificarPrazosDeContato
+};
@@ -0,0 +1,14 @@
+const { createClient } = require('@supabase/supabase-js');
+require('dotenv').config();
+
+// Supabase client
+const supabaseUrl = process.env.SUPABASE_URL || 'https://your-project-id.supabase.co';
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY || 'your-anon-key-here';
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY || supabaseKey; // Service role key para Storage
+const supabase = createClient(supabaseUrl, supabaseKey);
+const supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey); // Cliente admin para Storage
+
+module.exports = {
+  supabase,
+  supabaseAdmin
+};
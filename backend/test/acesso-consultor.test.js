@@ -0,0 +1,181 @@
+// Consultor A não lê, altera nem apaga clientes, visitas e fechamentos do consultor B,
+// e não os encontra na listagem nem na busca global; também não cadastra nem repassa clientes para B
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciarServidor } = require('./servidor');
+
+let servidor;
+let tokenA;
+let tokenB;
+let doA;
+let doB;
+
+before(async () => {
+  servidor = await iniciarServidor();
+  const { requisitar, login, repositories } = servidor;
+  const admin = await login('admin@crm.com', 'admin123');
+
+  const cadastrarConsultor = async (nome, email, telefone) => {
+    const { body } = await requisitar('/consultores', {
+      token: admin,
+      method: 'POST',
+      body: { nome, email, telefone, senha: 'senha123' }
+    });
+    return body.id;
+  };
+  const consultorA = await cadastrarConsultor('Ana Corretora', 'ana@teste.com', '11911110000');
+  const consultorB = await cadastrarConsultor('Bruno Corretor', 'bruno@teste.com', '11922220000');
+  tokenA = await login('ana@teste.com', 'senha123');
+  tokenB = await login('bruno@teste.com', 'senha123');
+
+  const { body: imobiliaria } = await requisitar('/imobiliarias', {
+    token: admin,
+    method: 'POST',
+    body: { nome: 'Residencial Teste', status: 'ativo', cidade: 'São Paulo', estado: 'SP' }
+  });
+
+  // Cliente, visita e fechamento de cada corretor
+  const registrosDo = async (consultorId, nome, telefone, dia) => {
+    const { body: cliente } = await requisitar('/clientes', {
+      token: admin,
+      method: 'POST',
+      body: { nome, telefone, consultor_id: consultorId }
+    });
+    const { body: agendamento } = await requisitar('/agendamentos', {
+      token: admin,
+      method: 'POST',
+      body: { cliente_id: cliente.id, consultor_id: consultorId, imobiliaria_id: imobiliaria.id, data_agendamento: dia, horario: '10:00' }
+    });
+    const fechamento = await repositories.fechamentos.criar({
+      cliente_id: cliente.id,
+      consultor_id: consultorId,
+      imobiliaria_id: imobiliaria.id,
+      valor_fechado: 250000,
+      data_fechamento: '2030-01-10'
+    });
+    return { consultorId, clienteId: cliente.id, agendamentoId: agendamento.id, fechamentoId: fechamento.id, nome };
+  };
+  doA = await registrosDo(consultorA, 'Amanda Compradora', '11933330000', '2030-01-15');
+  doB = await registrosDo(consultorB, 'Bernardo Comprador', '11944440000', '2030-01-16');
+});
+
+after(() => servidor.fechar());
+
+const dadosDoCliente = (registros) => ({ nome: 'Nome trocado', telefone: '11900000000', consultor_id: registros.consultorId });
+
+test('consultor A recebe 403 nos clientes de B', async () => {
+  const { requisitar } = servidor;
+
+  const antes = await servidor.repositories.clientes.buscarPorId(doB.clienteId);
+
+  assert.equal((await requisitar(`/clientes/${doB.clienteId}`, { token: tokenA })).status, 403);
+  assert.equal((await requisitar(`/clientes/${doB.clienteId}`, { token: tokenA, method: 'PUT', body: dadosDoCliente(doB) })).status, 403);
+  assert.equal((await requisitar(`/clientes/${doB.clienteId}/status`, { token: tokenA, method: 'PUT', body: { status: 'cancelado' } })).status, 403);
+  assert.equal((await requisitar(`/clientes/${doB.clienteId}/contatos`, { token: tokenA })).status, 403);
+  assert.equal((await requisitar(`/clientes/${doB.clienteId}/contatos`, { token: tokenA, method: 'POST', body: { tipo: 'ligacao' } })).status, 403);
+
+  const cliente = await servidor.repositories.clientes.buscarPorId(doB.clienteId);
+  assert.equal(cliente.nome, doB.nome);
+  assert.equal(cliente.status, antes.status);
+});
+
+test('consultor A recebe 403 nas visitas de B', async () => {
+  const { requisitar } = servidor;
+  const visita = {
+    cliente_id: doB.clienteId,
+    consultor_id: doB.consultorId,
+    data_agendamento: '2030-02-01',
+    horario: '15:00'
+  };
+
+  assert.equal((await requisitar(`/agendamentos/${doB.agendamentoId}`, { token: tokenA })).status, 403);
+  assert.equal((await requisitar(`/agendamentos/${doB.agendamentoId}/convite.ics`, { token: tokenA })).status, 403);
+  assert.equal((await requisitar(`/agendamentos/${doB.agendamentoId}`, { token: tokenA, method: 'PUT', body: visita })).status, 403);
+  assert.equal((await requisitar(`/agendamentos/${doB.agendamentoId}/status`, { token: tokenA, method: 'PUT', body: { status: 'cancelado' } })).status, 403);
+  assert.equal((await requisitar(`/agendamentos/${doB.agendamentoId}`, { token: tokenA, method: 'DELETE' })).status, 403);
+
+  const agendamento = await servidor.repositories.agendamentos.buscarPorId(doB.agendamentoId);
+  assert.equal(agendamento.data_agendamento, '2030-01-16');
+  assert.equal(agendamento.status, 'agendado');
+});
+
+test('consultor A recebe 403 nos fechamentos de B', async () => {
+  const { requisitar } = servidor;
+
+  assert.equal((await requisitar(`/fechamentos/${doB.fechamentoId}/contrato`, { token: tokenA })).status, 403);
+  assert.equal((await requisitar(`/fechamentos/${doB.fechamentoId}`, {
+    token: tokenA,
+    method: 'PUT',
+    body: { cliente_id: doB.clienteId, valor_fechado: 1, data_fechamento: '2030-01-10' }
+  })).status, 403);
+  assert.equal((await requisitar(`/fechamentos/${doB.fechamentoId}`, { token: tokenA, method: 'DELETE' })).status, 403);
+
+  const fechamento = await servidor.repositories.fechamentos.buscarPorId(doB.fechamentoId);
+  assert.equal(Number(fechamento.valor_fechado), 250000);
+});
+
+test('consultor A não usa os clientes de B em visitas novas', async () => {
+  const { status } = await servidor.requisitar('/agendamentos', {
+    token: tokenA,
+    method: 'POST',
+    body: { cliente_id: doB.clienteId, data_agendamento: '2030-03-01', horario: '09:00' }
+  });
+  assert.equal(status, 403);
+});
+
+test('o dono continua com acesso aos próprios registros', async () => {
+  const { requisitar } = servidor;
+
+  assert.equal((await requisitar(`/clientes/${doB.clienteId}`, { token: tokenB })).status, 200);
+  assert.equal((await requisitar(`/agendamentos/${doB.agendamentoId}`, { token: tokenB })).status, 200);
+  assert.equal((await requisitar(`/clientes/${doA.clienteId}`, { token: tokenA, method: 'PUT', body: { ...dadosDoCliente(doA), nome: doA.nome } })).status, 200);
+});
+
+test('as listagens do consultor A trazem só os registros dele', async () => {
+  const { requisitar } = servidor;
+
+  const { body: clientes } = await requisitar('/clientes', { token: tokenA });
+  assert.deepEqual(clientes.map(cliente => cliente.id), [doA.clienteId]);
+
+  const { body: agendamentos } = await requisitar('/agendamentos', { token: tokenA });
+  assert.deepEqual(agendamentos.map(agendamento => agendamento.id), [doA.agendamentoId]);
+
+  const { body: fechamentos } = await requisitar('/fechamentos', { token: tokenA });
+  assert.deepEqual(fechamentos.map(fechamento => fechamento.id), [doA.fechamentoId]);
+
+  const { body: pagina } = await requisitar('/clientes?pagina=1&por_pagina=10', { token: tokenA });
+  assert.equal(pagina.total, 1);
+});
+
+test('a busca global do consultor A não encontra os registros de B', async () => {
+  const { requisitar } = servidor;
+
+  const { status, body } = await requisitar(`/busca?q=${encodeURIComponent('Bernardo')}`, { token: tokenA });
+  assert.equal(status, 200);
+  assert.equal(body.clientes.total, 0);
+  assert.equal(body.agendamentos.total, 0);
+  assert.equal(body.fechamentos.total, 0);
+
+  const { body: porNumero } = await requisitar(`/busca?q=%23${doB.fechamentoId}`, { token: tokenA });
+  assert.equal(porNumero.fechamentos.total, 0);
+
+  const { body: doDono } = await requisitar(`/busca?q=${encodeURIComponent('Bernardo')}`, { token: tokenB });
+  assert.equal(doDono.clientes.total, 1);
+});
+
+test('consultor A não cadastra nem repassa clientes para B', async () => {
+  const { requisitar, repositories } = servidor;
+
+  const { status, body } = await requisitar('/clientes', {
+    token: tokenA,
+    method: 'POST',
+    body: { nome: 'Célia Indicada', telefone: '11955550000', consultor_id: doB.consultorId }
+  });
+  assert.equal(status, 200);
+  assert.equal(body.consultor_id, doA.consultorId);
+  assert.equal((await repositories.clientes.buscarPorId(body.id)).consultor_id, doA.consultorId);
+
+  const edicao = await requisitar(`/clientes/${doA.clienteId}`, { token: tokenA, method: 'PUT', body: { ...dadosDoCliente(doB), nome: doA.nome } });
+  assert.equal(edicao.status, 200);
+  assert.equal((await repositories.clientes.buscarPorId(doA.clienteId)).consultor_id, doA.consultorId);
+});
@@ -0,0 +1,51 @@
+// Agenda da equipe: dois pedidos ao mesmo tempo para o mesmo horário do corretor marcam uma só visita
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciarServidor } = require('./servidor');
+
+let servidor;
+
+before(async () => {
+  servidor = await iniciarServidor();
+});
+
+after(() => servidor.fechar());
+
+test('duas visitas simultâneas no mesmo horário do corretor: só uma é marcada', async () => {
+  const { requisitar, repositories, login } = servidor;
+  const admin = await login('admin@crm.com', 'admin123');
+  const consultor = await repositories.consultores.criar({ nome: 'Otávio Ocupado', telefone: '11922223333', email: 'otavio@teste.com' });
+  const imobiliaria = await repositories.imobiliarias.criar({ nome: 'Residencial Concorrido', status: 'ativo' });
+  const [ana, beto] = await Promise.all(['Ana Simultânea', 'Beto Simultâneo'].map(nome =>
+    repositories.clientes.criar({ nome, telefone: '11944445555', status: 'lead', consultor_id: consultor.id })
+  ));
+
+  // O SQLite responde na hora: atrasar a consulta da agenda, como num banco remoto, para o segundo
+  // pedido chegar enquanto o primeiro ainda confere o horário
+  const { listarOcupacao } = repositories.agendamentos;
+  repositories.agendamentos.listarOcupacao = async (...args) => {
+    const visitas = await listarOcupacao(...args);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    return visitas;
+  };
+
+  const marcar = (cliente) => requisitar('/agendamentos', {
+    token: admin,
+    method: 'POST',
+    body: { cliente_id: cliente.id, consultor_id: consultor.id, imobiliaria_id: imobiliaria.id, data_agendamento: '2031-07-01', horario: '10:00' }
+  });
+  let respostas;
+  try {
+    respostas = await Promise.all([marcar(ana), marcar(beto)]);
+  } finally {
+    repositories.agendamentos.listarOcupacao = listarOcupacao;
+  }
+
+  assert.deepEqual(respostas.map(({ status }) => status).sort(), [200, 400]);
+  const visitas = await repositories.agendamentos.listarOcupacao({ dataInicio: '2031-07-01', dataFim: '2031-07-01', consultorId: consultor.id });
+  assert.equal(visitas.length, 1);
+
+  // A reserva da agenda é solta depois de cada pedido
+  assert.equal((await repositories.consultores.buscarPorId(consultor.id)).agenda_reservada_ate, null);
+  assert.equal((await repositories.imobiliarias.buscarPorId(imobiliaria.id)).agenda_reservada_ate, null);
+});
@@ -0,0 +1,84 @@
+// Autoagendamento pelo link do lead: envio duplicado da marcação (dois cliques, duas abas) cria uma só visita,
+// e o lead que se cadastra de novo recebe um link novo
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciarServidor } = require('./servidor');
+const { gerarTokenSecreto } = require('../utils');
+
+let servidor;
+
+before(async () => {
+  servidor = await iniciarServidor();
+});
+
+after(() => servidor.fechar());
+
+test('dois envios simultâneos da marcação criam uma única visita', async () => {
+  const { requisitar, repositories } = servidor;
+  const imobiliaria = await repositories.imobiliarias.criar({ nome: 'Residencial Link', status: 'ativo' });
+  const cliente = await repositories.clientes.criar({
+    nome: 'Laura Link',
+    telefone: '11977770000',
+    status: 'lead',
+    token_visita: gerarTokenSecreto()
+  });
+
+  const marcar = (horario) => requisitar(`/leads/visita/${cliente.token_visita}`, {
+    method: 'POST',
+    body: { imobiliaria_id: imobiliaria.id, data_agendamento: '2031-05-06', horario }
+  });
+
+  // O SQLite responde na hora: segurar a busca da visita em aberto até os dois envios passarem por ela,
+  // para os dois não encontrarem visita nenhuma, como num banco remoto
+  const { listar } = repositories.agendamentos;
+  let liberar;
+  const ambosConferiram = new Promise(resolve => { liberar = resolve; });
+  let conferencias = 0;
+  repositories.agendamentos.listar = async (...args) => {
+    const visitas = await listar(...args);
+    if (++conferencias === 2) liberar();
+    await ambosConferiram;
+    return visitas;
+  };
+
+  let respostas;
+  try {
+    respostas = await Promise.all([marcar('10:00'), marcar('15:00')]);
+  } finally {
+    repositories.agendamentos.listar = listar;
+  }
+
+  assert.deepEqual(respostas.map(({ status }) => status).sort(), [200, 400]);
+  assert.equal((await repositories.agendamentos.listar({ clienteId: cliente.id })).length, 1);
+
+  // Depois de cancelar pelo link, o lead marca de novo normalmente
+  assert.equal((await requisitar(`/leads/visita/${cliente.token_visita}`, { method: 'DELETE' })).status, 200);
+  assert.equal((await marcar('11:00')).status, 200);
+});
+
+test('lead que já está no CRM e se cadastra de novo recebe um link novo para agendar', async () => {
+  const { requisitar, repositories } = servidor;
+  const tokenAntigo = gerarTokenSecreto();
+  const cliente = await repositories.clientes.criar({
+    nome: 'Renato Retorno',
+    telefone: '11966665555',
+    cpf: '52998224725',
+    status: 'lead',
+    token_visita: tokenAntigo
+  });
+
+  const { status, body } = await requisitar('/leads/cadastro', {
+    method: 'POST',
+    body: { nome: 'Renato Retorno', telefone: '(11) 96666-5555', cpf: '529.982.247-25' }
+  });
+  assert.equal(status, 200);
+  assert.ok(body.token_visita);
+  assert.notEqual(body.token_visita, tokenAntigo);
+
+  // O link novo abre a página do mesmo cliente; o anterior deixa de valer
+  const pagina = await requisitar(`/leads/visita/${body.token_visita}`);
+  assert.equal(pagina.status, 200);
+  assert.equal(pagina.body.nome, 'Renato Retorno');
+  assert.equal((await requisitar(`/leads/visita/${tokenAntigo}`)).status, 404);
+  assert.equal((await repositories.clientes.buscarPorId(cliente.id)).token_visita, body.token_visita);
+});
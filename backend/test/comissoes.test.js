@@ -0,0 +1,174 @@
+// Comissão de fechamentos: só o admin cria ou altera a comissão (aprovando ou editando o fechamento);
+// o corretor não mexe no fechamento depois de aprovado, e a comissão estornada fica no histórico
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciarServidor } = require('./servidor');
+
+let servidor;
+let admin;
+let corretor;
+let consultorId;
+let imobiliariaId;
+
+before(async () => {
+  servidor = await iniciarServidor();
+  const { requisitar, login } = servidor;
+  admin = await login('admin@crm.com', 'admin123');
+
+  const { body: consultor } = await requisitar('/consultores', {
+    token: admin,
+    method: 'POST',
+    body: { nome: 'Carla Corretora', email: 'carla@teste.com', telefone: '11955550000', senha: 'senha123' }
+  });
+  consultorId = consultor.id;
+  corretor = await login('carla@teste.com', 'senha123');
+
+  const { body: imobiliaria } = await requisitar('/imobiliarias', {
+    token: admin,
+    method: 'POST',
+    body: { nome: 'Residencial Comissão', status: 'ativo', cidade: 'São Paulo', estado: 'SP' }
+  });
+  imobiliariaId = imobiliaria.id;
+
+  // Regra geral do teste: 2% do valor fechado
+  await requisitar('/regras-comissao', { token: admin, method: 'POST', body: { nome: 'Teste 2%', tipo: 'percentual', percentual: 2 } });
+});
+
+after(() => servidor.fechar());
+
+// Fechamento do corretor, já aprovado pelo admin
+const fechamentoAprovado = async (nome, valor, data = '2030-02-10') => {
+  const { requisitar, repositories } = servidor;
+  const cliente = await repositories.clientes.criar({ nome, telefone: '11966660000', consultor_id: consultorId, status: 'fechado' });
+  const fechamento = await repositories.fechamentos.criar({
+    cliente_id: cliente.id,
+    consultor_id: consultorId,
+    imobiliaria_id: imobiliariaId,
+    valor_fechado: valor,
+    data_fechamento: data
+  });
+
+  const { status, body } = await requisitar(`/fechamentos/${fechamento.id}/aprovar`, { token: admin, method: 'PUT' });
+  assert.equal(status, 200);
+  assert.equal(body.comissao, valor * 0.02);
+  return { ...fechamento, cliente_id: cliente.id };
+};
+
+test('corretor não altera nem remove o fechamento aprovado, e a comissão continua a mesma', async () => {
+  const { requisitar, repositories } = servidor;
+  const fechamento = await fechamentoAprovado('Paulo Aprovado', 300000);
+
+  const edicao = await requisitar(`/fechamentos/${fechamento.id}`, {
+    token: corretor,
+    method: 'PUT',
+    body: { cliente_id: fechamento.cliente_id, valor_fechado: 900000, data_fechamento: '2030-02-10' }
+  });
+  assert.equal(edicao.status, 400);
+  assert.equal((await requisitar(`/fechamentos/${fechamento.id}`, { token: corretor, method: 'DELETE' })).status, 400);
+
+  assert.equal(Number((await repositories.fechamentos.buscarPorId(fechamento.id)).valor_fechado), 300000);
+  const comissao = await repositories.comissoes.buscarPorFechamento(fechamento.id);
+  assert.equal(Number(comissao.valor_comissao), 6000);
+  assert.equal(comissao.status, 'a_pagar');
+});
+
+test('admin corrige o fechamento aprovado e a comissão a pagar é recalculada', async () => {
+  const { requisitar, repositories } = servidor;
+  const fechamento = await fechamentoAprovado('Rita Corrigida', 200000);
+
+  const edicao = await requisitar(`/fechamentos/${fechamento.id}`, {
+    token: admin,
+    method: 'PUT',
+    body: { cliente_id: fechamento.cliente_id, consultor_id: consultorId, valor_fechado: 250000, data_fechamento: '2030-02-10' }
+  });
+  assert.equal(edicao.status, 200);
+
+  assert.equal(Number((await repositories.comissoes.buscarPorFechamento(fechamento.id)).valor_comissao), 5000);
+});
+
+test('aprovar de novo o fechamento com comissão estornada gera uma comissão a pagar nova', async () => {
+  const { requisitar, repositories } = servidor;
+  const fechamento = await fechamentoAprovado('Sérgio Reaprovado', 100000, '2030-03-10');
+
+  const { body: lote } = await requisitar('/lotes-pagamento', {
+    token: admin,
+    method: 'POST',
+    body: { periodo_inicio: '2030-03-01', periodo_fim: '2030-03-31' }
+  });
+  assert.equal(lote.quantidade, 1);
+
+  await requisitar(`/fechamentos/${fechamento.id}/reprovar`, { token: admin, method: 'PUT' });
+  assert.equal((await repositories.comissoes.buscarPorFechamento(fechamento.id)).status, 'estornado');
+
+  // O recálculo das regras não desfaz o estorno
+  await requisitar('/comissoes/recalcular', { token: admin, method: 'POST' });
+  assert.equal((await repositories.comissoes.buscarPorFechamento(fechamento.id)).status, 'estornado');
+
+  const { status, body } = await requisitar(`/fechamentos/${fechamento.id}/aprovar`, { token: admin, method: 'PUT' });
+  assert.equal(status, 200);
+  assert.equal(body.comissao, 2000);
+
+  const [nova, estornada] = await repositories.comissoes.listarPorFechamento(fechamento.id);
+  assert.deepEqual([nova.status, nova.lote_id, Number(nova.valor_comissao)], ['a_pagar', null, 2000]);
+  assert.deepEqual([estornada.status, estornada.lote_id], ['estornado', lote.id]);
+  assert.equal((await repositories.comissoes.buscarPorFechamento(fechamento.id)).id, nova.id);
+
+  // A nova entra no próximo lote; o fechamento com comissão em lote não pode ser removido
+  const { body: proximo } = await requisitar('/lotes-pagamento', {
+    token: admin,
+    method: 'POST',
+    body: { periodo_inicio: '2030-03-01', periodo_fim: '2030-03-31' }
+  });
+  assert.equal(proximo.quantidade, 1);
+  assert.equal((await requisitar(`/fechamentos/${fechamento.id}`, { token: admin, method: 'DELETE' })).status, 400);
+});
+
+test('planilha do lote não deixa o Excel executar fórmulas vindas do cadastro do corretor', async () => {
+  const { requisitar, repositories } = servidor;
+  await repositories.consultores.atualizar(consultorId, { nome: '=HYPERLINK("http://exemplo.com")', pix: '+5511955550000' });
+
+  const { body: lote } = await requisitar('/lotes-pagamento', {
+    token: admin,
+    method: 'POST',
+    body: { periodo_inicio: '2030-02-01', periodo_fim: '2030-02-28' }
+  });
+  const { status, body: csv } = await requisitar(`/lotes-pagamento/${lote.id}/exportar`, { token: admin });
+  assert.equal(status, 200);
+
+  const [, linha] = csv.trim().split('\r\n');
+  assert.equal(linha, `"'=HYPERLINK(""http://exemplo.com"")";;carla@teste.com;'+5511955550000;2;11000,00`);
+});
+
+test('dois lotes montados ao mesmo tempo não levam a mesma comissão', async () => {
+  const { requisitar, repositories } = servidor;
+  const fechamento = await fechamentoAprovado('Tânia Concorrente', 150000, '2030-04-10');
+
+  // O SQLite responde na hora: segurar a busca das comissões a pagar até os dois pedidos passarem por ela
+  const { listarDetalhadas } = repositories.comissoes;
+  let liberar;
+  const ambosBuscaram = new Promise(resolve => { liberar = resolve; });
+  let buscas = 0;
+  repositories.comissoes.listarDetalhadas = async (...args) => {
+    const comissoes = await listarDetalhadas(...args);
+    if (++buscas === 2) liberar();
+    await ambosBuscaram;
+    return comissoes;
+  };
+
+  const montar = () => requisitar('/lotes-pagamento', {
+    token: admin,
+    method: 'POST',
+    body: { periodo_inicio: '2030-04-01', periodo_fim: '2030-04-30' }
+  });
+  let respostas;
+  try {
+    respostas = await Promise.all([montar(), montar()]);
+  } finally {
+    repositories.comissoes.listarDetalhadas = listarDetalhadas;
+  }
+
+  assert.deepEqual(respostas.map(({ status }) => status).sort(), [200, 400]);
+  const comissao = await repositories.comissoes.buscarPorFechamento(fechamento.id);
+  assert.equal(comissao.lote_id, respostas.find(({ status }) => status === 200).body.id);
+  assert.equal((await repositories.lotesPagamento.listar()).filter(lote => lote.periodo_inicio === '2030-04-01').length, 1);
+});
@@ -0,0 +1,68 @@
+// Detecção de clientes duplicados com os candidatos filtrados no banco (CPF, final do telefone,
+// primeiro ou último nome) e a comparação fina em duplicados.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciarServidor } = require('./servidor');
+const { buscarDuplicados } = require('../duplicados');
+
+let servidor;
+let repositories;
+let joana;
+
+before(async () => {
+  servidor = await iniciarServidor();
+  repositories = servidor.repositories;
+
+  joana = await repositories.clientes.criar({ nome: 'Joana Maria Ferreira', telefone: '(11) 98765-4321', cpf: '123.456.789-09', status: 'lead' });
+  await repositories.clientes.criar({ nome: 'Pedro Albuquerque', telefone: '(21) 91234-0000', cpf: '98765432100', status: 'lead' });
+});
+
+after(() => servidor.fechar());
+
+const idsDuplicados = async (dados) => (await buscarDuplicados(repositories, dados)).map(({ cliente, motivos, forte }) => ({ id: cliente.id, motivos, forte }));
+
+test('acha o mesmo CPF gravado com pontuação', async () => {
+  assert.deepEqual(await idsDuplicados({ nome: 'Outra Pessoa', cpf: '12345678909' }), [{ id: joana.id, motivos: ['cpf'], forte: true }]);
+});
+
+test('acha o mesmo telefone em outra formatação, com nome parecido', async () => {
+  assert.deepEqual(await idsDuplicados({ nome: 'Joana Ferreira', telefone: '+55 11 987654321' }), [
+    { id: joana.id, motivos: ['telefone', 'nome'], forte: true }
+  ]);
+});
+
+test('acha nome com erro de digitação no sobrenome pelo primeiro nome', async () => {
+  assert.deepEqual(await idsDuplicados({ nome: 'joana maria ferreyra' }), [{ id: joana.id, motivos: ['nome'], forte: false }]);
+});
+
+test('não acha quem não tem CPF, telefone nem nome em comum', async () => {
+  assert.deepEqual(await idsDuplicados({ nome: 'Carlos Souza', telefone: '(31) 95555-2222', cpf: '11144477735' }), []);
+  assert.deepEqual(await idsDuplicados({ nome: 'Joana' }), []);
+});
+
+test('ignora curingas do LIKE digitados no nome', async () => {
+  assert.deepEqual(await idsDuplicados({ nome: '% %' }), []);
+});
+
+test('cadastro público de quem já está no CRM completa o cadastro existente sem revelar o id', async () => {
+  const { status, body } = await servidor.requisitar('/leads/cadastro', {
+    method: 'POST',
+    body: {
+      nome: 'Joana Ferreira',
+      telefone: '11987654321',
+      cpf: '12345678909',
+      observacoes: 'Prefere contato à tarde',
+      imobiliaria_preferida: 'Residencial Aurora',
+      melhor_dia1: '2031-05-06T10:00'
+    }
+  });
+  assert.equal(status, 200);
+  assert.equal(body.id, undefined);
+  assert.equal(body.nome, 'Joana Ferreira');
+
+  const atualizada = await repositories.clientes.buscarPorId(joana.id);
+  assert.equal(atualizada.imobiliaria_preferida, 'Residencial Aurora');
+  assert.equal(atualizada.melhor_dia1, '2031-05-06T10:00');
+  assert.equal(atualizada.observacoes, 'Prefere contato à tarde');
+  assert.equal((await idsDuplicados({ nome: 'Outra Pessoa', cpf: '12345678909' })).length, 1);
+});
@@ -0,0 +1,40 @@
+// Resposta do cliente ao lembrete da visita: SIM confirma; só CANCELAR, por extenso, cancela a visita
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciarServidor } = require('./servidor');
+const { interpretarResposta, registrarResposta } = require('../lembretes');
+
+let servidor;
+
+before(async () => {
+  servidor = await iniciarServidor();
+});
+
+after(() => servidor.fechar());
+
+test('só CANCELAR por extenso cancela; "não", "n" e "2" são ignorados', () => {
+  assert.equal(interpretarResposta('Sim'), 'confirmou');
+  assert.equal(interpretarResposta('1'), 'confirmou');
+  assert.equal(interpretarResposta('CANCELAR\nNão vou conseguir ir'), 'cancelou');
+  for (const texto of ['Não', 'nao', 'N', '2', 'cancela']) {
+    assert.equal(interpretarResposta(texto), null, texto);
+  }
+});
+
+test('CANCELAR cancela a visita sem mudar o status do cliente', async () => {
+  const { repositories } = servidor;
+  const cliente = await repositories.clientes.criar({ nome: 'Olga Lembrada', telefone: '11977776666', status: 'agendado' });
+  const visita = await repositories.agendamentos.criar({ cliente_id: cliente.id, data_agendamento: '2031-08-01', horario: '10:00' });
+  await repositories.lembretesVisita.criar({ agendamento_id: visita.id, cliente_id: cliente.id, canal: 'sms', destino: '5511977776666' });
+
+  const responder = (texto) => registrarResposta(repositories, { canal: 'sms', remetente: '+55 11 97777-6666', texto, canais: [] });
+
+  assert.deepEqual(await responder('Não'), { acao: null, lembrete: null });
+  assert.equal((await repositories.agendamentos.buscarPorId(visita.id)).status, 'agendado');
+
+  const { acao, lembrete } = await responder('CANCELAR');
+  assert.equal(acao, 'cancelou');
+  assert.equal(lembrete.resposta, 'cancelou');
+  assert.equal((await repositories.agendamentos.buscarPorId(visita.id)).status, 'cancelado');
+  assert.equal((await repositories.clientes.buscarPorId(cliente.id)).status, 'agendado');
+});
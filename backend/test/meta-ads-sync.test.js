@@ -0,0 +1,207 @@
+// Sincronização com o Meta Ads contra uma Graph API simulada (servidor HTTP local em
+// META_GRAPH_API_URL): preços por cidade vindos dos insights, leads paginados por cursor e webhook
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { iniciarServidor } = require('./servidor');
+
+const TOKEN = 'token-de-teste';
+const CONTA = 'act_123';
+
+// Gasto por cidade da campanha c1 (alterado entre as sincronizações)
+const gastos = { Campinas: '100.00' };
+
+const insight = (region, city, spend, leads) => ({
+  country: 'BR',
+  region,
+  city,
+  spend,
+  impressions: '1000',
+  clicks: '50',
+  actions: leads ? [{ action_type: 'lead', value: String(leads) }] : []
+});
+
+const leadGraph = (id, nome, telefone, cidade) => ({
+  id,
+  created_time: '2030-06-01T10:00:00+0000',
+  form_id: 'form-1',
+  campaign_id: 'c1',
+  campaign_name: 'Lançamento Campinas',
+  adset_id: 'as-1',
+  ad_id: 'ad-1',
+  field_data: [
+    { name: 'full_name', values: [nome] },
+    { name: 'phone_number', values: [telefone] },
+    { name: 'city', values: [cidade] }
+  ]
+});
+
+// Leads da campanha c1 em duas páginas: a primeira aponta para a segunda pelo cursor
+const PAGINAS_LEADS = {
+  inicio: {
+    data: [leadGraph('lead-1', 'Marina Costa', '+55 19 99111-0001', 'Campinas'), leadGraph('lead-2', 'Otávio Reis', '19991110002', 'Campinas')],
+    paging: { cursors: { before: 'inicio', after: 'cursor-2' }, next: 'https://graph.facebook.com/v19.0/c1/leads?after=cursor-2' }
+  },
+  'cursor-2': {
+    data: [leadGraph('lead-3', 'Helena Prado', '(19) 99111-0003', 'Campinas')],
+    paging: { cursors: { before: 'cursor-2', after: 'cursor-3' } }
+  }
+};
+
+const rotasGraph = {
+  [`/v19.0/${CONTA}/campaigns`]: () => ({
+    data: [{ id: 'c1', name: 'Lançamento Campinas', status: 'ACTIVE' }, { id: 'c2', name: 'Institucional', status: 'PAUSED' }]
+  }),
+  '/v19.0/c1/insights': () => ({
+    data: [
+      insight('São Paulo (state)', 'Campinas', gastos.Campinas, 4),
+      insight('Rio de Janeiro (state)', 'Niterói', '90.00', 3),
+      insight('Bahia', 'N/A', '40.00', 2),
+      insight('São Paulo', 'Santos', '10.00', 0)
+    ]
+  }),
+  '/v19.0/c2/insights': () => ({ data: [insight('Minas Gerais', 'Belo Horizonte', '50.00', 2)] }),
+  '/v19.0/c1/leads': (params) => PAGINAS_LEADS[params.get('after') || 'inicio'],
+  '/v19.0/c2/leads': () => ({ data: [] }),
+  '/v19.0/lead-webhook': () => leadGraph('lead-webhook', 'Sofia Webhook', '19991110009', 'Campinas')
+};
+
+let graph;
+let servidor;
+let admin;
+const requisicoesGraph = [];
+
+before(async () => {
+  graph = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requisicoesGraph.push({ caminho: url.pathname, params: url.searchParams });
+    res.setHeader('Content-Type', 'application/json');
+
+    if (url.searchParams.get('access_token') !== TOKEN) {
+      res.statusCode = 400;
+      return res.end(JSON.stringify({ error: { message: 'Invalid OAuth access token', code: 190 } }));
+    }
+
+    const rota = rotasGraph[url.pathname];
+    if (!rota) {
+      res.statusCode = 404;
+      return res.end(JSON.stringify({ error: { message: `Rota não simulada: ${url.pathname}` } }));
+    }
+    res.end(JSON.stringify(rota(url.searchParams)));
+  });
+  await new Promise(resolve => graph.listen(0, '127.0.0.1', resolve));
+
+  servidor = await iniciarServidor({
+    META_GRAPH_API_URL: `http://127.0.0.1:${graph.address().port}`,
+    META_ACCESS_TOKEN: TOKEN,
+    META_AD_ACCOUNT_ID: CONTA
+  });
+  admin = await servidor.login('admin@crm.com', 'admin123');
+});
+
+after(async () => {
+  await servidor.fechar();
+  await new Promise(resolve => graph.close(resolve));
+});
+
+test('sync-campaigns grava o custo por lead de cada cidade e depois atualiza os mesmos preços', async () => {
+  const { requisitar, repositories } = servidor;
+
+  const primeira = await requisitar('/meta-ads/sync-campaigns', { token: admin, method: 'POST' });
+  assert.equal(primeira.status, 200);
+  assert.equal(primeira.body.campanhas, 2);
+  assert.equal(primeira.body.inseridos, 3);
+  assert.equal(primeira.body.atualizados, 0);
+
+  // Cidade sem nome (N/A) e cidade sem leads ficam de fora
+  const precos = await repositories.precosMeta.listar();
+  assert.deepEqual(
+    precos.map(({ campanha_id, cidade, estado, status, preco_por_lead }) => ({ campanha_id, cidade, estado, status, preco: Number(preco_por_lead) })),
+    [
+      { campanha_id: 'c2', cidade: 'Belo Horizonte', estado: 'MG', status: 'inativo', preco: 25 },
+      { campanha_id: 'c1', cidade: 'Niterói', estado: 'RJ', status: 'ativo', preco: 30 },
+      { campanha_id: 'c1', cidade: 'Campinas', estado: 'SP', status: 'ativo', preco: 25 }
+    ]
+  );
+
+  gastos.Campinas = '130.00';
+  const segunda = await requisitar('/meta-ads/sync-campaigns', { token: admin, method: 'POST' });
+  assert.equal(segunda.body.inseridos, 0);
+  assert.equal(segunda.body.atualizados, 3);
+
+  const campinas = await repositories.precosMeta.buscarDaCampanha('c1', 'Campinas');
+  assert.equal(Number(campinas.preco_por_lead), 32.5);
+  assert.equal((await repositories.precosMeta.listar()).length, 3);
+});
+
+test('sync-leads segue o cursor das páginas de leads e não importa o mesmo lead de novo', async () => {
+  const { requisitar, repositories } = servidor;
+  requisicoesGraph.length = 0;
+
+  const { status, body } = await requisitar('/meta-ads/sync-leads', { token: admin, method: 'POST', body: { date_range: 'last_7d' } });
+  assert.equal(status, 200);
+  assert.equal(body.processados, 3);
+  assert.equal(body.criados, 3);
+  assert.deepEqual(body.erros, []);
+
+  // Uma consulta por página: a segunda com o cursor da primeira; a última página não tem "next"
+  const paginas = requisicoesGraph
+    .filter(({ caminho }) => caminho.endsWith('/leads'))
+    .map(({ caminho, params }) => `${caminho} ${params.get('after') || ''}`.trim());
+  assert.deepEqual(paginas, ['/v19.0/c1/leads', '/v19.0/c1/leads cursor-2', '/v19.0/c2/leads']);
+
+  const leads = await repositories.leadsMeta.listar({ campanhaId: 'c1' });
+  assert.deepEqual(leads.map(lead => lead.meta_lead_id).sort(), ['lead-1', 'lead-2', 'lead-3']);
+  assert.ok(leads.every(lead => Number(lead.custo_lead) === 32.5 && lead.adset_id === 'as-1' && lead.formulario_id === 'form-1'));
+
+  const marina = leads.find(lead => lead.meta_lead_id === 'lead-1');
+  assert.equal(marina.clientes.nome, 'Marina Costa');
+  assert.equal(marina.clientes.telefone, '(19) 99111-0001');
+
+  const repetida = await requisitar('/meta-ads/sync-leads', { token: admin, method: 'POST', body: {} });
+  assert.equal(repetida.body.criados, 0);
+  assert.equal(repetida.body.ignorados, 3);
+});
+
+test('webhook de leadgen busca o lead na Graph API e importa o cliente', async () => {
+  const evento = JSON.stringify({
+    object: 'page',
+    entry: [{ changes: [{ field: 'leadgen', value: { leadgen_id: 'lead-webhook', form_id: 'form-1' } }] }]
+  });
+  process.env.META_APP_SECRET = 'segredo-do-app';
+
+  try {
+    const response = await fetch(`${servidor.baseUrl}/webhooks/meta-leads`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Hub-Signature-256': 'sha256=' + crypto.createHmac('sha256', 'segredo-do-app').update(evento).digest('hex')
+      },
+      body: evento
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.recebidos, 1);
+    assert.equal(body.resultados[0].status, 'criado');
+
+    const cliente = await servidor.repositories.clientes.buscarPorId(body.resultados[0].cliente_id);
+    assert.equal(cliente.nome, 'Sofia Webhook');
+  } finally {
+    delete process.env.META_APP_SECRET;
+  }
+});
+
+test('token recusado pela Graph API vira erro na sincronização', async () => {
+  const MetaAdsAPI = require('../meta-ads-api');
+  const api = new MetaAdsAPI({ accessToken: 'token-vencido', adAccountId: CONTA });
+  const consoleError = console.error;
+  console.error = () => {};
+
+  try {
+    await assert.rejects(api.getCampaigns(), /Token de acesso do Meta inválido ou expirado/);
+  } finally {
+    console.error = consoleError;
+  }
+});
@@ -0,0 +1,172 @@
+// Meta Ads sobre o banco local: preços e leads pela API, importação de leads dos formulários e
+// relatório de ROI, sem Supabase e sem Graph API
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { iniciarServidor } = require('./servidor');
+const { importarLeadMeta, criarDistribuidorMeta } = require('../meta-ads-leads');
+
+let servidor;
+let admin;
+
+before(async () => {
+  servidor = await iniciarServidor();
+  admin = await servidor.login('admin@crm.com', 'admin123');
+});
+
+after(() => servidor.fechar());
+
+// Lead como a Graph API devolve (field_data dos formulários)
+const leadDoFormulario = (id, campos, extras = {}) => ({
+  id,
+  created_time: '2030-05-10T12:00:00+0000',
+  campaign_id: 'camp-1',
+  campaign_name: 'Lançamento Centro',
+  field_data: Object.entries(campos).map(([name, valor]) => ({ name, values: [valor] })),
+  ...extras
+});
+
+test('preços por lead: cadastro, filtro, edição e exclusão', async () => {
+  const { requisitar } = servidor;
+
+  const { status, body: criado } = await requisitar('/meta-ads/pricing', {
+    token: admin,
+    method: 'POST',
+    body: { cidade: 'Campinas', estado: 'SP', preco_por_lead: 42.5, campanha_id: 'camp-9' }
+  });
+  assert.equal(status, 200);
+
+  const { body: filtrados } = await requisitar('/meta-ads/pricing?cidade=campi', { token: admin });
+  assert.deepEqual(filtrados.map(preco => preco.id), [criado.id]);
+  assert.equal(filtrados[0].status, 'ativo');
+
+  const editado = await requisitar(`/meta-ads/pricing/${criado.id}`, { token: admin, method: 'PUT', body: { preco_por_lead: 40 } });
+  assert.equal(editado.status, 200);
+  assert.equal(Number((await servidor.repositories.precosMeta.buscarDaCampanha('camp-9', 'Campinas')).preco_por_lead), 40);
+
+  assert.equal((await requisitar('/meta-ads/pricing/999999', { token: admin, method: 'PUT', body: { preco_por_lead: 1 } })).status, 404);
+
+  assert.equal((await requisitar(`/meta-ads/pricing/${criado.id}`, { token: admin, method: 'DELETE' })).status, 200);
+  assert.deepEqual((await requisitar('/meta-ads/pricing?cidade=campi', { token: admin })).body, []);
+});
+
+test('leads do Meta Ads: registro e listagem com o nome do cliente', async () => {
+  const { requisitar, repositories } = servidor;
+  const cliente = await repositories.clientes.criar({ nome: 'Lia Nogueira', telefone: '(19) 97777-1212', status: 'lead' });
+
+  const { status, body: criado } = await requisitar('/meta-ads/leads', {
+    token: admin,
+    method: 'POST',
+    body: { cliente_id: cliente.id, campanha_id: 'camp-2', data_lead: '2030-04-01', cidade_lead: 'Sorocaba', estado_lead: 'SP' }
+  });
+  assert.equal(status, 200);
+
+  const { body: leads } = await requisitar('/meta-ads/leads?campanha_id=camp-2', { token: admin });
+  assert.equal(leads.length, 1);
+  assert.equal(leads[0].id, criado.id);
+  assert.equal(leads[0].cliente_nome, 'Lia Nogueira');
+  assert.equal(leads[0].fonte_lead, 'meta_ads');
+
+  assert.equal((await requisitar('/meta-ads/leads/999999', { token: admin, method: 'PUT', body: { cidade_lead: 'Itu' } })).status, 404);
+  assert.equal((await requisitar(`/meta-ads/leads/${criado.id}`, { token: admin, method: 'DELETE' })).status, 200);
+});
+
+test('importação de lead cria o cliente em "Novos Leads" com o custo da cidade e não repete o lead', async () => {
+  const { repositories } = servidor;
+  await repositories.precosMeta.criar({ cidade: 'Santos', estado: 'SP', preco_por_lead: 30, campanha_id: 'camp-1', status: 'ativo' });
+  const opcoes = { distribuir: criarDistribuidorMeta(repositories) };
+
+  const lead = leadDoFormulario('meta-100', { full_name: 'Rafael Teixeira', phone_number: '+5513988887777', city: 'santos', state: 'sp' });
+  const resultado = await importarLeadMeta(repositories, lead, opcoes);
+  assert.equal(resultado.status, 'criado');
+
+  const cliente = await repositories.clientes.buscarPorId(resultado.cliente_id);
+  assert.equal(cliente.nome, 'Rafael Teixeira');
+  assert.equal(cliente.telefone, '(13) 98888-7777');
+  assert.equal(cliente.status, 'lead');
+  assert.equal(cliente.consultor_id, null);
+
+  // Criado em nome do sistema, com o cadastro completo no histórico
+  const [historico] = await repositories.auditoria.listar({ entidade: 'clientes', entidadeId: cliente.id });
+  assert.equal(historico.acao, 'criar');
+  assert.equal(historico.usuario_id, null);
+  assert.equal(historico.depois.nome, 'Rafael Teixeira');
+
+  const atribuicao = await repositories.leadsMeta.buscarPorMetaLeadId('meta-100');
+  assert.equal(Number(atribuicao.custo_lead), 30);
+  assert.equal(atribuicao.data_lead, '2030-05-10');
+  assert.equal(atribuicao.estado_lead, 'SP');
+
+  assert.equal((await importarLeadMeta(repositories, lead, opcoes)).status, 'ignorado');
+
+  // Mesmo telefone em outra formatação e nome parecido: só a atribuição é gravada no cliente existente
+  const outroFormulario = leadDoFormulario('meta-101', { full_name: 'Rafael Teixera', phone_number: '(13) 98888-7777' });
+  assert.deepEqual(await importarLeadMeta(repositories, outroFormulario, opcoes), { status: 'existente', cliente_id: cliente.id, motivo: null });
+
+  // Mesmo telefone com outro nome não é a mesma pessoa
+  const familiar = leadDoFormulario('meta-102', { full_name: 'Beatriz Lopes', phone_number: '13988887777' });
+  assert.equal((await importarLeadMeta(repositories, familiar, opcoes)).status, 'criado');
+});
+
+test('webhook de leads recusa eventos sem META_APP_SECRET configurado ou com assinatura inválida', async () => {
+  const { baseUrl } = servidor;
+  const evento = JSON.stringify({ object: 'page', entry: [] });
+  const enviar = (assinatura) => fetch(`${baseUrl}/webhooks/meta-leads`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(assinatura ? { 'X-Hub-Signature-256': assinatura } : {}) },
+    body: evento
+  });
+  const assinar = (segredo) => 'sha256=' + crypto.createHmac('sha256', segredo).update(evento).digest('hex');
+
+  const erros = [];
+  const consoleError = console.error;
+  console.error = (...args) => erros.push(args.join(' '));
+  try {
+    delete process.env.META_APP_SECRET;
+    assert.equal((await enviar(assinar('qualquer'))).status, 503);
+    assert.ok(erros.some(erro => erro.includes('META_APP_SECRET')));
+
+    process.env.META_APP_SECRET = 'segredo-do-app';
+    assert.equal((await enviar()).status, 403);
+    assert.equal((await enviar(assinar('outro-segredo'))).status, 403);
+    // Mesmo número de caracteres da assinatura, mas com um byte a mais (é) em UTF-8
+    assert.equal((await enviar('sha256=\xE9' + 'a'.repeat(63))).status, 403);
+
+    const aceito = await enviar(assinar('segredo-do-app'));
+    assert.equal(aceito.status, 200);
+    assert.deepEqual(await aceito.json(), { recebidos: 0, resultados: [] });
+  } finally {
+    console.error = consoleError;
+    delete process.env.META_APP_SECRET;
+  }
+});
+
+test('relatório de ROI cruza os leads do período com visitas e fechamentos', async () => {
+  const { requisitar, repositories } = servidor;
+  const imobiliaria = await repositories.imobiliarias.criar({ nome: 'Residencial ROI', status: 'ativo' });
+
+  const registrar = async (nome, metaLeadId, custo) => {
+    const cliente = await repositories.clientes.criar({ nome, telefone: '11900000000', status: 'lead' });
+    await repositories.leadsMeta.criar({
+      cliente_id: cliente.id,
+      meta_lead_id: metaLeadId,
+      campanha_id: 'camp-roi',
+      campanha_nome: 'Campanha ROI',
+      custo_lead: custo,
+      data_lead: '2031-01-05',
+      cidade_lead: 'Jundiaí',
+      estado_lead: 'SP'
+    });
+    return cliente;
+  };
+  const comprador = await registrar('Comprador ROI', 'roi-1', 100);
+  await registrar('Curioso ROI', 'roi-2', 50);
+
+  await repositories.agendamentos.criar({ cliente_id: comprador.id, imobiliaria_id: imobiliaria.id, data_agendamento: '2031-01-10', horario: '10:00' });
+  await repositories.fechamentos.criar({ cliente_id: comprador.id, imobiliaria_id: imobiliaria.id, valor_fechado: 3000, data_fechamento: '2031-01-20', aprovado: 'aprovado' });
+
+  const { status, body } = await requisitar('/meta-ads/report?data_inicio=2031-01-01&data_fim=2031-01-31', { token: admin });
+  assert.equal(status, 200);
+  assert.deepEqual(body.totais, { leads: 2, investimento: 150, visitas: 1, fechamentos: 1, receita: 3000, cac: 150, roas: 20 });
+  assert.deepEqual(body.campanhas.map(campanha => campanha.campanha_id), ['camp-roi']);
+});
@@ -0,0 +1,62 @@
+// Servidor de teste: o app Express de verdade sobre um banco SQLite novo (migrações aplicadas),
+// numa porta livre. Cada arquivo de teste roda em processo próprio, então as variáveis de ambiente
+// definidas aqui valem só para ele.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const iniciarServidor = async (env = {}) => {
+  const pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'crm-teste-'));
+  Object.assign(process.env, {
+    DATA_PROVIDER: 'sqlite',
+    SQLITE_PATH: path.join(pasta, 'teste.sqlite'),
+    UPLOADS_PATH: path.join(pasta, 'uploads'),
+    ...env
+  });
+
+  const app = require('../app');
+  const { createMigrator } = require('../migrations');
+  const repositories = app.locals.repositories;
+  await createMigrator(repositories.banco).up();
+
+  const servidor = await new Promise(resolve => {
+    const instancia = app.listen(0, '127.0.0.1', () => resolve(instancia));
+  });
+  const baseUrl = `http://127.0.0.1:${servidor.address().port}/api`;
+
+  // Requisição JSON à API; devolve { status, body }
+  const requisitar = async (caminho, { token, method = 'GET', body } = {}) => {
+    const response = await fetch(baseUrl + caminho, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const texto = await response.text();
+    let dados = texto;
+    try {
+      dados = JSON.parse(texto);
+    } catch (error) {
+      // Resposta sem JSON (ex.: CSV, .ics)
+    }
+    return { status: response.status, body: dados };
+  };
+
+  const login = async (email, senha) => {
+    const { status, body } = await requisitar('/login', { method: 'POST', body: { email, senha } });
+    if (status !== 200) throw new Error(`Login de ${email} falhou: ${body.error}`);
+    return body.token;
+  };
+
+  const fechar = async () => {
+    await new Promise(resolve => servidor.close(resolve));
+    await repositories.fechar();
+    fs.rmSync(pasta, { recursive: true, force: true });
+  };
+
+  return { app, repositories, baseUrl, requisitar, login, fechar };
+};
+
+module.exports = { iniciarServidor };
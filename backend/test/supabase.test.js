@@ -0,0 +1,96 @@
+// Operações de tabela do provider Supabase contra um PostgREST simulado (servidor HTTP local que
+// aplica filtros eq, ordem e offset/limit e, como o Supabase, devolve no máximo 1000 linhas por consulta)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createClient } = require('@supabase/supabase-js');
+const { criarTabelaSupabase } = require('../repositories/supabase');
+
+const MAX_LINHAS = 1000;
+const STATUS = ['lead', 'agendado', 'fechado'];
+
+const linhas = Array.from({ length: 2500 }, (_, i) => ({
+  id: i + 1,
+  nome: `Cliente ${i + 1}`,
+  status: STATUS[i % STATUS.length]
+}));
+
+let servidor;
+let tabela;
+const consultas = [];
+
+before(async () => {
+  servidor = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const params = url.searchParams;
+    consultas.push({ method: req.method, params });
+
+    let resultado = linhas;
+    for (const [coluna, valor] of params) {
+      if (valor.startsWith('eq.')) resultado = resultado.filter(linha => String(linha[coluna]) === valor.slice(3));
+    }
+    const total = resultado.length;
+
+    const inicio = Number(params.get('offset') || 0);
+    const limite = Math.min(Number(params.get('limit') || MAX_LINHAS), MAX_LINHAS);
+    resultado = resultado.slice(inicio, inicio + limite);
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Range', `${resultado.length ? `${inicio}-${inicio + resultado.length - 1}` : '*'}/${total}`);
+    res.end(req.method === 'HEAD' ? undefined : JSON.stringify(resultado));
+  });
+  await new Promise(resolve => servidor.listen(0, '127.0.0.1', resolve));
+
+  const supabase = createClient(`http://127.0.0.1:${servidor.address().port}`, 'chave-de-teste');
+  tabela = criarTabelaSupabase(supabase);
+});
+
+after(() => new Promise(resolve => servidor.close(resolve)));
+
+test('listar sem limite busca todas as páginas, ordenadas pelo id', async () => {
+  consultas.length = 0;
+
+  const resultado = await tabela('clientes').listar({ ordem: [['nome', 'desc']] });
+
+  assert.equal(resultado.length, 2500);
+  assert.equal(new Set(resultado.map(linha => linha.id)).size, 2500);
+  assert.deepEqual(consultas.map(({ params }) => params.get('offset')), ['0', '1000', '2000']);
+  assert.ok(consultas.every(({ params }) => params.get('order') === 'nome.desc,id.asc'));
+});
+
+test('listar sem limite aplica os filtros em todas as páginas', async () => {
+  const resultado = await tabela('clientes').listar({ filtros: { status: 'lead' } });
+
+  assert.equal(resultado.length, 834);
+  assert.ok(resultado.every(linha => linha.status === 'lead'));
+});
+
+test('listar com limite faz uma única consulta da página pedida', async () => {
+  consultas.length = 0;
+
+  const resultado = await tabela('clientes').listar({ ordem: [['id']], limite: 20, deslocamento: 40 });
+
+  assert.equal(consultas.length, 1);
+  assert.deepEqual(resultado.map(linha => linha.id), Array.from({ length: 20 }, (_, i) => i + 41));
+});
+
+test('contarPorValor faz uma contagem sem linhas por valor, sem o limite de 1000', async () => {
+  consultas.length = 0;
+
+  const totais = await tabela('clientes').contarPorValor('status', { valores: [...STATUS, 'cancelado'] });
+
+  assert.deepEqual(totais, { lead: 834, agendado: 833, fechado: 833, cancelado: 0 });
+  assert.equal(consultas.length, 4);
+  assert.ok(consultas.every(({ method }) => method === 'HEAD'));
+});
+
+test('condições "ou" com operador vão entre aspas para o PostgREST', async () => {
+  consultas.length = 0;
+
+  await tabela('clientes').listar({
+    ou: [{ cpf: ['12345678909'] }, { telefone: { ilike: '%1111' } }, { nome: { ilike: 'Silva, Ana %' } }],
+    limite: 10
+  });
+
+  assert.equal(consultas[0].params.get('or'), '(cpf.in.(12345678909),telefone.ilike."%1111",nome.ilike."Silva, Ana %")');
+});
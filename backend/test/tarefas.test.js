@@ -0,0 +1,77 @@
+// Tarefas periódicas chamadas pelo agendador do deploy (Vercel Cron): só com o CRON_SECRET
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { iniciarServidor } = require('./servidor');
+
+let servidor;
+
+before(async () => {
+  servidor = await iniciarServidor({
+    VISIT_REMINDER_CHANNELS: 'console',
+    VISIT_REMINDER_OFFSETS: '30d'
+  });
+});
+
+after(() => servidor.fechar());
+
+const chamar = (segredo) => fetch(`${servidor.baseUrl}/cron/tarefas`, {
+  headers: segredo ? { Authorization: `Bearer ${segredo}` } : {}
+});
+
+test('sem CRON_SECRET configurado ou com outro segredo as tarefas são recusadas', async () => {
+  const consoleError = console.error;
+  console.error = () => {};
+  try {
+    delete process.env.CRON_SECRET;
+    assert.equal((await chamar('qualquer')).status, 503);
+
+    process.env.CRON_SECRET = 'segredo-do-cron';
+    assert.equal((await chamar()).status, 403);
+    assert.equal((await chamar('outro-segredo')).status, 403);
+  } finally {
+    console.error = consoleError;
+  }
+});
+
+test('o agendador envia os lembretes vencidos das visitas', async () => {
+  const { repositories } = servidor;
+  process.env.CRON_SECRET = 'segredo-do-cron';
+
+  const cliente = await repositories.clientes.criar({ nome: 'Vera Lembrada', telefone: '11988887777', status: 'agendado' });
+  const daquiA10Dias = new Date(Date.now() + 10 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const visita = await repositories.agendamentos.criar({ cliente_id: cliente.id, data_agendamento: daquiA10Dias, horario: '10:00' });
+
+  const resposta = await chamar('segredo-do-cron');
+  assert.equal(resposta.status, 200);
+  assert.equal((await resposta.json()).lembretes, 1);
+
+  const [lembrete] = await repositories.lembretesVisita.listarDaVisita(visita.id);
+  assert.equal(lembrete.canal, 'console');
+
+  // Na próxima chamada o lembrete já foi enviado
+  assert.equal((await (await chamar('segredo-do-cron')).json()).lembretes, 0);
+});
+
+test('o agendador tira do corretor o lead sem contato no prazo', async () => {
+  const { repositories } = servidor;
+  process.env.CRON_SECRET = 'segredo-do-cron';
+
+  const consultor = await repositories.consultores.criar({ nome: 'Davi Atrasado', telefone: '11911112222', email: 'davi@teste.com' });
+  const cliente = await repositories.clientes.criar({
+    nome: 'Lia Esquecida',
+    telefone: '11933334444',
+    status: 'lead',
+    consultor_id: consultor.id,
+    atribuido_em: new Date(Date.now() - 48 * 60 * 60 * 1000).toISOString(),
+    prazo_contato: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString()
+  });
+
+  const resposta = await chamar('segredo-do-cron');
+  assert.equal(resposta.status, 200);
+  assert.equal((await resposta.json()).leads_retirados, 1);
+
+  // Sem outro corretor no rodízio, o lead volta para Novos Leads
+  const devolvido = await repositories.clientes.buscarPorId(cliente.id);
+  assert.equal(devolvido.consultor_id, null);
+  assert.equal(devolvido.prazo_contato, null);
+});
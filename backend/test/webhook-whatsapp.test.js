@@ -0,0 +1,40 @@
+// Webhook do WhatsApp Cloud API: só aceita eventos assinados com META_APP_SECRET
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { iniciarServidor } = require('./servidor');
+
+let servidor;
+
+before(async () => {
+  servidor = await iniciarServidor();
+});
+
+after(() => servidor.fechar());
+
+test('webhook do WhatsApp recusa eventos sem META_APP_SECRET configurado ou com assinatura inválida', async () => {
+  const evento = JSON.stringify({ object: 'whatsapp_business_account', entry: [] });
+  const enviar = (assinatura) => fetch(`${servidor.baseUrl}/webhooks/whatsapp`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(assinatura ? { 'X-Hub-Signature-256': assinatura } : {}) },
+    body: evento
+  });
+  const assinar = (segredo) => 'sha256=' + crypto.createHmac('sha256', segredo).update(evento).digest('hex');
+
+  const consoleError = console.error;
+  console.error = () => {};
+  try {
+    delete process.env.META_APP_SECRET;
+    assert.equal((await enviar(assinar('qualquer'))).status, 503);
+
+    process.env.META_APP_SECRET = 'segredo-do-app';
+    assert.equal((await enviar()).status, 403);
+    assert.equal((await enviar(assinar('outro-segredo'))).status, 403);
+    // Header com caractere fora do ASCII: recusado, sem derrubar o servidor
+    assert.equal((await enviar('sha256=\xE9' + 'a'.repeat(63))).status, 403);
+    assert.equal((await enviar(assinar('segredo-do-app'))).status, 200);
+  } finally {
+    console.error = consoleError;
+    delete process.env.META_APP_SECRET;
+  }
+});
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+
+// Função para normalizar emails (converter para minúsculas e limpar espaços)
+const normalizarEmail = (email) => {
+  if (!email) return '';
+  return email.toLowerCase().trim();
+};
+
+const apenasDigitos = (valor) => String(valor || '').replace(/\D/g, '');
+
+// Telefone brasileiro sem DDI: "+55 (11) 99999-1111" -> "11999991111"
+const normalizarTelefone = (telefone) => {
+  let digitos = apenasDigitos(telefone);
+  if (digitos.length > 11 && digitos.startsWith('55')) {
+    digitos = digitos.slice(2);
+  }
+  return digitos;
+};
+
+// '2024-06-10' -> '10/06/2024'
+const dataBrasileira = (data) => String(data).slice(0, 10).split('-').reverse().join('/');
+
+// Segredo dos links públicos (agenda do corretor, visita do lead): 48 caracteres hexadecimais
+const gerarTokenSecreto = () => crypto.randomBytes(24).toString('hex');
+const tokenSecretoValido = (token) => /^[a-f0-9]{48}$/.test(String(token));
+
+// Validar o header X-Hub-Signature-256 dos webhooks do Meta (leads e WhatsApp; exige req.rawBody)
+const assinaturaMetaValida = (req, appSecret) => {
+  const assinatura = req.headers['x-hub-signature-256'];
+  if (!assinatura || !req.rawBody) return false;
+
+  // Comparar os bytes: um header com caracteres fora do ASCII tem mais bytes que caracteres, e o
+  // timingSafeEqual lança erro (derrubando o processo) se os tamanhos forem diferentes
+  const recebida = Buffer.from(assinatura);
+  const esperada = Buffer.from('sha256=' + crypto.createHmac('sha256', appSecret).update(req.rawBody).digest('hex'));
+  return recebida.length === esperada.length && crypto.timingSafeEqual(recebida, esperada);
+};
+
+module.exports = {
+  normalizarEmail,
+  apenasDigitos,
+  normalizarTelefone,
+  dataBrasileira,
+  gerarTokenSecreto,
+  tokenSecretoValido,
+  assinaturaMetaValida
+};
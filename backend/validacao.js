@@ -0,0 +1,265 @@
+// Validação declarativa dos dados das requisições. Um esquema lista os campos aceitos com o tipo de
+// cada um; validarDados devolve os valores já normalizados (texto sem espaços nas pontas, CPF só com
+// dígitos, telefone formatado, números convertidos) e uma mensagem por campo inválido. Campos fora
+// do esquema são descartados.
+const { normalizarEmail, apenasDigitos, normalizarTelefone } = require('./utils');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATA_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/;
+const HORARIO_REGEX = /^([01]\d|2[0-3]):([0-5]\d)(:[0-5]\d)?$/;
+// Input datetime-local: 'YYYY-MM-DDTHH:MM' (segundos opcionais)
+const DATA_HORA_REGEX = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2}(:\d{2})?)$/;
+
+const vazio = (valor) => valor === undefined || valor === null || String(valor).trim() === '';
+
+// === DOCUMENTOS E TELEFONE ===
+
+// Dígito verificador (módulo 11) dos primeiros dígitos do documento com os pesos informados
+const digitoVerificador = (digitos, pesos) => {
+  const soma = pesos.reduce((acc, peso, i) => acc + Number(digitos[i]) * peso, 0);
+  const resto = soma % 11;
+  return resto < 2 ? 0 : 11 - resto;
+};
+
+const cpfValido = (valor) => {
+  const cpf = apenasDigitos(valor);
+  if (cpf.length !== 11 || /^(\d)\1+$/.test(cpf)) return false;
+
+  return digitoVerificador(cpf, [10, 9, 8, 7, 6, 5, 4, 3, 2]) === Number(cpf[9]) &&
+    digitoVerificador(cpf, [11, 10, 9, 8, 7, 6, 5, 4, 3, 2]) === Number(cpf[10]);
+};
+
+const cnpjValido = (valor) => {
+  const cnpj = apenasDigitos(valor);
+  if (cnpj.length !== 14 || /^(\d)\1+$/.test(cnpj)) return false;
+
+  return digitoVerificador(cnpj, [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]) === Number(cnpj[12]) &&
+    digitoVerificador(cnpj, [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]) === Number(cnpj[13]);
+};
+
+// Telefone brasileiro com DDD: fixo com 10 dígitos ou celular com 11 (começando em 9)
+const telefoneValido = (valor) => {
+  const telefone = normalizarTelefone(valor);
+  if (!/^[1-9]\d/.test(telefone)) return false;
+  return telefone.length === 10 || (telefone.length === 11 && telefone[2] === '9');
+};
+
+// "+55 11 999991111" -> "(11) 99999-1111"
+const formatarTelefone = (valor) => normalizarTelefone(valor).replace(/^(\d{2})(\d{4,5})(\d{4})$/, '($1) $2-$3');
+
+// Data real no calendário (rejeita 2024-02-30)
+const dataValida = (valor) => {
+  const partes = DATA_REGEX.exec(valor);
+  if (!partes) return false;
+
+  const [, ano, mes, dia] = partes.map(Number);
+  const data = new Date(Date.UTC(ano, mes - 1, dia));
+  return data.getUTCFullYear() === ano && data.getUTCMonth() === mes - 1 && data.getUTCDate() === dia;
+};
+
+// Número em formato brasileiro ("1.234,56") ou com ponto decimal
+const converterNumero = (valor) => {
+  if (typeof valor === 'number') return valor;
+  const texto = String(valor).trim();
+  const normalizado = texto.includes(',') ? texto.replace(/\./g, '').replace(',', '.') : texto;
+  return /^-?\d+(\.\d+)?$/.test(normalizado) ? Number(normalizado) : NaN;
+};
+
+// === TIPOS DE CAMPO ===
+// Cada tipo recebe o valor (já sabendo que não está vazio) e a regra do campo, e devolve
+// { valor } normalizado ou { erro } com a mensagem.
+
+const invalido = (regra, complemento = '') => ({ erro: `${regra.rotulo} ${regra.feminino ? 'inválida' : 'inválido'}!${complemento}` });
+
+const TIPOS = {
+  texto: (valor, regra) => {
+    const texto = String(valor).trim();
+    if (regra.min && texto.length < regra.min) return { erro: `${regra.rotulo} deve ter pelo menos ${regra.min} caracteres!` };
+    if (regra.max && texto.length > regra.max) return { erro: `${regra.rotulo} deve ter no máximo ${regra.max} caracteres!` };
+    return { valor: texto };
+  },
+
+  // Senha vai como foi digitada (espaços fazem parte dela)
+  senha: (valor, regra) => {
+    const senha = String(valor);
+    if (regra.min && senha.length < regra.min) return { erro: `${regra.rotulo} deve ter pelo menos ${regra.min} caracteres!` };
+    return { valor: senha };
+  },
+
+  email: (valor, regra) => (EMAIL_REGEX.test(String(valor).trim()) ? { valor: normalizarEmail(valor) } : invalido(regra)),
+
+  telefone: (valor, regra) => (telefoneValido(valor) ? { valor: formatarTelefone(valor) } : invalido(regra, ' Informe o DDD e o número.')),
+
+  cpf: (valor, regra) => (cpfValido(valor) ? { valor: apenasDigitos(valor) } : invalido(regra)),
+
+  cnpj: (valor, regra) => (cnpjValido(valor) ? { valor: apenasDigitos(valor) } : invalido(regra)),
+
+  cpfOuCnpj: (valor, regra) => (cpfValido(valor) || cnpjValido(valor) ? { valor: apenasDigitos(valor) } : invalido(regra)),
+
+  data: (valor, regra) => (dataValida(String(valor).trim()) ? { valor: String(valor).trim() } : invalido(regra, ' Use o formato AAAA-MM-DD.')),
+
+  horario: (valor, regra) => {
+    const partes = HORARIO_REGEX.exec(String(valor).trim());
+    return partes ? { valor: `${partes[1]}:${partes[2]}` } : invalido(regra, ' Use o formato HH:MM.');
+  },
+
+  dataHora: (valor, regra) => {
+    const partes = DATA_HORA_REGEX.exec(String(valor).trim());
+    return partes && dataValida(partes[1]) && HORARIO_REGEX.test(partes[2])
+      ? { valor: String(valor).trim() }
+      : invalido(regra);
+  },
+
+  numero: (valor, regra) => {
+    const numero = converterNumero(valor);
+    if (!Number.isFinite(numero)) return invalido(regra);
+    if (regra.inteiro && !Number.isInteger(numero)) return { erro: `${regra.rotulo} deve ser um número inteiro!` };
+    if (regra.maiorQue !== undefined && numero <= regra.maiorQue) return { erro: `${regra.rotulo} deve ser maior que ${regra.maiorQue}!` };
+    if (regra.min !== undefined && numero < regra.min) return { erro: `${regra.rotulo} deve ser no mínimo ${regra.min}!` };
+    if (regra.max !== undefined && numero > regra.max) return { erro: `${regra.rotulo} deve ser no máximo ${regra.max}!` };
+    return { valor: numero };
+  },
+
+  booleano: (valor, regra) => {
+    if (valor === true || valor === false) return { valor };
+    const texto = String(valor).trim().toLowerCase();
+    if (['true', '1', 'on', 'sim'].includes(texto)) return { valor: true };
+    if (['false', '0', 'off', 'nao', 'não'].includes(texto)) return { valor: false };
+    return invalido(regra);
+  },
+
+  opcao: (valor, regra) => {
+    const texto = String(valor).trim();
+    return regra.valores.includes(texto) ? { valor: texto } : invalido(regra, ` Use: ${regra.valores.join(', ')}`);
+  },
+
+  uf: (valor, regra) => {
+    const texto = String(valor).trim().toUpperCase();
+    return /^[A-Z]{2}$/.test(texto) ? { valor: texto } : { erro: `${regra.rotulo} deve ser a sigla com 2 letras (ex: SP)!` };
+  },
+
+  // Lista de valores do tipo `item` (uma regra) ou de objetos (um esquema)
+  lista: (valor, regra, campo) => {
+    if (!Array.isArray(valor)) return { erro: `${regra.rotulo} deve ser uma lista!` };
+
+    const erros = {};
+    const valores = valor.map((item, indice) => {
+      const chave = `${campo}.${indice}`;
+      if (regra.item.campos) {
+        const resultado = validarDados(regra.item, item || {});
+        Object.entries(resultado.erros).forEach(([subcampo, mensagem]) => { erros[`${chave}.${subcampo}`] = mensagem; });
+        return resultado.dados;
+      }
+      const resultado = validarValor(regra.item, item, chave);
+      if (resultado.erro) erros[chave] = resultado.erro;
+      return resultado.valor;
+    });
+
+    return Object.keys(erros).length > 0 ? { erros } : { valor: valores };
+  }
+};
+
+// Valor de um campo: vazio vira null (ou o padrão); obrigatório vazio é erro
+const validarValor = (regra, valor, campo) => {
+  if (!Array.isArray(valor) && vazio(valor)) {
+    if (regra.obrigatorio) return { erro: `${regra.rotulo} é ${regra.feminino ? 'obrigatória' : 'obrigatório'}!` };
+    return { valor: regra.padrao !== undefined ? regra.padrao : null };
+  }
+  if (regra.obrigatorio && Array.isArray(valor) && valor.length === 0) {
+    return { erro: `Informe ao menos um item em ${regra.rotulo}!` };
+  }
+  return TIPOS[regra.tipo](valor, regra, campo);
+};
+
+/**
+ * Validar `valores` (req.body ou req.query) pelo esquema. Devolve { dados, erros }: `dados` só tem
+ * os campos do esquema que vieram na requisição (ou que têm valor padrão), já normalizados;
+ * `erros` é { campo: mensagem } (vazio se estiver tudo certo). A verificação do esquema, que
+ * compara campos entre si, só roda quando cada campo isolado é válido.
+ */
+const validarDados = (esquema, valores = {}) => {
+  const dados = {};
+  const erros = {};
+
+  for (const [campo, regra] of Object.entries(esquema.campos)) {
+    const valor = valores[campo];
+    if (valor === undefined && !regra.obrigatorio && regra.padrao === undefined) continue;
+
+    const resultado = validarValor(regra, valor, campo);
+    if (resultado.erros) Object.assign(erros, resultado.erros);
+    else if (resultado.erro) erros[campo] = resultado.erro;
+    else dados[campo] = resultado.valor;
+  }
+
+  if (Object.keys(erros).length === 0 && esquema.verificar) {
+    Object.assign(erros, esquema.verificar(dados) || {});
+  }
+
+  return { dados, erros };
+};
+
+// === MONTAGEM DOS ESQUEMAS ===
+
+// Regra de um campo: rotulo vai nas mensagens; opções comuns a todos os tipos são obrigatorio,
+// padrao e feminino (concordância das mensagens: "Data inválida", "Data é obrigatória")
+const campo = (tipo) => (rotulo, opcoes = {}) => ({ tipo, rotulo, ...opcoes });
+
+const texto = campo('texto');
+const senha = (rotulo, opcoes) => campo('senha')(rotulo, { feminino: true, ...opcoes });
+const email = campo('email');
+const telefone = campo('telefone');
+const cpf = campo('cpf');
+const cnpj = campo('cnpj');
+const cpfOuCnpj = campo('cpfOuCnpj');
+const data = (rotulo, opcoes) => campo('data')(rotulo, { feminino: true, ...opcoes });
+const horario = campo('horario');
+const dataHora = campo('dataHora');
+const numero = campo('numero');
+const inteiro = (rotulo, opcoes) => campo('numero')(rotulo, { inteiro: true, ...opcoes });
+// Chave de outro registro (cliente_id, consultor_id...): inteiro positivo
+const id = (rotulo, opcoes) => campo('numero')(rotulo, { inteiro: true, min: 1, ...opcoes });
+const booleano = campo('booleano');
+const opcao = (rotulo, valores, opcoes) => campo('opcao')(rotulo, { valores, ...opcoes });
+const uf = campo('uf');
+const lista = (rotulo, item, opcoes) => campo('lista')(rotulo, { item, ...opcoes });
+
+// verificar(dados): regras entre campos; devolve { campo: mensagem } ou null
+const esquema = (campos, { verificar } = {}) => ({ campos, verificar });
+
+// Mesmo esquema para atualização parcial: nenhum campo obrigatório e sem valores padrão
+const parcial = (original) => ({
+  ...original,
+  campos: Object.fromEntries(Object.entries(original.campos).map(([nome, regra]) => {
+    const semPadrao = { ...regra, obrigatorio: false };
+    delete semPadrao.padrao;
+    return [nome, semPadrao];
+  }))
+});
+
+module.exports = {
+  cpfValido,
+  cnpjValido,
+  telefoneValido,
+  formatarTelefone,
+  dataValida,
+  validarDados,
+  esquema,
+  parcial,
+  texto,
+  senha,
+  email,
+  telefone,
+  cpf,
+  cnpj,
+  cpfOuCnpj,
+  data,
+  horario,
+  dataHora,
+  numero,
+  inteiro,
+  id,
+  booleano,
+  opcao,
+  uf,
+  lista
+};
@@ -7,12 +7,21 @@ import CadastroConsultor from './components/CadastroConsultor';
 import CadastroSucesso from './components/CadastroSucesso';
 import CapturaLead from './components/CapturaLead';
 import CapturaSucesso from './components/CapturaSucesso';
+import AgendarVisita from './components/AgendarVisita';
 import Login from './components/Login';
 import Dashboard from './components/Dashboard';
 import Indicacoes from './components/Indicacoes';
 import Consultores from './components/Consultores';
 import Imobiliarias from './components/Imobiliarias';
 import Agendamentos from './components/Agendamentos';
+import MetaAds from './components/MetaAds';
+import Comissoes from './components/Comissoes';
+import Extrato from './components/Extrato';
+import Auditoria from './components/Auditoria';
+import DistribuicaoLeads from './components/DistribuicaoLeads';
+import Duplicados from './components/Duplicados';
+import BuscaGlobal from './components/BuscaGlobal';
+import CentralNotificacoes from './components/CentralNotificacoes';
 
 import logoBrasao from './images/logobrasao.png';
 import logoHorizontal from './images/logohorizontal.png';
@@ -48,6 +57,12 @@ function AppContent() {
     if (path.includes('/consultores')) return 'consultores';
     if (path.includes('/imobiliarias')) return 'imobiliarias';
     if (path.includes('/agendamentos')) return 'agendamentos';
+    if (path.includes('/meta-ads')) return 'meta-ads';
+    if (path.includes('/comissoes')) return 'comissoes';
+    if (path.includes('/extrato')) return 'extrato';
+    if (path.includes('/auditoria')) return 'auditoria';
+    if (path.includes('/distribuicao')) return 'distribuicao';
+    if (path.includes('/duplicados')) return 'duplicados';
 
     return 'dashboard';
   };
@@ -84,6 +99,12 @@ function AppContent() {
         <Route path="/consultores" element={<Consultores />} />
         <Route path="/imobiliarias" element={<Imobiliarias />} />
         <Route path="/agendamentos" element={<Agendamentos />} />
+        <Route path="/meta-ads" element={<MetaAds />} />
+        <Route path="/comissoes" element={<Comissoes />} />
+        <Route path="/extrato" element={<Extrato />} />
+        <Route path="/auditoria" element={<Auditoria />} />
+        <Route path="/distribuicao" element={<DistribuicaoLeads />} />
+        <Route path="/duplicados" element={<Duplicados />} />
 
         <Route path="/" element={<Navigate to="/dashboard" replace />} />
         <Route path="*" element={<Navigate to="/dashboard" replace />} />
@@ -176,6 +197,21 @@ function AppContent() {
             </Link>
           </div>
 
+          <div className="nav-item">
+            <Link
+              to="/extrato"
+              className={`nav-link ${activeTab === 'extrato' ? 'active' : ''}`}
+            >
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z" />
+                <polyline points="14 2 14 8 20 8" />
+                <line x1="16" y1="13" x2="8" y2="13" />
+                <line x1="16" y1="17" x2="8" y2="17" />
+              </svg>
+              {user.tipo === 'admin' ? 'Extratos' : 'Meu Extrato'}
+            </Link>
+          </div>
+
           {user.tipo === 'admin' && (
             <div className="nav-item">
               <Link
@@ -190,6 +226,83 @@ function AppContent() {
               </Link>
             </div>
           )}
+
+          {user.tipo === 'admin' && (
+            <div className="nav-item">
+              <Link
+                to="/distribuicao"
+                className={`nav-link ${activeTab === 'distribuicao' ? 'active' : ''}`}
+              >
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <polyline points="16 3 21 3 21 8" />
+                  <line x1="4" y1="20" x2="21" y2="3" />
+                  <polyline points="21 16 21 21 16 21" />
+                  <line x1="15" y1="15" x2="21" y2="21" />
+                  <line x1="4" y1="4" x2="9" y2="9" />
+                </svg>
+                Distribuição
+              </Link>
+            </div>
+          )}
+
+          {user.tipo === 'admin' && (
+            <div className="nav-item">
+              <Link
+                to="/duplicados"
+                className={`nav-link ${activeTab === 'duplicados' ? 'active' : ''}`}
+              >
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <rect x="9" y="9" width="13" height="13" rx="2" ry="2" />
+                  <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1" />
+                </svg>
+                Duplicados
+              </Link>
+            </div>
+          )}
+
+          {user.tipo === 'admin' && (
+            <div className="nav-item">
+              <Link
+                to="/comissoes"
+                className={`nav-link ${activeTab === 'comissoes' ? 'active' : ''}`}
+              >
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <line x1="12" y1="1" x2="12" y2="23" />
+                  <path d="M17 5H9.5a3.5 3.5 0 0 0 0 7h5a3.5 3.5 0 0 1 0 7H6" />
+                </svg>
+                Comissões
+              </Link>
+            </div>
+          )}
+
+          {user.tipo === 'admin' && (
+            <div className="nav-item">
+              <Link
+                to="/meta-ads"
+                className={`nav-link ${activeTab === 'meta-ads' ? 'active' : ''}`}
+              >
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <polyline points="22 12 18 12 15 21 9 3 6 12 2 12" />
+                </svg>
+                Meta Ads
+              </Link>
+            </div>
+          )}
+
+          {user.tipo === 'admin' && (
+            <div className="nav-item">
+              <Link
+                to="/auditoria"
+                className={`nav-link ${activeTab === 'auditoria' ? 'active' : ''}`}
+              >
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <circle cx="12" cy="12" r="10" />
+                  <polyline points="12 6 12 12 16 14" />
+                </svg>
+                Histórico
+              </Link>
+            </div>
+          )}
         </nav>
 
         <div style={{ marginTop: 'auto', padding: '1rem', borderTop: '1px solid rgba(255, 255, 255, 0.1)' }}>
@@ -229,7 +342,9 @@ function AppContent() {
               }} 
             />
           </div>
+          <BuscaGlobal />
           <div style={{ display: 'flex', alignItems: 'center', gap: '2rem' }}>
+            <CentralNotificacoes />
             <div style={{ fontSize: '0.875rem', color: '#6b7280' }}>
               {new Date().toLocaleDateString('pt-BR', { 
                 weekday: 'long', 
@@ -289,6 +404,7 @@ function App() {
           {/* Rotas públicas - Captura de leads */}
           <Route path="/captura-lead" element={<CapturaLead />} />
           <Route path="/captura-sucesso" element={<CapturaSucesso />} />
+          <Route path="/agendar-visita/:token" element={<AgendarVisita />} />
           
           {/* Rotas da aplicação principal */}
           <Route path="/*" element={<AppContent />} />
@@ -1,23 +1,46 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import HistoricoAlteracoes from './HistoricoAlteracoes';
+import LembretesVisita from './LembretesVisita';
+import Paginacao, { ColunaOrdenavel, POR_PAGINA } from './Paginacao';
+import Exportar, { baixarArquivo } from './Exportar';
+import CalendarioVisitas from './CalendarioVisitas';
+import AssinaturaAgenda from './AssinaturaAgenda';
+import HorariosLivres from './HorariosLivres';
 
 const Agendamentos = () => {
-  const { makeRequest } = useAuth();
+  const { makeRequest, isConsultor } = useAuth();
   const [agendamentos, setAgendamentos] = useState([]);
   const [clientes, setClientes] = useState([]);
+  const [imobiliarias, setImobiliarias] = useState([]);
   const [showModal, setShowModal] = useState(false);
   const [editingAgendamento, setEditingAgendamento] = useState(null);
+  const [viewAgendamento, setViewAgendamento] = useState(null);
   const [loading, setLoading] = useState(true);
   const [message, setMessage] = useState('');
+  const [erros, setErros] = useState({});
   
   // Estados dos filtros
   const [mostrarFiltros, setMostrarFiltros] = useState(false);
   const [filtroDataInicio, setFiltroDataInicio] = useState('');
   const [filtroDataFim, setFiltroDataFim] = useState('');
   const [filtroStatus, setFiltroStatus] = useState('');
+  const [pagina, setPagina] = useState(1);
+  const [ordenacao, setOrdenacao] = useState({ ordenar: 'data_agendamento', direcao: 'desc' });
+  const [totais, setTotais] = useState({ total: 0, total_paginas: 1, por_status: {} });
+  const [visitasHoje, setVisitasHoje] = useState(0);
+  const [visao, setVisao] = useState('lista');
+  const [showAssinatura, setShowAssinatura] = useState(false);
+  // Visita recém-criada ou remarcada, com o convite (.ics) para enviar ao cliente
+  const [conviteVisita, setConviteVisita] = useState(null);
+  // Muda a cada recarga da lista, para o calendário recarregar junto
+  const [versao, setVersao] = useState(0);
+  const [searchParams, setSearchParams] = useSearchParams();
   
   const [formData, setFormData] = useState({
     cliente_id: '',
+    imobiliaria_id: '',
     data_agendamento: '',
     horario: '',
     status: 'agendado',
@@ -40,17 +63,37 @@ const Agendamentos = () => {
   ];
 
   useEffect(() => {
-    fetchAgendamentos();
     fetchClientes();
+    fetchImobiliarias();
   }, []);
 
-  const fetchAgendamentos = async () => {
+  // Filtros e ordenação da tela, usados na lista e na exportação
+  const filtrosAtivos = useMemo(() => ({
+    ordenar: ordenacao.ordenar,
+    direcao: ordenacao.direcao,
+    data_inicio: filtroDataInicio,
+    data_fim: filtroDataFim,
+    status: filtroStatus
+  }), [ordenacao, filtroDataInicio, filtroDataFim, filtroStatus]);
+
+  // Página atual da lista, com filtros e ordenação aplicados no servidor, e as visitas de hoje
+  const fetchAgendamentos = useCallback(async () => {
     try {
-      const response = await makeRequest('/agendamentos');
-      const data = await response.json();
+      const hoje = new Date().toISOString().split('T')[0];
+      const params = new URLSearchParams(Object.entries({ pagina, por_pagina: POR_PAGINA, ...filtrosAtivos })
+        .filter(([, valor]) => valor !== ''));
+
+      const [response, hojeResponse] = await Promise.all([
+        makeRequest(`/agendamentos?${params.toString()}`),
+        makeRequest(`/agendamentos?pagina=1&por_pagina=1&data_inicio=${hoje}&data_fim=${hoje}`)
+      ]);
+      const [data, hojeData] = await Promise.all([response.json(), hojeResponse.json()]);
       
       if (response.ok) {
-        setAgendamentos(data);
+        setAgendamentos(data.dados);
+        setTotais({ total: data.total, total_paginas: data.total_paginas, por_status: data.por_status });
+        setVisitasHoje(hojeResponse.ok ? hojeData.total : 0);
+        setVersao(atual => atual + 1);
       } else {
         console.error('Erro ao carregar visitas:', data.error);
         setMessage('Erro ao carregar visitas: ' + data.error);
@@ -61,6 +104,21 @@ const Agendamentos = () => {
     } finally {
       setLoading(false);
     }
+  }, [makeRequest, pagina, filtrosAtivos]);
+
+  useEffect(() => {
+    fetchAgendamentos();
+  }, [fetchAgendamentos]);
+
+  // Filtro novo sempre volta para a primeira página
+  const filtrar = (setFiltro, valor) => {
+    setFiltro(valor);
+    setPagina(1);
+  };
+
+  const ordenar = (novaOrdenacao) => {
+    setOrdenacao(novaOrdenacao);
+    setPagina(1);
   };
 
   const fetchClientes = async () => {
@@ -80,6 +138,21 @@ const Agendamentos = () => {
 
 
 
+  const fetchImobiliarias = async () => {
+    try {
+      const response = await makeRequest('/imobiliarias');
+      const data = await response.json();
+
+      if (response.ok) {
+        setImobiliarias(data);
+      } else {
+        console.error('Erro ao carregar empreendimentos:', data.error);
+      }
+    } catch (error) {
+      console.error('Erro ao carregar empreendimentos:', error);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
@@ -100,10 +173,13 @@ const Agendamentos = () => {
       
       if (response.ok) {
         setMessage(editingAgendamento ? 'Visita atualizada com sucesso!' : 'Visita criada com sucesso!');
+        setConviteVisita(data.id);
+        setErros({});
         setShowModal(false);
         setEditingAgendamento(null);
         setFormData({
           cliente_id: '',
+          imobiliaria_id: '',
           data_agendamento: '',
           horario: '',
           status: 'agendado',
@@ -111,6 +187,8 @@ const Agendamentos = () => {
         });
         fetchAgendamentos();
         setTimeout(() => setMessage(''), 3000);
+      } else if (data.campos) {
+        setErros(data.campos);
       } else {
         setMessage('Erro ao salvar visita: ' + data.error);
       }
@@ -120,23 +198,52 @@ const Agendamentos = () => {
     }
   };
 
-  const handleEdit = (agendamento) => {
+  const handleEdit = useCallback((agendamento) => {
     setEditingAgendamento(agendamento);
     setFormData({
       cliente_id: agendamento.cliente_id || '',
+      imobiliaria_id: agendamento.imobiliaria_id || '',
       data_agendamento: agendamento.data_agendamento || '',
       horario: agendamento.horario || '',
       status: agendamento.status || 'agendado',
       observacoes: agendamento.observacoes || ''
     });
     setShowModal(true);
-  };
+  }, []);
+
+  // Visita aberta pela busca global (?agendamento=ID)
+  useEffect(() => {
+    const agendamentoId = searchParams.get('agendamento');
+    if (!agendamentoId) return;
+
+    setSearchParams({}, { replace: true });
+
+    const abrirAgendamento = async () => {
+      try {
+        const response = await makeRequest(`/agendamentos/${agendamentoId}`);
+        const data = await response.json();
+
+        if (response.ok) {
+          handleEdit(data);
+        } else {
+          setMessage('Erro ao abrir agendamento: ' + data.error);
+        }
+      } catch (error) {
+        console.error('Erro ao abrir agendamento:', error);
+        setMessage('Erro ao conectar com o servidor');
+      }
+    };
+    abrirAgendamento();
+  }, [searchParams, setSearchParams, makeRequest, handleEdit]);
 
   const handleInputChange = (e) => {
     setFormData({
       ...formData,
       [e.target.name]: e.target.value
     });
+    if (erros[e.target.name]) {
+      setErros(prev => ({ ...prev, [e.target.name]: '' }));
+    }
   };
 
   const updateStatus = async (agendamentoId, newStatus) => {
@@ -186,6 +293,14 @@ const Agendamentos = () => {
     }
   };
 
+  const baixarConvite = async (agendamentoId) => {
+    try {
+      await baixarArquivo(makeRequest, `/agendamentos/${agendamentoId}/convite.ics`, `visita-${agendamentoId}.ics`);
+    } catch (error) {
+      setMessage('Erro ao baixar convite: ' + error.message);
+    }
+  };
+
   const formatarData = (data) => {
     return new Date(data).toLocaleDateString('pt-BR');
   };
@@ -194,10 +309,6 @@ const Agendamentos = () => {
     return horario.substring(0, 5); // Remove os segundos
   };
 
-  const ehHoje = (data) => {
-    const hoje = new Date().toISOString().split('T')[0];
-    return data === hoje;
-  };
 
   const ehPassado = (data) => {
     const hoje = new Date().toISOString().split('T')[0];
@@ -207,11 +318,13 @@ const Agendamentos = () => {
   const resetForm = () => {
     setFormData({
       cliente_id: '',
+      imobiliaria_id: '',
       data_agendamento: '',
       horario: '',
       status: 'agendado',
       observacoes: ''
     });
+    setErros({});
     setEditingAgendamento(null);
     setShowModal(false);
   };
@@ -220,26 +333,16 @@ const Agendamentos = () => {
     setFiltroDataInicio('');
     setFiltroDataFim('');
     setFiltroStatus('');
+    setPagina(1);
   };
 
-  // Aplicar filtros
-  const agendamentosFiltrados = agendamentos.filter(agendamento => {
-    // Filtro por status
-    const matchStatus = !filtroStatus || agendamento.status === filtroStatus;
-    
-    // Filtro por data
-    let matchData = true;
-    if (filtroDataInicio && filtroDataFim) {
-      matchData = agendamento.data_agendamento >= filtroDataInicio && 
-                  agendamento.data_agendamento <= filtroDataFim;
-    } else if (filtroDataInicio) {
-      matchData = agendamento.data_agendamento >= filtroDataInicio;
-    } else if (filtroDataFim) {
-      matchData = agendamento.data_agendamento <= filtroDataFim;
-    }
-    
-    return matchStatus && matchData;
-  });
+  const ehHoje = (data) => {
+    const hoje = new Date().toISOString().split('T')[0];
+    return data === hoje;
+  };
+
+  // Totais por status com os filtros atuais (menos o de status), calculados no servidor
+  const totalPorStatus = (status) => totais.por_status[status] || 0;
 
   // Obter data atual para o input
   const hoje = new Date().toISOString().split('T')[0];
@@ -260,282 +363,359 @@ const Agendamentos = () => {
         </div>
       )}
 
+      {conviteVisita && (
+        <div className="alert alert-info" style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '1rem' }}>
+          <span>Envie ao cliente o convite da visita para ele adicionar ao calendário.</span>
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <button className="btn btn-secondary" onClick={() => baixarConvite(conviteVisita)}>Baixar convite (.ics)</button>
+            <button className="close-btn" onClick={() => setConviteVisita(null)}>×</button>
+          </div>
+        </div>
+      )}
+
       {/* Dashboard de Visitas */}
       <div className="stats-grid" style={{ marginBottom: '2rem' }}>
         <div className="stat-card">
           <div className="stat-label">Agendadas</div>
           <div className="stat-value" style={{ color: '#2563eb' }}>
-            {agendamentos.filter(a => a.status === 'agendado').length}
+            {totalPorStatus('agendado')}
           </div>
         </div>
         
         <div className="stat-card">
           <div className="stat-label">Lembradas</div>
           <div className="stat-value" style={{ color: '#059669' }}>
-            {agendamentos.filter(a => a.status === 'lembrado').length}
+            {totalPorStatus('lembrado')}
           </div>
         </div>
         
         <div className="stat-card">
           <div className="stat-label">Compareceram</div>
           <div className="stat-value" style={{ color: '#10b981' }}>
-            {agendamentos.filter(a => a.status === 'compareceu').length}
+            {totalPorStatus('compareceu')}
           </div>
         </div>
         
         <div className="stat-card">
           <div className="stat-label">Fechados</div>
           <div className="stat-value" style={{ color: '#059669' }}>
-            {agendamentos.filter(a => a.status === 'fechado').length}
+            {totalPorStatus('fechado')}
           </div>
         </div>
       </div>
 
       {/* Alerta para visitas de hoje */}
-      {agendamentos.filter(a => ehHoje(a.data_agendamento)).length > 0 && (
+      {visitasHoje > 0 && (
         <div className="alert alert-warning" style={{ marginBottom: '2rem' }}>
-          <strong>Atenção!</strong> Você tem <strong>{agendamentos.filter(a => ehHoje(a.data_agendamento)).length}</strong> 
+          <strong>Atenção!</strong> Você tem <strong>{visitasHoje}</strong> 
           visita(s) para hoje! Não se esqueça de fazer os lembretes.
         </div>
       )}
 
-      <div className="card">
-        <div className="card-header">
-          <h2 className="card-title">Lista de Visitas</h2>
-          <div style={{ display: 'flex', gap: '1rem', alignItems: 'center' }}>
-            <button 
-              className="btn btn-secondary"
-              onClick={() => setMostrarFiltros(!mostrarFiltros)}
-              style={{ position: 'relative' }}
-            >
-              <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                <path d="M3 4h18M7 8h10M10 12h4M12 16h0" />
-              </svg>
-              Filtros
-              {temFiltrosAtivos && (
-                <span style={{
-                  position: 'absolute',
-                  top: '-5px',
-                  right: '-5px',
-                  width: '8px',
-                  height: '8px',
-                  backgroundColor: '#ef4444',
-                  borderRadius: '50%'
-                }} />
-              )}
-            </button>
-            <button 
-              className="btn btn-primary"
-              onClick={() => setShowModal(true)}
-            >
-              <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                <path d="M12 5v14M5 12h14" />
-              </svg>
-              Nova Visita
-            </button>
+      <div className="tabs">
+        <button className={`tab ${visao === 'lista' ? 'active' : ''}`} onClick={() => setVisao('lista')}>
+          Lista
+        </button>
+        <button className={`tab ${visao === 'calendario' ? 'active' : ''}`} onClick={() => setVisao('calendario')}>
+          Calendário
+        </button>
+      </div>
+
+      {visao === 'lista' ? (
+        <div className="card">
+          <div className="card-header">
+            <h2 className="card-title">Lista de Visitas</h2>
+            <div style={{ display: 'flex', gap: '1rem', alignItems: 'center' }}>
+              <button 
+                className="btn btn-secondary"
+                onClick={() => setMostrarFiltros(!mostrarFiltros)}
+                style={{ position: 'relative' }}
+              >
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M3 4h18M7 8h10M10 12h4M12 16h0" />
+                </svg>
+                Filtros
+                {temFiltrosAtivos && (
+                  <span style={{
+                    position: 'absolute',
+                    top: '-5px',
+                    right: '-5px',
+                    width: '8px',
+                    height: '8px',
+                    backgroundColor: '#ef4444',
+                    borderRadius: '50%'
+                  }} />
+                )}
+              </button>
+              <Exportar caminho="/agendamentos/exportar" arquivo="visitas" filtros={filtrosAtivos} onErro={setMessage} />
+              <button 
+                className="btn btn-primary"
+                onClick={() => setShowModal(true)}
+              >
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M12 5v14M5 12h14" />
+                </svg>
+                Nova Visita
+              </button>
+            </div>
           </div>
-        </div>
 
-        {/* Filtros - Só aparece quando mostrarFiltros é true */}
-        {mostrarFiltros && (
-          <div style={{ 
-            padding: '1.5rem', 
-            marginBottom: '1.5rem',
-            backgroundColor: '#f9fafb',
-            borderRadius: '8px',
-            border: '1px solid #e5e7eb'
-          }}>
+          {/* Filtros - Só aparece quando mostrarFiltros é true */}
+          {mostrarFiltros && (
             <div style={{ 
-              display: 'flex', 
-              alignItems: 'center', 
-              justifyContent: 'space-between', 
-              marginBottom: '1rem' 
+              padding: '1.5rem', 
+              marginBottom: '1.5rem',
+              backgroundColor: '#f9fafb',
+              borderRadius: '8px',
+              border: '1px solid #e5e7eb'
             }}>
-              <h3 style={{ 
-                fontSize: '1.1rem', 
-                fontWeight: '600', 
-                color: '#1a1d23', 
-                margin: 0
+              <div style={{ 
+                display: 'flex', 
+                alignItems: 'center', 
+                justifyContent: 'space-between', 
+                marginBottom: '1rem' 
               }}>
-                Filtros de Busca
-              </h3>
-              {temFiltrosAtivos && (
-                <button 
-                  onClick={limparFiltros}
-                  className="btn btn-secondary"
-                  style={{ padding: '0.5rem 1rem', fontSize: '0.9rem' }}
-                >
-                  Limpar Filtros
-                </button>
-              )}
-            </div>
+                <h3 style={{ 
+                  fontSize: '1.1rem', 
+                  fontWeight: '600', 
+                  color: '#1a1d23', 
+                  margin: 0
+                }}>
+                  Filtros de Busca
+                </h3>
+                {temFiltrosAtivos && (
+                  <button 
+                    onClick={limparFiltros}
+                    className="btn btn-secondary"
+                    style={{ padding: '0.5rem 1rem', fontSize: '0.9rem' }}
+                  >
+                    Limpar Filtros
+                  </button>
+                )}
+              </div>
             
 
 
-            <div className="grid grid-3">
-              <div className="form-group" style={{ margin: 0 }}>
-                <label className="form-label">Data Início</label>
-                <input
-                  type="date"
-                  value={filtroDataInicio}
-                  onChange={(e) => setFiltroDataInicio(e.target.value)}
-                  className="form-input"
-                />
-              </div>
+              <div className="grid grid-3">
+                <div className="form-group" style={{ margin: 0 }}>
+                  <label className="form-label">Data Início</label>
+                  <input
+                    type="date"
+                    value={filtroDataInicio}
+                    onChange={(e) => filtrar(setFiltroDataInicio, e.target.value)}
+                    className="form-input"
+                  />
+                </div>
 
-              <div className="form-group" style={{ margin: 0 }}>
-                <label className="form-label">Data Fim</label>
-                <input
-                  type="date"
-                  value={filtroDataFim}
-                  onChange={(e) => setFiltroDataFim(e.target.value)}
-                  className="form-input"
-                />
-              </div>
+                <div className="form-group" style={{ margin: 0 }}>
+                  <label className="form-label">Data Fim</label>
+                  <input
+                    type="date"
+                    value={filtroDataFim}
+                    onChange={(e) => filtrar(setFiltroDataFim, e.target.value)}
+                    className="form-input"
+                  />
+                </div>
 
-              <div className="form-group" style={{ margin: 0 }}>
-                <label className="form-label">Status</label>
-                <select
-                  value={filtroStatus}
-                  onChange={(e) => setFiltroStatus(e.target.value)}
-                  className="form-select"
-                >
-                  <option value="">Todos os status</option>
-                  {statusOptions.map(option => (
-                    <option key={option.value} value={option.value}>
-                      {option.label}
-                    </option>
-                  ))}
-                </select>
+                <div className="form-group" style={{ margin: 0 }}>
+                  <label className="form-label">Status</label>
+                  <select
+                    value={filtroStatus}
+                    onChange={(e) => filtrar(setFiltroStatus, e.target.value)}
+                    className="form-select"
+                  >
+                    <option value="">Todos os status</option>
+                    {statusOptions.map(option => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
               </div>
-            </div>
 
-            {/* Contador de resultados */}
-            {temFiltrosAtivos && (
-              <div style={{ 
-                marginTop: '1rem', 
-                padding: '0.75rem', 
-                backgroundColor: '#f3f4f6', 
-                borderRadius: '6px',
-                color: '#4b5563',
-                fontSize: '0.9rem'
-              }}>
-                Mostrando <strong>{agendamentosFiltrados.length}</strong> de {agendamentos.length} visita(s)
-              </div>
-            )}
-          </div>
-        )}
-
-        {loading ? (
-          <p>Carregando visitas...</p>
-        ) : agendamentosFiltrados.length === 0 ? (
-          <p style={{ textAlign: 'center', color: '#718096', padding: '2rem' }}>
-            {temFiltrosAtivos 
-              ? 'Nenhuma visita encontrada com os filtros aplicados.'
-              : 'Nenhuma visita cadastrada ainda. Clique em "Nova Visita" para começar.'
-            }
-          </p>
-        ) : (
-          <div className="table-container">
-            <table className="table">
-              <thead>
-                <tr>
-                  <th>Cliente</th>
-                  <th>Data</th>
-                  <th>Horário</th>
-                  <th>Status</th>
-                  <th>Ações</th>
-                </tr>
-              </thead>
-              <tbody>
-                {agendamentosFiltrados.map(agendamento => {
-                  const statusInfo = getStatusInfo(agendamento.status);
-                  return (
-                    <tr key={agendamento.id} style={{
-                      backgroundColor: ehHoje(agendamento.data_agendamento) ? '#fef3c7' : 'transparent'
-                    }}>
-                      <td>
-                        <strong>{agendamento.cliente_nome}</strong>
-                        {agendamento.cliente_telefone && (
-                          <div style={{ fontSize: '0.85rem', color: '#6b7280' }}>
-                            {agendamento.cliente_telefone}
-                          </div>
-                        )}
-                        {agendamento.observacoes && (
-                          <div style={{ fontSize: '0.85rem', color: '#6b7280', marginTop: '0.25rem' }}>
-                            {agendamento.observacoes}
-                          </div>
-                        )}
-                      </td>
-                      <td>
-                        <span style={{
-                          fontWeight: ehHoje(agendamento.data_agendamento) ? 'bold' : 'normal',
-                          color: ehHoje(agendamento.data_agendamento) ? '#f59e0b' : 'inherit'
-                        }}>
-                          {formatarData(agendamento.data_agendamento)}
-                          {ehHoje(agendamento.data_agendamento) && (
-                            <div style={{ fontSize: '0.75rem', color: '#f59e0b' }}>
-                              HOJE
+              {/* Contador de resultados */}
+              {temFiltrosAtivos && (
+                <div style={{ 
+                  marginTop: '1rem', 
+                  padding: '0.75rem', 
+                  backgroundColor: '#f3f4f6', 
+                  borderRadius: '6px',
+                  color: '#4b5563',
+                  fontSize: '0.9rem'
+                }}>
+                  <strong>{totais.total}</strong> visita(s) encontrada(s)
+                </div>
+              )}
+            </div>
+          )}
+
+          {loading ? (
+            <p>Carregando visitas...</p>
+          ) : agendamentos.length === 0 ? (
+            <p style={{ textAlign: 'center', color: '#718096', padding: '2rem' }}>
+              {temFiltrosAtivos 
+                ? 'Nenhuma visita encontrada com os filtros aplicados.'
+                : 'Nenhuma visita cadastrada ainda. Clique em "Nova Visita" para começar.'
+              }
+            </p>
+          ) : (
+            <div className="table-container">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Cliente</th>
+                    <ColunaOrdenavel coluna="data_agendamento" ordenacao={ordenacao} onOrdenar={ordenar}>Data</ColunaOrdenavel>
+                    <ColunaOrdenavel coluna="horario" ordenacao={ordenacao} onOrdenar={ordenar}>Horário</ColunaOrdenavel>
+                    <ColunaOrdenavel coluna="status" ordenacao={ordenacao} onOrdenar={ordenar}>Status</ColunaOrdenavel>
+                    <th>Ações</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {agendamentos.map(agendamento => {
+                    const statusInfo = getStatusInfo(agendamento.status);
+                    return (
+                      <tr key={agendamento.id} style={{
+                        backgroundColor: ehHoje(agendamento.data_agendamento) ? '#fef3c7' : 'transparent'
+                      }}>
+                        <td>
+                          <strong>{agendamento.cliente_nome}</strong>
+                          {agendamento.cliente_telefone && (
+                            <div style={{ fontSize: '0.85rem', color: '#6b7280' }}>
+                              {agendamento.cliente_telefone}
+                            </div>
+                          )}
+                          {agendamento.observacoes && (
+                            <div style={{ fontSize: '0.85rem', color: '#6b7280', marginTop: '0.25rem' }}>
+                              {agendamento.observacoes}
                             </div>
                           )}
-                        </span>
-                      </td>
-                      <td>
-                        <strong style={{ color: '#2563eb' }}>
-                          {formatarHorario(agendamento.horario)}
-                        </strong>
-                      </td>
-                      <td>
-                        <select
-                          value={agendamento.status}
-                          onChange={(e) => updateStatus(agendamento.id, e.target.value)}
-                          className="status-select"
-                          style={{
-                            backgroundColor: statusInfo.color + '10',
-                            color: statusInfo.color,
-                            border: `1px solid ${statusInfo.color}`
-                          }}
-                        >
-                          {statusOptions.map(option => (
-                            <option key={option.value} value={option.value}>
-                              {option.label}
-                            </option>
-                          ))}
-                        </select>
-                      </td>
-                      <td>
-                        <div style={{ display: 'flex', gap: '0.5rem' }}>
-                          <button
-                            onClick={() => handleEdit(agendamento)}
-                            className="btn-action"
-                            title="Editar"
+                        </td>
+                        <td>
+                          <span style={{
+                            fontWeight: ehHoje(agendamento.data_agendamento) ? 'bold' : 'normal',
+                            color: ehHoje(agendamento.data_agendamento) ? '#f59e0b' : 'inherit'
+                          }}>
+                            {formatarData(agendamento.data_agendamento)}
+                            {ehHoje(agendamento.data_agendamento) && (
+                              <div style={{ fontSize: '0.75rem', color: '#f59e0b' }}>
+                                HOJE
+                              </div>
+                            )}
+                          </span>
+                        </td>
+                        <td>
+                          <strong style={{ color: '#2563eb' }}>
+                            {formatarHorario(agendamento.horario)}
+                          </strong>
+                          {agendamento.confirmado_em && (
+                            <div style={{ fontSize: '0.75rem', color: '#059669' }} title="Cliente confirmou pelo lembrete">
+                              CONFIRMADA
+                            </div>
+                          )}
+                        </td>
+                        <td>
+                          <select
+                            value={agendamento.status}
+                            onChange={(e) => updateStatus(agendamento.id, e.target.value)}
+                            className="status-select"
+                            style={{
+                              backgroundColor: statusInfo.color + '10',
+                              color: statusInfo.color,
+                              border: `1px solid ${statusInfo.color}`
+                            }}
                           >
-                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                              <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7" />
-                              <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z" />
-                            </svg>
-                          </button>
-                          {!agendamento.lembrado && !ehPassado(agendamento.data_agendamento) && agendamento.status === 'agendado' && (
+                            {statusOptions.map(option => (
+                              <option key={option.value} value={option.value}>
+                                {option.label}
+                              </option>
+                            ))}
+                          </select>
+                        </td>
+                        <td>
+                          <div style={{ display: 'flex', gap: '0.5rem' }}>
                             <button
-                              onClick={() => marcarComoLembrado(agendamento.id)}
-                              className="btn-action btn-success"
-                              title="Marcar como lembrado"
+                              onClick={() => handleEdit(agendamento)}
+                              className="btn-action"
+                              title="Editar"
                             >
                               <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                                <polyline points="20 6 9 17 4 12"></polyline>
+                                <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7" />
+                                <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z" />
                               </svg>
                             </button>
-                          )}
-                        </div>
-                      </td>
-                    </tr>
-                  );
-                })}
-              </tbody>
-            </table>
+                            <button
+                              onClick={() => setViewAgendamento(agendamento)}
+                              className="btn-action"
+                              title="Visualizar"
+                            >
+                              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z" />
+                                <circle cx="12" cy="12" r="3" />
+                              </svg>
+                            </button>
+                            {!agendamento.lembrado && !ehPassado(agendamento.data_agendamento) && agendamento.status === 'agendado' && (
+                              <button
+                                onClick={() => marcarComoLembrado(agendamento.id)}
+                                className="btn-action btn-success"
+                                title="Marcar como lembrado"
+                              >
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                  <polyline points="20 6 9 17 4 12"></polyline>
+                                </svg>
+                              </button>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <Paginacao
+            pagina={pagina}
+            totalPaginas={totais.total_paginas}
+            total={totais.total}
+            onMudarPagina={setPagina}
+            rotulo="visita(s)"
+          />
+        </div>
+      ) : (
+        <div className="card">
+          <div className="card-header">
+            <h2 className="card-title">Calendário de Visitas</h2>
+            <div style={{ display: 'flex', gap: '1rem', alignItems: 'center' }}>
+              {isConsultor && (
+                <button className="btn btn-secondary" onClick={() => setShowAssinatura(true)}>
+                  Assinar no celular
+                </button>
+              )}
+              <button
+                className="btn btn-primary"
+                onClick={() => setShowModal(true)}
+              >
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M12 5v14M5 12h14" />
+                </svg>
+                Nova Visita
+              </button>
+            </div>
           </div>
-        )}
-      </div>
+          <CalendarioVisitas
+            versao={versao}
+            corDoStatus={(status) => getStatusInfo(status).color}
+            onAbrir={handleEdit}
+            onReagendado={(agendamentoId) => {
+              setConviteVisita(agendamentoId);
+              fetchAgendamentos();
+            }}
+            onMensagem={setMessage}
+          />
+        </div>
+      )}
 
       {/* Modal de Cadastro/Edição */}
       {showModal && (
@@ -558,7 +738,7 @@ const Agendamentos = () => {
                 <label className="form-label">Cliente *</label>
                 <select
                   name="cliente_id"
-                  className="form-select"
+                  className={`form-select ${erros.cliente_id ? 'error' : ''}`}
                   value={formData.cliente_id}
                   onChange={handleInputChange}
                   required
@@ -570,6 +750,7 @@ const Agendamentos = () => {
                     </option>
                   ))}
                 </select>
+                {erros.cliente_id && <span className="field-error">{erros.cliente_id}</span>}
                 {clientes.length === 0 && (
                   <p style={{ fontSize: '0.85rem', color: '#6b7280', marginTop: '0.25rem' }}>
                     Nenhum cliente cadastrado. Cadastre um cliente primeiro.
@@ -579,19 +760,38 @@ const Agendamentos = () => {
 
 
 
+              <div className="form-group">
+                <label className="form-label">Empreendimento</label>
+                <select
+                  name="imobiliaria_id"
+                  className={`form-select ${erros.imobiliaria_id ? 'error' : ''}`}
+                  value={formData.imobiliaria_id}
+                  onChange={handleInputChange}
+                >
+                  <option value="">Sem empreendimento</option>
+                  {imobiliarias
+                    .filter(imobiliaria => imobiliaria.status !== 'bloqueado' || imobiliaria.id === Number(formData.imobiliaria_id))
+                    .map(imobiliaria => (
+                      <option key={imobiliaria.id} value={imobiliaria.id}>{imobiliaria.nome}</option>
+                    ))}
+                </select>
+                {erros.imobiliaria_id && <span className="field-error">{erros.imobiliaria_id}</span>}
+              </div>
+
               <div className="grid grid-3">
                 <div className="form-group">
                   <label className="form-label">Data da Visita *</label>
                   <input
                     type="date"
                     name="data_agendamento"
-                    className="form-input"
+                    className={`form-input ${erros.data_agendamento ? 'error' : ''}`}
                     value={formData.data_agendamento}
                     onChange={handleInputChange}
                     min={hoje}
                     required
                     autoComplete="off"
                   />
+                  {erros.data_agendamento && <span className="field-error">{erros.data_agendamento}</span>}
                 </div>
 
                 <div className="form-group">
@@ -599,19 +799,20 @@ const Agendamentos = () => {
                   <input
                     type="time"
                     name="horario"
-                    className="form-input"
+                    className={`form-input ${erros.horario ? 'error' : ''}`}
                     value={formData.horario}
                     onChange={handleInputChange}
                     required
                     autoComplete="off"
                   />
+                  {erros.horario && <span className="field-error">{erros.horario}</span>}
                 </div>
 
                 <div className="form-group">
                   <label className="form-label">Status</label>
                   <select
                     name="status"
-                    className="form-select"
+                    className={`form-select ${erros.status ? 'error' : ''}`}
                     value={formData.status}
                     onChange={handleInputChange}
                   >
@@ -621,20 +822,36 @@ const Agendamentos = () => {
                       </option>
                     ))}
                   </select>
+                  {erros.status && <span className="field-error">{erros.status}</span>}
                 </div>
               </div>
 
+              <HorariosLivres
+                imobiliariaId={formData.imobiliaria_id}
+                consultorId={editingAgendamento?.consultor_id}
+                data={formData.data_agendamento}
+                horario={formData.horario}
+                horarioAtual={editingAgendamento && editingAgendamento.data_agendamento === formData.data_agendamento
+                  ? String(editingAgendamento.horario).slice(0, 5)
+                  : null}
+                onEscolher={(horario) => {
+                  setFormData({ ...formData, horario });
+                  setErros(prev => ({ ...prev, horario: '', data_agendamento: '' }));
+                }}
+              />
+
               <div className="form-group">
                 <label className="form-label">Observações</label>
                 <textarea
                   name="observacoes"
-                  className="form-textarea"
+                  className={`form-textarea ${erros.observacoes ? 'error' : ''}`}
                   value={formData.observacoes}
                   onChange={handleInputChange}
                   placeholder="Informações adicionais sobre a visita..."
                   rows="3"
                   autoComplete="off"
                 />
+                {erros.observacoes && <span className="field-error">{erros.observacoes}</span>}
               </div>
 
               <div style={{ display: 'flex', gap: '1rem', justifyContent: 'flex-end' }}>
@@ -656,6 +873,63 @@ const Agendamentos = () => {
           </div>
         </div>
       )}
+
+      {/* Modal de visualização */}
+      {viewAgendamento && (
+        <div className="modal-overlay">
+          <div className="modal">
+            <div className="modal-header">
+              <h2 className="modal-title">Visualizar Visita</h2>
+              <button className="close-btn" onClick={() => setViewAgendamento(null)}>×</button>
+            </div>
+            <div style={{ padding: '1.5rem' }}>
+              <div className="grid grid-2">
+                <div className="form-group">
+                  <label className="form-label">Cliente</label>
+                  <input type="text" className="form-input" value={viewAgendamento.cliente_nome || '-'} readOnly />
+                </div>
+                <div className="form-group">
+                  <label className="form-label">Telefone</label>
+                  <input type="text" className="form-input" value={viewAgendamento.cliente_telefone || '-'} readOnly />
+                </div>
+              </div>
+              <div className="grid grid-2">
+                <div className="form-group">
+                  <label className="form-label">Data</label>
+                  <input type="text" className="form-input" value={formatarData(viewAgendamento.data_agendamento)} readOnly />
+                </div>
+                <div className="form-group">
+                  <label className="form-label">Horário</label>
+                  <input type="text" className="form-input" value={formatarHorario(viewAgendamento.horario)} readOnly />
+                </div>
+              </div>
+              <div className="grid grid-2">
+                <div className="form-group">
+                  <label className="form-label">Corretor</label>
+                  <input type="text" className="form-input" value={viewAgendamento.consultor_nome || '-'} readOnly />
+                </div>
+                <div className="form-group">
+                  <label className="form-label">Status</label>
+                  <input type="text" className="form-input" value={getStatusInfo(viewAgendamento.status).label} readOnly />
+                </div>
+              </div>
+              <div className="form-group">
+                <label className="form-label">Observações</label>
+                <textarea className="form-textarea" value={viewAgendamento.observacoes || '-'} readOnly rows="3" />
+              </div>
+              <div style={{ display: 'flex', justifyContent: 'flex-end', marginBottom: '1rem' }}>
+                <button className="btn btn-secondary" onClick={() => baixarConvite(viewAgendamento.id)}>
+                  Baixar convite (.ics)
+                </button>
+              </div>
+              <LembretesVisita agendamentoId={viewAgendamento.id} />
+              <HistoricoAlteracoes entidade="agendamentos" id={viewAgendamento.id} />
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showAssinatura && <AssinaturaAgenda onClose={() => setShowAssinatura(false)} />}
     </div>
   );
 };
@@ -0,0 +1,521 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import config from '../config';
+import logoBrasao from '../images/logobrasao.png';
+
+// Quantos dias à frente a página oferece horários
+const DIAS_OFERECIDOS = 14;
+
+const dataLocal = (data) => data.toLocaleDateString('en-CA');
+
+// '2024-06-10' -> 'Segunda-feira, 10 de junho'
+const formatarDia = (data) => {
+  const texto = new Date(`${data}T12:00:00`).toLocaleDateString('pt-BR', { weekday: 'long', day: 'numeric', month: 'long' });
+  return texto.charAt(0).toUpperCase() + texto.slice(1);
+};
+
+const enderecoCompleto = (imobiliaria) => [
+  imobiliaria?.endereco,
+  imobiliaria?.bairro,
+  [imobiliaria?.cidade, imobiliaria?.estado].filter(Boolean).join('/')
+].filter(Boolean).join(' - ');
+
+// Página pública do link recebido no cadastro: o lead escolhe o empreendimento e um horário
+// livre, e depois usa o mesmo link para remarcar ou cancelar a visita
+const AgendarVisita = () => {
+  const { token } = useParams();
+  const [dados, setDados] = useState(null);
+  const [carregando, setCarregando] = useState(true);
+  const [erroLink, setErroLink] = useState('');
+  const [remarcando, setRemarcando] = useState(false);
+  const [imobiliariaId, setImobiliariaId] = useState('');
+  const [dias, setDias] = useState([]);
+  const [buscandoHorarios, setBuscandoHorarios] = useState(false);
+  const [escolha, setEscolha] = useState({ data: '', horario: '' });
+  const [enviando, setEnviando] = useState(false);
+  const [mensagem, setMensagem] = useState('');
+  const [erro, setErro] = useState('');
+
+  const url = `${config.API_BASE_URL}/leads/visita/${token}`;
+
+  useEffect(() => {
+    const fetchVisita = async () => {
+      try {
+        const response = await fetch(url);
+        const data = await response.json();
+        if (!response.ok) {
+          setErroLink(data.error);
+          return;
+        }
+
+        setDados(data);
+        if (data.empreendimentos.length === 1) setImobiliariaId(String(data.empreendimentos[0].id));
+      } catch (error) {
+        console.error('Erro ao carregar visita:', error);
+        setErroLink('Erro ao conectar com o servidor');
+      } finally {
+        setCarregando(false);
+      }
+    };
+    fetchVisita();
+  }, [url]);
+
+  const fetchHorarios = useCallback(async () => {
+    if (!imobiliariaId) {
+      setDias([]);
+      return;
+    }
+
+    const inicio = new Date();
+    const fim = new Date();
+    fim.setDate(fim.getDate() + DIAS_OFERECIDOS - 1);
+    const params = new URLSearchParams({ imobiliaria_id: imobiliariaId, data_inicio: dataLocal(inicio), data_fim: dataLocal(fim) });
+
+    setBuscandoHorarios(true);
+    try {
+      const response = await fetch(`${url}/horarios?${params.toString()}`);
+      const data = await response.json();
+      if (response.ok) {
+        setDias(data.dias.filter(dia => dia.horarios.length > 0));
+      } else {
+        setErro(data.error);
+      }
+    } catch (error) {
+      console.error('Erro ao carregar horários:', error);
+    } finally {
+      setBuscandoHorarios(false);
+    }
+  }, [url, imobiliariaId]);
+
+  useEffect(() => {
+    setEscolha({ data: '', horario: '' });
+    fetchHorarios();
+  }, [fetchHorarios]);
+
+  const iniciarRemarcacao = () => {
+    setMensagem('');
+    setErro('');
+    setImobiliariaId(String(dados.visita.imobiliaria_id || ''));
+    setRemarcando(true);
+  };
+
+  // Marca (POST) ou remarca (PUT) a visita no horário escolhido
+  const confirmar = async () => {
+    setEnviando(true);
+    setErro('');
+    try {
+      const response = await fetch(url, {
+        method: remarcando ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ imobiliaria_id: imobiliariaId, data_agendamento: escolha.data, horario: escolha.horario })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setErro(data.error);
+        fetchHorarios();
+        return;
+      }
+
+      setDados({ ...dados, visita: data.visita });
+      setRemarcando(false);
+      setMensagem(data.message);
+      setEscolha({ data: '', horario: '' });
+      fetchHorarios();
+    } catch (error) {
+      console.error('Erro ao agendar visita:', error);
+      setErro('Erro ao conectar com o servidor');
+    } finally {
+      setEnviando(false);
+    }
+  };
+
+  const cancelar = async () => {
+    if (!window.confirm('Tem certeza que deseja cancelar sua visita?')) return;
+
+    setEnviando(true);
+    setErro('');
+    try {
+      const response = await fetch(url, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok) {
+        setErro(data.error);
+        return;
+      }
+
+      setDados({ ...dados, visita: null });
+      setMensagem(data.message);
+      fetchHorarios();
+    } catch (error) {
+      console.error('Erro ao cancelar visita:', error);
+      setErro('Erro ao conectar com o servidor');
+    } finally {
+      setEnviando(false);
+    }
+  };
+
+  const visita = dados?.visita;
+  const diaEscolhido = dias.find(dia => dia.data === escolha.data);
+
+  return (
+    <div className="agendar-container">
+      <div className="agendar-content">
+        <div className="agendar-header">
+          <img src={logoBrasao} alt="Logo" className="agendar-logo" />
+          <h1 className="agendar-title">
+            {visita && !remarcando ? 'Sua Visita' : 'Agende sua Visita'}
+          </h1>
+          {dados && (
+            <p className="agendar-subtitle">
+              Olá, {dados.nome.split(' ')[0]}! {visita && !remarcando
+                ? 'Confira os detalhes da sua visita.'
+                : 'Escolha o empreendimento e o melhor horário para você.'}
+            </p>
+          )}
+        </div>
+
+        <div className="agendar-card">
+          {carregando && <p className="agendar-vazio">Carregando...</p>}
+
+          {erroLink && (
+            <div className="agendar-erro">
+              {erroLink} Confira se o link está completo ou fale com a nossa equipe.
+            </div>
+          )}
+
+          {mensagem && <div className="agendar-sucesso">{mensagem}</div>}
+          {erro && <div className="agendar-erro">{erro}</div>}
+
+          {visita && !remarcando && (
+            <>
+              <div className="visita-detalhes">
+                <div className="visita-linha">
+                  <span className="visita-icone">🏢</span>
+                  <div>
+                    <strong>{visita.imobiliaria?.nome || 'Empreendimento'}</strong>
+                    {enderecoCompleto(visita.imobiliaria) && <p>{enderecoCompleto(visita.imobiliaria)}</p>}
+                  </div>
+                </div>
+                <div className="visita-linha">
+                  <span className="visita-icone">📅</span>
+                  <div>
+                    <strong>{formatarDia(visita.data_agendamento)}</strong>
+                    <p>às {visita.horario} (cerca de {visita.duracao_visita} min)</p>
+                  </div>
+                </div>
+                {visita.corretor && (
+                  <div className="visita-linha">
+                    <span className="visita-icone">👤</span>
+                    <div>
+                      <strong>Corretor: {visita.corretor.nome}</strong>
+                      {visita.corretor.telefone && <p>{visita.corretor.telefone}</p>}
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              <p className="agendar-aviso">
+                Guarde este link: é por ele que você remarca ou cancela a visita.
+              </p>
+
+              <div className="agendar-acoes">
+                <a href={`${url}/convite.ics`} className="agendar-btn-secundario">
+                  Adicionar ao calendário
+                </a>
+                <button type="button" className="agendar-btn-secundario" onClick={iniciarRemarcacao} disabled={enviando}>
+                  Remarcar
+                </button>
+                <button type="button" className="agendar-btn-perigo" onClick={cancelar} disabled={enviando}>
+                  Cancelar visita
+                </button>
+              </div>
+            </>
+          )}
+
+          {dados && (!visita || remarcando) && (
+            <>
+              <label className="agendar-label">Empreendimento</label>
+              <select
+                className="agendar-select"
+                value={imobiliariaId}
+                onChange={(e) => setImobiliariaId(e.target.value)}
+                disabled={enviando}
+              >
+                <option value="">Selecione o empreendimento</option>
+                {dados.empreendimentos.map(imobiliaria => (
+                  <option key={imobiliaria.id} value={imobiliaria.id}>
+                    {imobiliaria.nome}{imobiliaria.cidade ? ` - ${imobiliaria.cidade}` : ''}
+                  </option>
+                ))}
+              </select>
+
+              {imobiliariaId && (
+                buscandoHorarios ? (
+                  <p className="agendar-vazio">Buscando horários livres...</p>
+                ) : dias.length === 0 ? (
+                  <p className="agendar-vazio">
+                    Nenhum horário livre nos próximos {DIAS_OFERECIDOS} dias. Fale com a nossa equipe para combinar a visita.
+                  </p>
+                ) : (
+                  <>
+                    <label className="agendar-label">Dia</label>
+                    <div className="agendar-opcoes">
+                      {dias.map(dia => (
+                        <button
+                          key={dia.data}
+                          type="button"
+                          className={`agendar-opcao ${escolha.data === dia.data ? 'escolhida' : ''}`}
+                          onClick={() => setEscolha({ data: dia.data, horario: '' })}
+                        >
+                          {new Date(`${dia.data}T12:00:00`).toLocaleDateString('pt-BR', { weekday: 'short', day: '2-digit', month: '2-digit' })}
+                        </button>
+                      ))}
+                    </div>
+
+                    {diaEscolhido && (
+                      <>
+                        <label className="agendar-label">Horário</label>
+                        <div className="agendar-opcoes">
+                          {diaEscolhido.horarios.map(({ horario }) => (
+                            <button
+                              key={horario}
+                              type="button"
+                              className={`agendar-opcao ${escolha.horario === horario ? 'escolhida' : ''}`}
+                              onClick={() => setEscolha({ ...escolha, horario })}
+                            >
+                              {horario}
+                            </button>
+                          ))}
+                        </div>
+                      </>
+                    )}
+                  </>
+                )
+              )}
+
+              <div className="agendar-acoes">
+                {remarcando && (
+                  <button type="button" className="agendar-btn-secundario" onClick={() => setRemarcando(false)} disabled={enviando}>
+                    Voltar
+                  </button>
+                )}
+                <button
+                  type="button"
+                  className="agendar-btn"
+                  onClick={confirmar}
+                  disabled={!escolha.horario || enviando}
+                >
+                  {enviando ? 'Enviando...' : remarcando ? 'Confirmar Remarcação' : 'Confirmar Visita'}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+
+      <style jsx>{`
+        .agendar-container {
+          min-height: 100vh;
+          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+          padding: 20px;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+        }
+
+        .agendar-content {
+          max-width: 600px;
+          width: 100%;
+        }
+
+        .agendar-header {
+          text-align: center;
+          margin-bottom: 30px;
+        }
+
+        .agendar-logo {
+          width: 70px;
+          height: 70px;
+          margin-bottom: 15px;
+          filter: drop-shadow(0 4px 8px rgba(0, 0, 0, 0.2));
+        }
+
+        .agendar-title {
+          font-size: 2.2rem;
+          font-weight: 800;
+          color: white;
+          margin-bottom: 10px;
+          text-shadow: 0 2px 4px rgba(0, 0, 0, 0.3);
+        }
+
+        .agendar-subtitle {
+          font-size: 1.1rem;
+          color: rgba(255, 255, 255, 0.9);
+        }
+
+        .agendar-card {
+          background: rgba(255, 255, 255, 0.95);
+          border-radius: 20px;
+          padding: 30px;
+          box-shadow: 0 20px 40px rgba(0, 0, 0, 0.1);
+        }
+
+        .agendar-label {
+          display: block;
+          font-weight: 600;
+          color: #2d3748;
+          margin: 20px 0 8px 0;
+        }
+
+        .agendar-select {
+          width: 100%;
+          padding: 12px 14px;
+          border: 2px solid #e2e8f0;
+          border-radius: 10px;
+          font-size: 1rem;
+          background: white;
+        }
+
+        .agendar-opcoes {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 8px;
+        }
+
+        .agendar-opcao {
+          padding: 10px 14px;
+          border: 2px solid #e2e8f0;
+          border-radius: 10px;
+          background: white;
+          color: #2d3748;
+          font-weight: 600;
+          cursor: pointer;
+          text-transform: capitalize;
+          transition: all 0.2s ease;
+        }
+
+        .agendar-opcao:hover,
+        .agendar-opcao.escolhida {
+          border-color: #667eea;
+          background: #667eea;
+          color: white;
+        }
+
+        .agendar-acoes {
+          display: flex;
+          gap: 12px;
+          justify-content: flex-end;
+          flex-wrap: wrap;
+          margin-top: 25px;
+        }
+
+        .agendar-btn,
+        .agendar-btn-secundario,
+        .agendar-btn-perigo {
+          padding: 12px 20px;
+          border-radius: 12px;
+          font-size: 1rem;
+          font-weight: 700;
+          cursor: pointer;
+          text-decoration: none;
+          transition: all 0.3s ease;
+        }
+
+        .agendar-btn {
+          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+          color: white;
+          border: none;
+          box-shadow: 0 4px 15px rgba(102, 126, 234, 0.4);
+        }
+
+        .agendar-btn:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .agendar-btn-secundario {
+          background: transparent;
+          color: #667eea;
+          border: 2px solid #667eea;
+        }
+
+        .agendar-btn-perigo {
+          background: transparent;
+          color: #dc2626;
+          border: 2px solid #dc2626;
+        }
+
+        .visita-detalhes {
+          display: flex;
+          flex-direction: column;
+          gap: 18px;
+        }
+
+        .visita-linha {
+          display: flex;
+          gap: 14px;
+          align-items: flex-start;
+          color: #2d3748;
+        }
+
+        .visita-linha p {
+          margin: 4px 0 0 0;
+          color: #4a5568;
+        }
+
+        .visita-icone {
+          font-size: 1.5rem;
+        }
+
+        .agendar-aviso {
+          margin: 25px 0 0 0;
+          padding: 12px 14px;
+          background: #f0f4ff;
+          border-radius: 10px;
+          color: #4a5568;
+          font-size: 0.95rem;
+        }
+
+        .agendar-vazio {
+          text-align: center;
+          color: #4a5568;
+          margin: 20px 0 0 0;
+        }
+
+        .agendar-sucesso,
+        .agendar-erro {
+          padding: 12px 14px;
+          border-radius: 10px;
+          margin-bottom: 15px;
+          font-weight: 600;
+        }
+
+        .agendar-sucesso {
+          background: #d1fae5;
+          color: #065f46;
+        }
+
+        .agendar-erro {
+          background: #fee2e2;
+          color: #991b1b;
+        }
+
+        @media (max-width: 768px) {
+          .agendar-title {
+            font-size: 1.8rem;
+          }
+
+          .agendar-card {
+            padding: 20px;
+          }
+
+          .agendar-acoes > * {
+            width: 100%;
+            text-align: center;
+          }
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default AgendarVisita;
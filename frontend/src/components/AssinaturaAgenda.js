@@ -0,0 +1,102 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Link de assinatura da agenda do corretor (.ics), para acompanhar as visitas no calendário do celular
+const AssinaturaAgenda = ({ onClose }) => {
+  const { makeRequest } = useAuth();
+  const [assinatura, setAssinatura] = useState(null);
+  const [aviso, setAviso] = useState('');
+  const [erro, setErro] = useState('');
+
+  useEffect(() => {
+    const fetchAssinatura = async () => {
+      try {
+        const response = await makeRequest('/calendario/assinatura');
+        const data = await response.json();
+        if (response.ok) {
+          setAssinatura(data);
+        } else {
+          setErro(data.error);
+        }
+      } catch (error) {
+        console.error('Erro ao carregar link da agenda:', error);
+        setErro('Erro ao conectar com o servidor');
+      }
+    };
+    fetchAssinatura();
+  }, [makeRequest]);
+
+  const copiarLink = async () => {
+    try {
+      await navigator.clipboard.writeText(assinatura.url);
+      setAviso('Link copiado com sucesso!');
+    } catch (error) {
+      setErro('Não foi possível copiar. Selecione o link e copie manualmente.');
+    }
+  };
+
+  const renovarLink = async () => {
+    if (!window.confirm('Gerar um novo link? O link atual para de funcionar e a agenda precisará ser assinada de novo no celular.')) {
+      return;
+    }
+
+    setErro('');
+    try {
+      const response = await makeRequest('/calendario/assinatura/renovar', { method: 'POST' });
+      const data = await response.json();
+      if (response.ok) {
+        setAssinatura(data);
+        setAviso(data.message);
+      } else {
+        setErro(data.error);
+      }
+    } catch (error) {
+      console.error('Erro ao renovar link da agenda:', error);
+      setErro('Erro ao conectar com o servidor');
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal" style={{ maxWidth: '600px' }}>
+        <div className="modal-header">
+          <h2 className="modal-title">Assinar Agenda no Celular</h2>
+          <button className="close-btn" onClick={onClose}>×</button>
+        </div>
+
+        <div style={{ padding: '1.5rem' }}>
+          {erro && <div className="alert alert-error">{erro}</div>}
+          {aviso && <div className="alert alert-success">{aviso}</div>}
+
+          <p style={{ color: '#6b7280', fontSize: '0.875rem', marginTop: 0 }}>
+            Adicione este link ao Google Agenda (Outras agendas → Do URL), ao Calendário do iPhone
+            (Ajustes → Calendário → Contas → Adicionar calendário assinado) ou ao Outlook. As visitas
+            novas, remarcadas e canceladas aparecem automaticamente, conforme o aplicativo atualiza a agenda.
+          </p>
+
+          {assinatura ? (
+            <>
+              <div className="form-group">
+                <label className="form-label">Link da sua agenda</label>
+                <input type="text" className="form-input" value={assinatura.url} readOnly onFocus={(e) => e.target.select()} />
+              </div>
+              <p style={{ color: '#b45309', fontSize: '0.75rem' }}>
+                Quem tiver este link vê suas visitas. Não compartilhe; se ele vazar, gere um novo.
+              </p>
+
+              <div style={{ display: 'flex', gap: '1rem', justifyContent: 'flex-end', flexWrap: 'wrap' }}>
+                <button type="button" className="btn btn-secondary" onClick={renovarLink}>Gerar novo link</button>
+                <a className="btn btn-secondary" href={assinatura.webcal}>Abrir no calendário</a>
+                <button type="button" className="btn btn-primary" onClick={copiarLink}>Copiar link</button>
+              </div>
+            </>
+          ) : (
+            !erro && <p style={{ textAlign: 'center', color: '#6b7280' }}>Carregando...</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AssinaturaAgenda;
@@ -0,0 +1,192 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { rotulosAcao, formatarValor, formatarDataHora, descreverAlteracoes } from './HistoricoAlteracoes';
+
+const entidades = [
+  { value: 'clientes', label: 'Indicação' },
+  { value: 'agendamentos', label: 'Visita' },
+  { value: 'fechamentos', label: 'Fechamento' }
+];
+
+const filtrosVazios = {
+  entidade: '',
+  entidade_id: '',
+  acao: '',
+  usuario: '',
+  data_inicio: '',
+  data_fim: ''
+};
+
+const Auditoria = () => {
+  const { makeRequest } = useAuth();
+  const [registros, setRegistros] = useState([]);
+  const [filtros, setFiltros] = useState(filtrosVazios);
+  const [filtrosAplicados, setFiltrosAplicados] = useState(filtrosVazios);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState('');
+
+  const fetchRegistros = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams(
+        Object.entries(filtrosAplicados).filter(([, valor]) => valor !== '')
+      );
+      const response = await makeRequest(`/auditoria?${params.toString()}`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setRegistros(data);
+        setMessage('');
+      } else {
+        setMessage('Erro ao carregar histórico: ' + data.error);
+      }
+    } catch (error) {
+      console.error('Erro ao carregar histórico:', error);
+      setMessage('Erro ao conectar com o servidor');
+    } finally {
+      setLoading(false);
+    }
+  }, [makeRequest, filtrosAplicados]);
+
+  useEffect(() => {
+    fetchRegistros();
+  }, [fetchRegistros]);
+
+  const handleFiltroChange = (e) => {
+    setFiltros({ ...filtros, [e.target.name]: e.target.value });
+  };
+
+  const aplicarFiltros = (e) => {
+    e.preventDefault();
+    setFiltrosAplicados(filtros);
+  };
+
+  const limparFiltros = () => {
+    setFiltros(filtrosVazios);
+    setFiltrosAplicados(filtrosVazios);
+  };
+
+  // Resumo do registro criado ou removido (nome do cliente, data da visita, valor...)
+  const resumirRegistro = (registro) => {
+    const dados = registro.depois || registro.antes || {};
+    return dados.nome || dados.data_agendamento || (dados.valor_fechado !== undefined ? formatarValor(dados.valor_fechado) : '');
+  };
+
+  return (
+    <div>
+      <div className="page-header">
+        <h1 className="page-title">Histórico de Alterações</h1>
+        <p className="page-subtitle">Quem criou, alterou ou removeu indicações, visitas e fechamentos</p>
+      </div>
+
+      {message && (
+        <div className="alert alert-error">
+          {message}
+        </div>
+      )}
+
+      <div className="card" style={{ marginBottom: '1.5rem' }}>
+        <form onSubmit={aplicarFiltros} style={{ padding: '1rem 1.5rem' }}>
+          <div className="grid grid-3">
+            <div className="form-group">
+              <label className="form-label">Tipo de registro</label>
+              <select name="entidade" className="form-select" value={filtros.entidade} onChange={handleFiltroChange}>
+                <option value="">Todos</option>
+                {entidades.map(entidade => (
+                  <option key={entidade.value} value={entidade.value}>{entidade.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label className="form-label">Nº do registro</label>
+              <input type="number" name="entidade_id" className="form-input" value={filtros.entidade_id} onChange={handleFiltroChange} />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Ação</label>
+              <select name="acao" className="form-select" value={filtros.acao} onChange={handleFiltroChange}>
+                <option value="">Todas</option>
+                {Object.entries(rotulosAcao).map(([acao, { label }]) => (
+                  <option key={acao} value={acao}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label className="form-label">Usuário</label>
+              <input type="text" name="usuario" className="form-input" value={filtros.usuario} onChange={handleFiltroChange} placeholder="Nome do usuário" />
+            </div>
+            <div className="form-group">
+              <label className="form-label">De</label>
+              <input type="date" name="data_inicio" className="form-input" value={filtros.data_inicio} onChange={handleFiltroChange} />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Até</label>
+              <input type="date" name="data_fim" className="form-input" value={filtros.data_fim} onChange={handleFiltroChange} />
+            </div>
+          </div>
+          <div style={{ display: 'flex', gap: '1rem', justifyContent: 'flex-end' }}>
+            <button type="button" className="btn btn-secondary" onClick={limparFiltros}>Limpar</button>
+            <button type="submit" className="btn btn-primary">Filtrar</button>
+          </div>
+        </form>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h2 className="card-title">Registros ({registros.length})</h2>
+        </div>
+
+        {loading ? (
+          <div className="loading">
+            <div className="spinner"></div>
+          </div>
+        ) : registros.length === 0 ? (
+          <p style={{ textAlign: 'center', color: '#6b7280', padding: '2rem' }}>
+            Nenhuma alteração encontrada.
+          </p>
+        ) : (
+          <div className="table-container">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Data</th>
+                  <th>Usuário</th>
+                  <th>Registro</th>
+                  <th>Ação</th>
+                  <th>Detalhes</th>
+                </tr>
+              </thead>
+              <tbody>
+                {registros.map(registro => (
+                  <tr key={registro.id}>
+                    <td style={{ whiteSpace: 'nowrap' }}>{formatarDataHora(registro.created_at)}</td>
+                    <td>{registro.usuario_nome || 'Cadastro público'}</td>
+                    <td>
+                      {entidades.find(e => e.value === registro.entidade)?.label || registro.entidade} #{registro.entidade_id}
+                    </td>
+                    <td>
+                      <span className={`badge ${rotulosAcao[registro.acao]?.classe || 'badge-info'}`}>
+                        {rotulosAcao[registro.acao]?.label || registro.acao}
+                      </span>
+                    </td>
+                    <td style={{ fontSize: '0.85rem' }}>
+                      {registro.acao === 'atualizar'
+                        ? descreverAlteracoes(registro).map(alteracao => (
+                          <div key={alteracao.campo}>
+                            {alteracao.campo}: <span style={{ color: '#9ca3af', textDecoration: 'line-through' }}>{alteracao.antes}</span>
+                            {' → '}<strong>{alteracao.depois}</strong>
+                          </div>
+                        ))
+                        : <span style={{ color: '#6b7280' }}>{resumirRegistro(registro)}</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Auditoria;
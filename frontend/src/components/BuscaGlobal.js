@@ -0,0 +1,190 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { rotulosAprovacao } from './FechamentosDoCliente';
+
+// Mínimo de caracteres aceito pelo backend (GET /busca?q=)
+const MINIMO_CARACTERES = 2;
+
+const formatarData = (data) => (data ? String(data).slice(0, 10).split('-').reverse().join('/') : '-');
+
+const formatarMoeda = (valor) => parseFloat(valor || 0).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+
+const detalhes = (...partes) => partes.filter(Boolean).join(' · ');
+
+// Grupos da resposta da busca, na ordem em que aparecem, com o link de cada registro
+const grupos = [
+  {
+    chave: 'clientes',
+    titulo: 'Clientes',
+    link: (cliente) => `/indicacoes?cliente=${cliente.id}`,
+    nome: (cliente) => cliente.nome,
+    detalhe: (cliente) => detalhes(cliente.telefone, cliente.cpf && `CPF ${cliente.cpf}`, cliente.consultor_nome)
+  },
+  {
+    chave: 'agendamentos',
+    titulo: 'Visitas',
+    link: (agendamento) => `/agendamentos?agendamento=${agendamento.id}`,
+    nome: (agendamento) => agendamento.cliente_nome || `Visita #${agendamento.id}`,
+    detalhe: (agendamento) => detalhes(
+      `${formatarData(agendamento.data_agendamento)} às ${agendamento.horario}`,
+      agendamento.imobiliaria_nome,
+      agendamento.status
+    )
+  },
+  {
+    chave: 'fechamentos',
+    titulo: 'Fechamentos',
+    link: (fechamento) => `/indicacoes?cliente=${fechamento.cliente_id}&fechamento=${fechamento.id}`,
+    nome: (fechamento) => detalhes(`Fechamento #${fechamento.id}`, fechamento.cliente_nome),
+    detalhe: (fechamento) => detalhes(
+      formatarData(fechamento.data_fechamento),
+      formatarMoeda(fechamento.valor_fechado),
+      rotulosAprovacao[fechamento.aprovado]?.label
+    )
+  },
+  {
+    chave: 'imobiliarias',
+    titulo: 'Empreendimentos',
+    link: (imobiliaria) => `/imobiliarias?imobiliaria=${imobiliaria.id}`,
+    nome: (imobiliaria) => imobiliaria.nome,
+    detalhe: (imobiliaria) => detalhes(imobiliaria.cidade && `${imobiliaria.cidade}/${imobiliaria.estado}`, imobiliaria.status)
+  }
+];
+
+// Caixa de busca do cabeçalho: nome, CPF, telefone, empreendimento ou número do fechamento
+const BuscaGlobal = () => {
+  const { makeRequest } = useAuth();
+  const navigate = useNavigate();
+  const [termo, setTermo] = useState('');
+  const [resultados, setResultados] = useState(null);
+  const [carregando, setCarregando] = useState(false);
+  const [aberta, setAberta] = useState(false);
+  const [ativo, setAtivo] = useState(0);
+  const containerRef = useRef(null);
+
+  // Espera a digitação antes de buscar
+  useEffect(() => {
+    const consulta = termo.trim();
+    if (consulta.length < MINIMO_CARACTERES) {
+      setResultados(null);
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      setCarregando(true);
+      try {
+        const response = await makeRequest(`/busca?q=${encodeURIComponent(consulta)}`);
+        const data = await response.json();
+
+        if (response.ok) {
+          setResultados(data);
+          setAtivo(0);
+        } else {
+          console.error('Erro na busca:', data.error);
+          setResultados(null);
+        }
+      } catch (error) {
+        console.error('Erro na busca:', error);
+      } finally {
+        setCarregando(false);
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [termo, makeRequest]);
+
+  // Fecha ao clicar fora
+  useEffect(() => {
+    const fecharAoClicarFora = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setAberta(false);
+    };
+    document.addEventListener('mousedown', fecharAoClicarFora);
+    return () => document.removeEventListener('mousedown', fecharAoClicarFora);
+  }, []);
+
+  // Registros de todos os grupos em sequência, para navegar com as setas
+  const itens = resultados
+    ? grupos.flatMap(grupo => resultados[grupo.chave].itens.map(registro => ({ grupo, registro })))
+    : [];
+
+  const abrir = ({ grupo, registro }) => {
+    navigate(grupo.link(registro));
+    setAberta(false);
+    setTermo('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setAberta(false);
+    } else if (e.key === 'ArrowDown' && itens.length > 0) {
+      e.preventDefault();
+      setAtivo((ativo + 1) % itens.length);
+    } else if (e.key === 'ArrowUp' && itens.length > 0) {
+      e.preventDefault();
+      setAtivo((ativo - 1 + itens.length) % itens.length);
+    } else if (e.key === 'Enter' && itens[ativo]) {
+      abrir(itens[ativo]);
+    }
+  };
+
+  return (
+    <div className="busca-global" ref={containerRef}>
+      <input
+        type="search"
+        className="form-input"
+        placeholder="Buscar nome, CPF, telefone, empreendimento ou nº do fechamento"
+        value={termo}
+        onChange={(e) => {
+          setTermo(e.target.value);
+          setAberta(true);
+        }}
+        onFocus={() => setAberta(true)}
+        onKeyDown={handleKeyDown}
+      />
+
+      {aberta && termo.trim().length >= MINIMO_CARACTERES && (
+        <div className="busca-global-resultados">
+          {carregando && !resultados ? (
+            <p className="busca-global-vazio">Buscando...</p>
+          ) : itens.length === 0 ? (
+            <p className="busca-global-vazio">Nenhum resultado para "{termo.trim()}".</p>
+          ) : (
+            grupos
+              .filter(grupo => resultados[grupo.chave].itens.length > 0)
+              .map(grupo => {
+                const { total, itens: registros } = resultados[grupo.chave];
+
+                return (
+                  <div key={grupo.chave} className="busca-global-grupo">
+                    <h4>
+                      {grupo.titulo}
+                      {total > registros.length && ` (${registros.length} de ${total})`}
+                    </h4>
+                    {registros.map(registro => {
+                      const indice = itens.findIndex(item => item.registro === registro);
+
+                      return (
+                        <button
+                          key={registro.id}
+                          type="button"
+                          className={`busca-global-item ${indice === ativo ? 'ativo' : ''}`}
+                          onMouseEnter={() => setAtivo(indice)}
+                          onClick={() => abrir(itens[indice])}
+                        >
+                          <strong>{grupo.nome(registro)}</strong>
+                          <small>{grupo.detalhe(registro) || '-'}</small>
+                        </button>
+                      );
+                    })}
+                  </div>
+                );
+              })
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BuscaGlobal;
@@ -178,6 +178,9 @@ const CadastroConsultor = () => {
       
       if (response.ok) {
         navigate('/cadastro-sucesso');
+      } else if (data.campos) {
+        // Erros por campo (ex.: CPF inválido, email já cadastrado) aparecem ao lado de cada input
+        setErrors(data.campos);
       } else {
         let errorMsg = data.error || 'Erro ao cadastrar consultor';
         if (errorMsg && errorMsg.toLowerCase().includes('consultores_email_key')) {
@@ -0,0 +1,368 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Grade do dia e da semana: das 8h às 20h em intervalos de 30 minutos (amplia se houver visita fora)
+const HORA_INICIO = 8;
+const HORA_FIM = 20;
+
+// Visitas que ainda não aconteceram podem ser arrastadas para outro dia/horário
+const STATUS_REAGENDAVEIS = ['agendado', 'lembrado', 'reagendado'];
+
+// Visitas mostradas em cada dia da visão mensal antes do "+N"
+const VISITAS_POR_DIA_NO_MES = 3;
+
+const VISOES = [
+  { value: 'dia', label: 'Dia' },
+  { value: 'semana', label: 'Semana' },
+  { value: 'mes', label: 'Mês' }
+];
+
+const DIAS_DA_SEMANA = ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'];
+
+const doisDigitos = (numero) => String(numero).padStart(2, '0');
+
+// Datas locais como 'YYYY-MM-DD', o formato de data_agendamento
+const paraTexto = (data) => `${data.getFullYear()}-${doisDigitos(data.getMonth() + 1)}-${doisDigitos(data.getDate())}`;
+
+const somarDias = (data, dias) => new Date(data.getFullYear(), data.getMonth(), data.getDate() + dias);
+
+// Hoje à meia-noite (sem as horas, para comparar e somar dias)
+const diaDeHoje = () => somarDias(new Date(), 0);
+
+const inicioDaSemana = (data) => somarDias(data, -data.getDay());
+
+// Primeiro e último dia mostrados; o mês vai do domingo da primeira semana ao sábado da última
+const periodoDaVisao = (visao, data) => {
+  if (visao === 'dia') return { inicio: data, fim: data };
+  if (visao === 'semana') return { inicio: inicioDaSemana(data), fim: somarDias(inicioDaSemana(data), 6) };
+
+  const ultimoDoMes = new Date(data.getFullYear(), data.getMonth() + 1, 0);
+  return { inicio: inicioDaSemana(new Date(data.getFullYear(), data.getMonth(), 1)), fim: somarDias(inicioDaSemana(ultimoDoMes), 6) };
+};
+
+const diasDoPeriodo = ({ inicio, fim }) => {
+  const dias = [];
+  for (let dia = inicio; dia <= fim; dia = somarDias(dia, 1)) dias.push(dia);
+  return dias;
+};
+
+const tituloDaVisao = (visao, data, { inicio, fim }) => {
+  if (visao === 'dia') {
+    return data.toLocaleDateString('pt-BR', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+  }
+  if (visao === 'semana') {
+    return `${inicio.toLocaleDateString('pt-BR', { day: '2-digit', month: 'short' })} a ${fim.toLocaleDateString('pt-BR', { day: '2-digit', month: 'short', year: 'numeric' })}`;
+  }
+  return data.toLocaleDateString('pt-BR', { month: 'long', year: 'numeric' });
+};
+
+const formatarHorario = (horario) => String(horario || '').slice(0, 5);
+
+const horaDe = (horario) => parseInt(formatarHorario(horario).split(':')[0], 10) || 0;
+
+// Intervalo de 30 minutos em que a visita aparece na grade
+const intervaloDoHorario = (horario) => {
+  const [hora, minuto] = formatarHorario(horario).split(':').map(Number);
+  return `${doisDigitos(hora || 0)}:${(minuto || 0) < 30 ? '00' : '30'}`;
+};
+
+const formatarData = (data) => data.split('-').reverse().join('/');
+
+// Calendário das visitas (dia, semana e mês) com filtro por corretor e empreendimento.
+// Arrastar uma visita reagenda pelo PUT /agendamentos/:id, com status "reagendado".
+// `versao` muda quando a tela de visitas recarrega, para o calendário acompanhar
+const CalendarioVisitas = ({ versao, corDoStatus, onAbrir, onReagendado, onMensagem }) => {
+  const { makeRequest, user } = useAuth();
+  const [visao, setVisao] = useState('semana');
+  const [dataBase, setDataBase] = useState(diaDeHoje);
+  const [filtroConsultor, setFiltroConsultor] = useState('');
+  const [filtroImobiliaria, setFiltroImobiliaria] = useState('');
+  const [consultores, setConsultores] = useState([]);
+  const [imobiliarias, setImobiliarias] = useState([]);
+  const [agendamentos, setAgendamentos] = useState([]);
+  const [carregando, setCarregando] = useState(true);
+  const [arrastando, setArrastando] = useState(null);
+  const [alvo, setAlvo] = useState(null);
+
+  const periodo = periodoDaVisao(visao, dataBase);
+  const inicio = paraTexto(periodo.inicio);
+  const fim = paraTexto(periodo.fim);
+  const hoje = paraTexto(new Date());
+
+  useEffect(() => {
+    const fetchOpcoes = async () => {
+      try {
+        const [consultoresRes, imobiliariasRes] = await Promise.all([
+          user?.tipo === 'admin' ? makeRequest('/consultores') : null,
+          makeRequest('/imobiliarias')
+        ]);
+        if (consultoresRes?.ok) setConsultores(await consultoresRes.json());
+        if (imobiliariasRes.ok) setImobiliarias(await imobiliariasRes.json());
+      } catch (error) {
+        console.error('Erro ao carregar filtros do calendário:', error);
+      }
+    };
+    fetchOpcoes();
+  }, [makeRequest, user]);
+
+  const fetchAgendamentos = useCallback(async () => {
+    setCarregando(true);
+    try {
+      const params = new URLSearchParams(Object.entries({
+        data_inicio: inicio,
+        data_fim: fim,
+        consultor_id: filtroConsultor,
+        imobiliaria_id: filtroImobiliaria,
+        ordenar: 'horario',
+        direcao: 'asc'
+      }).filter(([, valor]) => valor !== ''));
+
+      const response = await makeRequest(`/agendamentos?${params.toString()}`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setAgendamentos(data);
+      } else {
+        onMensagem('Erro ao carregar visitas: ' + data.error);
+      }
+    } catch (error) {
+      console.error('Erro ao carregar visitas:', error);
+      onMensagem('Erro ao conectar com o servidor');
+    } finally {
+      setCarregando(false);
+    }
+  }, [makeRequest, inicio, fim, filtroConsultor, filtroImobiliaria, onMensagem]);
+
+  useEffect(() => {
+    fetchAgendamentos();
+  }, [fetchAgendamentos, versao]);
+
+  const navegar = (direcao) => {
+    if (visao === 'dia') setDataBase(somarDias(dataBase, direcao));
+    else if (visao === 'semana') setDataBase(somarDias(dataBase, direcao * 7));
+    else setDataBase(new Date(dataBase.getFullYear(), dataBase.getMonth() + direcao, 1));
+  };
+
+  const abrirDia = (dia) => {
+    setDataBase(dia);
+    setVisao('dia');
+  };
+
+  // Soltar numa data (e horário, no dia/semana; no mês mantém o horário da visita)
+  const reagendar = async (data, horario) => {
+    const agendamento = arrastando;
+    setArrastando(null);
+    setAlvo(null);
+    if (!agendamento) return;
+
+    const novoHorario = horario || formatarHorario(agendamento.horario);
+    if (data === agendamento.data_agendamento && novoHorario === formatarHorario(agendamento.horario)) return;
+    if (!window.confirm(`Reagendar a visita de ${agendamento.cliente_nome || 'cliente'} para ${formatarData(data)} às ${novoHorario}?`)) return;
+
+    try {
+      const response = await makeRequest(`/agendamentos/${agendamento.id}`, {
+        method: 'PUT',
+        body: JSON.stringify({
+          cliente_id: agendamento.cliente_id,
+          data_agendamento: data,
+          horario: novoHorario,
+          status: 'reagendado',
+          observacoes: agendamento.observacoes || ''
+        })
+      });
+      const resposta = await response.json();
+
+      if (response.ok) {
+        onMensagem('Visita reagendada com sucesso!');
+        onReagendado(resposta.id);
+      } else {
+        onMensagem('Erro ao reagendar visita: ' + (resposta.campos ? Object.values(resposta.campos).join(' ') : resposta.error));
+      }
+    } catch (error) {
+      console.error('Erro ao reagendar visita:', error);
+      onMensagem('Erro ao reagendar visita');
+    }
+  };
+
+  // Props de uma célula que recebe visitas arrastadas
+  const alvoDeSoltura = (chave, data, horario) => ({
+    className: `calendario-celula ${alvo === chave ? 'alvo' : ''} ${data === hoje ? 'hoje' : ''}`,
+    onDragOver: (e) => {
+      if (!arrastando) return;
+      e.preventDefault();
+      if (alvo !== chave) setAlvo(chave);
+    },
+    onDragLeave: () => setAlvo(atual => (atual === chave ? null : atual)),
+    onDrop: (e) => {
+      e.preventDefault();
+      reagendar(data, horario);
+    }
+  });
+
+  const renderVisita = (agendamento, { compacta } = {}) => {
+    const reagendavel = STATUS_REAGENDAVEIS.includes(agendamento.status);
+    const cor = corDoStatus(agendamento.status);
+
+    return (
+      <div
+        key={agendamento.id}
+        className={`calendario-visita ${reagendavel ? '' : 'fixa'}`}
+        style={{ borderLeftColor: cor, backgroundColor: cor + '15' }}
+        draggable={reagendavel}
+        onDragStart={(e) => {
+          e.dataTransfer.setData('text/plain', String(agendamento.id));
+          e.dataTransfer.effectAllowed = 'move';
+          setArrastando(agendamento);
+        }}
+        onDragEnd={() => {
+          setArrastando(null);
+          setAlvo(null);
+        }}
+        onClick={() => onAbrir(agendamento)}
+        title={[
+          `${formatarHorario(agendamento.horario)} - ${agendamento.cliente_nome || 'Cliente'}`,
+          agendamento.imobiliaria_nome,
+          agendamento.consultor_nome && `Corretor: ${agendamento.consultor_nome}`,
+          reagendavel ? 'Arraste para reagendar' : null
+        ].filter(Boolean).join('\n')}
+      >
+        <strong>{formatarHorario(agendamento.horario)}</strong> {agendamento.cliente_nome || 'Cliente'}
+        {!compacta && (agendamento.imobiliaria_nome || agendamento.consultor_nome) && (
+          <small>{[agendamento.imobiliaria_nome, agendamento.consultor_nome].filter(Boolean).join(' · ')}</small>
+        )}
+      </div>
+    );
+  };
+
+  const dias = diasDoPeriodo(periodo);
+  const visitasDoDia = (dia) => agendamentos.filter(agendamento => agendamento.data_agendamento === paraTexto(dia));
+
+  // Intervalos da grade, ampliados para caber visitas antes das 8h ou depois das 20h
+  const horas = agendamentos.map(agendamento => horaDe(agendamento.horario));
+  const primeiraHora = Math.min(HORA_INICIO, ...horas);
+  const ultimaHora = Math.max(HORA_FIM, ...horas.map(hora => hora + 1));
+  const intervalos = [];
+  for (let hora = primeiraHora; hora < ultimaHora; hora++) {
+    intervalos.push(`${doisDigitos(hora)}:00`, `${doisDigitos(hora)}:30`);
+  }
+
+  return (
+    <div>
+      <div className="calendario-barra">
+        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+          <button className="btn btn-sm btn-secondary" onClick={() => navegar(-1)} title="Anterior">‹</button>
+          <button className="btn btn-sm btn-secondary" onClick={() => setDataBase(diaDeHoje())}>Hoje</button>
+          <button className="btn btn-sm btn-secondary" onClick={() => navegar(1)} title="Próximo">›</button>
+          <h3 className="calendario-titulo">{tituloDaVisao(visao, dataBase, periodo)}</h3>
+        </div>
+
+        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap' }}>
+          {user?.tipo === 'admin' && (
+            <select className="form-select" value={filtroConsultor} onChange={(e) => setFiltroConsultor(e.target.value)}>
+              <option value="">Todos os corretores</option>
+              {consultores.map(consultor => (
+                <option key={consultor.id} value={consultor.id}>{consultor.nome}</option>
+              ))}
+            </select>
+          )}
+          <select className="form-select" value={filtroImobiliaria} onChange={(e) => setFiltroImobiliaria(e.target.value)}>
+            <option value="">Todos os empreendimentos</option>
+            {imobiliarias.map(imobiliaria => (
+              <option key={imobiliaria.id} value={imobiliaria.id}>{imobiliaria.nome}</option>
+            ))}
+          </select>
+          <div style={{ display: 'flex' }}>
+            {VISOES.map(opcao => (
+              <button
+                key={opcao.value}
+                className={`btn btn-sm ${visao === opcao.value ? 'btn-primary' : 'btn-secondary'}`}
+                onClick={() => setVisao(opcao.value)}
+              >
+                {opcao.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <p style={{ fontSize: '0.8rem', color: '#6b7280', margin: '0 0 0.75rem' }}>
+        {carregando ? 'Carregando visitas...' : `${agendamentos.length} visita(s) no período. Arraste uma visita agendada para outro dia ou horário para reagendá-la.`}
+      </p>
+
+      <div className="table-container">
+        {visao === 'mes' ? (
+          <table className="calendario-grade calendario-mes">
+            <thead>
+              <tr>
+                {DIAS_DA_SEMANA.map(dia => <th key={dia}>{dia}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {Array.from({ length: dias.length / 7 }, (_, semana) => (
+                <tr key={semana}>
+                  {dias.slice(semana * 7, semana * 7 + 7).map(dia => {
+                    const data = paraTexto(dia);
+                    const visitas = visitasDoDia(dia);
+
+                    return (
+                      <td key={data} {...alvoDeSoltura(data, data, null)}>
+                        <button
+                          type="button"
+                          className={`calendario-dia-numero ${dia.getMonth() !== dataBase.getMonth() ? 'fora-do-mes' : ''}`}
+                          onClick={() => abrirDia(dia)}
+                        >
+                          {dia.getDate()}
+                        </button>
+                        {visitas.slice(0, VISITAS_POR_DIA_NO_MES).map(agendamento => renderVisita(agendamento, { compacta: true }))}
+                        {visitas.length > VISITAS_POR_DIA_NO_MES && (
+                          <button type="button" className="calendario-mais" onClick={() => abrirDia(dia)}>
+                            +{visitas.length - VISITAS_POR_DIA_NO_MES} visita(s)
+                          </button>
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <table className="calendario-grade">
+            <thead>
+              <tr>
+                <th style={{ width: '60px' }}></th>
+                {dias.map(dia => (
+                  <th key={paraTexto(dia)} className={paraTexto(dia) === hoje ? 'hoje' : ''}>
+                    <button type="button" className="calendario-dia-numero" onClick={() => abrirDia(dia)}>
+                      {DIAS_DA_SEMANA[dia.getDay()]} {dia.getDate()}/{dia.getMonth() + 1}
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {intervalos.map(intervalo => (
+                <tr key={intervalo}>
+                  <th className="calendario-hora">{intervalo.endsWith(':00') ? intervalo : ''}</th>
+                  {dias.map(dia => {
+                    const data = paraTexto(dia);
+
+                    return (
+                      <td key={data} {...alvoDeSoltura(`${data} ${intervalo}`, data, intervalo)}>
+                        {visitasDoDia(dia)
+                          .filter(agendamento => intervaloDoHorario(agendamento.horario) === intervalo)
+                          .map(agendamento => renderVisita(agendamento, { compacta: visao === 'semana' }))}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CalendarioVisitas;
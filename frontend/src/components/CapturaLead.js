@@ -85,29 +85,14 @@ const CapturaLead = () => {
     
     setLoading(true);
     
-    // Concatenar os melhores dias/horários e imobiliária à observação
-    let observacoesComDias = formData.observacoes || '';
-    if (formData.imobiliaria_preferida) {
-      observacoesComDias += `\nImobiliária de preferência: ${formData.imobiliaria_preferida}`;
-    }
-    if (formData.melhor_dia1) {
-      observacoesComDias += `\n1º Melhor dia/horário: ${formData.melhor_dia1}`;
-    }
-    if (formData.melhor_dia2) {
-      observacoesComDias += `\n2º Melhor dia/horário: ${formData.melhor_dia2}`;
-    }
-    const formDataToSend = {
-      ...formData,
-      observacoes: observacoesComDias
-    };
-
     try {
       const response = await fetch(`${config.API_BASE_URL}/leads/cadastro`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify(formDataToSend)
+        // Imobiliária e melhores dias/horários são gravados no lead e viram a sugestão de visita
+        body: JSON.stringify(formData)
       });
       
       const data = await response.json();
@@ -116,11 +101,13 @@ const CapturaLead = () => {
         navigate('/captura-sucesso', { 
           state: { 
             nome: data.nome,
-            message: data.message 
+            message: data.message,
+            tokenVisita: data.token_visita
           } 
         });
       } else {
-        setErrors({ general: data.error || 'Erro ao enviar cadastro' });
+        // Erros por campo vêm em data.campos e aparecem ao lado de cada input
+        setErrors(data.campos || { general: data.error || 'Erro ao enviar cadastro' });
       }
     } catch (error) {
       console.error('Erro no cadastro:', error);
@@ -5,7 +5,7 @@ import logoBrasao from '../images/logobrasao.png';
 const CapturaSucesso = () => {
   const location = useLocation();
   const navigate = useNavigate();
-  const { nome, message } = location.state || {};
+  const { nome, message, tokenVisita } = location.state || {};
 
   const handleWhatsApp = () => {
     const phoneNumber = '5541997233138'; // Número do WhatsApp da imobiliária
@@ -14,6 +14,11 @@ const CapturaSucesso = () => {
     window.open(url, '_blank');
   };
 
+  // Link de autoagendamento recebido no cadastro (só para cadastros novos)
+  const handleAgendar = () => {
+    navigate(`/agendar-visita/${tokenVisita}`);
+  };
+
   const handleVoltar = () => {
     navigate('/captura-lead');
   };
@@ -67,6 +72,18 @@ const CapturaSucesso = () => {
             </div>
           </div>
 
+          {tokenVisita && (
+            <div className="agendar-box">
+              <p>
+                Não quer esperar? Escolha o empreendimento e um horário livre e <strong>agende sua visita agora</strong>.
+              </p>
+              <button onClick={handleAgendar} className="agendar-btn">
+                <span className="btn-icon">📅</span>
+                Agendar Minha Visita
+              </button>
+            </div>
+          )}
+
           <div className="action-buttons">
             <button 
               onClick={handleWhatsApp}
@@ -271,6 +288,42 @@ const CapturaSucesso = () => {
           flex-wrap: wrap;
         }
 
+        .agendar-box {
+          background: #f0f4ff;
+          border: 2px solid #667eea;
+          border-radius: 12px;
+          padding: 20px;
+          margin-bottom: 25px;
+          text-align: center;
+        }
+
+        .agendar-box p {
+          color: #374151;
+          margin: 0 0 15px 0;
+          line-height: 1.5;
+        }
+
+        .agendar-btn {
+          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+          color: white;
+          border: none;
+          padding: 15px 25px;
+          border-radius: 12px;
+          font-size: 1rem;
+          font-weight: 700;
+          cursor: pointer;
+          transition: all 0.3s ease;
+          display: inline-flex;
+          align-items: center;
+          gap: 10px;
+          box-shadow: 0 4px 15px rgba(102, 126, 234, 0.4);
+        }
+
+        .agendar-btn:hover {
+          transform: translateY(-2px);
+          box-shadow: 0 6px 20px rgba(102, 126, 234, 0.5);
+        }
+
         .whatsapp-btn {
           background: linear-gradient(135deg, #25d366 0%, #128c7e 100%);
           color: white;
@@ -0,0 +1,192 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { formatarDataHora } from './HistoricoAlteracoes';
+
+// Avisos mostrados no sino (os mais recentes)
+const LIMITE_NOTIFICACOES = 20;
+
+// Espera antes de reabrir o canal em tempo real; onde a conexão longa não se mantém (ex.: Vercel),
+// cada reconexão recarrega a lista, o que funciona como consulta periódica
+const INTERVALO_RECONEXAO_MS = 15 * 1000;
+
+// Bloco "event: x\ndata: {...}" do canal (Server-Sent Events) -> { evento, dados }
+const lerEvento = (bloco) => {
+  let evento = 'message';
+  let dados = '';
+  bloco.split('\n').forEach(linha => {
+    if (linha.startsWith('event:')) evento = linha.slice(6).trim();
+    else if (linha.startsWith('data:')) dados += linha.slice(5).trim();
+  });
+  return dados ? { evento, dados: JSON.parse(dados) } : null;
+};
+
+// Sino do cabeçalho: total de não lidas e lista dos avisos, atualizados pelo canal GET /notificacoes/stream
+const CentralNotificacoes = () => {
+  const { makeRequest } = useAuth();
+  const navigate = useNavigate();
+  const [notificacoes, setNotificacoes] = useState([]);
+  const [naoLidas, setNaoLidas] = useState(0);
+  const [aberta, setAberta] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    let ativo = true;
+    let controller = null;
+    let timer = null;
+
+    const fetchNotificacoes = async () => {
+      try {
+        const response = await makeRequest(`/notificacoes?limite=${LIMITE_NOTIFICACOES}`);
+        const data = await response.json();
+
+        if (response.ok && ativo) {
+          setNotificacoes(data);
+        } else if (!response.ok) {
+          console.error('Erro ao carregar notificações:', data.error);
+        }
+      } catch (error) {
+        console.error('Erro ao carregar notificações:', error);
+      }
+    };
+
+    const tratarEvento = ({ evento, dados }) => {
+      if (evento === 'nao_lidas') {
+        // Início de cada conexão: total atualizado e lista recarregada (pode ter chegado aviso desconectado)
+        setNaoLidas(dados.total);
+        fetchNotificacoes();
+      } else if (evento === 'notificacao') {
+        setNotificacoes(atuais => [dados, ...atuais.filter(n => n.id !== dados.id)].slice(0, LIMITE_NOTIFICACOES));
+        setNaoLidas(total => total + 1);
+      }
+    };
+
+    // O token vai no header Authorization, então o canal é lido com fetch (EventSource não envia headers)
+    const conectar = async () => {
+      controller = new AbortController();
+      try {
+        const response = await makeRequest('/notificacoes/stream', { signal: controller.signal });
+        if (!response.ok || !response.body) throw new Error(`Status ${response.status}`);
+
+        const leitor = response.body.getReader();
+        const decodificador = new TextDecoder();
+        let pendente = '';
+
+        for (;;) {
+          const { value, done } = await leitor.read();
+          if (done) break;
+
+          pendente += decodificador.decode(value, { stream: true });
+          const blocos = pendente.split('\n\n');
+          pendente = blocos.pop();
+          blocos.map(lerEvento).filter(Boolean).forEach(tratarEvento);
+        }
+      } catch (error) {
+        if (!ativo) return;
+        console.error('Canal de notificações desconectado:', error);
+      }
+
+      if (ativo) timer = setTimeout(conectar, INTERVALO_RECONEXAO_MS);
+    };
+
+    conectar();
+
+    return () => {
+      ativo = false;
+      clearTimeout(timer);
+      if (controller) controller.abort();
+    };
+  }, [makeRequest]);
+
+  // Fecha ao clicar fora
+  useEffect(() => {
+    const fecharAoClicarFora = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setAberta(false);
+    };
+    document.addEventListener('mousedown', fecharAoClicarFora);
+    return () => document.removeEventListener('mousedown', fecharAoClicarFora);
+  }, []);
+
+  const abrir = async (notificacao) => {
+    setAberta(false);
+
+    if (!notificacao.lida) {
+      try {
+        const response = await makeRequest(`/notificacoes/${notificacao.id}/lida`, { method: 'PUT' });
+
+        if (response.ok) {
+          setNotificacoes(atuais => atuais.map(n => (n.id === notificacao.id ? { ...n, lida: true } : n)));
+          setNaoLidas(total => Math.max(total - 1, 0));
+        }
+      } catch (error) {
+        console.error('Erro ao marcar notificação:', error);
+      }
+    }
+
+    if (notificacao.link) navigate(notificacao.link);
+  };
+
+  const marcarTodasComoLidas = async () => {
+    try {
+      const response = await makeRequest('/notificacoes/lidas', { method: 'PUT' });
+
+      if (response.ok) {
+        setNotificacoes(atuais => atuais.map(n => ({ ...n, lida: true })));
+        setNaoLidas(0);
+      }
+    } catch (error) {
+      console.error('Erro ao marcar notificações:', error);
+    }
+  };
+
+  return (
+    <div className="central-notificacoes" ref={containerRef}>
+      <button
+        type="button"
+        className="central-notificacoes-sino"
+        title="Notificações"
+        onClick={() => setAberta(!aberta)}
+      >
+        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+          <path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9" />
+          <path d="M13.73 21a2 2 0 0 1-3.46 0" />
+        </svg>
+        {naoLidas > 0 && (
+          <span className="central-notificacoes-contador">{naoLidas > 99 ? '99+' : naoLidas}</span>
+        )}
+      </button>
+
+      {aberta && (
+        <div className="central-notificacoes-lista">
+          <div className="central-notificacoes-topo">
+            <strong>Notificações</strong>
+            {naoLidas > 0 && (
+              <button type="button" onClick={marcarTodasComoLidas}>
+                Marcar todas como lidas
+              </button>
+            )}
+          </div>
+
+          {notificacoes.length === 0 ? (
+            <p className="busca-global-vazio">Nenhuma notificação.</p>
+          ) : (
+            notificacoes.map(notificacao => (
+              <button
+                key={notificacao.id}
+                type="button"
+                className={`central-notificacoes-item ${notificacao.lida ? '' : 'nao-lida'}`}
+                onClick={() => abrir(notificacao)}
+              >
+                <strong>{notificacao.titulo}</strong>
+                {notificacao.mensagem && <span>{notificacao.mensagem}</span>}
+                <small>{formatarDataHora(notificacao.created_at)}</small>
+              </button>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CentralNotificacoes;
@@ -0,0 +1,884 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import Exportar from './Exportar';
+
+const tiposRegra = [
+  { value: 'percentual', label: '% do valor fechado' },
+  { value: 'fixo', label: 'Valor fixo por fechamento' },
+  { value: 'faixas', label: 'Faixas de valor' }
+];
+
+const statusComissao = {
+  a_pagar: { label: 'A pagar', classe: 'badge-warning' },
+  pago: { label: 'Pago', classe: 'badge-success' },
+  estornado: { label: 'Estornado', classe: 'badge-danger' }
+};
+
+const loteVazio = { periodo_inicio: '', periodo_fim: '', descricao: '' };
+
+const faixaVazia = { ate: '', modo: 'percentual', valor: '' };
+
+const formVazio = {
+  nome: '',
+  tipo: 'percentual',
+  percentual: '',
+  valor_fixo: '',
+  faixas: [{ ...faixaVazia }],
+  consultor_id: '',
+  imobiliaria_id: '',
+  ativo: true
+};
+
+const Comissoes = () => {
+  const { makeRequest } = useAuth();
+  const [activeTab, setActiveTab] = useState('comissoes');
+  const [comissoes, setComissoes] = useState([]);
+  const [regras, setRegras] = useState([]);
+  const [lotes, setLotes] = useState([]);
+  const [novoLote, setNovoLote] = useState(loteVazio);
+  const [fechamentos, setFechamentos] = useState([]);
+  const [consultores, setConsultores] = useState([]);
+  const [imobiliarias, setImobiliarias] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState('');
+  const [showModal, setShowModal] = useState(false);
+  const [editingRegra, setEditingRegra] = useState(null);
+  const [formData, setFormData] = useState(formVazio);
+
+  const fetchDados = useCallback(async () => {
+    try {
+      const [comissoesRes, regrasRes, lotesRes, fechamentosRes, consultoresRes, imobiliariasRes] = await Promise.all([
+        makeRequest('/comissoes'),
+        makeRequest('/regras-comissao'),
+        makeRequest('/lotes-pagamento'),
+        makeRequest('/fechamentos'),
+        makeRequest('/consultores'),
+        makeRequest('/imobiliarias')
+      ]);
+
+      const respostas = [comissoesRes, regrasRes, lotesRes, fechamentosRes, consultoresRes, imobiliariasRes];
+      const dadosRespostas = await Promise.all(respostas.map(r => r.json()));
+      const [comissoesData, regrasData, lotesData, fechamentosData, consultoresData, imobiliariasData] = dadosRespostas;
+
+      const erro = respostas.findIndex(r => !r.ok);
+      if (erro !== -1) {
+        const dados = dadosRespostas[erro];
+        setMessage('Erro ao carregar comissões: ' + dados.error);
+        return;
+      }
+
+      setComissoes(comissoesData);
+      setRegras(regrasData);
+      setLotes(lotesData);
+      setFechamentos(fechamentosData);
+      setConsultores(consultoresData);
+      setImobiliarias(imobiliariasData);
+    } catch (error) {
+      console.error('Erro ao carregar comissões:', error);
+      setMessage('Erro ao conectar com o servidor');
+    } finally {
+      setLoading(false);
+    }
+  }, [makeRequest]);
+
+  useEffect(() => {
+    fetchDados();
+  }, [fetchDados]);
+
+  const mostrarMensagem = (texto) => {
+    setMessage(texto);
+    setTimeout(() => setMessage(''), 3000);
+  };
+
+  const formatCurrency = (value) => {
+    return parseFloat(value || 0).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+  };
+
+  const formatarData = (data) => {
+    if (!data) return '-';
+    return new Date(data + 'T12:00:00').toLocaleDateString('pt-BR');
+  };
+
+  // Descrição curta da regra para a tabela
+  const descreverRegra = (regra) => {
+    if (regra.tipo === 'percentual') return `${regra.percentual}% do valor fechado`;
+    if (regra.tipo === 'fixo') return `${formatCurrency(regra.valor_fixo)} por fechamento`;
+    return (regra.faixas || []).map(f => {
+      const limite = f.ate === null ? 'acima' : `até ${formatCurrency(f.ate)}`;
+      const valor = f.percentual !== undefined ? `${f.percentual}%` : formatCurrency(f.valor_fixo);
+      return `${limite}: ${valor}`;
+    }).join(' | ');
+  };
+
+  const descreverAlcance = (regra) => {
+    if (regra.consultor_nome && regra.imobiliaria_nome) return `${regra.consultor_nome} em ${regra.imobiliaria_nome}`;
+    if (regra.consultor_nome) return `Corretor: ${regra.consultor_nome}`;
+    if (regra.imobiliaria_nome) return `Empreendimento: ${regra.imobiliaria_nome}`;
+    return 'Geral';
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData({
+      ...formData,
+      [name]: type === 'checkbox' ? checked : value
+    });
+  };
+
+  const handleFaixaChange = (index, campo, valor) => {
+    setFormData({
+      ...formData,
+      faixas: formData.faixas.map((faixa, i) => (i === index ? { ...faixa, [campo]: valor } : faixa))
+    });
+  };
+
+  const adicionarFaixa = () => {
+    setFormData({ ...formData, faixas: [...formData.faixas, { ...faixaVazia }] });
+  };
+
+  const removerFaixa = (index) => {
+    setFormData({ ...formData, faixas: formData.faixas.filter((_, i) => i !== index) });
+  };
+
+  const resetForm = () => {
+    setFormData(formVazio);
+    setEditingRegra(null);
+    setShowModal(false);
+  };
+
+  const handleEdit = (regra) => {
+    setEditingRegra(regra);
+    setFormData({
+      nome: regra.nome || '',
+      tipo: regra.tipo,
+      percentual: regra.percentual ?? '',
+      valor_fixo: regra.valor_fixo ?? '',
+      faixas: regra.tipo === 'faixas'
+        ? regra.faixas.map(f => ({
+          ate: f.ate ?? '',
+          modo: f.percentual !== undefined ? 'percentual' : 'fixo',
+          valor: f.percentual !== undefined ? f.percentual : f.valor_fixo
+        }))
+        : [{ ...faixaVazia }],
+      consultor_id: regra.consultor_id || '',
+      imobiliaria_id: regra.imobiliaria_id || '',
+      ativo: regra.ativo !== false
+    });
+    setShowModal(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const payload = {
+      ...formData,
+      faixas: formData.faixas.map(f => ({
+        ate: f.ate === '' ? null : f.ate,
+        ...(f.modo === 'percentual' ? { percentual: f.valor } : { valor_fixo: f.valor })
+      }))
+    };
+
+    try {
+      const response = await makeRequest(editingRegra ? `/regras-comissao/${editingRegra.id}` : '/regras-comissao', {
+        method: editingRegra ? 'PUT' : 'POST',
+        body: JSON.stringify(payload)
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        mostrarMensagem(data.message);
+        resetForm();
+        fetchDados();
+      } else {
+        setMessage('Erro ao salvar regra: ' + data.error);
+      }
+    } catch (error) {
+      console.error('Erro ao salvar regra:', error);
+      setMessage('Erro ao salvar regra');
+    }
+  };
+
+  const removerRegra = async (regra) => {
+    if (!window.confirm(`Remover a regra "${regra.nome}"? As comissões já calculadas não mudam.`)) return;
+
+    try {
+      const response = await makeRequest(`/regras-comissao/${regra.id}`, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (response.ok) {
+        mostrarMensagem(data.message);
+        fetchDados();
+      } else {
+        setMessage('Erro ao remover regra: ' + data.error);
+      }
+    } catch (error) {
+      console.error('Erro ao remover regra:', error);
+      setMessage('Erro ao remover regra');
+    }
+  };
+
+  const recalcular = async () => {
+    if (!window.confirm('Recalcular as comissões a pagar (fora de lote) de todos os fechamentos aprovados com as regras atuais?')) return;
+
+    try {
+      const response = await makeRequest('/comissoes/recalcular', { method: 'POST' });
+      const data = await response.json();
+
+      if (response.ok) {
+        mostrarMensagem(data.message);
+        fetchDados();
+      } else {
+        setMessage('Erro ao recalcular comissões: ' + data.error);
+      }
+    } catch (error) {
+      console.error('Erro ao recalcular comissões:', error);
+      setMessage('Erro ao recalcular comissões');
+    }
+  };
+
+  const alterarAprovacao = async (fechamento, acao) => {
+    try {
+      const response = await makeRequest(`/fechamentos/${fechamento.id}/${acao}`, { method: 'PUT' });
+      const data = await response.json();
+
+      if (response.ok) {
+        mostrarMensagem(data.comissao !== undefined && data.comissao !== null
+          ? `${data.message} Comissão: ${formatCurrency(data.comissao)}`
+          : data.message);
+        fetchDados();
+      } else {
+        setMessage('Erro ao atualizar fechamento: ' + data.error);
+      }
+    } catch (error) {
+      console.error('Erro ao atualizar fechamento:', error);
+      setMessage('Erro ao atualizar fechamento');
+    }
+  };
+
+  const estornar = async (comissao) => {
+    const motivo = window.prompt(`Estornar a comissão de ${formatCurrency(comissao.valor_comissao)} de ${comissao.consultor_nome || 'corretor'}? Informe o motivo:`);
+    if (motivo === null) return;
+
+    try {
+      const response = await makeRequest(`/comissoes/${comissao.id}/estornar`, {
+        method: 'PUT',
+        body: JSON.stringify({ motivo })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        mostrarMensagem(data.message);
+        fetchDados();
+      } else {
+        setMessage('Erro ao estornar comissão: ' + data.error);
+      }
+    } catch (error) {
+      console.error('Erro ao estornar comissão:', error);
+      setMessage('Erro ao estornar comissão');
+    }
+  };
+
+  // === LOTES DE PAGAMENTO ===
+  const criarLote = async (e) => {
+    e.preventDefault();
+
+    try {
+      const response = await makeRequest('/lotes-pagamento', {
+        method: 'POST',
+        body: JSON.stringify(novoLote)
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        mostrarMensagem(`${data.message}, ${formatCurrency(data.total)}`);
+        setNovoLote(loteVazio);
+        fetchDados();
+      } else {
+        setMessage('Erro ao criar lote: ' + data.error);
+      }
+    } catch (error) {
+      console.error('Erro ao criar lote:', error);
+      setMessage('Erro ao criar lote');
+    }
+  };
+
+  const alterarLote = async (lote, acao) => {
+    const confirmacao = acao === 'pagar'
+      ? `Confirmar o pagamento de ${formatCurrency(lote.total)} do lote "${lote.descricao}"?`
+      : `Cancelar o lote "${lote.descricao}"? As comissões voltam a ficar a pagar.`;
+    if (!window.confirm(confirmacao)) return;
+
+    try {
+      const response = await makeRequest(
+        acao === 'pagar' ? `/lotes-pagamento/${lote.id}/pagar` : `/lotes-pagamento/${lote.id}`,
+        { method: acao === 'pagar' ? 'PUT' : 'DELETE' }
+      );
+      const data = await response.json();
+
+      if (response.ok) {
+        mostrarMensagem(data.message);
+        fetchDados();
+      } else {
+        setMessage('Erro ao atualizar lote: ' + data.error);
+      }
+    } catch (error) {
+      console.error('Erro ao atualizar lote:', error);
+      setMessage('Erro ao atualizar lote');
+    }
+  };
+
+  // Baixar a planilha do lote (CSV com a chave PIX de cada corretor)
+  const exportarLote = async (lote) => {
+    try {
+      const response = await makeRequest(`/lotes-pagamento/${lote.id}/exportar`);
+
+      if (!response.ok) {
+        const data = await response.json();
+        setMessage('Erro ao exportar lote: ' + data.error);
+        return;
+      }
+
+      const url = window.URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `lote-pagamento-${lote.id}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Erro ao exportar lote:', error);
+      setMessage('Erro ao exportar lote');
+    }
+  };
+
+  const fechamentosPendentes = fechamentos.filter(f => !f.aprovado || f.aprovado === 'pendente');
+  const totalComissoes = comissoes
+    .filter(c => c.status !== 'estornado')
+    .reduce((acc, c) => acc + parseFloat(c.valor_comissao || 0), 0);
+  const comissoesForaDeLote = comissoes.filter(c => c.status === 'a_pagar' && !c.lote_id);
+
+  return (
+    <div>
+      <div className="page-header">
+        <h1 className="page-title">Comissões</h1>
+        <p className="page-subtitle">Regras, comissões por fechamento aprovado e lotes de pagamento</p>
+      </div>
+
+      {message && (
+        <div className={`alert ${message.includes('sucesso') ? 'alert-success' : 'alert-error'}`}>
+          {message}
+        </div>
+      )}
+
+      <div className="tabs">
+        <button
+          className={`tab ${activeTab === 'comissoes' ? 'active' : ''}`}
+          onClick={() => setActiveTab('comissoes')}
+        >
+          Comissões
+        </button>
+        <button
+          className={`tab ${activeTab === 'aprovacao' ? 'active' : ''}`}
+          onClick={() => setActiveTab('aprovacao')}
+          style={{ position: 'relative' }}
+        >
+          Aprovação de Fechamentos
+          {fechamentosPendentes.length > 0 && (
+            <span className="tab-badge">{fechamentosPendentes.length}</span>
+          )}
+        </button>
+        <button
+          className={`tab ${activeTab === 'lotes' ? 'active' : ''}`}
+          onClick={() => setActiveTab('lotes')}
+          style={{ position: 'relative' }}
+        >
+          Lotes de Pagamento
+          {comissoesForaDeLote.length > 0 && (
+            <span className="tab-badge">{comissoesForaDeLote.length}</span>
+          )}
+        </button>
+        <button
+          className={`tab ${activeTab === 'regras' ? 'active' : ''}`}
+          onClick={() => setActiveTab('regras')}
+        >
+          Regras
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="loading">
+          <div className="spinner"></div>
+        </div>
+      ) : (
+        <>
+          {activeTab === 'comissoes' && (
+            <div className="card">
+              <div className="card-header">
+                <h2 className="card-title">
+                  Comissões por Fechamento ({comissoes.length}) - {formatCurrency(totalComissoes)}
+                </h2>
+                <button className="btn btn-secondary" onClick={recalcular}>
+                  Recalcular a pagar
+                </button>
+              </div>
+
+              {comissoes.length === 0 ? (
+                <p style={{ textAlign: 'center', color: '#6b7280', padding: '2rem' }}>
+                  Nenhuma comissão calculada ainda. As comissões são geradas quando um fechamento é aprovado.
+                </p>
+              ) : (
+                <div className="table-container">
+                  <table className="table">
+                    <thead>
+                      <tr>
+                        <th>Data</th>
+                        <th>Corretor</th>
+                        <th>Cliente</th>
+                        <th>Empreendimento</th>
+                        <th>Valor Fechado</th>
+                        <th>Regra</th>
+                        <th>Cálculo</th>
+                        <th>Comissão</th>
+                        <th>Status</th>
+                        <th>Ações</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {comissoes.map(comissao => (
+                        <tr key={comissao.id}>
+                          <td>{formatarData(comissao.data_fechamento)}</td>
+                          <td><strong>{comissao.consultor_nome || '-'}</strong></td>
+                          <td>{comissao.cliente_nome || '-'}</td>
+                          <td>{comissao.imobiliaria_nome || '-'}</td>
+                          <td>{formatCurrency(comissao.valor_base)}</td>
+                          <td>{comissao.regra_nome}</td>
+                          <td style={{ fontSize: '0.8rem', color: '#6b7280' }}>
+                            {comissao.memoria_calculo?.calculo}
+                          </td>
+                          <td><strong style={{ color: '#059669' }}>{formatCurrency(comissao.valor_comissao)}</strong></td>
+                          <td>
+                            <span
+                              className={`badge ${statusComissao[comissao.status]?.classe || 'badge-info'}`}
+                              title={comissao.motivo_estorno || ''}
+                            >
+                              {statusComissao[comissao.status]?.label || comissao.status}
+                            </span>
+                          </td>
+                          <td>
+                            {comissao.status !== 'estornado' && (
+                              <button className="btn btn-secondary btn-sm" onClick={() => estornar(comissao)}>
+                                Estornar
+                              </button>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+
+          {activeTab === 'aprovacao' && (
+            <div className="card">
+              <div className="card-header">
+                <h2 className="card-title">Fechamentos aguardando aprovação ({fechamentosPendentes.length})</h2>
+                <Exportar
+                  caminho="/fechamentos/exportar"
+                  arquivo="fechamentos-pendentes"
+                  filtros={{ aprovado: 'pendente', ordenar: 'data_fechamento', direcao: 'asc' }}
+                  onErro={setMessage}
+                />
+              </div>
+
+              {fechamentosPendentes.length === 0 ? (
+                <p style={{ textAlign: 'center', color: '#6b7280', padding: '2rem' }}>
+                  Nenhum fechamento pendente de aprovação.
+                </p>
+              ) : (
+                <div className="table-container">
+                  <table className="table">
+                    <thead>
+                      <tr>
+                        <th>Data</th>
+                        <th>Cliente</th>
+                        <th>Corretor</th>
+                        <th>Empreendimento</th>
+                        <th>Valor Fechado</th>
+                        <th>Ações</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {fechamentosPendentes.map(fechamento => (
+                        <tr key={fechamento.id}>
+                          <td>{formatarData(fechamento.data_fechamento)}</td>
+                          <td><strong>{fechamento.cliente_nome || '-'}</strong></td>
+                          <td>{fechamento.consultor_nome || '-'}</td>
+                          <td>{fechamento.imobiliaria_nome || '-'}</td>
+                          <td>{formatCurrency(fechamento.valor_fechado)}</td>
+                          <td>
+                            <div style={{ display: 'flex', gap: '0.5rem' }}>
+                              <button
+                                className="btn btn-success btn-sm"
+                                onClick={() => alterarAprovacao(fechamento, 'aprovar')}
+                              >
+                                Aprovar
+                              </button>
+                              <button
+                                className="btn btn-danger btn-sm"
+                                onClick={() => alterarAprovacao(fechamento, 'reprovar')}
+                              >
+                                Reprovar
+                              </button>
+                            </div>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+
+          {activeTab === 'lotes' && (
+            <div className="card">
+              <div className="card-header">
+                <h2 className="card-title">Lotes de Pagamento</h2>
+              </div>
+
+              <form onSubmit={criarLote} style={{ display: 'flex', gap: '1rem', alignItems: 'flex-end', flexWrap: 'wrap', padding: '0 1.5rem' }}>
+                <div className="form-group">
+                  <label className="form-label">Fechamentos de *</label>
+                  <input
+                    type="date"
+                    className="form-input"
+                    value={novoLote.periodo_inicio}
+                    onChange={(e) => setNovoLote({ ...novoLote, periodo_inicio: e.target.value })}
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label className="form-label">Até *</label>
+                  <input
+                    type="date"
+                    className="form-input"
+                    value={novoLote.periodo_fim}
+                    onChange={(e) => setNovoLote({ ...novoLote, periodo_fim: e.target.value })}
+                    required
+                  />
+                </div>
+                <div className="form-group" style={{ flex: 1, minWidth: '200px' }}>
+                  <label className="form-label">Descrição</label>
+                  <input
+                    type="text"
+                    className="form-input"
+                    value={novoLote.descricao}
+                    onChange={(e) => setNovoLote({ ...novoLote, descricao: e.target.value })}
+                    placeholder="Ex: Comissões de setembro"
+                  />
+                </div>
+                <div className="form-group">
+                  <button type="submit" className="btn btn-primary">Gerar lote</button>
+                </div>
+              </form>
+
+              <p style={{ color: '#6b7280', fontSize: '0.875rem', padding: '0 1.5rem' }}>
+                O lote reúne as comissões a pagar dos fechamentos do período que ainda não estão em outro lote
+                ({comissoesForaDeLote.length} hoje). Exporte a planilha com a chave PIX de cada corretor e marque o lote como pago após as transferências.
+              </p>
+
+              {lotes.length === 0 ? (
+                <p style={{ textAlign: 'center', color: '#6b7280', padding: '2rem' }}>
+                  Nenhum lote de pagamento gerado ainda.
+                </p>
+              ) : (
+                <div className="table-container">
+                  <table className="table">
+                    <thead>
+                      <tr>
+                        <th>Lote</th>
+                        <th>Período</th>
+                        <th>Comissões</th>
+                        <th>Corretores</th>
+                        <th>Total</th>
+                        <th>Status</th>
+                        <th>Ações</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {lotes.map(lote => (
+                        <tr key={lote.id}>
+                          <td><strong>{lote.descricao}</strong></td>
+                          <td>{formatarData(lote.periodo_inicio)} a {formatarData(lote.periodo_fim)}</td>
+                          <td>{lote.quantidade}</td>
+                          <td>{lote.consultores}</td>
+                          <td><strong style={{ color: '#059669' }}>{formatCurrency(lote.total)}</strong></td>
+                          <td>
+                            <span className={`badge ${lote.status === 'pago' ? 'badge-success' : 'badge-warning'}`}>
+                              {lote.status === 'pago'
+                                ? `Pago em ${new Date(lote.pago_em).toLocaleDateString('pt-BR')}`
+                                : 'Aberto'}
+                            </span>
+                          </td>
+                          <td>
+                            <div style={{ display: 'flex', gap: '0.5rem' }}>
+                              <button className="btn btn-secondary btn-sm" onClick={() => exportarLote(lote)}>
+                                Exportar CSV
+                              </button>
+                              {lote.status !== 'pago' && (
+                                <>
+                                  <button className="btn btn-success btn-sm" onClick={() => alterarLote(lote, 'pagar')}>
+                                    Marcar pago
+                                  </button>
+                                  <button className="btn btn-danger btn-sm" onClick={() => alterarLote(lote, 'cancelar')}>
+                                    Cancelar
+                                  </button>
+                                </>
+                              )}
+                            </div>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+
+          {activeTab === 'regras' && (
+            <div className="card">
+              <div className="card-header">
+                <h2 className="card-title">Regras de Comissão</h2>
+                <button className="btn btn-primary" onClick={() => setShowModal(true)}>
+                  <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <path d="M12 5v14M5 12h14" />
+                  </svg>
+                  Nova Regra
+                </button>
+              </div>
+
+              <p style={{ color: '#6b7280', fontSize: '0.875rem', padding: '0 1.5rem' }}>
+                Vale a regra ativa mais específica: corretor + empreendimento, depois corretor, depois empreendimento e por último a geral.
+              </p>
+
+              {regras.length === 0 ? (
+                <p style={{ textAlign: 'center', color: '#6b7280', padding: '2rem' }}>
+                  Nenhuma regra cadastrada. Sem regra, os fechamentos aprovados não geram comissão.
+                </p>
+              ) : (
+                <div className="table-container">
+                  <table className="table">
+                    <thead>
+                      <tr>
+                        <th>Nome</th>
+                        <th>Aplica-se a</th>
+                        <th>Cálculo</th>
+                        <th>Status</th>
+                        <th>Ações</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {regras.map(regra => (
+                        <tr key={regra.id}>
+                          <td><strong>{regra.nome}</strong></td>
+                          <td>{descreverAlcance(regra)}</td>
+                          <td>{descreverRegra(regra)}</td>
+                          <td>
+                            <span className={`badge ${regra.ativo ? 'badge-success' : 'badge-danger'}`}>
+                              {regra.ativo ? 'Ativa' : 'Inativa'}
+                            </span>
+                          </td>
+                          <td>
+                            <div style={{ display: 'flex', gap: '0.5rem' }}>
+                              <button onClick={() => handleEdit(regra)} className="btn-action" title="Editar">
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                  <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7" />
+                                  <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z" />
+                                </svg>
+                              </button>
+                              <button onClick={() => removerRegra(regra)} className="btn-action" title="Remover">
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                  <polyline points="3 6 5 6 21 6" />
+                                  <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2" />
+                                </svg>
+                              </button>
+                            </div>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+        </>
+      )}
+
+      {/* Modal de Cadastro/Edição de Regra */}
+      {showModal && (
+        <div className="modal-overlay">
+          <div className="modal">
+            <div className="modal-header">
+              <h2 className="modal-title">
+                {editingRegra ? 'Editar Regra de Comissão' : 'Nova Regra de Comissão'}
+              </h2>
+              <button className="close-btn" onClick={resetForm}>
+                ×
+              </button>
+            </div>
+
+            <form onSubmit={handleSubmit}>
+              <div className="form-group">
+                <label className="form-label">Nome *</label>
+                <input
+                  type="text"
+                  name="nome"
+                  className="form-input"
+                  value={formData.nome}
+                  onChange={handleInputChange}
+                  placeholder="Ex: 2% nos lançamentos"
+                  required
+                />
+              </div>
+
+              <div className="form-group">
+                <label className="form-label">Tipo *</label>
+                <select name="tipo" className="form-select" value={formData.tipo} onChange={handleInputChange}>
+                  {tiposRegra.map(tipo => (
+                    <option key={tipo.value} value={tipo.value}>{tipo.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              {formData.tipo === 'percentual' && (
+                <div className="form-group">
+                  <label className="form-label">Percentual (%) *</label>
+                  <input
+                    type="number"
+                    name="percentual"
+                    className="form-input"
+                    value={formData.percentual}
+                    onChange={handleInputChange}
+                    step="0.01"
+                    min="0.01"
+                    max="100"
+                    required
+                  />
+                </div>
+              )}
+
+              {formData.tipo === 'fixo' && (
+                <div className="form-group">
+                  <label className="form-label">Valor por fechamento (R$) *</label>
+                  <input
+                    type="number"
+                    name="valor_fixo"
+                    className="form-input"
+                    value={formData.valor_fixo}
+                    onChange={handleInputChange}
+                    step="0.01"
+                    min="0.01"
+                    required
+                  />
+                </div>
+              )}
+
+              {formData.tipo === 'faixas' && (
+                <div className="form-group">
+                  <label className="form-label">Faixas de valor fechado *</label>
+                  {formData.faixas.map((faixa, index) => (
+                    <div key={index} style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.5rem', alignItems: 'center' }}>
+                      <input
+                        type="number"
+                        className="form-input"
+                        value={faixa.ate}
+                        onChange={(e) => handleFaixaChange(index, 'ate', e.target.value)}
+                        placeholder="Até R$ (vazio = acima)"
+                        step="0.01"
+                        min="0.01"
+                      />
+                      <select
+                        className="form-select"
+                        value={faixa.modo}
+                        onChange={(e) => handleFaixaChange(index, 'modo', e.target.value)}
+                      >
+                        <option value="percentual">%</option>
+                        <option value="fixo">R$</option>
+                      </select>
+                      <input
+                        type="number"
+                        className="form-input"
+                        value={faixa.valor}
+                        onChange={(e) => handleFaixaChange(index, 'valor', e.target.value)}
+                        placeholder={faixa.modo === 'percentual' ? 'Percentual' : 'Valor'}
+                        step="0.01"
+                        min="0.01"
+                        required
+                      />
+                      {formData.faixas.length > 1 && (
+                        <button type="button" className="btn-action" onClick={() => removerFaixa(index)} title="Remover faixa">
+                          ×
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                  <button type="button" className="btn btn-secondary btn-sm" onClick={adicionarFaixa}>
+                    + Adicionar faixa
+                  </button>
+                  <small style={{ display: 'block', color: '#6b7280', fontSize: '0.75rem', marginTop: '0.5rem' }}>
+                    O fechamento usa a primeira faixa cujo limite seja maior ou igual ao valor fechado
+                  </small>
+                </div>
+              )}
+
+              <div className="grid grid-2">
+                <div className="form-group">
+                  <label className="form-label">Corretor</label>
+                  <select name="consultor_id" className="form-select" value={formData.consultor_id} onChange={handleInputChange}>
+                    <option value="">Todos</option>
+                    {consultores.map(consultor => (
+                      <option key={consultor.id} value={consultor.id}>{consultor.nome}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="form-group">
+                  <label className="form-label">Empreendimento</label>
+                  <select name="imobiliaria_id" className="form-select" value={formData.imobiliaria_id} onChange={handleInputChange}>
+                    <option value="">Todos</option>
+                    {imobiliarias.map(imobiliaria => (
+                      <option key={imobiliaria.id} value={imobiliaria.id}>{imobiliaria.nome}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer' }}>
+                  <input type="checkbox" name="ativo" checked={formData.ativo} onChange={handleInputChange} />
+                  Regra ativa
+                </label>
+              </div>
+
+              <div style={{ display: 'flex', gap: '1rem', justifyContent: 'flex-end' }}>
+                <button type="button" className="btn btn-secondary" onClick={resetForm}>
+                  Cancelar
+                </button>
+                <button type="submit" className="btn btn-primary">
+                  {editingRegra ? 'Atualizar Regra' : 'Cadastrar Regra'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Comissoes;
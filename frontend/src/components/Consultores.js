@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '../contexts/AuthContext';
+import Exportar from './Exportar';
 
 const Consultores = () => {
   const { makeRequest, isAdmin } = useAuth();
@@ -8,6 +9,7 @@ const Consultores = () => {
   const [editingConsultor, setEditingConsultor] = useState(null);
   const [loading, setLoading] = useState(true);
   const [message, setMessage] = useState('');
+  const [erros, setErros] = useState({});
   const [showSenhaModal, setShowSenhaModal] = useState(false);
   const [consultorSenha, setConsultorSenha] = useState(null);
   const [showPixModal, setShowPixModal] = useState(false);
@@ -17,7 +19,8 @@ const Consultores = () => {
     telefone: '',
     email: '',
     senha: '',
-    pix: ''
+    pix: '',
+    capacidade_leads: 1
   });
 
   const fetchConsultores = useCallback(async () => {
@@ -63,6 +66,7 @@ const Consultores = () => {
       
       if (response.ok) {
         setMessage(editingConsultor ? 'Corretor atualizado com sucesso!' : 'Corretor cadastrado com sucesso!');
+        setErros({});
         setShowModal(false);
         setEditingConsultor(null);
         setFormData({
@@ -70,10 +74,13 @@ const Consultores = () => {
           telefone: '',
           email: '',
           senha: '',
-          pix: ''
+          pix: '',
+          capacidade_leads: 1
         });
         fetchConsultores();
         setTimeout(() => setMessage(''), 3000);
+      } else if (data.campos) {
+        setErros(data.campos);
       } else {
         setMessage('Erro ao salvar corretor: ' + data.error);
       }
@@ -90,7 +97,8 @@ const Consultores = () => {
       telefone: consultor.telefone || '',
       email: consultor.email || '',
       senha: consultor.senha || '',
-      pix: consultor.pix || ''
+      pix: consultor.pix || '',
+      capacidade_leads: consultor.capacidade_leads ?? 1
     });
     setShowModal(true);
   };
@@ -100,6 +108,9 @@ const Consultores = () => {
       ...formData,
       [e.target.name]: e.target.value
     });
+    if (erros[e.target.name]) {
+      setErros(prev => ({ ...prev, [e.target.name]: '' }));
+    }
   };
 
   const formatarData = (data) => {
@@ -151,8 +162,10 @@ const Consultores = () => {
       telefone: '',
       email: '',
       senha: '',
-      pix: ''
+      pix: '',
+      capacidade_leads: 1
     });
+    setErros({});
     setEditingConsultor(null);
     setShowModal(false);
   };
@@ -252,15 +265,18 @@ const Consultores = () => {
       <div className="card">
         <div className="card-header">
           <h2 className="card-title">Equipe de Corretores</h2>
-          <button 
-            className="btn btn-primary"
-            onClick={() => setShowModal(true)}
-          >
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-              <path d="M12 5v14M5 12h14" />
-            </svg>
-            Novo Corretor
-          </button>
+          <div style={{ display: 'flex', gap: '1rem', alignItems: 'center' }}>
+            <Exportar caminho="/consultores/exportar" arquivo="corretores" onErro={setMessage} />
+            <button 
+              className="btn btn-primary"
+              onClick={() => setShowModal(true)}
+            >
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M12 5v14M5 12h14" />
+              </svg>
+              Novo Corretor
+            </button>
+          </div>
         </div>
 
         {loading ? (
@@ -398,13 +414,14 @@ const Consultores = () => {
                 <input
                   type="text"
                   name="nome"
-                  className="form-input"
+                  className={`form-input ${erros.nome ? 'error' : ''}`}
                   value={formData.nome}
                   onChange={handleInputChange}
                   placeholder="Digite o nome do corretor"
                   required
                   autoComplete="off"
                 />
+                {erros.nome && <span className="field-error">{erros.nome}</span>}
               </div>
 
               <div className="form-group">
@@ -412,12 +429,13 @@ const Consultores = () => {
                 <input
                   type="tel"
                   name="telefone"
-                  className="form-input"
+                  className={`form-input ${erros.telefone ? 'error' : ''}`}
                   value={formData.telefone}
                   onChange={handleInputChange}
                   placeholder="(11) 99999-9999"
                   autoComplete="off"
                 />
+                {erros.telefone && <span className="field-error">{erros.telefone}</span>}
               </div>
 
               <div className="form-group">
@@ -425,13 +443,14 @@ const Consultores = () => {
                 <input
                   type="email"
                   name="email"
-                  className="form-input"
+                  className={`form-input ${erros.email ? 'error' : ''}`}
                   value={formData.email}
                   onChange={handleInputChange}
                   placeholder="corretor@email.com"
                   required
                   autoComplete="off"
                 />
+                {erros.email && <span className="field-error">{erros.email}</span>}
                 <small style={{ color: '#6b7280', fontSize: '0.75rem' }}>
                   Email que será usado para fazer login no sistema
                 </small>
@@ -442,12 +461,13 @@ const Consultores = () => {
                 <input
                   type="password"
                   name="senha"
-                  className="form-input"
+                  className={`form-input ${erros.senha ? 'error' : ''}`}
                   value={formData.senha}
                   onChange={handleInputChange}
                   placeholder="Digite a senha do corretor"
                   autoComplete="new-password"
                 />
+                {erros.senha && <span className="field-error">{erros.senha}</span>}
                 <small style={{ color: '#6b7280', fontSize: '0.75rem' }}>
                   Senha para acesso ao sistema
                 </small>
@@ -458,17 +478,35 @@ const Consultores = () => {
                 <input
                   type="text"
                   name="pix"
-                  className="form-input"
+                  className={`form-input ${erros.pix ? 'error' : ''}`}
                   value={formData.pix}
                   onChange={handleInputChange}
                   placeholder="CPF, Email, Telefone ou Chave Aleatória"
                   autoComplete="off"
                 />
+                {erros.pix && <span className="field-error">{erros.pix}</span>}
                 <small style={{ color: '#6b7280', fontSize: '0.75rem' }}>
                   Chave PIX para recebimento de comissões
                 </small>
               </div>
 
+              <div className="form-group">
+                <label className="form-label">Capacidade de Leads</label>
+                <input
+                  type="number"
+                  name="capacidade_leads"
+                  className={`form-input ${erros.capacidade_leads ? 'error' : ''}`}
+                  value={formData.capacidade_leads}
+                  onChange={handleInputChange}
+                  min="0"
+                  step="1"
+                />
+                {erros.capacidade_leads && <span className="field-error">{erros.capacidade_leads}</span>}
+                <small style={{ color: '#6b7280', fontSize: '0.75rem' }}>
+                  Peso no rodízio de novos leads (2 recebe o dobro de 1; 0 não recebe leads)
+                </small>
+              </div>
+
               <div style={{ display: 'flex', gap: '1rem', justifyContent: 'flex-end' }}>
                 <button 
                   type="button"
@@ -31,21 +31,23 @@ const Dashboard = () => {
 
 
 
-  const calcularComissao = () => {
-    return 5000; // R$ 5.000 por fechamento
-  };
-
   const fetchStats = async () => {
     try {
-      const [indicacoesRes, agendamentosRes, consultoresRes] = await Promise.all([
+      const [indicacoesRes, agendamentosRes, consultoresRes, fechamentosRes, comissoesRes] = await Promise.all([
         makeRequest('/clientes'),
         makeRequest('/agendamentos'),
-        makeRequest('/consultores')
+        makeRequest('/consultores'),
+        makeRequest('/fechamentos'),
+        makeRequest('/comissoes')
       ]);
 
       const indicacoes = await indicacoesRes.json();
       const agendamentos = await agendamentosRes.json();
       const consultores = await consultoresRes.json();
+      // Fechamentos reprovados não entram nas contas
+      const fechamentos = (await fechamentosRes.json()).filter(f => f.aprovado !== 'reprovado');
+      // Comissões calculadas no backend para os fechamentos aprovados
+      const comissoes = await comissoesRes.json();
 
       const hoje = new Date();
       const hojeStr = hoje.toISOString().split('T')[0];
@@ -103,10 +105,14 @@ const Dashboard = () => {
         return data >= dataInicio && data <= dataFim;
       }).length : agendamentos.length;
 
-      const fechamentosPeriodo = dataInicio ? agendamentos.filter(a => {
-        const data = new Date(a.data_agendamento);
-        return a.status === 'fechado' && data >= dataInicio && data <= dataFim;
-      }).length : agendamentos.filter(a => a.status === 'fechado').length;
+      const dataDoFechamento = (f) => new Date(f.data_fechamento + 'T12:00:00'); // Forçar meio-dia para evitar timezone
+
+      const fechamentosNoPeriodo = dataInicio ? fechamentos.filter(f => {
+        const data = dataDoFechamento(f);
+        return data >= dataInicio && data <= dataFim;
+      }) : fechamentos;
+      const fechamentosPeriodo = fechamentosNoPeriodo.length;
+      const valorPeriodo = fechamentosNoPeriodo.reduce((acc, f) => acc + parseFloat(f.valor_fechado || 0), 0);
 
       const novosLeadsPeriodo = dataInicio ? indicacoes.filter(p => {
         const data = new Date(p.created_at);
@@ -167,25 +173,36 @@ const Dashboard = () => {
         }
       });
 
-      // Calcular fechamentos baseado em agendamentos com status "fechado"
-      const agendamentosFechados = agendamentos.filter(a => a.status === 'fechado');
-      const valorTotal = agendamentosFechados.length * 5000; // R$ 5.000 por fechamento
-      
-      agendamentosFechados.forEach(a => {
-        if (a.consultor_nome && consultoresMap[a.consultor_nome]) {
-          consultoresMap[a.consultor_nome].totalFechamentos++;
-          consultoresMap[a.consultor_nome].valorFechado += 5000; // R$ 5.000 por fechamento
-          
-          const comissao = calcularComissao(); // R$ 5.000 por fechamento
-          consultoresMap[a.consultor_nome].comissaoTotal += comissao;
-          comissaoTotalGeral += comissao;
-
-          // Verificar se é do mês atual
-          const dataFechamento = new Date(a.data_agendamento);
-          if (dataFechamento.getMonth() === mesAtual && dataFechamento.getFullYear() === anoAtual) {
-            consultoresMap[a.consultor_nome].valorFechadoMes += 5000;
-            consultoresMap[a.consultor_nome].comissaoMes += comissao;
-            comissaoTotalMes += comissao;
+      const doMesAtual = (f) => {
+        const dataFechamento = dataDoFechamento(f);
+        return dataFechamento.getMonth() === mesAtual && dataFechamento.getFullYear() === anoAtual;
+      };
+
+      // Fechamentos pelo valor_fechado registrado
+      const valorTotal = fechamentos.reduce((acc, f) => acc + parseFloat(f.valor_fechado || 0), 0);
+
+      fechamentos.forEach(f => {
+        if (f.consultor_nome && consultoresMap[f.consultor_nome]) {
+          const valor = parseFloat(f.valor_fechado || 0);
+          consultoresMap[f.consultor_nome].totalFechamentos++;
+          consultoresMap[f.consultor_nome].valorFechado += valor;
+          if (doMesAtual(f)) {
+            consultoresMap[f.consultor_nome].valorFechadoMes += valor;
+          }
+        }
+      });
+
+      // Comissões gravadas por fechamento aprovado, conforme as regras de comissão (sem as estornadas)
+      comissoes.filter(c => c.status !== 'estornado').forEach(c => {
+        const valor = parseFloat(c.valor_comissao || 0);
+        comissaoTotalGeral += valor;
+        if (doMesAtual(c)) {
+          comissaoTotalMes += valor;
+        }
+        if (c.consultor_nome && consultoresMap[c.consultor_nome]) {
+          consultoresMap[c.consultor_nome].comissaoTotal += valor;
+          if (doMesAtual(c)) {
+            consultoresMap[c.consultor_nome].comissaoMes += valor;
           }
         }
       });
@@ -195,7 +212,7 @@ const Dashboard = () => {
       setStats({
         totalIndicacoes: indicacoes.length,
         totalAgendamentos: agendamentos.length,
-        totalFechamentos: agendamentosFechados.length,
+        totalFechamentos: fechamentos.length,
         valorTotalFechamentos: valorTotal,
         agendamentosHoje,
         leadsPorStatus,
@@ -204,7 +221,7 @@ const Dashboard = () => {
         comissaoTotalGeral,
         agendamentosPeriodo,
         fechamentosPeriodo: fechamentosPeriodo,
-        valorPeriodo: valorTotal,
+        valorPeriodo,
         novosLeadsPeriodo,
         estatisticasPorDia
       });
@@ -0,0 +1,545 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+const formVazio = {
+  nome: '',
+  estado: '',
+  cidade: '',
+  imobiliaria_id: '',
+  consultores: [],
+  ativo: true
+};
+
+const rotulosOrigem = {
+  cadastro_publico: 'Formulário público',
+  cadastro_interno: 'Cadastro interno',
+  importacao: 'Importação',
+  meta_ads: 'Meta Ads',
+  manual: 'Manual',
+  sla: 'Prazo de contato vencido'
+};
+
+const DistribuicaoLeads = () => {
+  const { makeRequest } = useAuth();
+  const [activeTab, setActiveTab] = useState('regras');
+  const [regras, setRegras] = useState([]);
+  const [distribuicoes, setDistribuicoes] = useState([]);
+  const [violacoes, setViolacoes] = useState([]);
+  const [horasPrazo, setHorasPrazo] = useState(null);
+  const [consultores, setConsultores] = useState([]);
+  const [imobiliarias, setImobiliarias] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState('');
+  const [showModal, setShowModal] = useState(false);
+  const [editingRegra, setEditingRegra] = useState(null);
+  const [formData, setFormData] = useState(formVazio);
+
+  const fetchDados = useCallback(async () => {
+    try {
+      const [regrasRes, distribuicoesRes, violacoesRes, consultoresRes, imobiliariasRes] = await Promise.all([
+        makeRequest('/regras-distribuicao'),
+        makeRequest('/distribuicoes-lead'),
+        makeRequest('/sla-contato/violacoes'),
+        makeRequest('/consultores'),
+        makeRequest('/imobiliarias')
+      ]);
+
+      const respostas = [regrasRes, distribuicoesRes, violacoesRes, consultoresRes, imobiliariasRes];
+      const dadosRespostas = await Promise.all(respostas.map(r => r.json()));
+      const [regrasData, distribuicoesData, violacoesData, consultoresData, imobiliariasData] = dadosRespostas;
+
+      const erro = respostas.findIndex(r => !r.ok);
+      if (erro !== -1) {
+        setMessage('Erro ao carregar distribuição: ' + dadosRespostas[erro].error);
+        return;
+      }
+
+      setRegras(regrasData);
+      setDistribuicoes(distribuicoesData);
+      setViolacoes(violacoesData.violacoes);
+      setHorasPrazo(violacoesData.horas_prazo);
+      setConsultores(consultoresData);
+      setImobiliarias(imobiliariasData);
+    } catch (error) {
+      console.error('Erro ao carregar distribuição:', error);
+      setMessage('Erro ao conectar com o servidor');
+    } finally {
+      setLoading(false);
+    }
+  }, [makeRequest]);
+
+  useEffect(() => {
+    fetchDados();
+  }, [fetchDados]);
+
+  const mostrarMensagem = (texto) => {
+    setMessage(texto);
+    setTimeout(() => setMessage(''), 3000);
+  };
+
+  const formatarDataHora = (data) => {
+    if (!data) return '-';
+    // Datas gravadas em UTC; o banco pode devolvê-las sem o fuso
+    const iso = /(Z|[+-]\d{2}:?\d{2})$/.test(data) ? data : data.replace(' ', 'T') + 'Z';
+    return new Date(iso).toLocaleString('pt-BR');
+  };
+
+  // Corretores ativos que recebem leads (capacidade maior que 0)
+  const corretoresNoRodizio = consultores.filter(c => c.ativo !== false && (c.capacidade_leads ?? 1) > 0);
+
+  const descreverTerritorio = (regra) => {
+    const partes = [
+      regra.imobiliaria_nome ? `Empreendimento: ${regra.imobiliaria_nome}` : null,
+      regra.cidade ? `Cidade: ${regra.cidade}` : null,
+      regra.estado ? `Estado: ${regra.estado}` : null
+    ].filter(Boolean);
+    return partes.length > 0 ? partes.join(' | ') : 'Geral (qualquer lead)';
+  };
+
+  const descreverCorretores = (regra) => {
+    if (!regra.consultores?.length) return 'Todos os corretores ativos';
+    return regra.consultores
+      .map(id => consultores.find(c => c.id === id))
+      .filter(Boolean)
+      .map(c => `${c.nome} (${c.capacidade_leads ?? 1})`)
+      .join(', ');
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData({
+      ...formData,
+      [name]: type === 'checkbox' ? checked : value
+    });
+  };
+
+  const alternarCorretor = (consultorId) => {
+    setFormData({
+      ...formData,
+      consultores: formData.consultores.includes(consultorId)
+        ? formData.consultores.filter(id => id !== consultorId)
+        : [...formData.consultores, consultorId]
+    });
+  };
+
+  const resetForm = () => {
+    setFormData(formVazio);
+    setEditingRegra(null);
+    setShowModal(false);
+  };
+
+  const handleEdit = (regra) => {
+    setEditingRegra(regra);
+    setFormData({
+      nome: regra.nome || '',
+      estado: regra.estado || '',
+      cidade: regra.cidade || '',
+      imobiliaria_id: regra.imobiliaria_id || '',
+      consultores: regra.consultores || [],
+      ativo: regra.ativo !== false
+    });
+    setShowModal(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      const response = await makeRequest(editingRegra ? `/regras-distribuicao/${editingRegra.id}` : '/regras-distribuicao', {
+        method: editingRegra ? 'PUT' : 'POST',
+        body: JSON.stringify(formData)
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        mostrarMensagem(data.message);
+        resetForm();
+        fetchDados();
+      } else {
+        setMessage('Erro ao salvar regra: ' + data.error);
+      }
+    } catch (error) {
+      console.error('Erro ao salvar regra:', error);
+      setMessage('Erro ao salvar regra');
+    }
+  };
+
+  const removerRegra = async (regra) => {
+    if (!window.confirm(`Remover a regra "${regra.nome}"? O histórico de distribuição não muda.`)) return;
+
+    try {
+      const response = await makeRequest(`/regras-distribuicao/${regra.id}`, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (response.ok) {
+        mostrarMensagem(data.message);
+        fetchDados();
+      } else {
+        setMessage('Erro ao remover regra: ' + data.error);
+      }
+    } catch (error) {
+      console.error('Erro ao remover regra:', error);
+      setMessage('Erro ao remover regra');
+    }
+  };
+
+  const verificarPrazos = async () => {
+    try {
+      const response = await makeRequest('/sla-contato/verificar', { method: 'POST' });
+      const data = await response.json();
+
+      if (response.ok) {
+        mostrarMensagem(data.message);
+        fetchDados();
+      } else {
+        setMessage('Erro ao verificar prazos: ' + data.error);
+      }
+    } catch (error) {
+      console.error('Erro ao verificar prazos:', error);
+      setMessage('Erro ao verificar prazos');
+    }
+  };
+
+  const distribuirPendentes = async () => {
+    if (!window.confirm('Distribuir agora os leads que estão em Novos Leads, pelas regras atuais?')) return;
+
+    try {
+      const response = await makeRequest('/novos-leads/distribuir', { method: 'POST' });
+      const data = await response.json();
+
+      if (response.ok) {
+        mostrarMensagem(data.message);
+        fetchDados();
+      } else {
+        setMessage('Erro ao distribuir leads: ' + data.error);
+      }
+    } catch (error) {
+      console.error('Erro ao distribuir leads:', error);
+      setMessage('Erro ao distribuir leads');
+    }
+  };
+
+  return (
+    <div>
+      <div className="page-header">
+        <h1 className="page-title">Distribuição de Leads</h1>
+        <p className="page-subtitle">Rodízio de novos leads entre os corretores, por território e empreendimento, e prazo de primeiro contato</p>
+      </div>
+
+      {message && (
+        <div className={`alert ${message.includes('sucesso') ? 'alert-success' : 'alert-error'}`}>
+          {message}
+        </div>
+      )}
+
+      <div className="tabs">
+        <button
+          className={`tab ${activeTab === 'regras' ? 'active' : ''}`}
+          onClick={() => setActiveTab('regras')}
+        >
+          Regras
+        </button>
+        <button
+          className={`tab ${activeTab === 'historico' ? 'active' : ''}`}
+          onClick={() => setActiveTab('historico')}
+        >
+          Histórico
+        </button>
+        <button
+          className={`tab ${activeTab === 'sla' ? 'active' : ''}`}
+          onClick={() => setActiveTab('sla')}
+        >
+          Prazo de Contato
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="loading">
+          <div className="spinner"></div>
+        </div>
+      ) : (
+        <>
+          {activeTab === 'regras' && (
+            <div className="card">
+              <div className="card-header">
+                <h2 className="card-title">Regras de Distribuição</h2>
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                  <button className="btn btn-secondary" onClick={distribuirPendentes}>
+                    Distribuir Novos Leads
+                  </button>
+                  <button className="btn btn-primary" onClick={() => setShowModal(true)}>
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                      <path d="M12 5v14M5 12h14" />
+                    </svg>
+                    Nova Regra
+                  </button>
+                </div>
+              </div>
+
+              <p style={{ color: '#6b7280', fontSize: '0.875rem', padding: '0 1.5rem' }}>
+                Cada lead novo vai para a regra ativa mais específica com corretor disponível (empreendimento, depois cidade,
+                depois estado e por último a geral), em rodízio ponderado pela capacidade de cada corretor. Sem nenhuma, o lead
+                fica em Novos Leads. {corretoresNoRodizio.length} corretor(es) recebendo leads.
+              </p>
+
+              {regras.length === 0 ? (
+                <p style={{ textAlign: 'center', color: '#6b7280', padding: '2rem' }}>
+                  Nenhuma regra cadastrada. Sem regra, os leads ficam em Novos Leads até alguém pegar.
+                </p>
+              ) : (
+                <div className="table-container">
+                  <table className="table">
+                    <thead>
+                      <tr>
+                        <th>Nome</th>
+                        <th>Território</th>
+                        <th>Corretores (capacidade)</th>
+                        <th>Status</th>
+                        <th>Ações</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {regras.map(regra => (
+                        <tr key={regra.id}>
+                          <td><strong>{regra.nome}</strong></td>
+                          <td>{descreverTerritorio(regra)}</td>
+                          <td>{descreverCorretores(regra)}</td>
+                          <td>
+                            <span className={`badge ${regra.ativo ? 'badge-success' : 'badge-danger'}`}>
+                              {regra.ativo ? 'Ativa' : 'Inativa'}
+                            </span>
+                          </td>
+                          <td>
+                            <div style={{ display: 'flex', gap: '0.5rem' }}>
+                              <button onClick={() => handleEdit(regra)} className="btn-action" title="Editar">
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                  <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7" />
+                                  <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z" />
+                                </svg>
+                              </button>
+                              <button onClick={() => removerRegra(regra)} className="btn-action" title="Remover">
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                  <polyline points="3 6 5 6 21 6" />
+                                  <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2" />
+                                </svg>
+                              </button>
+                            </div>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+
+          {activeTab === 'historico' && (
+            <div className="card">
+              <div className="card-header">
+                <h2 className="card-title">Leads Distribuídos ({distribuicoes.length})</h2>
+              </div>
+
+              {distribuicoes.length === 0 ? (
+                <p style={{ textAlign: 'center', color: '#6b7280', padding: '2rem' }}>
+                  Nenhum lead distribuído ainda.
+                </p>
+              ) : (
+                <div className="table-container">
+                  <table className="table">
+                    <thead>
+                      <tr>
+                        <th>Data</th>
+                        <th>Lead</th>
+                        <th>Origem</th>
+                        <th>Corretor</th>
+                        <th>Motivo</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {distribuicoes.map(distribuicao => (
+                        <tr key={distribuicao.id}>
+                          <td style={{ whiteSpace: 'nowrap' }}>{formatarDataHora(distribuicao.created_at)}</td>
+                          <td><strong>{distribuicao.cliente_nome || '-'}</strong></td>
+                          <td>{rotulosOrigem[distribuicao.origem] || distribuicao.origem}</td>
+                          <td>
+                            {distribuicao.consultor_id
+                              ? distribuicao.consultor_nome
+                              : <span className="badge badge-warning">Novos Leads</span>}
+                          </td>
+                          <td style={{ fontSize: '0.85rem', color: '#6b7280' }}>{distribuicao.motivo}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+
+          {activeTab === 'sla' && (
+            <div className="card">
+              <div className="card-header">
+                <h2 className="card-title">Leads Retirados por Falta de Contato ({violacoes.length})</h2>
+                <button className="btn btn-secondary" onClick={verificarPrazos}>
+                  Verificar Prazos Agora
+                </button>
+              </div>
+
+              <p style={{ color: '#6b7280', fontSize: '0.875rem', padding: '0 1.5rem' }}>
+                {horasPrazo > 0
+                  ? `O corretor que recebe um lead tem ${horasPrazo}h para registrar o primeiro contato (ou agendar a visita). Depois disso o lead passa para o próximo corretor do rodízio ou volta para Novos Leads, e o corretor é avisado.`
+                  : 'Prazo de primeiro contato desligado (LEAD_SLA_HOURS=0).'}
+              </p>
+
+              {violacoes.length === 0 ? (
+                <p style={{ textAlign: 'center', color: '#6b7280', padding: '2rem' }}>
+                  Nenhum prazo de contato vencido.
+                </p>
+              ) : (
+                <div className="table-container">
+                  <table className="table">
+                    <thead>
+                      <tr>
+                        <th>Retirado em</th>
+                        <th>Lead</th>
+                        <th>Corretor</th>
+                        <th>Recebido em</th>
+                        <th>Prazo</th>
+                        <th>Destino</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {violacoes.map(violacao => (
+                        <tr key={violacao.id}>
+                          <td style={{ whiteSpace: 'nowrap' }}>{formatarDataHora(violacao.created_at)}</td>
+                          <td><strong>{violacao.cliente_nome || '-'}</strong></td>
+                          <td>{violacao.consultor_nome || '-'}</td>
+                          <td style={{ whiteSpace: 'nowrap' }}>{formatarDataHora(violacao.atribuido_em)}</td>
+                          <td style={{ whiteSpace: 'nowrap' }}>{formatarDataHora(violacao.prazo_contato)}</td>
+                          <td>
+                            {violacao.novo_consultor_id
+                              ? violacao.novo_consultor_nome
+                              : <span className="badge badge-warning">Novos Leads</span>}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+        </>
+      )}
+
+      {/* Modal de Cadastro/Edição de Regra */}
+      {showModal && (
+        <div className="modal-overlay">
+          <div className="modal">
+            <div className="modal-header">
+              <h2 className="modal-title">
+                {editingRegra ? 'Editar Regra de Distribuição' : 'Nova Regra de Distribuição'}
+              </h2>
+              <button className="close-btn" onClick={resetForm}>
+                ×
+              </button>
+            </div>
+
+            <form onSubmit={handleSubmit}>
+              <div className="form-group">
+                <label className="form-label">Nome *</label>
+                <input
+                  type="text"
+                  name="nome"
+                  className="form-input"
+                  value={formData.nome}
+                  onChange={handleInputChange}
+                  placeholder="Ex: Equipe Zona Sul"
+                  required
+                />
+              </div>
+
+              <div className="grid grid-3">
+                <div className="form-group">
+                  <label className="form-label">Estado</label>
+                  <input
+                    type="text"
+                    name="estado"
+                    className="form-input"
+                    value={formData.estado}
+                    onChange={handleInputChange}
+                    placeholder="Todos"
+                    maxLength="2"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label className="form-label">Cidade</label>
+                  <input
+                    type="text"
+                    name="cidade"
+                    className="form-input"
+                    value={formData.cidade}
+                    onChange={handleInputChange}
+                    placeholder="Todas"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label className="form-label">Empreendimento</label>
+                  <select name="imobiliaria_id" className="form-select" value={formData.imobiliaria_id} onChange={handleInputChange}>
+                    <option value="">Todos</option>
+                    {imobiliarias.map(imobiliaria => (
+                      <option key={imobiliaria.id} value={imobiliaria.id}>{imobiliaria.nome}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label className="form-label">Corretores do rodízio</label>
+                <div style={{ maxHeight: '200px', overflowY: 'auto', border: '1px solid #e5e7eb', borderRadius: '6px', padding: '0.5rem' }}>
+                  {consultores.map(consultor => (
+                    <label key={consultor.id} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', padding: '0.25rem', cursor: 'pointer' }}>
+                      <input
+                        type="checkbox"
+                        checked={formData.consultores.includes(consultor.id)}
+                        onChange={() => alternarCorretor(consultor.id)}
+                      />
+                      {consultor.nome}
+                      <span style={{ color: '#6b7280', fontSize: '0.75rem' }}>
+                        capacidade {consultor.capacidade_leads ?? 1}
+                      </span>
+                    </label>
+                  ))}
+                </div>
+                <small style={{ display: 'block', color: '#6b7280', fontSize: '0.75rem', marginTop: '0.5rem' }}>
+                  Nenhum marcado = todos os corretores ativos. A capacidade é definida no cadastro do corretor.
+                </small>
+              </div>
+
+              <div className="form-group">
+                <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer' }}>
+                  <input type="checkbox" name="ativo" checked={formData.ativo} onChange={handleInputChange} />
+                  Regra ativa
+                </label>
+              </div>
+
+              <div style={{ display: 'flex', gap: '1rem', justifyContent: 'flex-end' }}>
+                <button type="button" className="btn btn-secondary" onClick={resetForm}>
+                  Cancelar
+                </button>
+                <button type="submit" className="btn btn-primary">
+                  {editingRegra ? 'Atualizar Regra' : 'Cadastrar Regra'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DistribuicaoLeads;
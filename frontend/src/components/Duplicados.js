@@ -0,0 +1,243 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+const rotulosMotivo = {
+  cpf: 'Mesmo CPF',
+  telefone: 'Mesmo telefone',
+  nome: 'Nome parecido'
+};
+
+const rotulosVinculo = {
+  agendamentos: 'agendamento(s)',
+  fechamentos: 'fechamento(s)',
+  meta_ads_leads: 'lead(s) Meta Ads',
+  contatos_cliente: 'contato(s)',
+  distribuicoes_lead: 'distribuição(ões)',
+  violacoes_sla: 'prazo(s) vencido(s)',
+  notificacoes: 'notificação(ões)'
+};
+
+const Duplicados = () => {
+  const { makeRequest } = useAuth();
+  const [activeTab, setActiveTab] = useState('duplicados');
+  const [pares, setPares] = useState([]);
+  const [mesclagens, setMesclagens] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState('');
+
+  const fetchDados = useCallback(async () => {
+    try {
+      const [paresRes, mesclagensRes] = await Promise.all([
+        makeRequest('/clientes-duplicados'),
+        makeRequest('/mesclagens-cliente')
+      ]);
+
+      const [paresData, mesclagensData] = await Promise.all([paresRes.json(), mesclagensRes.json()]);
+
+      if (!paresRes.ok || !mesclagensRes.ok) {
+        setMessage('Erro ao carregar duplicados: ' + (paresData.error || mesclagensData.error));
+        return;
+      }
+
+      setPares(paresData);
+      setMesclagens(mesclagensData);
+    } catch (error) {
+      console.error('Erro ao carregar duplicados:', error);
+      setMessage('Erro ao conectar com o servidor');
+    } finally {
+      setLoading(false);
+    }
+  }, [makeRequest]);
+
+  useEffect(() => {
+    fetchDados();
+  }, [fetchDados]);
+
+  const formatarDataHora = (data) => {
+    if (!data) return '-';
+    // Datas gravadas em UTC; o banco pode devolvê-las sem o fuso
+    const iso = /(Z|[+-]\d{2}:?\d{2})$/.test(data) ? data : data.replace(' ', 'T') + 'Z';
+    return new Date(iso).toLocaleString('pt-BR');
+  };
+
+  const descreverVinculos = (vinculos) => {
+    const partes = Object.entries(vinculos || {})
+      .filter(([, total]) => total > 0)
+      .map(([tabela, total]) => `${total} ${rotulosVinculo[tabela] || tabela}`);
+    return partes.length > 0 ? partes.join(', ') : 'Nenhum registro vinculado';
+  };
+
+  // Mantém o cadastro "principal" e incorpora nele o "duplicado"
+  const mesclar = async (principal, duplicado) => {
+    if (!window.confirm(`Manter o cadastro de ${principal.nome} e unir a ele o de ${duplicado.nome}? O cadastro de ${duplicado.nome} será removido.`)) return;
+
+    try {
+      const response = await makeRequest(`/clientes/${principal.id}/mesclar`, {
+        method: 'POST',
+        body: JSON.stringify({ duplicado_id: duplicado.id })
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setMessage(`${data.message} Transferido(s): ${descreverVinculos(data.vinculos)}.`);
+        fetchDados();
+        setTimeout(() => setMessage(''), 5000);
+      } else {
+        setMessage('Erro ao mesclar clientes: ' + data.error);
+      }
+    } catch (error) {
+      console.error('Erro ao mesclar clientes:', error);
+      setMessage('Erro ao mesclar clientes');
+    }
+  };
+
+  return (
+    <div>
+      <div className="page-header">
+        <h1 className="page-title">Clientes Duplicados</h1>
+        <p className="page-subtitle">Cadastros que parecem ser a mesma pessoa, pelo CPF, telefone ou nome</p>
+      </div>
+
+      {message && (
+        <div className={`alert ${message.includes('sucesso') ? 'alert-success' : 'alert-error'}`}>
+          {message}
+        </div>
+      )}
+
+      <div className="tabs">
+        <button
+          className={`tab ${activeTab === 'duplicados' ? 'active' : ''}`}
+          onClick={() => setActiveTab('duplicados')}
+        >
+          Possíveis Duplicados
+        </button>
+        <button
+          className={`tab ${activeTab === 'mesclagens' ? 'active' : ''}`}
+          onClick={() => setActiveTab('mesclagens')}
+        >
+          Mesclagens
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="loading">
+          <div className="spinner"></div>
+        </div>
+      ) : (
+        <>
+          {activeTab === 'duplicados' && (
+            <div className="card">
+              <div className="card-header">
+                <h2 className="card-title">Possíveis Duplicados ({pares.length})</h2>
+              </div>
+
+              <p style={{ color: '#6b7280', fontSize: '0.875rem', padding: '0 1.5rem' }}>
+                Escolha qual cadastro fica. Visitas, fechamentos, leads do Meta Ads e contatos do outro passam para ele,
+                campos vazios são completados e o outro cadastro é removido.
+              </p>
+
+              {pares.length === 0 ? (
+                <p style={{ textAlign: 'center', color: '#6b7280', padding: '2rem' }}>
+                  Nenhum cliente duplicado encontrado.
+                </p>
+              ) : (
+                <div className="table-container">
+                  <table className="table">
+                    <thead>
+                      <tr>
+                        <th>Motivo</th>
+                        <th>Cliente</th>
+                        <th>Telefone / CPF</th>
+                        <th>Corretor</th>
+                        <th>Cadastrado em</th>
+                        <th>Ações</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {pares.map(par => par.clientes.map((cliente, indice) => {
+                        const outro = par.clientes[1 - indice];
+                        return (
+                          <tr key={`${par.clientes[0].id}-${par.clientes[1].id}-${cliente.id}`}>
+                            {indice === 0 && (
+                              <td rowSpan={2}>
+                                <span className={`badge ${par.forte ? 'badge-danger' : 'badge-warning'}`}>
+                                  {par.forte ? 'Mesma pessoa' : 'Verificar'}
+                                </span>
+                                <div style={{ fontSize: '0.8rem', color: '#6b7280', marginTop: '0.25rem' }}>
+                                  {par.motivos.map(motivo => rotulosMotivo[motivo] || motivo).join(', ')}
+                                </div>
+                              </td>
+                            )}
+                            <td><strong>{cliente.nome}</strong></td>
+                            <td>
+                              {cliente.telefone || '-'}
+                              {cliente.cpf && <div style={{ fontSize: '0.8rem', color: '#6b7280' }}>{cliente.cpf}</div>}
+                            </td>
+                            <td>{cliente.consultor_nome || <span className="badge badge-warning">Novos Leads</span>}</td>
+                            <td style={{ whiteSpace: 'nowrap' }}>{formatarDataHora(cliente.created_at)}</td>
+                            <td>
+                              <button className="btn btn-sm btn-primary" onClick={() => mesclar(cliente, outro)}>
+                                Manter este
+                              </button>
+                            </td>
+                          </tr>
+                        );
+                      }))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+
+          {activeTab === 'mesclagens' && (
+            <div className="card">
+              <div className="card-header">
+                <h2 className="card-title">Clientes Mesclados ({mesclagens.length})</h2>
+              </div>
+
+              {mesclagens.length === 0 ? (
+                <p style={{ textAlign: 'center', color: '#6b7280', padding: '2rem' }}>
+                  Nenhuma mesclagem realizada.
+                </p>
+              ) : (
+                <div className="table-container">
+                  <table className="table">
+                    <thead>
+                      <tr>
+                        <th>Data</th>
+                        <th>Cliente mantido</th>
+                        <th>Cadastro removido</th>
+                        <th>Transferidos</th>
+                        <th>Por</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {mesclagens.map(mesclagem => (
+                        <tr key={mesclagem.id}>
+                          <td style={{ whiteSpace: 'nowrap' }}>{formatarDataHora(mesclagem.created_at)}</td>
+                          <td><strong>{mesclagem.cliente_nome || '(removido)'}</strong></td>
+                          <td>
+                            {mesclagem.mesclado_dados?.nome || '-'}
+                            <div style={{ fontSize: '0.8rem', color: '#6b7280' }}>
+                              #{mesclagem.mesclado_id} {mesclagem.mesclado_dados?.telefone || ''}
+                            </div>
+                          </td>
+                          <td style={{ fontSize: '0.85rem', color: '#6b7280' }}>{descreverVinculos(mesclagem.vinculos)}</td>
+                          <td>{mesclagem.usuario_nome || '-'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Duplicados;
@@ -0,0 +1,82 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Baixar a resposta de uma rota autenticada como arquivo
+export const baixarArquivo = async (makeRequest, url, nomeArquivo) => {
+  const response = await makeRequest(url);
+  if (!response.ok) {
+    const data = await response.json();
+    throw new Error(data.error);
+  }
+
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(await response.blob());
+  link.download = nomeArquivo;
+  link.click();
+  URL.revokeObjectURL(link.href);
+};
+
+const FORMATOS = [
+  { value: 'xlsx', label: 'Excel (XLSX)' },
+  { value: 'csv', label: 'CSV' }
+];
+
+// Botão "Exportar" das listagens: baixa a lista inteira com os filtros e a ordem da tela.
+// `caminho`: rota de exportação (ex.: /clientes/exportar); `arquivo`: nome do arquivo, sem extensão
+const Exportar = ({ caminho, arquivo, filtros = {}, onErro }) => {
+  const { makeRequest } = useAuth();
+  const [aberto, setAberto] = useState(false);
+  const [exportando, setExportando] = useState(false);
+  const containerRef = useRef(null);
+
+  // Fecha ao clicar fora
+  useEffect(() => {
+    const fecharAoClicarFora = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setAberto(false);
+    };
+    document.addEventListener('mousedown', fecharAoClicarFora);
+    return () => document.removeEventListener('mousedown', fecharAoClicarFora);
+  }, []);
+
+  const exportar = async (formato) => {
+    setAberto(false);
+    setExportando(true);
+    try {
+      const params = new URLSearchParams(Object.entries({ ...filtros, formato })
+        .filter(([, valor]) => valor !== '' && valor !== null && valor !== undefined));
+      const hoje = new Date().toLocaleDateString('en-CA');
+
+      await baixarArquivo(makeRequest, `${caminho}?${params.toString()}`, `${arquivo}-${hoje}.${formato}`);
+    } catch (error) {
+      console.error('Erro ao exportar:', error);
+      if (onErro) onErro('Erro ao exportar: ' + error.message);
+    } finally {
+      setExportando(false);
+    }
+  };
+
+  return (
+    <div className="exportar" ref={containerRef}>
+      <button type="button" className="btn btn-secondary" onClick={() => setAberto(!aberto)} disabled={exportando}>
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+          <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+          <polyline points="7 10 12 15 17 10"></polyline>
+          <line x1="12" y1="15" x2="12" y2="3"></line>
+        </svg>
+        {exportando ? 'Exportando...' : 'Exportar'}
+      </button>
+
+      {aberto && (
+        <div className="exportar-menu">
+          {FORMATOS.map(formato => (
+            <button key={formato.value} type="button" onClick={() => exportar(formato.value)}>
+              {formato.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Exportar;
@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+const statusComissao = {
+  a_pagar: { label: 'A receber', classe: 'badge-warning' },
+  pago: { label: 'Pago', classe: 'badge-success' },
+  estornado: { label: 'Estornado', classe: 'badge-danger' }
+};
+
+const Extrato = () => {
+  const { makeRequest, user } = useAuth();
+  const isAdmin = user?.tipo === 'admin';
+  const [extrato, setExtrato] = useState(null);
+  const [consultores, setConsultores] = useState([]);
+  const [consultorId, setConsultorId] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState('');
+
+  // Admin escolhe o corretor; o corretor vê sempre o próprio extrato
+  const fetchExtrato = useCallback(async () => {
+    if (isAdmin && !consultorId) {
+      setExtrato(null);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await makeRequest(isAdmin ? `/extrato?consultor_id=${consultorId}` : '/extrato');
+      const data = await response.json();
+
+      if (response.ok) {
+        setExtrato(data);
+        setMessage('');
+      } else {
+        setMessage('Erro ao carregar extrato: ' + data.error);
+      }
+    } catch (error) {
+      console.error('Erro ao carregar extrato:', error);
+      setMessage('Erro ao conectar com o servidor');
+    } finally {
+      setLoading(false);
+    }
+  }, [makeRequest, isAdmin, consultorId]);
+
+  useEffect(() => {
+    fetchExtrato();
+  }, [fetchExtrato]);
+
+  useEffect(() => {
+    if (!isAdmin) return;
+
+    const fetchConsultores = async () => {
+      try {
+        const response = await makeRequest('/consultores');
+        const data = await response.json();
+        if (response.ok) setConsultores(data);
+      } catch (error) {
+        console.error('Erro ao carregar corretores:', error);
+      }
+    };
+    fetchConsultores();
+  }, [makeRequest, isAdmin]);
+
+  const formatCurrency = (value) => {
+    return parseFloat(value || 0).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+  };
+
+  const formatarData = (data) => {
+    if (!data) return '-';
+    return new Date(data + 'T12:00:00').toLocaleDateString('pt-BR');
+  };
+
+  const formatarDataHora = (data) => {
+    if (!data) return '-';
+    return new Date(data).toLocaleDateString('pt-BR');
+  };
+
+  return (
+    <div>
+      <div className="page-header">
+        <h1 className="page-title">{isAdmin ? 'Extratos' : 'Meu Extrato'}</h1>
+        <p className="page-subtitle">Comissões a receber, pagas e estornadas</p>
+      </div>
+
+      {message && (
+        <div className="alert alert-error">
+          {message}
+        </div>
+      )}
+
+      {isAdmin && (
+        <div className="card" style={{ marginBottom: '1.5rem' }}>
+          <div className="form-group" style={{ maxWidth: '400px', padding: '1rem 1.5rem' }}>
+            <label className="form-label">Corretor</label>
+            <select className="form-select" value={consultorId} onChange={(e) => setConsultorId(e.target.value)}>
+              <option value="">Selecione o corretor</option>
+              {consultores.map(consultor => (
+                <option key={consultor.id} value={consultor.id}>{consultor.nome}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="loading">
+          <div className="spinner"></div>
+        </div>
+      ) : extrato && (
+        <>
+          <div className="stats-grid">
+            <div className="stat-card" style={{ backgroundColor: '#fef3c7', border: '1px solid #f59e0b' }}>
+              <div className="stat-label">A receber</div>
+              <div className="stat-value" style={{ color: '#b45309' }}>{formatCurrency(extrato.resumo.a_pagar)}</div>
+              <div className="stat-subtitle" style={{ color: '#92400e' }}>Aprovadas, aguardando pagamento</div>
+            </div>
+            <div className="stat-card" style={{ backgroundColor: '#d1fae5', border: '1px solid #10b981' }}>
+              <div className="stat-label">Recebido</div>
+              <div className="stat-value" style={{ color: '#059669' }}>{formatCurrency(extrato.resumo.pago)}</div>
+              <div className="stat-subtitle" style={{ color: '#047857' }}>Pago via PIX</div>
+            </div>
+            <div className="stat-card" style={{ backgroundColor: '#fee2e2', border: '1px solid #ef4444' }}>
+              <div className="stat-label">Estornado</div>
+              <div className="stat-value" style={{ color: '#dc2626' }}>{formatCurrency(extrato.resumo.estornado)}</div>
+              <div className="stat-subtitle" style={{ color: '#b91c1c' }}>Fechamentos desfeitos</div>
+            </div>
+          </div>
+
+          <div className="card">
+            <div className="card-header">
+              <h2 className="card-title">Lançamentos ({extrato.lancamentos.length})</h2>
+              <span style={{ color: '#6b7280', fontSize: '0.875rem' }}>
+                Chave PIX: <strong>{extrato.consultor.pix || 'não cadastrada'}</strong>
+              </span>
+            </div>
+
+            {extrato.lancamentos.length === 0 ? (
+              <p style={{ textAlign: 'center', color: '#6b7280', padding: '2rem' }}>
+                Nenhuma comissão ainda. As comissões aparecem aqui quando um fechamento é aprovado.
+              </p>
+            ) : (
+              <div className="table-container">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Data</th>
+                      <th>Cliente</th>
+                      <th>Empreendimento</th>
+                      <th>Valor Fechado</th>
+                      <th>Comissão</th>
+                      <th>Status</th>
+                      <th>Lote</th>
+                      <th>Detalhe</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {extrato.lancamentos.map(lancamento => (
+                      <tr key={lancamento.id}>
+                        <td>{formatarData(lancamento.data_fechamento)}</td>
+                        <td><strong>{lancamento.cliente_nome || '-'}</strong></td>
+                        <td>{lancamento.imobiliaria_nome || '-'}</td>
+                        <td>{formatCurrency(lancamento.valor_base)}</td>
+                        <td>
+                          <strong style={{ color: lancamento.status === 'estornado' ? '#dc2626' : '#059669' }}>
+                            {formatCurrency(lancamento.valor_comissao)}
+                          </strong>
+                        </td>
+                        <td>
+                          <span className={`badge ${statusComissao[lancamento.status]?.classe || 'badge-info'}`}>
+                            {statusComissao[lancamento.status]?.label || lancamento.status}
+                          </span>
+                        </td>
+                        <td>{lancamento.lote_descricao || '-'}</td>
+                        <td style={{ fontSize: '0.8rem', color: '#6b7280' }}>
+                          {lancamento.status === 'pago' && `Pago em ${formatarDataHora(lancamento.pago_em)}`}
+                          {lancamento.status === 'estornado' &&
+                            `Estornado em ${formatarDataHora(lancamento.estornado_em)}${lancamento.motivo_estorno ? ` - ${lancamento.motivo_estorno}` : ''}`}
+                          {lancamento.status === 'a_pagar' && lancamento.memoria_calculo?.calculo}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Extrato;
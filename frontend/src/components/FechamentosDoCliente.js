@@ -0,0 +1,86 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+export const rotulosAprovacao = {
+  pendente: { label: 'Pendente', classe: 'badge-warning' },
+  aprovado: { label: 'Aprovado', classe: 'badge-success' },
+  reprovado: { label: 'Reprovado', classe: 'badge-danger' }
+};
+
+const formatarMoeda = (valor) => parseFloat(valor || 0).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+
+// Painel com os fechamentos de um cliente; `destaque` é o fechamento aberto pela busca global
+const FechamentosDoCliente = ({ clienteId, destaque }) => {
+  const { makeRequest } = useAuth();
+  const [fechamentos, setFechamentos] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [erro, setErro] = useState('');
+
+  useEffect(() => {
+    const fetchFechamentos = async () => {
+      try {
+        const response = await makeRequest(`/fechamentos?cliente_id=${clienteId}`);
+        const data = await response.json();
+
+        if (response.ok) {
+          setFechamentos(data);
+        } else {
+          setErro('Erro ao carregar fechamentos: ' + data.error);
+        }
+      } catch (error) {
+        console.error('Erro ao carregar fechamentos:', error);
+        setErro('Erro ao carregar fechamentos');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchFechamentos();
+  }, [makeRequest, clienteId]);
+
+  return (
+    <div className="form-group">
+      <label className="form-label">Fechamentos</label>
+
+      {loading ? (
+        <p style={{ color: '#6b7280', fontSize: '0.875rem' }}>Carregando...</p>
+      ) : erro ? (
+        <p style={{ color: '#dc2626', fontSize: '0.875rem' }}>{erro}</p>
+      ) : fechamentos.length === 0 ? (
+        <p style={{ color: '#6b7280', fontSize: '0.875rem' }}>Nenhum fechamento registrado.</p>
+      ) : (
+        <div style={{ border: '1px solid #e5e7eb', borderRadius: '6px' }}>
+          {fechamentos.map(fechamento => {
+            const aprovacao = rotulosAprovacao[fechamento.aprovado] || rotulosAprovacao.pendente;
+            const destacado = String(fechamento.id) === String(destaque);
+
+            return (
+              <div
+                key={fechamento.id}
+                style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  gap: '0.5rem',
+                  padding: '0.75rem',
+                  borderBottom: '1px solid #e5e7eb',
+                  fontSize: '0.875rem',
+                  backgroundColor: destacado ? '#eff6ff' : 'transparent'
+                }}
+              >
+                <span>
+                  <strong>#{fechamento.id}</strong> · {fechamento.data_fechamento || '-'} · {fechamento.imobiliaria_nome || 'Sem empreendimento'}
+                </span>
+                <span style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                  <strong>{formatarMoeda(fechamento.valor_fechado)}</strong>
+                  <span className={`badge ${aprovacao.classe}`}>{aprovacao.label}</span>
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FechamentosDoCliente;
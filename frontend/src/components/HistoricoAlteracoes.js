@@ -0,0 +1,127 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+export const rotulosAcao = {
+  criar: { label: 'Criado', classe: 'badge-success' },
+  atualizar: { label: 'Alterado', classe: 'badge-info' },
+  remover: { label: 'Removido', classe: 'badge-danger' }
+};
+
+// Nomes dos campos como aparecem nas telas
+const rotulosCampo = {
+  nome: 'Nome',
+  telefone: 'Telefone',
+  email: 'Email',
+  cpf: 'CPF',
+  tipo_servico: 'Tipo de serviço',
+  status: 'Status',
+  observacoes: 'Observações',
+  consultor_id: 'Corretor',
+  cliente_id: 'Cliente',
+  imobiliaria_id: 'Empreendimento',
+  data_agendamento: 'Data',
+  horario: 'Horário',
+  lembrado: 'Lembrado',
+  confirmado_em: 'Confirmada em',
+  valor_fechado: 'Valor fechado',
+  data_fechamento: 'Data do fechamento',
+  aprovado: 'Aprovação',
+  contrato_nome_original: 'Contrato',
+  imobiliaria_preferida: 'Empreendimento de preferência',
+  melhor_dia1: '1º melhor dia',
+  melhor_dia2: '2º melhor dia',
+  atribuido_em: 'Atribuído em',
+  prazo_contato: 'Prazo de contato',
+  primeiro_contato_em: 'Primeiro contato'
+};
+
+export const formatarValor = (valor) => {
+  if (valor === null || valor === undefined || valor === '') return '-';
+  if (typeof valor === 'boolean') return valor ? 'Sim' : 'Não';
+  if (typeof valor === 'object') return JSON.stringify(valor);
+  return String(valor);
+};
+
+export const formatarDataHora = (data) => {
+  if (!data) return '-';
+  // SQLite grava "YYYY-MM-DD HH:MM:SS" em UTC, sem o fuso
+  const iso = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(data) ? data.replace(' ', 'T') + 'Z' : data;
+  return new Date(iso).toLocaleString('pt-BR');
+};
+
+// Linhas "Campo: antes → depois" de um registro do histórico
+export const descreverAlteracoes = (registro) => {
+  if (registro.acao !== 'atualizar') return [];
+  return Object.keys(registro.depois || {}).map(campo => ({
+    campo: rotulosCampo[campo] || campo,
+    antes: formatarValor(registro.antes?.[campo]),
+    depois: formatarValor(registro.depois[campo])
+  }));
+};
+
+// Painel com o histórico de alterações de um cliente, agendamento ou fechamento
+const HistoricoAlteracoes = ({ entidade, id }) => {
+  const { makeRequest } = useAuth();
+  const [registros, setRegistros] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [erro, setErro] = useState('');
+
+  useEffect(() => {
+    const fetchHistorico = async () => {
+      try {
+        const response = await makeRequest(`/auditoria/${entidade}/${id}`);
+        const data = await response.json();
+
+        if (response.ok) {
+          setRegistros(data);
+        } else {
+          setErro('Erro ao carregar histórico: ' + data.error);
+        }
+      } catch (error) {
+        console.error('Erro ao carregar histórico:', error);
+        setErro('Erro ao carregar histórico');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchHistorico();
+  }, [makeRequest, entidade, id]);
+
+  return (
+    <div className="form-group">
+      <label className="form-label">Histórico de alterações</label>
+
+      {loading ? (
+        <p style={{ color: '#6b7280', fontSize: '0.875rem' }}>Carregando...</p>
+      ) : erro ? (
+        <p style={{ color: '#dc2626', fontSize: '0.875rem' }}>{erro}</p>
+      ) : registros.length === 0 ? (
+        <p style={{ color: '#6b7280', fontSize: '0.875rem' }}>Nenhuma alteração registrada.</p>
+      ) : (
+        <div style={{ maxHeight: '250px', overflowY: 'auto', border: '1px solid #e5e7eb', borderRadius: '6px' }}>
+          {registros.map(registro => (
+            <div key={registro.id} style={{ padding: '0.75rem', borderBottom: '1px solid #e5e7eb', fontSize: '0.875rem' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.5rem' }}>
+                <span>
+                  <span className={`badge ${rotulosAcao[registro.acao]?.classe || 'badge-info'}`}>
+                    {rotulosAcao[registro.acao]?.label || registro.acao}
+                  </span>
+                  {' '}por <strong>{registro.usuario_nome || 'Cadastro público'}</strong>
+                </span>
+                <span style={{ color: '#6b7280', fontSize: '0.75rem' }}>{formatarDataHora(registro.created_at)}</span>
+              </div>
+              {descreverAlteracoes(registro).map(alteracao => (
+                <div key={alteracao.campo} style={{ color: '#374151', marginTop: '0.25rem' }}>
+                  {alteracao.campo}: <span style={{ color: '#9ca3af', textDecoration: 'line-through' }}>{alteracao.antes}</span>
+                  {' → '}<strong>{alteracao.depois}</strong>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HistoricoAlteracoes;
@@ -0,0 +1,79 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Horários livres do dia (funcionamento e vagas do empreendimento e agenda do corretor), para escolher
+// com um clique. `horarioAtual`: o da visita em edição, que continua aparecendo como opção
+const HorariosLivres = ({ imobiliariaId, consultorId, data, horario, horarioAtual, onEscolher }) => {
+  const { makeRequest } = useAuth();
+  const [disponibilidade, setDisponibilidade] = useState(null);
+  const [carregando, setCarregando] = useState(false);
+
+  useEffect(() => {
+    if (!data) {
+      setDisponibilidade(null);
+      return;
+    }
+
+    let cancelado = false;
+    const fetchDisponibilidade = async () => {
+      setCarregando(true);
+      try {
+        const params = new URLSearchParams({ data_inicio: data, data_fim: data });
+        if (imobiliariaId) params.set('imobiliaria_id', imobiliariaId);
+        if (consultorId) params.set('consultor_id', consultorId);
+
+        const response = await makeRequest(`/agendamentos/disponibilidade?${params.toString()}`);
+        const resposta = await response.json();
+        if (!cancelado) setDisponibilidade(response.ok ? resposta : null);
+      } catch (error) {
+        console.error('Erro ao carregar horários livres:', error);
+      } finally {
+        if (!cancelado) setCarregando(false);
+      }
+    };
+    fetchDisponibilidade();
+
+    return () => { cancelado = true; };
+  }, [makeRequest, imobiliariaId, consultorId, data]);
+
+  if (!data) return null;
+  if (carregando && !disponibilidade) {
+    return <p style={{ fontSize: '0.85rem', color: '#6b7280' }}>Carregando horários livres...</p>;
+  }
+  if (!disponibilidade) return null;
+
+  const horarios = disponibilidade.dias[0]?.horarios || [];
+  const opcoes = horarioAtual && !horarios.some(opcao => opcao.horario === horarioAtual)
+    ? [{ horario: horarioAtual, vagas: null }, ...horarios].sort((a, b) => a.horario.localeCompare(b.horario))
+    : horarios;
+
+  return (
+    <div style={{ marginBottom: '1rem' }}>
+      <label className="form-label">
+        Horários livres <span style={{ fontWeight: 'normal', color: '#6b7280' }}>({disponibilidade.duracao_visita} min por visita)</span>
+      </label>
+      {opcoes.length === 0 ? (
+        <p style={{ fontSize: '0.85rem', color: '#b45309', margin: 0 }}>
+          Nenhum horário livre neste dia. Escolha outra data.
+        </p>
+      ) : (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem' }}>
+          {opcoes.map(opcao => (
+            <button
+              key={opcao.horario}
+              type="button"
+              className={`btn ${opcao.horario === String(horario).slice(0, 5) ? 'btn-primary' : 'btn-secondary'}`}
+              style={{ padding: '0.25rem 0.75rem', fontSize: '0.85rem' }}
+              onClick={() => onEscolher(opcao.horario)}
+              title={opcao.vagas ? `${opcao.vagas} vaga(s) no empreendimento` : undefined}
+            >
+              {opcao.horario}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HorariosLivres;
@@ -0,0 +1,102 @@
+import React from 'react';
+
+export const DIAS_DA_SEMANA = ['Domingo', 'Segunda', 'Terça', 'Quarta', 'Quinta', 'Sexta', 'Sábado'];
+
+// "Seg a Sex 09:00–18:00 · Sáb 09:00–13:00" (dias com os mesmos horários ficam juntos)
+export const resumirHorarios = (horarios = []) => {
+  if (horarios.length === 0) return 'Qualquer dia e horário';
+
+  const porFaixa = {};
+  [...horarios]
+    .sort((a, b) => a.dia_semana - b.dia_semana || a.abertura.localeCompare(b.abertura))
+    .forEach(({ dia_semana, abertura, fechamento }) => {
+      const faixa = `${abertura}–${fechamento}`;
+      porFaixa[faixa] = [...(porFaixa[faixa] || []), DIAS_DA_SEMANA[dia_semana].slice(0, 3)];
+    });
+
+  return Object.entries(porFaixa).map(([faixa, dias]) => `${dias.join(', ')} ${faixa}`).join(' · ');
+};
+
+// Horário comercial sugerido: segunda a sexta, das 9h às 18h
+const HORARIO_COMERCIAL = [1, 2, 3, 4, 5].map(dia => ({ dia_semana: dia, abertura: '09:00', fechamento: '18:00' }));
+
+// Faixas de horário de visita do empreendimento (um dia pode ter mais de uma, ex.: manhã e tarde).
+// `erros` vem da validação do backend, com chaves "horarios_visita.0.abertura"
+const HorariosVisita = ({ valor = [], onChange, erros = {} }) => {
+  const alterar = (indice, campo, novoValor) =>
+    onChange(valor.map((faixa, i) => (i === indice ? { ...faixa, [campo]: novoValor } : faixa)));
+
+  const adicionar = () => {
+    const ultima = valor[valor.length - 1];
+    onChange([...valor, {
+      dia_semana: ultima ? (ultima.dia_semana + 1) % 7 : 1,
+      abertura: ultima?.abertura || '09:00',
+      fechamento: ultima?.fechamento || '18:00'
+    }]);
+  };
+
+  const erroDa = (indice) => ['dia_semana', 'abertura', 'fechamento']
+    .map(campo => erros[`horarios_visita.${indice}.${campo}`])
+    .find(Boolean);
+
+  return (
+    <div>
+      {valor.length === 0 && (
+        <p style={{ fontSize: '0.85rem', color: '#6b7280', margin: '0 0 0.5rem 0' }}>
+          Sem horário cadastrado: aceita visitas em qualquer dia e horário.
+        </p>
+      )}
+
+      {valor.map((faixa, indice) => (
+        <div key={indice} style={{ marginBottom: '0.5rem' }}>
+          <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+            <select
+              className="form-select"
+              value={faixa.dia_semana}
+              onChange={(e) => alterar(indice, 'dia_semana', Number(e.target.value))}
+            >
+              {DIAS_DA_SEMANA.map((dia, numero) => (
+                <option key={dia} value={numero}>{dia}</option>
+              ))}
+            </select>
+            <input
+              type="time"
+              className="form-input"
+              value={faixa.abertura}
+              onChange={(e) => alterar(indice, 'abertura', e.target.value)}
+              required
+            />
+            <span style={{ color: '#6b7280' }}>às</span>
+            <input
+              type="time"
+              className="form-input"
+              value={faixa.fechamento}
+              onChange={(e) => alterar(indice, 'fechamento', e.target.value)}
+              required
+            />
+            <button
+              type="button"
+              className="btn-action"
+              onClick={() => onChange(valor.filter((_, i) => i !== indice))}
+              title="Remover horário"
+            >
+              ×
+            </button>
+          </div>
+          {erroDa(indice) && <span className="field-error">{erroDa(indice)}</span>}
+        </div>
+      ))}
+
+      <div style={{ display: 'flex', gap: '0.5rem' }}>
+        <button type="button" className="btn btn-secondary" onClick={adicionar}>Adicionar horário</button>
+        {valor.length === 0 && (
+          <button type="button" className="btn btn-secondary" onClick={() => onChange(HORARIO_COMERCIAL)}>
+            Seg a Sex, 9h às 18h
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HorariosVisita;
@@ -1,5 +1,9 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import Paginacao, { ColunaOrdenavel, POR_PAGINA } from './Paginacao';
+import Exportar from './Exportar';
+import HorariosVisita, { resumirHorarios } from './HorariosVisita';
 
 const Imobiliarias = () => {
   const { makeRequest, user } = useAuth();
@@ -8,9 +12,16 @@ const Imobiliarias = () => {
   const [editingClinica, setEditingClinica] = useState(null);
   const [loading, setLoading] = useState(true);
   const [message, setMessage] = useState('');
+  const [erros, setErros] = useState({});
   const [filtroEstado, setFiltroEstado] = useState('');
   const [filtroCity, setFiltroCity] = useState('');
   const [filtroStatus, setFiltroStatus] = useState('');
+  const [pagina, setPagina] = useState(1);
+  const [ordenacao, setOrdenacao] = useState({ ordenar: 'nome', direcao: 'asc' });
+  const [totais, setTotais] = useState({ total: 0, total_paginas: 1 });
+  const [estadosDisponiveis, setEstadosDisponiveis] = useState([]);
+  const [cidadesDisponiveis, setCidadesDisponiveis] = useState([]);
+  const [searchParams, setSearchParams] = useSearchParams();
   const [viewModalOpen, setViewModalOpen] = useState(false);
   const [viewingClinica, setViewingClinica] = useState(null);
   const [formData, setFormData] = useState({
@@ -22,7 +33,10 @@ const Imobiliarias = () => {
     nicho: '',
     telefone: '',
     email: '',
-    status: 'ativo'
+    status: 'ativo',
+    horarios_visita: [],
+    duracao_visita: '60',
+    capacidade_visitas: ''
   });
 
   // Verificar se usuário é corretor
@@ -90,17 +104,27 @@ const Imobiliarias = () => {
     'PA': ['Belém', 'Ananindeua', 'Santarém', 'Marabá', 'Parauapebas', 'Castanhal', 'Abaetetuba']
    };
 
-  useEffect(() => {
-    fetchClinicas();
-  }, []);
-
-  const fetchClinicas = async () => {
+  // Filtros e ordenação da tela, usados na lista e na exportação
+  const filtrosAtivos = useMemo(() => ({
+    ordenar: ordenacao.ordenar,
+    direcao: ordenacao.direcao,
+    estado: filtroEstado,
+    cidade: filtroCity,
+    status: filtroStatus
+  }), [ordenacao, filtroEstado, filtroCity, filtroStatus]);
+
+  // Página atual da lista, com filtros e ordenação aplicados no servidor
+  const fetchClinicas = useCallback(async () => {
     try {
-      const response = await makeRequest('/imobiliarias');
+      const params = new URLSearchParams(Object.entries({ pagina, por_pagina: POR_PAGINA, ...filtrosAtivos })
+        .filter(([, valor]) => valor !== ''));
+
+      const response = await makeRequest(`/imobiliarias?${params.toString()}`);
       const data = await response.json();
       
       if (response.ok) {
-        setClinicas(data);
+        setClinicas(data.dados);
+        setTotais({ total: data.total, total_paginas: data.total_paginas });
       } else {
         console.error('Erro ao carregar empreendimentos:', data.error);
         setMessage('Erro ao carregar empreendimentos: ' + data.error);
@@ -111,6 +135,66 @@ const Imobiliarias = () => {
     } finally {
       setLoading(false);
     }
+  }, [makeRequest, pagina, filtrosAtivos]);
+
+  useEffect(() => {
+    fetchClinicas();
+  }, [fetchClinicas]);
+
+  // Opções dos filtros vêm de todos os empreendimentos, não só da página carregada
+  const fetchOpcoesFiltro = useCallback(async () => {
+    try {
+      const [estadosResponse, cidadesResponse] = await Promise.all([
+        makeRequest('/imobiliarias/estados'),
+        makeRequest(`/imobiliarias/cidades${filtroEstado ? `?estado=${filtroEstado}` : ''}`)
+      ]);
+
+      if (estadosResponse.ok) setEstadosDisponiveis(await estadosResponse.json());
+      if (cidadesResponse.ok) setCidadesDisponiveis(await cidadesResponse.json());
+    } catch (error) {
+      console.error('Erro ao carregar opções de filtro:', error);
+    }
+  }, [makeRequest, filtroEstado]);
+
+  useEffect(() => {
+    fetchOpcoesFiltro();
+  }, [fetchOpcoesFiltro]);
+
+  // Empreendimento aberto pela busca global (?imobiliaria=ID)
+  useEffect(() => {
+    const imobiliariaId = searchParams.get('imobiliaria');
+    if (!imobiliariaId) return;
+
+    setSearchParams({}, { replace: true });
+
+    const abrirImobiliaria = async () => {
+      try {
+        const response = await makeRequest(`/imobiliarias/${imobiliariaId}`);
+        const data = await response.json();
+
+        if (response.ok) {
+          setViewingClinica(data);
+          setViewModalOpen(true);
+        } else {
+          setMessage('Erro ao abrir empreendimento: ' + data.error);
+        }
+      } catch (error) {
+        console.error('Erro ao abrir empreendimento:', error);
+        setMessage('Erro ao conectar com o servidor');
+      }
+    };
+    abrirImobiliaria();
+  }, [searchParams, setSearchParams, makeRequest]);
+
+  // Filtro novo sempre volta para a primeira página
+  const filtrar = (setFiltro, valor) => {
+    setFiltro(valor);
+    setPagina(1);
+  };
+
+  const ordenar = (novaOrdenacao) => {
+    setOrdenacao(novaOrdenacao);
+    setPagina(1);
   };
 
   const handleSubmit = async (e) => {
@@ -133,6 +217,7 @@ const Imobiliarias = () => {
       
       if (response.ok) {
         setMessage(editingClinica ? 'Empreendimento atualizado com sucesso!' : 'Empreendimento cadastrado com sucesso!');
+        setErros({});
         setShowModal(false);
         setEditingClinica(null);
         setFormData({
@@ -144,10 +229,16 @@ const Imobiliarias = () => {
           nicho: '',
           telefone: '',
           email: '',
-          status: 'ativo'
+          status: 'ativo',
+          horarios_visita: [],
+          duracao_visita: '60',
+          capacidade_visitas: ''
         });
         fetchClinicas();
+        fetchOpcoesFiltro();
         setTimeout(() => setMessage(''), 3000);
+      } else if (data.campos) {
+        setErros(data.campos);
       } else {
         setMessage('Erro ao salvar empreendimento: ' + data.error);
       }
@@ -168,7 +259,10 @@ const Imobiliarias = () => {
       nicho: imobiliaria.nicho || '',
       telefone: imobiliaria.telefone || '',
       email: imobiliaria.email || '',
-      status: imobiliaria.status || 'ativo'
+      status: imobiliaria.status || 'ativo',
+      horarios_visita: imobiliaria.horarios_visita || [],
+      duracao_visita: imobiliaria.duracao_visita ? String(imobiliaria.duracao_visita) : '60',
+      capacidade_visitas: imobiliaria.capacidade_visitas ? String(imobiliaria.capacidade_visitas) : ''
     });
     setShowModal(true);
   };
@@ -206,8 +300,12 @@ const Imobiliarias = () => {
       nicho: '',
       telefone: '',
       email: '',
-      status: 'ativo'
+      status: 'ativo',
+      horarios_visita: [],
+      duracao_visita: '60',
+      capacidade_visitas: ''
     });
+    setErros({});
     setEditingClinica(null);
     setShowModal(false);
   };
@@ -218,6 +316,9 @@ const Imobiliarias = () => {
       ...formData,
       [name]: value
     });
+    if (erros[name]) {
+      setErros(prev => ({ ...prev, [name]: '' }));
+    }
 
     // Limpar cidade se estado mudar
     if (name === 'estado') {
@@ -266,26 +367,6 @@ const Imobiliarias = () => {
     }
   };
 
-  // Filtrar empreendimentos
-  const imobiliariasFiltradas = imobiliarias.filter(imobiliaria => {
-    const matchEstado = !filtroEstado || imobiliaria.estado === filtroEstado;
-    const matchCidade = !filtroCity || imobiliaria.cidade?.toLowerCase().includes(filtroCity.toLowerCase());
-    const matchStatus = !filtroStatus || imobiliaria.status === filtroStatus;
-    return matchEstado && matchCidade && matchStatus;
-  });
-
-  // Obter listas únicas para filtros
-  const estadosDisponiveis = [...new Set(imobiliarias
-    .map(c => c.estado)
-    .filter(estado => estado && estado.trim() !== '')
-  )].sort();
-
-  const cidadesDisponiveis = [...new Set(imobiliarias
-    .filter(c => !filtroEstado || c.estado === filtroEstado)
-    .map(c => c.cidade)
-    .filter(cidade => cidade && cidade.trim() !== '')
-  )].sort();
-
   // Obter cidades sugeridas baseadas no estado selecionado
   const cidadesSugeridas = formData.estado ? (cidadesPorEstado[formData.estado] || []) : [];
 
@@ -305,17 +386,20 @@ const Imobiliarias = () => {
       <div className="card">
         <div className="card-header">
           <h2 className="card-title">Lista de Empreendimentos</h2>
-          {!isConsultor && (
-            <button 
-              className="btn btn-primary"
-              onClick={() => setShowModal(true)}
-            >
-              <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                <path d="M12 5v14M5 12h14" />
-              </svg>
-              Novo Empreendimento
-            </button>
-          )}
+          <div style={{ display: 'flex', gap: '1rem', alignItems: 'center' }}>
+            <Exportar caminho="/imobiliarias/exportar" arquivo="empreendimentos" filtros={filtrosAtivos} onErro={setMessage} />
+            {!isConsultor && (
+              <button 
+                className="btn btn-primary"
+                onClick={() => setShowModal(true)}
+              >
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M12 5v14M5 12h14" />
+                </svg>
+                Novo Empreendimento
+              </button>
+            )}
+          </div>
         </div>
 
         {/* Seção de Filtros */}
@@ -346,6 +430,7 @@ const Imobiliarias = () => {
                   setFiltroEstado('');
                   setFiltroCity('');
                   setFiltroStatus('');
+                  setPagina(1);
                 }}
                 className="btn btn-secondary"
                 style={{ padding: '0.5rem 1rem', fontSize: '0.9rem' }}
@@ -361,7 +446,7 @@ const Imobiliarias = () => {
               <select
                 value={filtroEstado}
                 onChange={(e) => {
-                  setFiltroEstado(e.target.value);
+                  filtrar(setFiltroEstado, e.target.value);
                   setFiltroCity('');
                 }}
                 className="form-select"
@@ -382,7 +467,7 @@ const Imobiliarias = () => {
               <label className="form-label">Cidade</label>
               <select
                 value={filtroCity}
-                onChange={(e) => setFiltroCity(e.target.value)}
+                onChange={(e) => filtrar(setFiltroCity, e.target.value)}
                 className="form-select"
                 disabled={!filtroEstado && cidadesDisponiveis.length > 20}
               >
@@ -397,7 +482,7 @@ const Imobiliarias = () => {
               <label className="form-label">Status</label>
               <select
                 value={filtroStatus}
-                onChange={(e) => setFiltroStatus(e.target.value)}
+                onChange={(e) => filtrar(setFiltroStatus, e.target.value)}
                 className="form-select"
               >
                 <option value="">Todos os empreendimentos</option>
@@ -416,7 +501,7 @@ const Imobiliarias = () => {
               color: '#4b5563',
               fontSize: '0.9rem'
             }}>
-              Mostrando <strong>{imobiliariasFiltradas.length}</strong> de {imobiliarias.length} empreendimento(s)
+              <strong>{totais.total}</strong> empreendimento(s) encontrado(s)
             </div>
           )}
         </div>
@@ -425,7 +510,7 @@ const Imobiliarias = () => {
           <div className="loading">
             <div className="spinner"></div>
           </div>
-        ) : imobiliariasFiltradas.length === 0 ? (
+        ) : imobiliarias.length === 0 ? (
           <p style={{ textAlign: 'center', color: '#6b7280', padding: '2rem' }}>
             {filtroEstado || filtroCity || filtroStatus
               ? 'Nenhum empreendimento encontrado com os filtros aplicados.'
@@ -437,18 +522,18 @@ const Imobiliarias = () => {
             <table className="table">
               <thead>
                 <tr>
-                  <th>Nome</th>
+                  <ColunaOrdenavel coluna="nome" ordenacao={ordenacao} onOrdenar={ordenar}>Nome</ColunaOrdenavel>
                   <th>Endereço</th>
                   <th>Bairro</th>
-                  <th>Cidade/Estado</th>
+                  <ColunaOrdenavel coluna="cidade" ordenacao={ordenacao} onOrdenar={ordenar}>Cidade/Estado</ColunaOrdenavel>
                   <th>Nicho</th>
                   <th>Contato</th>
-                  <th>Status</th>
+                  <ColunaOrdenavel coluna="status" ordenacao={ordenacao} onOrdenar={ordenar}>Status</ColunaOrdenavel>
                   <th>Ações</th>
                 </tr>
               </thead>
               <tbody>
-                {imobiliariasFiltradas.map(imobiliaria => (
+                {imobiliarias.map(imobiliaria => (
                   <tr key={imobiliaria.id} className={imobiliaria.status === 'bloqueado' ? 'imobiliaria-bloqueada' : ''}>
                     <td>
                       <strong>{imobiliaria.nome}</strong>
@@ -545,6 +630,14 @@ const Imobiliarias = () => {
             </table>
           </div>
         )}
+
+        <Paginacao
+          pagina={pagina}
+          totalPaginas={totais.total_paginas}
+          total={totais.total}
+          onMudarPagina={setPagina}
+          rotulo="empreendimento(s)"
+        />
       </div>
 
       {/* Modal de Cadastro/Edição */}
@@ -569,12 +662,13 @@ const Imobiliarias = () => {
                 <input
                   type="text"
                   name="nome"
-                  className="form-input"
+                  className={`form-input ${erros.nome ? 'error' : ''}`}
                   value={formData.nome}
                   onChange={handleInputChange}
                   placeholder="Digite o nome do empreendimento"
                   required
                 />
+                {erros.nome && <span className="field-error">{erros.nome}</span>}
               </div>
 
               <div className="form-group">
@@ -582,11 +676,12 @@ const Imobiliarias = () => {
                 <input
                   type="text"
                   name="endereco"
-                  className="form-input"
+                  className={`form-input ${erros.endereco ? 'error' : ''}`}
                   value={formData.endereco}
                   onChange={handleInputChange}
                   placeholder="Ex: Rua das Flores, 123"
                 />
+                {erros.endereco && <span className="field-error">{erros.endereco}</span>}
               </div>
 
               <div className="grid grid-3">
@@ -594,7 +689,7 @@ const Imobiliarias = () => {
                   <label className="form-label">Estado *</label>
                   <select
                     name="estado"
-                    className="form-select"
+                    className={`form-select ${erros.estado ? 'error' : ''}`}
                     value={formData.estado}
                     onChange={handleInputChange}
                     required
@@ -606,6 +701,7 @@ const Imobiliarias = () => {
                       </option>
                     ))}
                   </select>
+                  {erros.estado && <span className="field-error">{erros.estado}</span>}
                 </div>
 
                 <div className="form-group">
@@ -613,7 +709,7 @@ const Imobiliarias = () => {
                   {cidadesSugeridas.length > 0 && formData.cidade !== 'OUTRA' ? (
                     <select
                       name="cidade"
-                      className="form-select"
+                      className={`form-select ${erros.cidade ? 'error' : ''}`}
                       value={formData.cidade}
                       onChange={handleInputChange}
                       required
@@ -628,7 +724,7 @@ const Imobiliarias = () => {
                     <input
                       type="text"
                       name="cidade"
-                      className="form-input"
+                      className={`form-input ${erros.cidade ? 'error' : ''}`}
                       value={formData.cidade === 'OUTRA' ? '' : formData.cidade}
                       onChange={handleInputChange}
                       placeholder="Digite o nome da cidade"
@@ -636,6 +732,7 @@ const Imobiliarias = () => {
                       required
                     />
                   )}
+                  {erros.cidade && <span className="field-error">{erros.cidade}</span>}
                 </div>
 
                 <div className="form-group">
@@ -643,11 +740,12 @@ const Imobiliarias = () => {
                   <input
                     type="text"
                     name="bairro"
-                    className="form-input"
+                    className={`form-input ${erros.bairro ? 'error' : ''}`}
                     value={formData.bairro}
                     onChange={handleInputChange}
                     placeholder="Ex: Centro, Zona Sul"
                   />
+                  {erros.bairro && <span className="field-error">{erros.bairro}</span>}
                 </div>
               </div>
 
@@ -673,11 +771,12 @@ const Imobiliarias = () => {
                   <input
                     type="tel"
                     name="telefone"
-                    className="form-input"
+                    className={`form-input ${erros.telefone ? 'error' : ''}`}
                     value={formData.telefone}
                     onChange={handleInputChange}
                     placeholder="(11) 99999-9999"
                   />
+                  {erros.telefone && <span className="field-error">{erros.telefone}</span>}
                 </div>
 
                 <div className="form-group">
@@ -685,11 +784,12 @@ const Imobiliarias = () => {
                   <input
                     type="email"
                     name="email"
-                    className="form-input"
+                    className={`form-input ${erros.email ? 'error' : ''}`}
                     value={formData.email}
                     onChange={handleInputChange}
                     placeholder="contato@imobiliaria.com"
                   />
+                  {erros.email && <span className="field-error">{erros.email}</span>}
                 </div>
               </div>
 
@@ -697,13 +797,59 @@ const Imobiliarias = () => {
                 <label className="form-label">Status do Empreendimento</label>
                 <select
                   name="status"
-                  className="form-select"
+                  className={`form-select ${erros.status ? 'error' : ''}`}
                   value={formData.status}
                   onChange={handleInputChange}
                 >
                   <option value="ativo">Desbloqueada (padrão)</option>
                   <option value="bloqueado">Bloqueada</option>
                 </select>
+                {erros.status && <span className="field-error">{erros.status}</span>}
+              </div>
+
+              <h3 style={{ fontSize: '1rem', fontWeight: '600', color: '#374151', margin: '1.5rem 0 0.75rem 0' }}>
+                Agenda de Visitas
+              </h3>
+
+              <div className="grid grid-2">
+                <div className="form-group">
+                  <label className="form-label">Duração de cada visita (min)</label>
+                  <input
+                    type="number"
+                    name="duracao_visita"
+                    className={`form-input ${erros.duracao_visita ? 'error' : ''}`}
+                    value={formData.duracao_visita}
+                    onChange={handleInputChange}
+                    min="15"
+                    max="480"
+                    step="15"
+                  />
+                  {erros.duracao_visita && <span className="field-error">{erros.duracao_visita}</span>}
+                </div>
+
+                <div className="form-group">
+                  <label className="form-label">Visitas ao mesmo tempo</label>
+                  <input
+                    type="number"
+                    name="capacidade_visitas"
+                    className={`form-input ${erros.capacidade_visitas ? 'error' : ''}`}
+                    value={formData.capacidade_visitas}
+                    onChange={handleInputChange}
+                    min="1"
+                    max="100"
+                    placeholder="Sem limite"
+                  />
+                  {erros.capacidade_visitas && <span className="field-error">{erros.capacidade_visitas}</span>}
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label className="form-label">Horários de visita</label>
+                <HorariosVisita
+                  valor={formData.horarios_visita}
+                  onChange={(horarios) => setFormData({ ...formData, horarios_visita: horarios })}
+                  erros={erros}
+                />
               </div>
 
               <div style={{ display: 'flex', gap: '1rem', justifyContent: 'flex-end' }}>
@@ -807,6 +953,15 @@ const Imobiliarias = () => {
                    </div>
                  )}
                  
+                 <div>
+                   <label style={{ fontWeight: '600', color: '#374151', fontSize: '0.875rem' }}>Horários de Visita</label>
+                   <p style={{ margin: '0.25rem 0 0 0', color: '#1f2937' }}>
+                     {resumirHorarios(viewingClinica.horarios_visita)}
+                     {' '}({viewingClinica.duracao_visita || 60} min por visita
+                     {viewingClinica.capacidade_visitas ? `, até ${viewingClinica.capacidade_visitas} ao mesmo tempo` : ''})
+                   </p>
+                 </div>
+
                  {viewingClinica.created_at && (
                    <div>
                      <label style={{ fontWeight: '600', color: '#374151', fontSize: '0.875rem' }}>Data de Cadastro</label>
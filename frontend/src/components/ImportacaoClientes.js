@@ -0,0 +1,294 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { baixarArquivo } from './Exportar';
+
+// Assistente de importação de leads por planilha (admin): arquivo → mapeamento → simulação → importação
+const ImportacaoClientes = ({ consultores, onClose, onImportado }) => {
+  const { makeRequest } = useAuth();
+  const [passo, setPasso] = useState('arquivo');
+  const [arquivo, setArquivo] = useState(null);
+  const [planilha, setPlanilha] = useState(null);
+  const [mapeamento, setMapeamento] = useState({});
+  const [consultorId, setConsultorId] = useState('');
+  const [imobiliariaId, setImobiliariaId] = useState('');
+  const [imobiliarias, setImobiliarias] = useState([]);
+  const [simulacao, setSimulacao] = useState(null);
+  const [apenasProblemas, setApenasProblemas] = useState(true);
+  const [resultado, setResultado] = useState(null);
+  const [enviando, setEnviando] = useState(false);
+  const [erro, setErro] = useState('');
+
+  useEffect(() => {
+    const fetchImobiliarias = async () => {
+      try {
+        const response = await makeRequest('/imobiliarias');
+        const data = await response.json();
+        if (response.ok) setImobiliarias(data.filter(imobiliaria => imobiliaria.status !== 'bloqueado'));
+      } catch (error) {
+        console.error('Erro ao carregar empreendimentos:', error);
+      }
+    };
+    fetchImobiliarias();
+  }, [makeRequest]);
+
+  // Arquivo e opções no multipart; `simular` false grava as linhas válidas
+  const enviar = async (url, simular) => {
+    const dados = new FormData();
+    dados.append('arquivo', arquivo);
+    if (simular !== undefined) {
+      dados.append('mapeamento', JSON.stringify(mapeamento));
+      dados.append('simular', String(simular));
+      if (consultorId) dados.append('consultor_id', consultorId);
+      if (imobiliariaId) dados.append('imobiliaria_id', imobiliariaId);
+    }
+
+    setEnviando(true);
+    setErro('');
+    try {
+      const response = await makeRequest(url, { method: 'POST', body: dados });
+      const data = await response.json();
+      if (!response.ok) {
+        setErro(data.error);
+        return null;
+      }
+      return data;
+    } catch (error) {
+      console.error('Erro na importação:', error);
+      setErro('Erro ao conectar com o servidor');
+      return null;
+    } finally {
+      setEnviando(false);
+    }
+  };
+
+  const lerColunas = async (e) => {
+    e.preventDefault();
+    const data = await enviar('/importacoes-cliente/colunas');
+    if (!data) return;
+
+    setPlanilha(data);
+    setMapeamento(data.mapeamento_sugerido);
+    setPasso('mapeamento');
+  };
+
+  const simular = async (e) => {
+    e.preventDefault();
+    const data = await enviar('/importacoes-cliente', true);
+    if (!data) return;
+
+    setSimulacao(data);
+    setPasso('simulacao');
+  };
+
+  const importar = async () => {
+    const data = await enviar('/importacoes-cliente', false);
+    if (!data) return;
+
+    setResultado(data);
+    setPasso('concluido');
+    onImportado();
+  };
+
+  const baixarRejeitadas = async () => {
+    try {
+      await baixarArquivo(makeRequest, `/importacoes-cliente/${resultado.id}/rejeitadas`, `importacao-${resultado.id}-rejeitadas.csv`);
+    } catch (error) {
+      setErro('Erro ao baixar relatório: ' + error.message);
+    }
+  };
+
+  const linhasSimulacao = simulacao
+    ? simulacao.linhas.filter(linha => !apenasProblemas || !linha.valida || linha.avisos.length > 0)
+    : [];
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal" style={{ maxWidth: '900px' }}>
+        <div className="modal-header">
+          <h2 className="modal-title">Importar Leads de Planilha</h2>
+          <button className="close-btn" onClick={onClose}>×</button>
+        </div>
+
+        <div className="modal-body">
+          {erro && <div className="alert alert-error">{erro}</div>}
+
+          {passo === 'arquivo' && (
+            <form onSubmit={lerColunas}>
+              <p style={{ color: '#6b7280', fontSize: '0.875rem', marginTop: 0 }}>
+                Envie um arquivo CSV (separado por vírgula ou ponto e vírgula) ou XLSX. A primeira linha deve ter os nomes das colunas.
+              </p>
+              <div className="form-group">
+                <label className="form-label">Planilha *</label>
+                <input
+                  type="file"
+                  className="form-input"
+                  accept=".csv,.xlsx"
+                  onChange={(e) => setArquivo(e.target.files[0] || null)}
+                  required
+                />
+              </div>
+              <div style={{ display: 'flex', gap: '1rem', justifyContent: 'flex-end' }}>
+                <button type="button" className="btn btn-secondary" onClick={onClose}>Cancelar</button>
+                <button type="submit" className="btn btn-primary" disabled={!arquivo || enviando}>
+                  {enviando ? 'Lendo...' : 'Continuar'}
+                </button>
+              </div>
+            </form>
+          )}
+
+          {passo === 'mapeamento' && planilha && (
+            <form onSubmit={simular}>
+              <p style={{ color: '#6b7280', fontSize: '0.875rem', marginTop: 0 }}>
+                <strong>{planilha.arquivo}</strong> · {planilha.total_linhas} linha(s). Escolha a coluna de cada campo do cliente.
+              </p>
+
+              <div className="grid grid-2">
+                {planilha.campos.map(({ campo, rotulo, obrigatorio }) => (
+                  <div key={campo} className="form-group">
+                    <label className="form-label">{rotulo}{obrigatorio && ' *'}</label>
+                    <select
+                      className="form-select"
+                      value={mapeamento[campo] || ''}
+                      onChange={(e) => setMapeamento({ ...mapeamento, [campo]: e.target.value || undefined })}
+                      required={obrigatorio}
+                    >
+                      <option value="">Não importar</option>
+                      {planilha.colunas.map(coluna => (
+                        <option key={coluna} value={coluna}>{coluna}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+
+              <div className="grid grid-2">
+                <div className="form-group">
+                  <label className="form-label">Corretor</label>
+                  <select className="form-select" value={consultorId} onChange={(e) => setConsultorId(e.target.value)}>
+                    <option value="">Distribuição automática</option>
+                    {consultores.map(consultor => (
+                      <option key={consultor.id} value={consultor.id}>{consultor.nome}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label className="form-label">Empreendimento</label>
+                  <select className="form-select" value={imobiliariaId} onChange={(e) => setImobiliariaId(e.target.value)}>
+                    <option value="">Usar a coluna da planilha</option>
+                    {imobiliarias.map(imobiliaria => (
+                      <option key={imobiliaria.id} value={imobiliaria.id}>{imobiliaria.nome}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="table-container">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Linha</th>
+                      {planilha.colunas.map(coluna => <th key={coluna}>{coluna}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {planilha.amostra.map(({ linha, valores }) => (
+                      <tr key={linha}>
+                        <td>{linha}</td>
+                        {planilha.colunas.map(coluna => <td key={coluna}>{valores[coluna] || '-'}</td>)}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div style={{ display: 'flex', gap: '1rem', justifyContent: 'flex-end', marginTop: '1rem' }}>
+                <button type="button" className="btn btn-secondary" onClick={() => setPasso('arquivo')}>Voltar</button>
+                <button type="submit" className="btn btn-primary" disabled={enviando}>
+                  {enviando ? 'Verificando...' : 'Simular importação'}
+                </button>
+              </div>
+            </form>
+          )}
+
+          {passo === 'simulacao' && simulacao && (
+            <div>
+              <div className={`alert ${simulacao.rejeitadas > 0 ? 'alert-warning' : 'alert-info'}`}>
+                Simulação: <strong>{simulacao.validas}</strong> de {simulacao.total_linhas} linha(s) podem ser importadas
+                {simulacao.rejeitadas > 0 && <> e <strong>{simulacao.rejeitadas}</strong> serão rejeitadas</>}. Nada foi gravado ainda.
+              </div>
+
+              <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.875rem', marginBottom: '1rem' }}>
+                <input type="checkbox" checked={apenasProblemas} onChange={(e) => setApenasProblemas(e.target.checked)} />
+                Mostrar apenas linhas com erro ou aviso
+              </label>
+
+              {linhasSimulacao.length === 0 ? (
+                <p style={{ textAlign: 'center', color: '#6b7280', padding: '1rem' }}>Nenhuma linha com erro ou aviso.</p>
+              ) : (
+                <div className="table-container" style={{ maxHeight: '350px', overflowY: 'auto' }}>
+                  <table className="table">
+                    <thead>
+                      <tr>
+                        <th>Linha</th>
+                        <th>Nome</th>
+                        <th>Telefone</th>
+                        <th>Situação</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {linhasSimulacao.map(linha => (
+                        <tr key={linha.linha}>
+                          <td>{linha.linha}</td>
+                          <td>{linha.nome || '-'}</td>
+                          <td>{linha.telefone || '-'}</td>
+                          <td>
+                            <span className={`badge ${linha.valida ? 'badge-success' : 'badge-danger'}`}>
+                              {linha.valida ? 'Será importada' : 'Rejeitada'}
+                            </span>
+                            {[...linha.motivos, ...linha.avisos].map(texto => (
+                              <div key={texto} style={{ fontSize: '0.75rem', color: linha.valida ? '#b45309' : '#dc2626', marginTop: '0.25rem' }}>
+                                {texto}
+                              </div>
+                            ))}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              <div style={{ display: 'flex', gap: '1rem', justifyContent: 'flex-end', marginTop: '1rem' }}>
+                <button type="button" className="btn btn-secondary" onClick={() => setPasso('mapeamento')}>Voltar</button>
+                <button type="button" className="btn btn-primary" onClick={importar} disabled={enviando || simulacao.validas === 0}>
+                  {enviando ? 'Importando...' : `Importar ${simulacao.validas} cliente(s)`}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {passo === 'concluido' && resultado && (
+            <div>
+              <div className="alert alert-success">{resultado.message}</div>
+              {resultado.rejeitadas > 0 && (
+                <p style={{ fontSize: '0.875rem', color: '#4b5563' }}>
+                  {resultado.rejeitadas} linha(s) não foram importadas. Baixe o relatório com os motivos, corrija e importe de novo.
+                </p>
+              )}
+              <div style={{ display: 'flex', gap: '1rem', justifyContent: 'flex-end' }}>
+                {resultado.rejeitadas > 0 && (
+                  <button type="button" className="btn btn-secondary" onClick={baixarRejeitadas}>
+                    Baixar linhas rejeitadas (CSV)
+                  </button>
+                )}
+                <button type="button" className="btn btn-primary" onClick={onClose}>Fechar</button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportacaoClientes;
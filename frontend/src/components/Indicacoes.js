@@ -1,12 +1,21 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import HistoricoAlteracoes from './HistoricoAlteracoes';
+import FechamentosDoCliente from './FechamentosDoCliente';
+import ImportacaoClientes from './ImportacaoClientes';
+import Exportar from './Exportar';
+import Paginacao, { ColunaOrdenavel, POR_PAGINA } from './Paginacao';
+import HorariosLivres from './HorariosLivres';
 
 const Indicacoes = () => {
-  const { makeRequest } = useAuth();
+  const { makeRequest, user } = useAuth();
   const [clientes, setClientes] = useState([]);
   const [novosLeads, setNovosLeads] = useState([]);
   const [consultores, setConsultores] = useState([]);
+  const [imobiliarias, setImobiliarias] = useState([]);
   const [showModal, setShowModal] = useState(false);
+  const [showImportacao, setShowImportacao] = useState(false);
   const [editingCliente, setEditingCliente] = useState(null);
   const [loading, setLoading] = useState(true);
   const [message, setMessage] = useState('');
@@ -18,14 +27,44 @@ const Indicacoes = () => {
   const [filtroTipo, setFiltroTipo] = useState('');
   const [filtroStatus, setFiltroStatus] = useState('');
   const [filtroConsultor, setFiltroConsultor] = useState('');
+  const [pagina, setPagina] = useState(1);
+  const [ordenacao, setOrdenacao] = useState({ ordenar: 'created_at', direcao: 'desc' });
+  const [totais, setTotais] = useState({ total: 0, total_paginas: 1, por_status: {} });
   const [formData, setFormData] = useState({
     nome: '',
     telefone: '',
+    email: '',
     observacoes: '',
     consultor_id: ''
   });
   const [showViewModal, setShowViewModal] = useState(false);
   const [viewCliente, setViewCliente] = useState(null);
+  const [fechamentoDestaque, setFechamentoDestaque] = useState(null);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [leadAgendar, setLeadAgendar] = useState(null);
+  const [agendarData, setAgendarData] = useState({
+    imobiliaria_id: '',
+    data_agendamento: '',
+    horario: '',
+    consultor_id: '',
+    observacoes: ''
+  });
+  const [clienteContato, setClienteContato] = useState(null);
+  const [contatoData, setContatoData] = useState({ tipo: 'ligacao', observacao: '' });
+  const [duplicados, setDuplicados] = useState(null);
+  const [erros, setErros] = useState({});
+
+  // Tipos de contato aceitos pelo backend
+  const tiposContato = [
+    { value: 'ligacao', label: 'Ligação' },
+    { value: 'whatsapp', label: 'WhatsApp' },
+    { value: 'email', label: 'E-mail' },
+    { value: 'visita', label: 'Visita' },
+    { value: 'outro', label: 'Outro' }
+  ];
+
+  // Por que o backend considerou o cadastro duplicado
+  const motivosDuplicidade = { cpf: 'CPF', telefone: 'Telefone', nome: 'Nome' };
 
   // Status disponíveis para o pipeline
   const statusOptions = [
@@ -45,20 +84,74 @@ const Indicacoes = () => {
   ];
 
   useEffect(() => {
-    fetchClientes();
     fetchConsultores();
     if (activeTab === 'novos-leads') {
       fetchNovosLeads();
+      fetchImobiliarias();
     }
   }, [activeTab]);
 
-  const fetchClientes = async () => {
+  // Aba aberta pela central de notificações (?aba=novos-leads)
+  useEffect(() => {
+    if (searchParams.get('aba') !== 'novos-leads') return;
+
+    setSearchParams({}, { replace: true });
+    setActiveTab('novos-leads');
+  }, [searchParams, setSearchParams]);
+
+  // Cliente aberto pela busca global (?cliente=ID, e &fechamento=ID para destacar um fechamento)
+  useEffect(() => {
+    const clienteId = searchParams.get('cliente');
+    if (!clienteId) return;
+
+    const fechamentoId = searchParams.get('fechamento');
+    setSearchParams({}, { replace: true });
+
+    const abrirCliente = async () => {
+      try {
+        const response = await makeRequest(`/clientes/${clienteId}`);
+        const data = await response.json();
+
+        if (response.ok) {
+          setViewCliente(data);
+          setFechamentoDestaque(fechamentoId);
+          setShowViewModal(true);
+        } else {
+          setMessage('Erro ao abrir cliente: ' + data.error);
+        }
+      } catch (error) {
+        console.error('Erro ao abrir cliente:', error);
+        setMessage('Erro ao conectar com o servidor');
+      }
+    };
+    abrirCliente();
+  }, [searchParams, setSearchParams, makeRequest]);
+
+  // Filtros e ordenação da tela, usados na lista e na exportação
+  const filtrosAtivos = useMemo(() => ({
+    com_consultor: 'true',
+    ordenar: ordenacao.ordenar,
+    direcao: ordenacao.direcao,
+    nome: filtroNome.trim(),
+    telefone: filtroTelefone.trim(),
+    cpf: filtroCPF.trim(),
+    tipo_servico: filtroTipo,
+    status: filtroStatus,
+    consultor_id: filtroConsultor
+  }), [ordenacao, filtroNome, filtroTelefone, filtroCPF, filtroTipo, filtroStatus, filtroConsultor]);
+
+  // Página atual da lista, com filtros e ordenação aplicados no servidor
+  const fetchClientes = useCallback(async () => {
     try {
-      const response = await makeRequest('/clientes');
+      const params = new URLSearchParams(Object.entries({ pagina, por_pagina: POR_PAGINA, ...filtrosAtivos })
+        .filter(([, valor]) => valor !== ''));
+
+      const response = await makeRequest(`/clientes?${params.toString()}`);
       const data = await response.json();
       
       if (response.ok) {
-        setClientes(data);
+        setClientes(data.dados);
+        setTotais({ total: data.total, total_paginas: data.total_paginas, por_status: data.por_status });
       } else {
         console.error('Erro ao carregar clientes:', data.error);
         setMessage('Erro ao carregar clientes: ' + data.error);
@@ -69,6 +162,23 @@ const Indicacoes = () => {
     } finally {
       setLoading(false);
     }
+  }, [makeRequest, pagina, filtrosAtivos]);
+
+  // Espera a digitação nos filtros de texto antes de buscar
+  useEffect(() => {
+    const timer = setTimeout(fetchClientes, 300);
+    return () => clearTimeout(timer);
+  }, [fetchClientes]);
+
+  // Filtro novo sempre volta para a primeira página
+  const filtrar = (setFiltro, valor) => {
+    setFiltro(valor);
+    setPagina(1);
+  };
+
+  const ordenar = (novaOrdenacao) => {
+    setOrdenacao(novaOrdenacao);
+    setPagina(1);
   };
 
   const fetchConsultores = async () => {
@@ -103,6 +213,21 @@ const Indicacoes = () => {
     }
   };
 
+  const fetchImobiliarias = async () => {
+    try {
+      const response = await makeRequest('/imobiliarias');
+      const data = await response.json();
+
+      if (response.ok) {
+        setImobiliarias(data);
+      } else {
+        console.error('Erro ao carregar empreendimentos:', data.error);
+      }
+    } catch (error) {
+      console.error('Erro ao carregar empreendimentos:', error);
+    }
+  };
+
   const pegarLead = async (leadId) => {
     try {
       const response = await makeRequest(`/novos-leads/${leadId}/pegar`, {
@@ -112,10 +237,12 @@ const Indicacoes = () => {
       const data = await response.json();
       
       if (response.ok) {
-        setMessage('Lead atribuído com sucesso!');
+        setMessage(data.prazo_contato
+          ? `Lead atribuído com sucesso! Registre o primeiro contato até ${formatarDataHora(data.prazo_contato)}.`
+          : 'Lead atribuído com sucesso!');
         fetchNovosLeads();
         fetchClientes();
-        setTimeout(() => setMessage(''), 3000);
+        setTimeout(() => setMessage(''), 5000);
       } else {
         setMessage('Erro ao pegar lead: ' + data.error);
       }
@@ -125,8 +252,79 @@ const Indicacoes = () => {
     }
   };
 
-  const handleSubmit = async (e) => {
+  // Abre a confirmação já preenchida com a sugestão de visita do lead (1ª opção de dia)
+  const abrirAgendarVisita = (lead) => {
+    const sugestao = lead.sugestao_visita;
+    setLeadAgendar(lead);
+    setAgendarData({
+      imobiliaria_id: sugestao?.imobiliaria_id ? String(sugestao.imobiliaria_id) : '',
+      data_agendamento: sugestao?.opcoes[0]?.data_agendamento || '',
+      horario: sugestao?.opcoes[0]?.horario || '',
+      consultor_id: '',
+      observacoes: ''
+    });
+  };
+
+  const escolherOpcaoVisita = (opcao) => {
+    setAgendarData({ ...agendarData, data_agendamento: opcao.data_agendamento, horario: opcao.horario });
+  };
+
+  const confirmarVisita = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await makeRequest(`/novos-leads/${leadAgendar.id}/agendar`, {
+        method: 'POST',
+        body: JSON.stringify(agendarData)
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setMessage(data.message);
+        setLeadAgendar(null);
+        fetchNovosLeads();
+        fetchClientes();
+        setTimeout(() => setMessage(''), 3000);
+      } else {
+        setMessage('Erro ao agendar visita: ' + data.error);
+      }
+    } catch (error) {
+      console.error('Erro ao agendar visita:', error);
+      setMessage('Erro ao agendar visita');
+    }
+  };
+
+  const abrirRegistrarContato = (cliente) => {
+    setClienteContato(cliente);
+    setContatoData({ tipo: 'ligacao', observacao: '' });
+  };
+
+  const registrarContato = async (e) => {
     e.preventDefault();
+    try {
+      const response = await makeRequest(`/clientes/${clienteContato.id}/contatos`, {
+        method: 'POST',
+        body: JSON.stringify(contatoData)
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        setMessage(data.message);
+        setClienteContato(null);
+        fetchClientes();
+        setTimeout(() => setMessage(''), 3000);
+      } else {
+        setMessage('Erro ao registrar contato: ' + data.error);
+      }
+    } catch (error) {
+      console.error('Erro ao registrar contato:', error);
+      setMessage('Erro ao registrar contato');
+    }
+  };
+
+  const handleSubmit = async (e, ignorarDuplicados = false) => {
+    if (e) e.preventDefault();
     try {
       let response;
       if (editingCliente) {
@@ -137,7 +335,7 @@ const Indicacoes = () => {
       } else {
         response = await makeRequest('/clientes', {
           method: 'POST',
-          body: JSON.stringify(formData)
+          body: JSON.stringify({ ...formData, ignorar_duplicados: ignorarDuplicados })
         });
       }
 
@@ -145,16 +343,24 @@ const Indicacoes = () => {
       
       if (response.ok) {
         setMessage(editingCliente ? 'Indicação atualizada com sucesso!' : 'Indicação cadastrada com sucesso!');
+        setDuplicados(null);
+        setErros({});
         setShowModal(false);
         setEditingCliente(null);
         setFormData({
           nome: '',
           telefone: '',
+          email: '',
           observacoes: '',
           consultor_id: ''
         });
         fetchClientes();
         setTimeout(() => setMessage(''), 3000);
+      } else if (data.duplicados) {
+        // Cliente parecido já cadastrado: mostrar antes de cadastrar
+        setDuplicados({ lista: data.duplicados, podeIgnorar: data.pode_ignorar, aviso: data.error });
+      } else if (data.campos) {
+        setErros(data.campos);
       } else {
         setMessage('Erro ao salvar cliente: ' + data.error);
       }
@@ -169,6 +375,7 @@ const Indicacoes = () => {
     setFormData({
       nome: cliente.nome || '',
       telefone: cliente.telefone || '',
+      email: cliente.email || '',
       observacoes: cliente.observacoes || '',
       consultor_id: cliente.consultor_id || ''
     });
@@ -177,6 +384,7 @@ const Indicacoes = () => {
 
   const handleView = (cliente) => {
     setViewCliente(cliente);
+    setFechamentoDestaque(null);
     setShowViewModal(true);
   };
 
@@ -205,6 +413,9 @@ const Indicacoes = () => {
       ...formData,
       [name]: value
     });
+    if (erros[name]) {
+      setErros(prev => ({ ...prev, [name]: '' }));
+    }
   };
 
   const updateStatus = async (clienteId, newStatus) => {
@@ -237,6 +448,29 @@ const Indicacoes = () => {
     return new Date(data).toLocaleDateString('pt-BR');
   };
 
+  // Data/hora gravada pelo backend em UTC (o banco pode devolver sem o fuso)
+  const paraData = (valor) => new Date(/(Z|[+-]\d{2}:?\d{2})$/.test(valor) ? valor : valor.replace(' ', 'T') + 'Z');
+
+  const formatarDataHora = (data) => {
+    return paraData(data).toLocaleString('pt-BR', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' });
+  };
+
+  // Lead atribuído que ainda espera o primeiro contato do corretor
+  const contatoPendente = (cliente) => cliente.status === 'lead' && cliente.prazo_contato && !cliente.primeiro_contato_em;
+
+  const prazoVencido = (cliente) => paraData(cliente.prazo_contato) < new Date();
+
+  // Opção de dia da sugestão de visita ('YYYY-MM-DD' + 'HH:MM') como "20/10/2026 às 14:30"
+  const formatarOpcaoVisita = (opcao) => {
+    const [ano, mes, dia] = opcao.data_agendamento.split('-');
+    return `${dia}/${mes}/${ano}${opcao.horario ? ` às ${opcao.horario}` : ''}`;
+  };
+
+  // Melhor dia informado na captura ('YYYY-MM-DDTHH:MM', sem fuso)
+  const formatarMelhorDia = (valor) => {
+    return formatarOpcaoVisita({ data_agendamento: valor.slice(0, 10), horario: valor.slice(11, 16) });
+  };
+
   const formatarTelefone = (telefone) => {
     if (!telefone) return '';
     const numbers = telefone.replace(/\D/g, '');
@@ -259,24 +493,18 @@ const Indicacoes = () => {
     setFormData({
       nome: '',
       telefone: '',
+      email: '',
       observacoes: '',
       consultor_id: ''
     });
+    setErros({});
     setEditingCliente(null);
     setShowModal(false);
   };
 
-  const clientesFiltrados = clientes.filter(p => {
-    // Mostrar apenas clientes que já têm consultor atribuído (número válido)
-    if (!p.consultor_id || p.consultor_id === '' || p.consultor_id === null || p.consultor_id === undefined || Number(p.consultor_id) === 0) return false;
-    const matchNome = !filtroNome || p.nome.toLowerCase().includes(filtroNome.toLowerCase());
-    const matchTelefone = !filtroTelefone || (p.telefone || '').includes(filtroTelefone);
-    const matchCPF = !filtroCPF || (p.cpf || '').includes(filtroCPF);
-    const matchTipo = !filtroTipo || p.tipo_servico === filtroTipo;
-    const matchStatus = !filtroStatus || p.status === filtroStatus;
-    const matchConsultor = !filtroConsultor || String(p.consultor_id) === filtroConsultor;
-    return matchNome && matchTelefone && matchCPF && matchTipo && matchStatus && matchConsultor;
-  });
+  // Totais por status com os filtros atuais (menos o de status), calculados no servidor
+  const totalPorStatus = (status) => totais.por_status[status] || 0;
+  const totalClientes = Object.values(totais.por_status).reduce((soma, total) => soma + total, 0);
 
   return (
     <div>
@@ -318,29 +546,29 @@ const Indicacoes = () => {
           <div className="stats-grid" style={{ marginBottom: '2rem' }}>
             <div className="stat-card">
               <div className="stat-label">Leads</div>
-              <div className="stat-value">{clientes.filter(p => p.status === 'lead').length}</div>
+              <div className="stat-value">{totalPorStatus('lead')}</div>
             </div>
             
             <div className="stat-card">
               <div className="stat-label">Agendados</div>
-              <div className="stat-value">{clientes.filter(p => p.status === 'agendado').length}</div>
+              <div className="stat-value">{totalPorStatus('agendado')}</div>
             </div>
             
             <div className="stat-card">
               <div className="stat-label">Fechados</div>
-              <div className="stat-value">{clientes.filter(p => p.status === 'fechado').length}</div>
+              <div className="stat-value">{totalPorStatus('fechado')}</div>
             </div>
             
             <div className="stat-card">
               <div className="stat-label">Total</div>
-              <div className="stat-value">{clientes.length}</div>
+              <div className="stat-value">{totalClientes}</div>
             </div>
             
             <div className="stat-card">
               <div className="stat-label">Taxa Conversão</div>
               <div className="stat-value">
-                {clientes.length > 0 
-                  ? Math.round((clientes.filter(p => p.status === 'fechado').length / clientes.length) * 100)
+                {totalClientes > 0
+                  ? Math.round((totalPorStatus('fechado') / totalClientes) * 100)
                   : 0}%
               </div>
             </div>
@@ -358,21 +586,21 @@ const Indicacoes = () => {
                 <div className="grid grid-3" style={{ gap: '1rem', marginBottom: '1rem' }}>
                   <div className="form-group" style={{ margin: 0 }}>
                     <label className="form-label">Nome</label>
-                    <input type="text" className="form-input" value={filtroNome} onChange={e => setFiltroNome(e.target.value)} placeholder="Buscar por nome" />
+                    <input type="text" className="form-input" value={filtroNome} onChange={e => filtrar(setFiltroNome, e.target.value)} placeholder="Buscar por nome" />
                   </div>
                   <div className="form-group" style={{ margin: 0 }}>
                     <label className="form-label">Telefone</label>
-                    <input type="text" className="form-input" value={filtroTelefone} onChange={e => setFiltroTelefone(e.target.value)} placeholder="Buscar por telefone" />
+                    <input type="text" className="form-input" value={filtroTelefone} onChange={e => filtrar(setFiltroTelefone, e.target.value)} placeholder="Buscar por telefone" />
                   </div>
                   <div className="form-group" style={{ margin: 0 }}>
                     <label className="form-label">CPF</label>
-                    <input type="text" className="form-input" value={filtroCPF} onChange={e => setFiltroCPF(e.target.value)} placeholder="Buscar por CPF" />
+                    <input type="text" className="form-input" value={filtroCPF} onChange={e => filtrar(setFiltroCPF, e.target.value)} placeholder="Buscar por CPF" />
                   </div>
                 </div>
                 <div className="grid grid-3" style={{ gap: '1rem' }}>
                   <div className="form-group" style={{ margin: 0 }}>
                     <label className="form-label">Tipo de Serviço</label>
-                    <select className="form-select" value={filtroTipo} onChange={e => setFiltroTipo(e.target.value)}>
+                    <select className="form-select" value={filtroTipo} onChange={e => filtrar(setFiltroTipo, e.target.value)}>
                       <option value="">Todos</option>
                       <option value="Compra">Compra</option>
                       <option value="Venda">Venda</option>
@@ -382,7 +610,7 @@ const Indicacoes = () => {
                   </div>
                   <div className="form-group" style={{ margin: 0 }}>
                     <label className="form-label">Status</label>
-                    <select className="form-select" value={filtroStatus} onChange={e => setFiltroStatus(e.target.value)}>
+                    <select className="form-select" value={filtroStatus} onChange={e => filtrar(setFiltroStatus, e.target.value)}>
                       <option value="">Todos</option>
                       {statusOptions.map(option => (
                         <option key={option.value} value={option.value}>{option.label}</option>
@@ -391,7 +619,7 @@ const Indicacoes = () => {
                   </div>
                   <div className="form-group" style={{ margin: 0 }}>
                                   <label className="form-label">Corretor</label>
-              <select className="form-select" value={filtroConsultor} onChange={e => setFiltroConsultor(e.target.value)}>
+              <select className="form-select" value={filtroConsultor} onChange={e => filtrar(setFiltroConsultor, e.target.value)}>
                 <option value="">Todos</option>
                 {consultores.map(c => (
                         <option key={c.id} value={String(c.id)}>{c.nome}</option>
@@ -400,7 +628,7 @@ const Indicacoes = () => {
                   </div>
                 </div>
                 <button className="btn btn-sm btn-secondary" style={{ marginTop: '1rem' }} onClick={() => {
-                  setFiltroNome(''); setFiltroTelefone(''); setFiltroCPF(''); setFiltroTipo(''); setFiltroStatus(''); setFiltroConsultor('');
+                  setFiltroNome(''); setFiltroTelefone(''); setFiltroCPF(''); setFiltroTipo(''); setFiltroStatus(''); setFiltroConsultor(''); setPagina(1);
                 }}>Limpar Filtros</button>
               </div>
             )}
@@ -409,40 +637,48 @@ const Indicacoes = () => {
           <div className="card">
             <div className="card-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                                 <h2 className="card-title">Lista de Indicações</h2>
-              <button className="btn btn-primary" onClick={() => setShowModal(true)}>
-                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                  <line x1="12" y1="5" x2="12" y2="19"></line>
-                  <line x1="5" y1="12" x2="19" y2="12"></line>
-                </svg>
-                Nova Indicação
-              </button>
+              <div style={{ display: 'flex', gap: '0.5rem' }}>
+                <Exportar caminho="/clientes/exportar" arquivo="clientes" filtros={filtrosAtivos} onErro={setMessage} />
+                {user?.tipo === 'admin' && (
+                  <button className="btn btn-secondary" onClick={() => setShowImportacao(true)}>
+                    Importar planilha
+                  </button>
+                )}
+                <button className="btn btn-primary" onClick={() => setShowModal(true)}>
+                  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <line x1="12" y1="5" x2="12" y2="19"></line>
+                    <line x1="5" y1="12" x2="19" y2="12"></line>
+                  </svg>
+                  Nova Indicação
+                </button>
+              </div>
             </div>
 
             {loading ? (
               <div className="loading">
                 <div className="spinner"></div>
               </div>
-            ) : clientesFiltrados.length === 0 ? (
+            ) : clientes.length === 0 ? (
               <div style={{ textAlign: 'center', color: '#6b7280', padding: '3rem' }}>
-                Nenhum cliente cadastrado ainda.
+                {totalClientes > 0 ? 'Nenhum cliente encontrado com esses filtros.' : 'Nenhum cliente cadastrado ainda.'}
               </div>
             ) : (
               <div className="table-container">
                 <table className="table">
                   <thead>
                     <tr>
-                      <th>Nome</th>
+                      <ColunaOrdenavel coluna="nome" ordenacao={ordenacao} onOrdenar={ordenar}>Nome</ColunaOrdenavel>
                       <th>Corretor</th>
                       <th>Telefone</th>
                       <th>CPF</th>
-                      <th>Tipo</th>
-                      <th>Status</th>
-                      <th>Cadastrado</th>
-                      <th style={{ width: '100px' }}>Ações</th>
+                      <ColunaOrdenavel coluna="tipo_servico" ordenacao={ordenacao} onOrdenar={ordenar}>Tipo</ColunaOrdenavel>
+                      <ColunaOrdenavel coluna="status" ordenacao={ordenacao} onOrdenar={ordenar}>Status</ColunaOrdenavel>
+                      <ColunaOrdenavel coluna="created_at" ordenacao={ordenacao} onOrdenar={ordenar}>Cadastrado</ColunaOrdenavel>
+                      <th style={{ width: '140px' }}>Ações</th>
                     </tr>
                   </thead>
                   <tbody>
-                    {clientesFiltrados.map(cliente => {
+                    {clientes.map(cliente => {
                       const statusInfo = getStatusInfo(cliente.status);
                       return (
                         <tr key={cliente.id}>
@@ -492,6 +728,16 @@ const Indicacoes = () => {
                                 </option>
                               ))}
                             </select>
+                            {contatoPendente(cliente) && (
+                              <div style={{ marginTop: '0.25rem' }}>
+                                <span
+                                  className={`badge ${prazoVencido(cliente) ? 'badge-danger' : 'badge-warning'}`}
+                                  title="Prazo para registrar o primeiro contato"
+                                >
+                                  Contatar até {formatarDataHora(cliente.prazo_contato)}
+                                </span>
+                              </div>
+                            )}
                           </td>
                           <td>{formatarData(cliente.created_at)}</td>
                           <td>
@@ -516,6 +762,16 @@ const Indicacoes = () => {
                                 <circle cx="12" cy="12" r="3" />
                               </svg>
                             </button>
+                            <button
+                              onClick={() => abrirRegistrarContato(cliente)}
+                              className="btn-action"
+                              title="Registrar Contato"
+                              style={{ marginLeft: '0.5rem' }}
+                            >
+                              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <path d="M22 16.92v3a2 2 0 0 1-2.18 2 19.79 19.79 0 0 1-8.63-3.07 19.5 19.5 0 0 1-6-6 19.79 19.79 0 0 1-3.07-8.67A2 2 0 0 1 4.11 2h3a2 2 0 0 1 2 1.72c.127.96.361 1.903.7 2.81a2 2 0 0 1-.45 2.11L8.09 9.91a16 16 0 0 0 6 6l1.27-1.27a2 2 0 0 1 2.11-.45c.907.339 1.85.573 2.81.7A2 2 0 0 1 22 16.92z" />
+                              </svg>
+                            </button>
                           </td>
                         </tr>
                       );
@@ -524,6 +780,14 @@ const Indicacoes = () => {
                 </table>
               </div>
             )}
+
+            <Paginacao
+              pagina={pagina}
+              totalPaginas={totais.total_paginas}
+              total={totais.total}
+              onMudarPagina={setPagina}
+              rotulo="indicação(ões)"
+            />
           </div>
         </>
       )}
@@ -580,6 +844,14 @@ const Indicacoes = () => {
                                   {lead.observacoes}
                                 </div>
                               )}
+                              {lead.sugestao_visita && (
+                                <div style={{ fontSize: '0.75rem', color: '#2563eb', marginTop: '0.25rem' }}>
+                                  Sugestão de visita:
+                                  {lead.sugestao_visita.imobiliaria_nome && ` ${lead.sugestao_visita.imobiliaria_nome}`}
+                                  {lead.sugestao_visita.opcoes.length > 0 &&
+                                    ` - ${lead.sugestao_visita.opcoes.map(formatarOpcaoVisita).join(' ou ')}`}
+                                </div>
+                              )}
                             </div>
                           </td>
                           <td>{formatarTelefone(lead.telefone)}</td>
@@ -598,12 +870,22 @@ const Indicacoes = () => {
                           </td>
                           <td>{formatarData(lead.created_at)}</td>
                           <td>
-                            <button
-                              onClick={() => pegarLead(lead.id)}
-                              className="btn btn-primary"
-                            >
-                              Pegar Lead
-                            </button>
+                            <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+                              <button
+                                onClick={() => pegarLead(lead.id)}
+                                className="btn btn-primary"
+                              >
+                                Pegar Lead
+                              </button>
+                              {lead.sugestao_visita && (
+                                <button
+                                  onClick={() => abrirAgendarVisita(lead)}
+                                  className="btn btn-success"
+                                >
+                                  Agendar Visita
+                                </button>
+                              )}
+                            </div>
                           </td>
                         </tr>
                       );
@@ -616,6 +898,15 @@ const Indicacoes = () => {
         </>
       )}
 
+      {/* Importação de leads por planilha (admin) */}
+      {showImportacao && (
+        <ImportacaoClientes
+          consultores={consultores}
+          onClose={() => setShowImportacao(false)}
+          onImportado={fetchClientes}
+        />
+      )}
+
       {/* Modal de Cadastro/Edição */}
       {showModal && (
         <div className="modal-overlay">
@@ -635,12 +926,13 @@ const Indicacoes = () => {
                 <input
                   type="text"
                   name="nome"
-                  className="form-input"
+                  className={`form-input ${erros.nome ? 'error' : ''}`}
                   value={formData.nome}
                   onChange={handleInputChange}
                   placeholder="Digite o nome completo"
                   required
                 />
+                {erros.nome && <span className="field-error">{erros.nome}</span>}
               </div>
 
               <div className="form-group">
@@ -648,24 +940,39 @@ const Indicacoes = () => {
                 <input
                   type="tel"
                   name="telefone"
-                  className="form-input"
+                  className={`form-input ${erros.telefone ? 'error' : ''}`}
                   value={formData.telefone}
                   onChange={handleInputChange}
                   placeholder="(11) 99999-9999"
                   required
                 />
+                {erros.telefone && <span className="field-error">{erros.telefone}</span>}
+              </div>
+
+              <div className="form-group">
+                <label className="form-label">Email</label>
+                <input
+                  type="email"
+                  name="email"
+                  className={`form-input ${erros.email ? 'error' : ''}`}
+                  value={formData.email}
+                  onChange={handleInputChange}
+                  placeholder="cliente@email.com"
+                />
+                {erros.email && <span className="field-error">{erros.email}</span>}
               </div>
 
               <div className="form-group">
                 <label className="form-label">Descrição (Exemplo: profissão, hobbie, etc)</label>
                 <textarea
                   name="observacoes"
-                  className="form-textarea"
+                  className={`form-textarea ${erros.observacoes ? 'error' : ''}`}
                   value={formData.observacoes}
                   onChange={handleInputChange}
                   placeholder="Ex: Engenheiro civil, gosta de futebol, procura apartamento no centro..."
                   rows="3"
                 />
+                {erros.observacoes && <span className="field-error">{erros.observacoes}</span>}
               </div>
 
               <div className="form-group">
@@ -698,6 +1005,238 @@ const Indicacoes = () => {
         </div>
       )}
 
+      {/* Modal de confirmação da sugestão de visita */}
+      {leadAgendar && (
+        <div className="modal-overlay">
+          <div className="modal">
+            <div className="modal-header">
+              <h2 className="modal-title">Agendar Visita - {leadAgendar.nome}</h2>
+              <button className="close-btn" onClick={() => setLeadAgendar(null)}>
+                ×
+              </button>
+            </div>
+
+            <form onSubmit={confirmarVisita} className="modal-body">
+              {leadAgendar.sugestao_visita?.opcoes.length > 1 && (
+                <div className="form-group">
+                  <label className="form-label">Dias sugeridos pelo cliente</label>
+                  <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                    {leadAgendar.sugestao_visita.opcoes.map((opcao, index) => (
+                      <button
+                        key={index}
+                        type="button"
+                        className={`btn btn-sm ${agendarData.data_agendamento === opcao.data_agendamento && agendarData.horario === opcao.horario ? 'btn-primary' : 'btn-secondary'}`}
+                        onClick={() => escolherOpcaoVisita(opcao)}
+                      >
+                        {index + 1}ª opção: {formatarOpcaoVisita(opcao)}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <div className="form-group">
+                <label className="form-label">Empreendimento</label>
+                <select
+                  className="form-select"
+                  value={agendarData.imobiliaria_id}
+                  onChange={(e) => setAgendarData({ ...agendarData, imobiliaria_id: e.target.value })}
+                >
+                  <option value="">Selecione (opcional)</option>
+                  {imobiliarias.map(imobiliaria => (
+                    <option key={imobiliaria.id} value={imobiliaria.id}>
+                      {imobiliaria.nome}
+                    </option>
+                  ))}
+                </select>
+                {leadAgendar.sugestao_visita?.imobiliaria_nome && !leadAgendar.sugestao_visita.imobiliaria_id && (
+                  <span style={{ fontSize: '0.75rem', color: '#6b7280' }}>
+                    O cliente informou "{leadAgendar.sugestao_visita.imobiliaria_nome}", que não está cadastrado
+                  </span>
+                )}
+              </div>
+
+              <div className="grid grid-2">
+                <div className="form-group">
+                  <label className="form-label">Data *</label>
+                  <input
+                    type="date"
+                    className="form-input"
+                    value={agendarData.data_agendamento}
+                    onChange={(e) => setAgendarData({ ...agendarData, data_agendamento: e.target.value })}
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label className="form-label">Horário *</label>
+                  <input
+                    type="time"
+                    className="form-input"
+                    value={agendarData.horario}
+                    onChange={(e) => setAgendarData({ ...agendarData, horario: e.target.value })}
+                    required
+                  />
+                </div>
+              </div>
+
+              <HorariosLivres
+                imobiliariaId={agendarData.imobiliaria_id}
+                consultorId={agendarData.consultor_id}
+                data={agendarData.data_agendamento}
+                horario={agendarData.horario}
+                onEscolher={(horario) => setAgendarData({ ...agendarData, horario })}
+              />
+
+              {user?.tipo === 'admin' && (
+                <div className="form-group">
+                  <label className="form-label">Corretor *</label>
+                  <select
+                    className="form-select"
+                    value={agendarData.consultor_id}
+                    onChange={(e) => setAgendarData({ ...agendarData, consultor_id: e.target.value })}
+                    required
+                  >
+                    <option value="">Selecione o corretor</option>
+                    {consultores.map(consultor => (
+                      <option key={consultor.id} value={consultor.id}>
+                        {consultor.nome}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              <div className="form-group">
+                <label className="form-label">Observações</label>
+                <textarea
+                  className="form-textarea"
+                  value={agendarData.observacoes}
+                  onChange={(e) => setAgendarData({ ...agendarData, observacoes: e.target.value })}
+                  rows="2"
+                />
+              </div>
+
+              <div style={{ display: 'flex', gap: '1rem', justifyContent: 'flex-end', marginTop: '1.5rem' }}>
+                <button type="button" className="btn btn-secondary" onClick={() => setLeadAgendar(null)}>
+                  Cancelar
+                </button>
+                <button type="submit" className="btn btn-primary">
+                  Confirmar Visita
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Modal de possíveis duplicados */}
+      {duplicados && (
+        <div className="modal-overlay">
+          <div className="modal">
+            <div className="modal-header">
+              <h2 className="modal-title">Cliente já cadastrado?</h2>
+              <button className="close-btn" onClick={() => setDuplicados(null)}>
+                ×
+              </button>
+            </div>
+
+            <div className="modal-body">
+              <div className={`alert ${duplicados.podeIgnorar ? 'alert-info' : 'alert-error'}`}>
+                {duplicados.aviso}
+              </div>
+
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Nome</th>
+                    <th>Corretor</th>
+                    <th>Status</th>
+                    <th>Mesmo(a)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {duplicados.lista.map(duplicado => (
+                    <tr key={duplicado.id}>
+                      <td><strong>{duplicado.nome}</strong></td>
+                      <td>{duplicado.consultor_nome || 'Sem corretor'}</td>
+                      <td>{getStatusInfo(duplicado.status).label}</td>
+                      <td>{duplicado.motivos.map(motivo => motivosDuplicidade[motivo] || motivo).join(', ')}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <div style={{ display: 'flex', gap: '1rem', justifyContent: 'flex-end', marginTop: '1rem' }}>
+                <button type="button" className="btn btn-secondary" onClick={() => setDuplicados(null)}>
+                  Voltar
+                </button>
+                {duplicados.podeIgnorar && (
+                  <button type="button" className="btn btn-primary" onClick={() => handleSubmit(null, true)}>
+                    Cadastrar mesmo assim
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Modal de registro de contato */}
+      {clienteContato && (
+        <div className="modal-overlay">
+          <div className="modal">
+            <div className="modal-header">
+              <h2 className="modal-title">Registrar Contato - {clienteContato.nome}</h2>
+              <button className="close-btn" onClick={() => setClienteContato(null)}>
+                ×
+              </button>
+            </div>
+
+            <form onSubmit={registrarContato} className="modal-body">
+              {contatoPendente(clienteContato) && (
+                <div className={`alert ${prazoVencido(clienteContato) ? 'alert-error' : 'alert-info'}`}>
+                  Prazo para o primeiro contato: {formatarDataHora(clienteContato.prazo_contato)}
+                </div>
+              )}
+
+              <div className="form-group">
+                <label className="form-label">Tipo de Contato *</label>
+                <select
+                  className="form-select"
+                  value={contatoData.tipo}
+                  onChange={(e) => setContatoData({ ...contatoData, tipo: e.target.value })}
+                  required
+                >
+                  {tiposContato.map(tipo => (
+                    <option key={tipo.value} value={tipo.value}>{tipo.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label className="form-label">Observação</label>
+                <textarea
+                  className="form-textarea"
+                  value={contatoData.observacao}
+                  onChange={(e) => setContatoData({ ...contatoData, observacao: e.target.value })}
+                  placeholder="Ex: Cliente pediu retorno amanhã à tarde"
+                  rows="3"
+                />
+              </div>
+
+              <div style={{ display: 'flex', gap: '1rem', justifyContent: 'flex-end' }}>
+                <button type="button" className="btn btn-secondary" onClick={() => setClienteContato(null)}>
+                  Cancelar
+                </button>
+                <button type="submit" className="btn btn-primary">
+                  Registrar Contato
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
       {/* Modal de visualização: */}
       {showViewModal && viewCliente && (
         <div className="modal-overlay">
@@ -711,6 +1250,10 @@ const Indicacoes = () => {
                 <label className="form-label">Nome Completo</label>
                 <input type="text" className="form-input" value={viewCliente.nome || '-'} readOnly />
               </div>
+              <div className="form-group">
+                <label className="form-label">Email</label>
+                <input type="text" className="form-input" value={viewCliente.email || '-'} readOnly />
+              </div>
               <div className="grid grid-2">
                 <div className="form-group">
                   <label className="form-label">Telefone</label>
@@ -739,10 +1282,28 @@ const Indicacoes = () => {
                 <label className="form-label">Observações</label>
                 <textarea className="form-textarea" value={viewCliente.observacoes || '-'} readOnly rows="3" />
               </div>
+              {(viewCliente.imobiliaria_preferida || viewCliente.melhor_dia1 || viewCliente.melhor_dia2) && (
+                <div className="grid grid-3">
+                  <div className="form-group">
+                    <label className="form-label">Empreendimento de Preferência</label>
+                    <input type="text" className="form-input" value={viewCliente.imobiliaria_preferida || '-'} readOnly />
+                  </div>
+                  <div className="form-group">
+                    <label className="form-label">1º Melhor Dia</label>
+                    <input type="text" className="form-input" value={viewCliente.melhor_dia1 ? formatarMelhorDia(viewCliente.melhor_dia1) : '-'} readOnly />
+                  </div>
+                  <div className="form-group">
+                    <label className="form-label">2º Melhor Dia</label>
+                    <input type="text" className="form-input" value={viewCliente.melhor_dia2 ? formatarMelhorDia(viewCliente.melhor_dia2) : '-'} readOnly />
+                  </div>
+                </div>
+              )}
               <div className="form-group">
                 <label className="form-label">Cadastrado em</label>
                 <input type="text" className="form-input" value={viewCliente.created_at ? formatarData(viewCliente.created_at) : '-'} readOnly />
               </div>
+              <FechamentosDoCliente clienteId={viewCliente.id} destaque={fechamentoDestaque} />
+              <HistoricoAlteracoes entidade="clientes" id={viewCliente.id} />
             </div>
           </div>
         </div>
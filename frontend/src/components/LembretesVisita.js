@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { formatarDataHora } from './HistoricoAlteracoes';
+
+const rotulosCanal = {
+  whatsapp: 'WhatsApp',
+  sms: 'SMS',
+  email: 'Email',
+  console: 'Console'
+};
+
+const rotulosEntrega = {
+  enviado: { label: 'Enviado', classe: 'badge-info' },
+  entregue: { label: 'Entregue', classe: 'badge-success' },
+  lido: { label: 'Lido', classe: 'badge-success' },
+  falhou: { label: 'Falhou', classe: 'badge-danger' }
+};
+
+const rotulosResposta = {
+  confirmou: 'Cliente confirmou',
+  cancelou: 'Cliente cancelou'
+};
+
+// 1440 -> '1 dia antes', 120 -> '2h antes'
+const descreverAntecedencia = (minutos) => {
+  if (!minutos) return '';
+  if (minutos % 1440 === 0) return minutos === 1440 ? '1 dia antes' : `${minutos / 1440} dias antes`;
+  if (minutos % 60 === 0) return `${minutos / 60}h antes`;
+  return `${minutos} min antes`;
+};
+
+// Painel com os lembretes automáticos enviados ao cliente e a confirmação da visita
+const LembretesVisita = ({ agendamentoId }) => {
+  const { makeRequest } = useAuth();
+  const [lembretes, setLembretes] = useState([]);
+  const [confirmadoEm, setConfirmadoEm] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [erro, setErro] = useState('');
+
+  useEffect(() => {
+    const fetchLembretes = async () => {
+      try {
+        const response = await makeRequest(`/agendamentos/${agendamentoId}/lembretes`);
+        const data = await response.json();
+
+        if (response.ok) {
+          setLembretes(data.lembretes);
+          setConfirmadoEm(data.confirmado_em);
+        } else {
+          setErro('Erro ao carregar lembretes: ' + data.error);
+        }
+      } catch (error) {
+        console.error('Erro ao carregar lembretes:', error);
+        setErro('Erro ao carregar lembretes');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchLembretes();
+  }, [makeRequest, agendamentoId]);
+
+  return (
+    <div className="form-group">
+      <label className="form-label">Lembretes ao cliente</label>
+
+      {confirmadoEm && (
+        <div className="alert alert-success" style={{ marginBottom: '0.5rem' }}>
+          Visita confirmada pelo cliente em {formatarDataHora(confirmadoEm)}
+        </div>
+      )}
+
+      {loading ? (
+        <p style={{ color: '#6b7280', fontSize: '0.875rem' }}>Carregando...</p>
+      ) : erro ? (
+        <p style={{ color: '#dc2626', fontSize: '0.875rem' }}>{erro}</p>
+      ) : lembretes.length === 0 ? (
+        <p style={{ color: '#6b7280', fontSize: '0.875rem' }}>Nenhum lembrete enviado.</p>
+      ) : (
+        <div style={{ maxHeight: '200px', overflowY: 'auto', border: '1px solid #e5e7eb', borderRadius: '6px' }}>
+          {lembretes.map(lembrete => (
+            <div key={lembrete.id} style={{ padding: '0.75rem', borderBottom: '1px solid #e5e7eb', fontSize: '0.875rem' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.5rem' }}>
+                <span>
+                  <span className={`badge ${rotulosEntrega[lembrete.status]?.classe || 'badge-info'}`}>
+                    {rotulosEntrega[lembrete.status]?.label || lembrete.status}
+                  </span>
+                  {' '}<strong>{rotulosCanal[lembrete.canal] || lembrete.canal}</strong>
+                  {' '}para {lembrete.destino}
+                  <span style={{ color: '#6b7280' }}> · {descreverAntecedencia(lembrete.antecedencia_minutos)}</span>
+                </span>
+                <span style={{ color: '#6b7280', fontSize: '0.75rem' }}>{formatarDataHora(lembrete.created_at)}</span>
+              </div>
+              {lembrete.erro && (
+                <div style={{ color: '#dc2626', fontSize: '0.75rem', marginTop: '0.25rem' }}>{lembrete.erro}</div>
+              )}
+              {lembrete.resposta && (
+                <div style={{ color: lembrete.resposta === 'confirmou' ? '#059669' : '#dc2626', marginTop: '0.25rem' }}>
+                  {rotulosResposta[lembrete.resposta] || lembrete.resposta} em {formatarDataHora(lembrete.respondido_em)}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LembretesVisita;
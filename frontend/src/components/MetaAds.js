@@ -17,6 +17,12 @@ const MetaAds = () => {
   const [selectedCampaign, setSelectedCampaign] = useState('');
   const [dateRange, setDateRange] = useState('last_30d');
   const [apiStatus, setApiStatus] = useState(null);
+  const [relatorio, setRelatorio] = useState(null);
+  const [relatorioInicio, setRelatorioInicio] = useState(() => {
+    const hoje = new Date();
+    return new Date(hoje.getFullYear(), hoje.getMonth(), 1).toISOString().split('T')[0];
+  });
+  const [relatorioFim, setRelatorioFim] = useState(() => new Date().toISOString().split('T')[0]);
   const [formData, setFormData] = useState({
     cidade: '',
     estado: '',
@@ -36,8 +42,10 @@ const MetaAds = () => {
     if (activeTab === 'pricing') {
       fetchPricing();
       fetchCampaigns();
-    } else {
+    } else if (activeTab === 'leads') {
       fetchLeads();
+    } else if (activeTab === 'roi') {
+      fetchRelatorio();
     }
   }, [activeTab]);
 
@@ -88,6 +96,26 @@ const MetaAds = () => {
     }
   };
 
+  const fetchRelatorio = async () => {
+    try {
+      const params = new URLSearchParams({ data_inicio: relatorioInicio, data_fim: relatorioFim });
+      const response = await makeRequest(`/meta-ads/report?${params}`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setRelatorio(data);
+      } else {
+        console.error('Erro ao carregar relatório:', data.error);
+        setMessage('Erro ao carregar relatório: ' + data.error);
+      }
+    } catch (error) {
+      console.error('Erro ao carregar relatório:', error);
+      setMessage('Erro ao conectar com o servidor');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const fetchCampaigns = async () => {
     try {
       const response = await makeRequest('/meta-ads/campaigns');
@@ -141,6 +169,29 @@ const MetaAds = () => {
     }
   };
 
+  const syncLeads = async () => {
+    try {
+      setLoading(true);
+      const response = await makeRequest('/meta-ads/sync-leads', {
+        method: 'POST',
+        body: JSON.stringify({ date_range: 'last_30d' })
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setMessage(data.message);
+        fetchLeads();
+        setTimeout(() => setMessage(''), 5000);
+      } else {
+        setMessage('Erro ao sincronizar leads: ' + (data.error || 'Erro desconhecido'));
+      }
+    } catch (error) {
+      setMessage('Erro ao sincronizar leads: ' + (error.message || 'Erro desconhecido'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
@@ -216,6 +267,43 @@ const MetaAds = () => {
     }).format(preco);
   };
 
+  const formatarIndice = (valor) => {
+    return valor === null || valor === undefined ? '-' : `${valor.toLocaleString('pt-BR')}x`;
+  };
+
+  const renderTabelaRoi = (titulo, linhas, colunaNome) => (
+    <div className="table-container roi-table">
+      <table className="table">
+        <thead>
+          <tr>
+            <th>{titulo}</th>
+            <th>Leads</th>
+            <th>Visitas</th>
+            <th>Fechamentos</th>
+            <th>Investimento</th>
+            <th>Receita</th>
+            <th>CAC</th>
+            <th>ROAS</th>
+          </tr>
+        </thead>
+        <tbody>
+          {linhas.map((linha, index) => (
+            <tr key={index}>
+              <td>{colunaNome(linha)}</td>
+              <td>{linha.leads}</td>
+              <td>{linha.visitas}</td>
+              <td>{linha.fechamentos}</td>
+              <td>{formatarPreco(linha.investimento)}</td>
+              <td><span className="price">{formatarPreco(linha.receita)}</span></td>
+              <td>{linha.cac !== null ? formatarPreco(linha.cac) : '-'}</td>
+              <td>{formatarIndice(linha.roas)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
   const formatarData = (data) => {
     return new Date(data).toLocaleDateString('pt-BR');
   };
@@ -263,6 +351,12 @@ const MetaAds = () => {
         >
           Leads do Meta Ads
         </button>
+        <button 
+          className={`tab ${activeTab === 'roi' ? 'active' : ''}`}
+          onClick={() => setActiveTab('roi')}
+        >
+          📈 ROI
+        </button>
         <button 
           className={`tab ${activeTab === 'api' ? 'active' : ''}`}
           onClick={() => setActiveTab('api')}
@@ -370,7 +464,7 @@ const MetaAds = () => {
           <table className="table">
             <thead>
               <tr>
-                <th>Paciente</th>
+                <th>Cliente</th>
                 <th>Campanha</th>
                 <th>Custo do Lead</th>
                 <th>Cidade</th>
@@ -383,9 +477,9 @@ const MetaAds = () => {
                 <tr key={lead.id}>
                   <td>
                     <div>
-                      <strong>{lead.pacientes?.nome}</strong>
+                      <strong>{lead.cliente_nome}</strong>
                       <div style={{ fontSize: '0.75rem', color: '#9ca3af' }}>
-                        {lead.pacientes?.telefone}
+                        {lead.cliente_telefone}
                       </div>
                     </div>
                   </td>
@@ -407,6 +501,61 @@ const MetaAds = () => {
         </div>
       )}
 
+      {activeTab === 'roi' && (
+        <>
+          <div className="filters">
+            <input
+              type="date"
+              value={relatorioInicio}
+              onChange={(e) => setRelatorioInicio(e.target.value)}
+              className="filter-input"
+            />
+            <input
+              type="date"
+              value={relatorioFim}
+              onChange={(e) => setRelatorioFim(e.target.value)}
+              className="filter-input"
+            />
+            <button 
+              className="btn btn-secondary"
+              onClick={fetchRelatorio}
+            >
+              🔍 Gerar Relatório
+            </button>
+          </div>
+
+          {relatorio && (
+            <>
+              <div className="roi-summary">
+                <div className="roi-card">
+                  <span>Investimento</span>
+                  <strong>{formatarPreco(relatorio.totais.investimento)}</strong>
+                </div>
+                <div className="roi-card">
+                  <span>Leads → Visitas → Fechamentos</span>
+                  <strong>{relatorio.totais.leads} → {relatorio.totais.visitas} → {relatorio.totais.fechamentos}</strong>
+                </div>
+                <div className="roi-card">
+                  <span>Receita</span>
+                  <strong>{formatarPreco(relatorio.totais.receita)}</strong>
+                </div>
+                <div className="roi-card">
+                  <span>CAC</span>
+                  <strong>{relatorio.totais.cac !== null ? formatarPreco(relatorio.totais.cac) : '-'}</strong>
+                </div>
+                <div className="roi-card">
+                  <span>ROAS</span>
+                  <strong>{formatarIndice(relatorio.totais.roas)}</strong>
+                </div>
+              </div>
+
+              {renderTabelaRoi('Campanha', relatorio.campanhas, (linha) => linha.campanha_nome)}
+              {renderTabelaRoi('Cidade', relatorio.cidades, (linha) => `${linha.cidade}${linha.estado ? ` - ${linha.estado}` : ''}`)}
+            </>
+          )}
+        </>
+      )}
+
       {activeTab === 'api' && (
         <div className="api-integration">
           <div className="api-status">
@@ -453,6 +602,14 @@ const MetaAds = () => {
               >
                 🔄 Sincronizar Campanhas
               </button>
+
+              <button 
+                className="btn btn-secondary"
+                onClick={syncLeads}
+                disabled={loading}
+              >
+                📥 Importar Leads dos Formulários
+              </button>
             </div>
 
             {campaigns.length > 0 && (
@@ -566,7 +723,7 @@ const MetaAds = () => {
                     className="form-input"
                     value={formData.campanha_nome}
                     onChange={handleInputChange}
-                    placeholder="Campanha SP - Estético"
+                    placeholder="Campanha SP - Lançamentos"
                   />
                 </div>
               </div>
@@ -895,6 +1052,37 @@ const MetaAds = () => {
           border: 1px solid #fde68a;
         }
 
+        .roi-summary {
+          display: grid;
+          grid-template-columns: repeat(auto-fill, minmax(180px, 1fr));
+          gap: 15px;
+          margin-bottom: 20px;
+        }
+
+        .roi-card {
+          background: white;
+          border-radius: 8px;
+          padding: 15px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          display: flex;
+          flex-direction: column;
+          gap: 5px;
+        }
+
+        .roi-card span {
+          font-size: 12px;
+          color: #718096;
+        }
+
+        .roi-card strong {
+          font-size: 18px;
+          color: #2d3748;
+        }
+
+        .roi-table {
+          margin-bottom: 20px;
+        }
+
         .api-integration {
           display: flex;
           flex-direction: column;
@@ -0,0 +1,55 @@
+import React from 'react';
+
+// Itens por página nas listagens paginadas no servidor (?pagina=&por_pagina=)
+export const POR_PAGINA = 20;
+
+// Cabeçalho de tabela que ordena pela coluna; clicar de novo inverte a direção
+export const ColunaOrdenavel = ({ coluna, ordenacao, onOrdenar, children, style }) => {
+  const ativa = ordenacao.ordenar === coluna;
+
+  const alternar = () => onOrdenar({
+    ordenar: coluna,
+    direcao: ativa && ordenacao.direcao === 'asc' ? 'desc' : 'asc'
+  });
+
+  return (
+    <th style={{ cursor: 'pointer', userSelect: 'none', whiteSpace: 'nowrap', ...style }} onClick={alternar}>
+      {children}
+      <span style={{ marginLeft: '0.25rem', color: ativa ? '#2563eb' : '#d1d5db' }}>
+        {ativa && ordenacao.direcao === 'desc' ? '▼' : '▲'}
+      </span>
+    </th>
+  );
+};
+
+// Navegação entre as páginas, com o total de registros encontrados
+const Paginacao = ({ pagina, totalPaginas, total, onMudarPagina, rotulo = 'registro(s)' }) => {
+  if (!total) return null;
+
+  return (
+    <div style={{
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      gap: '1rem',
+      padding: '1rem 1.5rem',
+      borderTop: '1px solid #e5e7eb',
+      fontSize: '0.875rem',
+      color: '#6b7280'
+    }}>
+      <span>
+        <strong>{total}</strong> {rotulo} · Página {pagina} de {totalPaginas}
+      </span>
+      <div style={{ display: 'flex', gap: '0.5rem' }}>
+        <button className="btn btn-sm btn-secondary" disabled={pagina <= 1} onClick={() => onMudarPagina(pagina - 1)}>
+          Anterior
+        </button>
+        <button className="btn btn-sm btn-secondary" disabled={pagina >= totalPaginas} onClick={() => onMudarPagina(pagina + 1)}>
+          Próxima
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Paginacao;
@@ -1,7 +1,13 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 
 const AuthContext = createContext();
 
+// Configurar URL base da API
+const API_BASE_URL = process.env.REACT_APP_API_URL || 
+  (process.env.NODE_ENV === 'production' 
+    ? '/api' 
+    : 'http://localhost:5000/api');
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -19,25 +25,26 @@ export const AuthProvider = ({ children }) => {
     return savedToken && savedToken !== 'null' && savedToken.trim() !== '' ? savedToken : null;
   });
 
-  // Configurar URL base da API
-  const API_BASE_URL = process.env.REACT_APP_API_URL || 
-    (process.env.NODE_ENV === 'production' 
-      ? '/api' 
-      : 'http://localhost:5000/api');
-
-  const clearAllData = () => {
+  const clearAllData = useCallback(() => {
     console.log('Limpando todos os dados de autenticação');
     setUser(null);
     setToken(null);
     localStorage.removeItem('token');
     localStorage.removeItem('user');
-  };
+  }, []);
+
+  const logout = useCallback(() => {
+    clearAllData();
+  }, [clearAllData]);
 
-  const makeRequest = async (url, options = {}) => {
+  // Mesma função entre renderizações: componentes que a usam em dependências de efeitos
+  // (ex.: o stream da central de notificações) não refazem a conexão a cada render
+  const makeRequest = useCallback(async (url, options = {}) => {
     const fullUrl = url.startsWith('http') ? url : `${API_BASE_URL}${url}`;
     
+    // Com FormData (upload de arquivo) o navegador define o Content-Type com o boundary
     const headers = {
-      'Content-Type': 'application/json',
+      ...(options.body instanceof FormData ? {} : { 'Content-Type': 'application/json' }),
       ...(options.headers || {})
     };
 
@@ -59,7 +66,7 @@ export const AuthProvider = ({ children }) => {
     }
 
     return response;
-  };
+  }, [logout]);
 
   const login = async (email, senha) => {
     try {
@@ -94,10 +101,6 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
-    clearAllData();
-  };
-
   const verifyToken = async () => {
     const currentToken = localStorage.getItem('token');
     